@@ -1,4 +1,5 @@
 const PromoStandardsAuth = require('./core/auth');
+const BaseService = require('./core/base-service');
 const WSDLProvider = require('./core/wsdl-provider');
 const InventoryService = require('./services/inventory/inventory-service');
 const ProductDataService = require('./services/product-data/product-data-service');
@@ -11,6 +12,9 @@ const PurchaseOrderService = require('./services/purchase-order/purchase-order-s
 const ProductComplianceService = require('./services/product-compliance/product-compliance-service');
 const CompanyDataService = require('./services/company-data/company-data-service');
 const RemittanceAdviceService = require('./services/remittance-advice/remittance-advice-service');
+const CircuitBreaker = require('./core/circuit-breaker');
+const RateLimiter = require('./core/rate-limiter');
+const OneSourceClient = require('./core/onesource-client');
 const { ValidationError } = require('./core/errors');
 const debug = require('debug')('promostandards:client');
 
@@ -38,9 +42,19 @@ class PromoStandardsClient {
     this.defaultOptions = {
       timeout: options.timeout || 30000,
       cache: options.cache,
-      cacheTTL: options.cacheTTL
+      cacheTTL: options.cacheTTL,
+      useBundledWsdl: options.useBundledWsdl,
+      retry: options.retry,
+      // One breaker and limiter for every service, so supplier health and limits are shared
+      // (the limiter always exists: services with a rateLimit of their own use it too)
+      circuitBreaker: CircuitBreaker.from(options.circuitBreaker),
+      rateLimiter: RateLimiter.from(options.rateLimiter) || new RateLimiter()
     };
 
+    // OneSource directory for useSupplier (created on first use unless given)
+    this._oneSourceOptions = options.onesource;
+    this.oneSource = options.onesource instanceof OneSourceClient ? options.onesource : null;
+
     if (options.autoInitialize) {
       this.initializeServices(options.services || {});
     }
@@ -102,7 +116,8 @@ class PromoStandardsClient {
       auth: this.auth
     };
 
-    if (!serviceOptions.wsdl && config.endpoint) {
+    // With bundled WSDLs the endpoint is only the SOAP address, not a WSDL URL
+    if (!serviceOptions.wsdl && config.endpoint && !serviceOptions.useBundledWsdl) {
       serviceOptions.wsdl = config.endpoint;
     }
 
@@ -136,6 +151,211 @@ class PromoStandardsClient {
     return service;
   }
 
+  /**
+   * Get the OneSource directory client
+   * @returns {OneSourceClient}
+   */
+  getOneSource() {
+    if (!this.oneSource) {
+      if (this._oneSourceOptions && this._oneSourceOptions.enabled === false) {
+        throw new ValidationError('OneSource is disabled for this client', { option: 'onesource' });
+      }
+      this.oneSource = new OneSourceClient(this._oneSourceOptions || {});
+    }
+    return this.oneSource;
+  }
+
+  /**
+   * Discover a supplier's services via OneSource
+   *
+   * Creates a service for every service the supplier publishes in a version
+   * this library supports (highest common version unless given). Endpoints are
+   * resolved through a WSDLProvider on first call.
+   *
+   * @param {string} supplierId - Supplier code or name (e.g. 'SanMar')
+   * @param {Object} options
+   * @param {string[]} options.services - Service keys to create (e.g. ['inventory']); default all
+   * @param {Object} options.versions - Service key -> version (e.g. { inventory: '1.2.1' })
+   * @param {string} options.username - Per-supplier credentials (default: client auth)
+   * @param {string} options.password
+   * @param {Object} options.serviceOptions - Extra options for every service
+   * @returns {Promise<Object>} { supplier, endpoints, services, [serviceKey]: service }
+   */
+  async useSupplier(supplierId, options = {}) {
+    let auth = this.auth;
+    if (options.username || options.password) {
+      auth = new PromoStandardsAuth({ id: options.username, password: options.password });
+    } else if (!auth) {
+      throw new ValidationError(
+        'Credentials required. Provide username/password in options or configure client-level auth.',
+        { method: 'useSupplier' }
+      );
+    }
+
+    const oneSource = this.getOneSource();
+    const supplier = await oneSource.getSupplier(supplierId);
+    const endpoints = await oneSource.getSupplierEndpoints(supplier.code);
+    const result = { supplier, endpoints, services: [] };
+
+    for (const [key, ServiceClass] of Object.entries(SERVICE_REGISTRY)) {
+      if (options.services && !options.services.includes(key)) {
+        continue;
+      }
+
+      const published = endpoints
+        .filter(endpoint => endpoint.service === ServiceClass.serviceName && endpoint.url)
+        .map(endpoint => endpoint.version);
+      const version = options.versions?.[key] || ServiceClass.supportedVersions
+        .filter(supported => published.includes(supported))
+        .sort(OneSourceClient.compareVersions)
+        .pop();
+
+      if (!version) {
+        continue;
+      }
+
+      result[key] = new ServiceClass({
+        ...this.defaultOptions,
+        ...options.serviceOptions,
+        auth,
+        version,
+        wsdlProvider: oneSource.createWsdlProvider(supplier.code, ServiceClass.serviceName, version)
+      });
+      result.services.push(key);
+    }
+
+    debug(`Using supplier ${supplier.code}: ${result.services.join(', ') || 'no supported services'}`);
+    return result;
+  }
+
+  /**
+   * Run the same service method across many suppliers
+   *
+   * Suppliers run with bounded concurrency; a failing supplier is reported in
+   * `errors` instead of failing the batch.
+   *
+   * @example
+   * const { results, errors } = await client.fanOut(registry, 'orderStatus', 'getOrderStatus', {
+   *   queryType: 'lastUpdate',
+   *   statusTimeStamp: yesterday
+   * });
+   *
+   * @param {SupplierRegistry|string[]|Object} suppliers - One of:
+   *   - a SupplierRegistry: every supplier configuring the service
+   *   - supplier codes: resolved via `options.registry`, else useSupplier (OneSource)
+   *   - supplier code -> PromoStandardsClient, useSupplier result or service instance
+   * @param {string} serviceName - Service key (e.g. 'invoice')
+   * @param {string} method - Service method (e.g. 'getByDateRange')
+   * @param {*|Array|Function} params - Method argument, an array of arguments, or
+   *   (supplier, service) => argument(s) for per-supplier parameters
+   * @param {Object} options
+   * @param {number} options.concurrency - Suppliers queried at once (default 5)
+   * @param {SupplierRegistry} options.registry - Resolves supplier codes
+   * @param {Object} options.supplierOptions - useSupplier options for OneSource lookups
+   * @returns {Promise<Object>} { results: {supplier: result}, errors: {supplier: Error},
+   *   succeeded: string[], failed: string[], durations: {supplier: ms} }
+   */
+  async fanOut(suppliers, serviceName, method, params, options = {}) {
+    const targets = this._getFanOutTargets(suppliers, serviceName, options);
+    const concurrency = Math.max(1, options.concurrency || 5);
+    const outcomes = new Array(targets.length);
+    let next = 0;
+
+    const worker = async () => {
+      while (next < targets.length) {
+        const index = next++;
+        const [supplier, resolveTarget] = targets[index];
+        const startedAt = Date.now();
+
+        try {
+          const service = await this._getFanOutService(supplier, await resolveTarget(), serviceName, method);
+          const args = typeof params === 'function' ? params(supplier, service) : params;
+          const result = await service[method](...(Array.isArray(args) ? args : [args]));
+          outcomes[index] = { supplier, result, duration: Date.now() - startedAt };
+        } catch (error) {
+          debug(`Fan-out ${serviceName}.${method} failed for ${supplier}: ${error.message}`);
+          outcomes[index] = { supplier, error, duration: Date.now() - startedAt };
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, targets.length) }, worker));
+
+    const batch = { results: {}, errors: {}, succeeded: [], failed: [], durations: {} };
+    for (const { supplier, result, error, duration } of outcomes) {
+      if (error) {
+        batch.errors[supplier] = error;
+        batch.failed.push(supplier);
+      } else {
+        batch.results[supplier] = result;
+        batch.succeeded.push(supplier);
+      }
+      batch.durations[supplier] = duration;
+    }
+
+    debug(`Fan-out ${serviceName}.${method}: ${batch.succeeded.length} succeeded, ${batch.failed.length} failed`);
+    return batch;
+  }
+
+  /**
+   * List [supplier, async () => target] pairs; resolution is deferred so that
+   * lookup failures are reported per supplier
+   * @private
+   */
+  _getFanOutTargets(suppliers, serviceName, options) {
+    const isRegistry = (value) => value && typeof value.getSupplier === 'function' &&
+      typeof value.listSuppliers === 'function';
+
+    if (isRegistry(suppliers)) {
+      return suppliers.listSuppliers()
+        .filter(code => suppliers.getSupplierConfig(code).services[serviceName])
+        .map(code => [code, async () => suppliers.getSupplier(code)]);
+    }
+
+    if (Array.isArray(suppliers)) {
+      const registry = options.registry;
+      return suppliers.map(code => [code, async () => (registry
+        ? registry.getSupplier(code)
+        : this.useSupplier(code, { ...options.supplierOptions, services: [serviceName] }))]);
+    }
+
+    if (suppliers && typeof suppliers === 'object') {
+      return Object.entries(suppliers).map(([code, target]) => [code, async () => target]);
+    }
+
+    throw new ValidationError(
+      'suppliers must be a SupplierRegistry, an array of supplier codes or an object of supplier targets',
+      { method: 'fanOut' }
+    );
+  }
+
+  /**
+   * Find the service to call on a fan-out target
+   * @private
+   */
+  _getFanOutService(supplier, target, serviceName, method) {
+    let service = target;
+    if (target instanceof PromoStandardsClient) {
+      service = target.services.get(serviceName);
+    } else if (target && !(target instanceof BaseService)) {
+      service = target[serviceName];
+    }
+
+    if (!(service instanceof BaseService)) {
+      throw new ValidationError(
+        `Supplier '${supplier}' has no ${serviceName} service`,
+        { supplier, service: serviceName }
+      );
+    }
+    if (typeof service[method] !== 'function') {
+      throw new ValidationError(
+        `Method '${method}' not found in ${serviceName} service`,
+        { supplier, service: serviceName, method }
+      );
+    }
+    return service;
+  }
+
   /**
    * Create a service with direct WSDL
    * @private
@@ -352,4 +572,6 @@ class PromoStandardsClient {
   }
 }
 
+PromoStandardsClient.SERVICE_REGISTRY = SERVICE_REGISTRY;
+
 module.exports = PromoStandardsClient;
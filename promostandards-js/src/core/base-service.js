@@ -1,6 +1,9 @@
 const SoapClient = require('./soap-client');
 const PromoStandardsAuth = require('./auth');
-const { ServiceError, ValidationError } = require('./errors');
+const CircuitBreaker = require('./circuit-breaker');
+const RateLimiter = require('./rate-limiter');
+const { ServiceError, ValidationError, CircuitOpenError, RateLimitError } = require('./errors');
+const { getBundledWsdl, getBundledVersions } = require('./wsdl-registry');
 const debug = require('debug')('promostandards:service');
 
 class BaseService {
@@ -15,13 +18,29 @@ class BaseService {
     // Support deferred WSDL resolution via provider
     this.wsdlProvider = options.wsdlProvider || null;
 
+    // Parse the packaged WSDL/XSDs instead of the supplier's published WSDL.
+    // Implied when only an endpoint is given.
+    this.useBundledWsdl = !!options.useBundledWsdl ||
+      (!options.wsdl && !options.wsdlProvider && !!options.endpoint);
+
+    if (this.useBundledWsdl && !this.wsdlProvider) {
+      this.endpoint = this.endpoint || this.stripWsdlQuery(this.wsdl);
+      this.wsdl = this.getBundledWsdlPath();
+    }
+
     this.auth = this.createAuth(options);
 
     // Store options for deferred SoapClient creation
     this._soapClientOptions = {
       timeout: options.timeout,
       headers: options.headers,
-      xmlOptions: options.xmlOptions
+      xmlOptions: options.xmlOptions,
+      serializeFromSchema: options.serializeFromSchema,
+      typedResponses: options.typedResponses,
+      retry: options.retry,
+      // A service with limits but no shared limiter gets its own
+      rateLimiter: RateLimiter.from(options.rateLimiter) || (options.rateLimit ? new RateLimiter() : null),
+      rateLimit: options.rateLimit
     };
 
     // Create SoapClient immediately only if WSDL is available
@@ -37,13 +56,16 @@ class BaseService {
 
     this.cache = options.cache || null;
     this.cacheTTL = options.cacheTTL || 300000; // 5 minutes
+
+    // Pass a shared CircuitBreaker instance to share supplier health between services
+    this.circuitBreaker = CircuitBreaker.from(options.circuitBreaker);
   }
 
   validateOptions(options) {
-    // Allow wsdl OR wsdlProvider (for lazy discovery)
-    if (!options.wsdl && !options.wsdlProvider) {
+    // Allow wsdl OR wsdlProvider (for lazy discovery) OR endpoint (bundled WSDL)
+    if (!options.wsdl && !options.wsdlProvider && !options.endpoint) {
       throw new ValidationError(
-        'WSDL URL or wsdlProvider is required',
+        'WSDL URL, endpoint or wsdlProvider is required',
         { service: this.constructor.serviceName }
       );
     }
@@ -115,6 +137,11 @@ class BaseService {
       }
     }
 
+    if (this.useBundledWsdl) {
+      this.endpoint = this.endpoint || this.stripWsdlQuery(this.wsdl);
+      this.wsdl = this.getBundledWsdlPath();
+    }
+
     debug(`WSDL resolved: ${this.wsdl}, version: ${this.version}`);
 
     // Create the SOAP client now
@@ -125,6 +152,35 @@ class BaseService {
     });
   }
 
+  /**
+   * Get the packaged WSDL for this service and version
+   * @throws {ValidationError} If no WSDL is bundled for the version
+   */
+  getBundledWsdlPath() {
+    const wsdl = getBundledWsdl(this.serviceName, this.version);
+
+    if (!wsdl) {
+      throw new ValidationError(
+        `No bundled WSDL for ${this.serviceName} ${this.version}`,
+        {
+          service: this.serviceName,
+          version: this.version,
+          bundledVersions: getBundledVersions(this.serviceName)
+        }
+      );
+    }
+
+    debug(`Using bundled WSDL for ${this.serviceName} ${this.version}: ${wsdl}`);
+    return wsdl;
+  }
+
+  /**
+   * Derive a SOAP endpoint from a WSDL URL (drops the ?wsdl query)
+   */
+  stripWsdlQuery(wsdl) {
+    return wsdl ? wsdl.split('?')[0] : wsdl;
+  }
+
   async call(operation, data = {}, options = {}) {
     // Ensure WSDL is resolved before making the call
     await this.ensureWsdlResolved();
@@ -143,7 +199,12 @@ class BaseService {
       debug(`Calling ${this.serviceName}.${operation} v${this.version}`);
 
       const requestData = this.auth.injectAuth(data, this.version);
-      const result = await this.client.call(operation, requestData, options);
+      const result = this.circuitBreaker
+        ? await this.circuitBreaker.execute(
+          this.getCircuitKey(),
+          () => this.client.call(operation, requestData, options)
+        )
+        : await this.client.call(operation, requestData, options);
 
       const validated = await this.validateResponse(operation, result);
 
@@ -185,7 +246,8 @@ class BaseService {
       return error;
     }
 
-    if (error.code === 'AUTH_ERROR') {
+    if (error instanceof ValidationError || error instanceof CircuitOpenError ||
+        error instanceof RateLimitError || error.code === 'AUTH_ERROR') {
       error.details = { ...error.details, service: this.serviceName, operation };
       return error;
     }
@@ -194,10 +256,21 @@ class BaseService {
       error.message,
       this.serviceName,
       operation,
-      { originalError: error }
+      {
+        originalError: error,
+        ...(error.details?.status && { status: error.details.status }),
+        ...(error.details?.attempts && { attempts: error.details.attempts })
+      }
     );
   }
 
+  /**
+   * Circuit breaker key: the SOAP endpoint, or the WSDL URL without its query
+   */
+  getCircuitKey() {
+    return this.endpoint || this.stripWsdlQuery(this.wsdl);
+  }
+
   getCacheKey(operation, data) {
     const dataString = JSON.stringify(data);
     return `${this.serviceName}:${this.version}:${operation}:${dataString}`;
@@ -0,0 +1,284 @@
+const EventEmitter = require('events');
+const debug = require('debug')('promostandards:circuit');
+const { CircuitOpenError } = require('./errors');
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+/**
+ * Error codes raised before a request reaches the supplier
+ */
+const LOCAL_ERROR_CODES = new Set(['VALIDATION_ERROR', 'AUTH_ERROR', 'CIRCUIT_OPEN', 'RATE_LIMITED']);
+
+/**
+ * CircuitBreaker - Fail fast on supplier endpoints that keep failing
+ *
+ * One breaker tracks a circuit per key (BaseService uses the SOAP endpoint),
+ * so share an instance between services to share supplier health:
+ * - closed: calls pass; `failureThreshold` consecutive failures open the circuit
+ * - open: calls fail immediately with CircuitOpenError until `cooldown` ms pass
+ * - half-open: up to `halfOpenMaxCalls` probe calls pass; a success closes the
+ *   circuit, a failure opens it again for another cooldown
+ *
+ * Only supplier-side failures count: transport errors, timeouts and HTTP 5xx
+ * without a SOAP Fault. SOAP faults and other HTTP errors mean the supplier
+ * answered, so they reset the failure count like a success. Validation and
+ * auth errors and rate limiter queue timeouts are raised before anything is
+ * sent and count as neither: the circuit stays as it was and a half-open probe
+ * slot is given back.
+ *
+ * Events (also accepted as onOpen/onHalfOpen/onClose/onReject options):
+ * - 'open'     { key, failures, error, retryAt }
+ * - 'halfOpen' { key }
+ * - 'close'    { key }
+ * - 'reject'   { key, retryAt }
+ */
+class CircuitBreaker extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {number} options.failureThreshold - Consecutive failures that open a circuit (default 5)
+   * @param {number} options.cooldown - Time a circuit stays open before probing (ms, default 30000)
+   * @param {number} options.halfOpenMaxCalls - Concurrent probe calls while half-open (default 1)
+   * @param {Function} options.isFailure - (error) => boolean, overrides the failure classification
+   */
+  constructor(options = {}) {
+    super();
+    this.failureThreshold = options.failureThreshold || 5;
+    this.cooldown = options.cooldown !== undefined ? options.cooldown : 30000;
+    this.halfOpenMaxCalls = options.halfOpenMaxCalls || 1;
+
+    if (options.isFailure) {
+      this.isFailure = options.isFailure;
+    }
+
+    for (const [event, hook] of [
+      ['open', options.onOpen],
+      ['halfOpen', options.onHalfOpen],
+      ['close', options.onClose],
+      ['reject', options.onReject]
+    ]) {
+      if (hook) {
+        this.on(event, hook);
+      }
+    }
+
+    this.circuits = new Map();
+  }
+
+  /**
+   * Build a breaker from an instance or options (true: defaults, false/undefined: none)
+   */
+  static from(options) {
+    if (!options) {
+      return null;
+    }
+    if (options instanceof CircuitBreaker) {
+      return options;
+    }
+    return new CircuitBreaker(options === true ? {} : options);
+  }
+
+  /**
+   * Run a call through the circuit for a key
+   * @param {string} key - Circuit key (e.g. the SOAP endpoint)
+   * @param {Function} fn - async () => result
+   * @throws {CircuitOpenError} While the circuit is open
+   */
+  async execute(key, fn) {
+    this.beforeCall(key);
+
+    let result;
+    try {
+      result = await fn();
+    } catch (error) {
+      if (this.isLocalError(error)) {
+        this.releaseProbe(key);
+      } else if (this.isFailure(error)) {
+        this.recordFailure(key, error);
+      } else {
+        this.recordSuccess(key);
+      }
+      throw error;
+    }
+
+    this.recordSuccess(key);
+    return result;
+  }
+
+  /**
+   * Admit a call or throw CircuitOpenError
+   */
+  beforeCall(key) {
+    const circuit = this.getCircuit(key);
+
+    if (circuit.state === STATES.OPEN) {
+      if (this.now() < circuit.retryAt) {
+        this.reject(key, circuit);
+      }
+      this.transition(key, circuit, STATES.HALF_OPEN);
+    }
+
+    if (circuit.state === STATES.HALF_OPEN) {
+      if (circuit.probes >= this.halfOpenMaxCalls) {
+        this.reject(key, circuit);
+      }
+      circuit.probes++;
+    }
+  }
+
+  reject(key, circuit) {
+    const retryAt = new Date(circuit.retryAt);
+    this.emit('reject', { key, retryAt });
+
+    throw new CircuitOpenError(
+      `Circuit open for ${key}`,
+      {
+        endpoint: key,
+        state: circuit.state,
+        failures: circuit.failures,
+        openedAt: new Date(circuit.openedAt),
+        retryAt,
+        lastError: circuit.lastError
+      }
+    );
+  }
+
+  recordSuccess(key) {
+    const circuit = this.getCircuit(key);
+    circuit.failures = 0;
+    circuit.lastError = null;
+
+    if (circuit.state !== STATES.CLOSED) {
+      this.transition(key, circuit, STATES.CLOSED);
+    }
+  }
+
+  /**
+   * End a half-open probe that never reached the supplier, so another call can probe
+   */
+  releaseProbe(key) {
+    const circuit = this.getCircuit(key);
+    if (circuit.state === STATES.HALF_OPEN && circuit.probes > 0) {
+      circuit.probes--;
+    }
+  }
+
+  recordFailure(key, error) {
+    const circuit = this.getCircuit(key);
+    circuit.failures++;
+    circuit.lastError = error.message;
+
+    if (circuit.state === STATES.HALF_OPEN || circuit.failures >= this.failureThreshold) {
+      circuit.openedAt = this.now();
+      circuit.retryAt = circuit.openedAt + this.cooldown;
+      this.transition(key, circuit, STATES.OPEN);
+      this.emit('open', { key, failures: circuit.failures, error, retryAt: new Date(circuit.retryAt) });
+    }
+  }
+
+  transition(key, circuit, state) {
+    debug(`${key}: ${circuit.state} -> ${state}`);
+    circuit.state = state;
+    circuit.probes = 0;
+
+    if (state === STATES.HALF_OPEN) {
+      this.emit('halfOpen', { key });
+    } else if (state === STATES.CLOSED) {
+      circuit.openedAt = null;
+      circuit.retryAt = null;
+      this.emit('close', { key });
+    }
+  }
+
+  /**
+   * Errors raised before the request was sent: neither a success nor a failure
+   */
+  isLocalError(error) {
+    return LOCAL_ERROR_CODES.has(error.code);
+  }
+
+  /**
+   * Default failure classification (see class docs)
+   */
+  isFailure(error) {
+    const details = error.details || {};
+    if (details.soapFault) {
+      return false;
+    }
+    if (details.status) {
+      return details.status >= 500;
+    }
+
+    return true;
+  }
+
+  getCircuit(key) {
+    if (!this.circuits.has(key)) {
+      this.circuits.set(key, {
+        state: STATES.CLOSED,
+        failures: 0,
+        probes: 0,
+        openedAt: null,
+        retryAt: null,
+        lastError: null
+      });
+    }
+    return this.circuits.get(key);
+  }
+
+  /**
+   * Get the state of a circuit ('closed', 'open' or 'half-open')
+   */
+  getState(key) {
+    const circuit = this.circuits.get(key);
+    if (!circuit) {
+      return STATES.CLOSED;
+    }
+    // An open circuit past its cooldown admits a probe on the next call
+    if (circuit.state === STATES.OPEN && this.now() >= circuit.retryAt) {
+      return STATES.HALF_OPEN;
+    }
+    return circuit.state;
+  }
+
+  /**
+   * Snapshot of every tracked circuit
+   */
+  getStates() {
+    const states = {};
+    for (const [key, circuit] of this.circuits) {
+      states[key] = {
+        state: this.getState(key),
+        failures: circuit.failures,
+        retryAt: circuit.retryAt ? new Date(circuit.retryAt) : null,
+        lastError: circuit.lastError
+      };
+    }
+    return states;
+  }
+
+  /**
+   * Close a circuit (or all circuits) manually
+   */
+  reset(key) {
+    const keys = key === undefined ? Array.from(this.circuits.keys()) : [key];
+    for (const k of keys) {
+      const circuit = this.circuits.get(k);
+      if (circuit && circuit.state !== STATES.CLOSED) {
+        this.transition(k, circuit, STATES.CLOSED);
+      }
+      this.circuits.delete(k);
+    }
+  }
+
+  now() {
+    return Date.now();
+  }
+}
+
+CircuitBreaker.STATES = STATES;
+
+module.exports = CircuitBreaker;
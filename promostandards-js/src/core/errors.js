@@ -56,9 +56,33 @@ class TimeoutError extends PromoStandardsError {
   }
 }
 
+class CircuitOpenError extends PromoStandardsError {
+  constructor(message, details) {
+    super(message, 'CIRCUIT_OPEN', details);
+    this.name = 'CircuitOpenError';
+  }
+}
+
+class RateLimitError extends PromoStandardsError {
+  constructor(message, details) {
+    super(message, 'RATE_LIMITED', details);
+    this.name = 'RateLimitError';
+  }
+}
+
+class DuplicateSubmissionError extends PromoStandardsError {
+  constructor(message, details) {
+    super(message, 'DUPLICATE_SUBMISSION', details);
+    this.name = 'DuplicateSubmissionError';
+  }
+}
+
 module.exports = PromoStandardsError;
 module.exports.AuthenticationError = AuthenticationError;
 module.exports.ValidationError = ValidationError;
 module.exports.ServiceError = ServiceError;
 module.exports.NetworkError = NetworkError;
-module.exports.TimeoutError = TimeoutError;
\ No newline at end of file
+module.exports.TimeoutError = TimeoutError;
+module.exports.CircuitOpenError = CircuitOpenError;
+module.exports.RateLimitError = RateLimitError;
+module.exports.DuplicateSubmissionError = DuplicateSubmissionError;
\ No newline at end of file
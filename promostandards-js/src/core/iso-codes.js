@@ -0,0 +1,89 @@
+/**
+ * ISO code lists used by PromoStandards schemas
+ *
+ * Currency codes are taken from the iso4217-currency-code.xsd shipped with
+ * the PromoStandards WSDLs (CurrencyCodeType), which is identical across the
+ * Invoice, PPC, Product Data, Purchase Order and Remittance Advice schemas.
+ * Country codes (ISO3166CountyCode) and unit-of-measure codes (ISO20022UomCode)
+ * come from the Purchase Order 1.0.0 iso3166-country-code.xsd and
+ * iso20022-uom-code.xsd.
+ */
+
+const CURRENCY_CODES = new Set([
+  'AED', 'AFA', 'ALL', 'AMD', 'ANG', 'AON', 'ARS', 'ATS', 'AUD', 'AWG', 'AZM', 'BAM',
+  'BBD', 'BDT', 'BEF', 'BGL', 'BHD', 'BIF', 'BMD', 'BND', 'BOB', 'BRL', 'BSD', 'BTN',
+  'BWP', 'BYR', 'BZD', 'CAD', 'CDF', 'CHF', 'CLP', 'CNY', 'COP', 'CRC', 'CUP', 'CVE',
+  'CYP', 'CZK', 'DEM', 'DJF', 'DKK', 'DOP', 'DZD', 'ECS', 'EEK', 'EGP', 'ERN', 'ESP',
+  'ETB', 'EUR', 'FIM', 'FJD', 'FKP', 'FRF', 'GBP', 'GEL', 'GHC', 'GIP', 'GMD', 'GRD',
+  'GTQ', 'GYD', 'HKD', 'HNL', 'HRK', 'HTG', 'HUF', 'IDR', 'IEP', 'ILS', 'INR', 'IQD',
+  'IRR', 'ISK', 'ITL', 'JMD', 'JOD', 'JPY', 'KES', 'KGS', 'KHR', 'KMF', 'KPW', 'KRW',
+  'KWD', 'KYD', 'KZT', 'LAK', 'LBP', 'LKR', 'LRD', 'LSL', 'LTL', 'LUF', 'LVL', 'LYD',
+  'MAD', 'MDL', 'MGF', 'MKD', 'MMK', 'MNT', 'MOP', 'MRO', 'MTL', 'MUR', 'MVR', 'MWK',
+  'MXN', 'MYR', 'MZM', 'NAD', 'NGN', 'NIC', 'NLG', 'NOK', 'NPR', 'NZD', 'OMR', 'PAB',
+  'PEN', 'PGK', 'PHP', 'PKR', 'PLN', 'PTE', 'PYG', 'QAR', 'ROL', 'RUR', 'RWF', 'SAR',
+  'SBD', 'SCR', 'SDP', 'SEK', 'SGD', 'SHP', 'SIT', 'SKK', 'SLL', 'SOS', 'SRG', 'STD',
+  'SVC', 'SYP', 'SZL', 'THB', 'TJR', 'TMM', 'TND', 'TOP', 'TPE', 'TRL', 'TTD', 'TWD',
+  'TZS', 'UAH', 'UGX', 'USD', 'UYU', 'UZS', 'VEB', 'VND', 'VUV', 'WST', 'XAF', 'XCD',
+  'XOF', 'XPF', 'YER', 'YUM', 'ZAR', 'ZMK', 'ZRN', 'ZWD'
+]);
+
+const COUNTRY_CODES = new Set([
+  'AD', 'AE', 'AF', 'AG', 'AI', 'AL', 'AM', 'AN', 'AO', 'AQ', 'AR', 'AS', 'AT', 'AU', 'AW', 'AX',
+  'AZ', 'BA', 'BB', 'BD', 'BE', 'BF', 'BG', 'BH', 'BI', 'BJ', 'BM', 'BN', 'BO', 'BR', 'BS', 'BT',
+  'BV', 'BW', 'BY', 'BZ', 'CA', 'CC', 'CD', 'CF', 'CG', 'CH', 'CI', 'CK', 'CL', 'CM', 'CN', 'CO',
+  'CR', 'CS', 'CU', 'CV', 'CX', 'CY', 'CZ', 'DE', 'DJ', 'DK', 'DM', 'DO', 'DZ', 'EC', 'EE', 'EG',
+  'EH', 'ER', 'ES', 'ET', 'FI', 'FJ', 'FK', 'FM', 'FO', 'FR', 'GA', 'GB', 'GD', 'GE', 'GF', 'GG',
+  'GH', 'GI', 'GL', 'GM', 'GN', 'GP', 'GQ', 'GR', 'GS', 'GT', 'GU', 'GW', 'GY', 'HK', 'HM', 'HN',
+  'HR', 'HT', 'HU', 'ID', 'IE', 'IL', 'IM', 'IN', 'IO', 'IQ', 'IR', 'IS', 'IT', 'JE', 'JM', 'JO',
+  'JP', 'KE', 'KG', 'KH', 'KI', 'KM', 'KN', 'KP', 'KR', 'KW', 'KY', 'KZ', 'LA', 'LB', 'LC', 'LI',
+  'LK', 'LR', 'LS', 'LT', 'LU', 'LV', 'LY', 'MA', 'MC', 'MD', 'MG', 'MH', 'MK', 'ML', 'MM', 'MN',
+  'MO', 'MP', 'MQ', 'MR', 'MS', 'MT', 'MU', 'MV', 'MW', 'MX', 'MY', 'MZ', 'NA', 'NC', 'NE', 'NF',
+  'NG', 'NI', 'NL', 'NO', 'NP', 'NR', 'NU', 'NZ', 'OM', 'PA', 'PE', 'PF', 'PG', 'PH', 'PK', 'PL',
+  'PM', 'PN', 'PR', 'PS', 'PT', 'PW', 'PY', 'QA', 'RE', 'RO', 'RU', 'RW', 'SA', 'SB', 'SC', 'SD',
+  'SE', 'SG', 'SH', 'SI', 'SJ', 'SK', 'SL', 'SM', 'SN', 'SO', 'SR', 'ST', 'SV', 'SY', 'SZ', 'TC',
+  'TD', 'TF', 'TG', 'TH', 'TJ', 'TK', 'TL', 'TM', 'TN', 'TO', 'TR', 'TT', 'TV', 'TW', 'TZ', 'UA',
+  'UG', 'UM', 'US', 'UY', 'UZ', 'VA', 'VC', 'VE', 'VG', 'VI', 'VN', 'VU', 'WF', 'WS', 'YE', 'YT',
+  'ZA', 'ZM', 'ZW'
+]);
+
+const UOM_CODES = new Set([
+  'ACRE', 'ARES', 'CELI', 'CMET', 'FOOT', 'GBGA', 'GBOU', 'GBPI', 'GBQA', 'GRAM', 'HECT', 'INCH',
+  'KILO', 'KMET', 'LITR', 'METR', 'MILE', 'MILI', 'MMET', 'PIEC', 'PUND', 'SCMT', 'SMET', 'SMIL',
+  'SQFO', 'SQIN', 'SQKI', 'SQMI', 'SQYA', 'TONS', 'USGA', 'USOU', 'USPI', 'USQA', 'YARD'
+]);
+
+/**
+ * Check whether a value is an ISO 4217 currency code accepted by PromoStandards
+ * @param {string} code - Currency code (e.g. USD)
+ * @returns {boolean}
+ */
+function isCurrencyCode(code) {
+  return typeof code === 'string' && CURRENCY_CODES.has(code);
+}
+
+/**
+ * Check whether a value is an ISO 3166-1 alpha-2 country code accepted by PromoStandards
+ * @param {string} code - Country code (e.g. US)
+ * @returns {boolean}
+ */
+function isCountryCode(code) {
+  return typeof code === 'string' && COUNTRY_CODES.has(code);
+}
+
+/**
+ * Check whether a value is an ISO 20022 unit-of-measure code (e.g. INCH, CMET)
+ * @param {string} code - Unit code
+ * @returns {boolean}
+ */
+function isUomCode(code) {
+  return typeof code === 'string' && UOM_CODES.has(code);
+}
+
+module.exports = {
+  CURRENCY_CODES,
+  COUNTRY_CODES,
+  UOM_CODES,
+  isCurrencyCode,
+  isCountryCode,
+  isUomCode
+};
@@ -0,0 +1,276 @@
+const axios = require('axios');
+const debug = require('debug')('promostandards:onesource');
+const WSDLProvider = require('./wsdl-provider');
+const { ServiceError, ValidationError } = require('./errors');
+
+const DEFAULT_API_URL = 'https://services.promostandards.org/WebServiceRepository/WebServiceRepository.svc';
+
+/**
+ * Directory service codes mapped to library service names
+ */
+const SERVICE_CODES = {
+  INV: 'Inventory',
+  PDS: 'ProductData',
+  MED: 'ProductMedia',
+  PPC: 'PricingConfiguration',
+  ODRSTAT: 'OrderStatus',
+  OSN: 'OrderShipmentNotification',
+  INVC: 'Invoice',
+  PO: 'PurchaseOrder',
+  PCS: 'ProductCompliance',
+  CDS: 'CompanyData',
+  RA: 'RemittanceAdvice'
+};
+
+/**
+ * Directory service names (letters only, lower-cased) mapped to library service names,
+ * for codes missing from SERVICE_CODES
+ */
+const SERVICE_NAMES = {
+  inventory: 'Inventory',
+  productdata: 'ProductData',
+  mediacontent: 'ProductMedia',
+  productmedia: 'ProductMedia',
+  productpricingandconfiguration: 'PricingConfiguration',
+  pricingandconfiguration: 'PricingConfiguration',
+  orderstatus: 'OrderStatus',
+  ordershipmentnotification: 'OrderShipmentNotification',
+  invoice: 'Invoice',
+  purchaseorder: 'PurchaseOrder',
+  productcompliance: 'ProductCompliance',
+  companydata: 'CompanyData',
+  remittanceadvice: 'RemittanceAdvice'
+};
+
+/**
+ * OneSourceClient - Supplier endpoint discovery via the PromoStandards directory
+ *
+ * Reads the directory's JSON API:
+ * - GET {apiUrl}/json/companies                  -> [{ Code, Name, Type }]
+ * - GET {apiUrl}/json/companies/{code}/endpoints -> [{ Service: { Code, Name, Version }, URL, Status }]
+ *
+ * Responses are cached for `cacheTTL` ms (concurrent lookups share one request).
+ * Point `apiUrl` at any service with the same routes, e.g. a local stand-in.
+ */
+class OneSourceClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiUrl - Directory base URL (env ONESOURCE_API_URL)
+   * @param {string} options.apiKey - Sent in `apiKeyHeader` when set (env ONESOURCE_API_KEY)
+   * @param {string} options.apiKeyHeader - Header carrying the API key (default X-Api-Key)
+   * @param {string} options.environment - Preferred endpoint status (default 'PROD')
+   * @param {number} options.cacheTTL - Directory cache TTL in ms (default 1 hour)
+   * @param {number} options.timeout - Request timeout in ms
+   */
+  constructor(options = {}) {
+    this.apiUrl = (options.apiUrl || process.env.ONESOURCE_API_URL || DEFAULT_API_URL).replace(/\/+$/, '');
+    this.environment = options.environment || 'PROD';
+    this.cacheTTL = options.cacheTTL !== undefined ? options.cacheTTL : 3600000; // 1 hour
+    this.cache = new Map();
+
+    const apiKey = options.apiKey || process.env.ONESOURCE_API_KEY;
+    this.httpClient = axios.create({
+      baseURL: this.apiUrl,
+      timeout: options.timeout || 30000,
+      headers: {
+        Accept: 'application/json',
+        ...(apiKey && { [options.apiKeyHeader || 'X-Api-Key']: apiKey }),
+        ...options.headers
+      }
+    });
+  }
+
+  /**
+   * Get all companies listed in the directory
+   * @returns {Promise<Array<{code: string, name: string, type: string}>>}
+   */
+  async getSuppliers() {
+    const companies = await this.fetch('getSuppliers', '/json/companies');
+
+    return (Array.isArray(companies) ? companies : []).map(company => ({
+      code: company.Code || company.code,
+      name: company.Name || company.name,
+      type: company.Type || company.type || null
+    }));
+  }
+
+  /**
+   * Search suppliers by code or name (case-insensitive substring)
+   */
+  async searchSuppliers(query) {
+    const needle = String(query).toLowerCase();
+    const suppliers = await this.getSuppliers();
+
+    return suppliers.filter(supplier =>
+      supplier.code?.toLowerCase().includes(needle) || supplier.name?.toLowerCase().includes(needle)
+    );
+  }
+
+  /**
+   * Find a supplier by exact code or name (case-insensitive)
+   * @throws {ValidationError} If the supplier is not listed
+   */
+  async getSupplier(supplierId) {
+    const needle = String(supplierId).toLowerCase();
+    const suppliers = await this.getSuppliers();
+    const supplier = suppliers.find(s => s.code?.toLowerCase() === needle) ||
+      suppliers.find(s => s.name?.toLowerCase() === needle);
+
+    if (!supplier) {
+      throw new ValidationError(
+        `Supplier '${supplierId}' not found in OneSource`,
+        { supplier: supplierId, suggestions: (await this.searchSuppliers(supplierId)).map(s => s.code).slice(0, 10) }
+      );
+    }
+
+    return supplier;
+  }
+
+  /**
+   * Get every endpoint a supplier publishes
+   * @param {string} supplierId - Supplier code or name
+   * @returns {Promise<Array<{service: string|null, serviceCode: string, serviceName: string,
+   *   version: string, url: string, status: string|null}>>} service is null for unknown services
+   */
+  async getSupplierEndpoints(supplierId) {
+    const supplier = await this.getSupplier(supplierId);
+    const endpoints = await this.fetch(
+      'getSupplierEndpoints',
+      `/json/companies/${encodeURIComponent(supplier.code)}/endpoints`
+    );
+
+    return (Array.isArray(endpoints) ? endpoints : []).map(endpoint => this.normalizeEndpoint(endpoint));
+  }
+
+  /**
+   * Get a supplier's endpoint for a service
+   * @param {string} supplierId - Supplier code or name
+   * @param {string} serviceName - Library service name (e.g. 'Inventory')
+   * @param {string} version - Exact version, or omit for the highest published version
+   * @returns {Promise<Object|null>} Endpoint (see getSupplierEndpoints) or null
+   */
+  async getServiceEndpoint(supplierId, serviceName, version) {
+    const endpoints = (await this.getSupplierEndpoints(supplierId))
+      .filter(endpoint => endpoint.service === serviceName && endpoint.url)
+      .filter(endpoint => !version || endpoint.version === version);
+
+    // Prefer the configured environment, then any status
+    const preferred = endpoints.filter(endpoint => !endpoint.status || endpoint.status.toUpperCase() === this.environment);
+    const candidates = preferred.length > 0 ? preferred : endpoints;
+
+    return candidates.sort((a, b) => OneSourceClient.compareVersions(b.version, a.version))[0] || null;
+  }
+
+  /**
+   * Create a WSDLProvider that resolves a supplier's service endpoint
+   * @param {string} supplierId - Supplier code or name
+   * @param {string} serviceName - Library service name
+   * @param {string} version - Service version (omit for the highest published)
+   * @returns {WSDLProvider}
+   */
+  createWsdlProvider(supplierId, serviceName, version) {
+    return WSDLProvider.fromResolver(async () => {
+      const endpoint = await this.getServiceEndpoint(supplierId, serviceName, version);
+
+      if (!endpoint) {
+        throw new ValidationError(
+          `${supplierId} does not publish ${serviceName}${version ? ` ${version}` : ''} in OneSource`,
+          { supplier: supplierId, service: serviceName, version }
+        );
+      }
+
+      debug(`Resolved ${supplierId} ${serviceName} ${endpoint.version}: ${endpoint.url}`);
+      return OneSourceClient.toWsdlLocation(endpoint);
+    });
+  }
+
+  normalizeEndpoint(endpoint) {
+    const service = endpoint.Service || endpoint.service || {};
+    const code = service.Code || service.ServiceType || endpoint.ServiceType || null;
+    const name = service.Name || endpoint.ServiceName || null;
+
+    return {
+      service: OneSourceClient.toServiceName(code, name),
+      serviceCode: code,
+      serviceName: name,
+      version: service.Version || endpoint.Version || null,
+      url: endpoint.URL || endpoint.Url || endpoint.url || null,
+      status: endpoint.Status || service.Status || null
+    };
+  }
+
+  /**
+   * GET a directory resource through the cache
+   */
+  async fetch(operation, path) {
+    const cached = this.cache.get(path);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.value;
+    }
+
+    const value = this.httpClient.get(path)
+      .then(response => response.data)
+      .catch(error => {
+        this.cache.delete(path);
+        throw new ServiceError(
+          `OneSource request failed: ${error.message}`,
+          'OneSource',
+          operation,
+          { url: `${this.apiUrl}${path}`, status: error.response?.status }
+        );
+      });
+
+    debug(`Fetching ${path}`);
+    this.cache.set(path, { value, expiresAt: Date.now() + this.cacheTTL });
+    return value;
+  }
+
+  /**
+   * Drop cached directory responses
+   */
+  clearCache() {
+    this.cache.clear();
+  }
+
+  /**
+   * Map a directory service code/name to a library service name (null if unknown)
+   */
+  static toServiceName(code, name) {
+    if (code && SERVICE_CODES[code.toUpperCase()]) {
+      return SERVICE_CODES[code.toUpperCase()];
+    }
+    const key = (name || '').toLowerCase().replace(/[^a-z]/g, '');
+    return SERVICE_NAMES[key] || null;
+  }
+
+  /**
+   * Turn a directory URL into { wsdl, endpoint, version }
+   * Directory URLs are usually the SOAP address; some list the WSDL itself.
+   */
+  static toWsdlLocation(endpoint) {
+    const url = endpoint.url;
+    const isWsdl = /\?wsdl$/i.test(url) || /\.wsdl$/i.test(url);
+
+    return {
+      wsdl: isWsdl ? url : `${url}?wsdl`,
+      endpoint: /\?wsdl$/i.test(url) ? url.replace(/\?wsdl$/i, '') : (isWsdl ? undefined : url),
+      version: endpoint.version
+    };
+  }
+
+  static compareVersions(a, b) {
+    const pa = String(a || '0').split('.').map(Number);
+    const pb = String(b || '0').split('.').map(Number);
+
+    for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+      const diff = (pa[i] || 0) - (pb[i] || 0);
+      if (diff !== 0) return diff;
+    }
+    return 0;
+  }
+}
+
+OneSourceClient.DEFAULT_API_URL = DEFAULT_API_URL;
+OneSourceClient.SERVICE_CODES = SERVICE_CODES;
+
+module.exports = OneSourceClient;
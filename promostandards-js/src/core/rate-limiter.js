@@ -0,0 +1,257 @@
+const debug = require('debug')('promostandards:rate-limit');
+const { RateLimitError } = require('./errors');
+
+const DEFAULTS = {
+  requestsPerInterval: Infinity,
+  interval: 60000,
+  burst: null,
+  maxConcurrent: Infinity,
+  queueTimeout: 30000,
+  operations: {}
+};
+
+/**
+ * RateLimiter - Token-bucket rate limits and in-flight caps per endpoint
+ *
+ * Every request to an endpoint takes a token from the endpoint's bucket
+ * (`requestsPerInterval` tokens refilled evenly over `interval` ms, holding at
+ * most `burst`, default requestsPerInterval) and an in-flight slot
+ * (`maxConcurrent`). `operations` adds a bucket per operation on top, for
+ * suppliers that publish limits like "60 getInventoryLevels per minute".
+ *
+ * Requests that cannot start wait in a FIFO queue; after `queueTimeout` ms
+ * they are rejected with RateLimitError without being sent.
+ *
+ * Limits for a request are merged from, lowest precedence first: the
+ * limiter defaults, the limits passed by the service sending it (its
+ * `rateLimit` option) and `endpoints[endpoint]`. Services sharing a limiter
+ * and an endpoint are each held to their own limits: requests with the same
+ * limits take tokens from the same bucket, and the in-flight count covers
+ * every request to the endpoint.
+ *
+ * @example
+ * new RateLimiter({
+ *   maxConcurrent: 4,
+ *   endpoints: {
+ *     'https://vendor.com/inventory': {
+ *       requestsPerInterval: 30,
+ *       interval: 60000,
+ *       operations: { getInventoryLevels: { requestsPerInterval: 10, interval: 60000 } }
+ *     }
+ *   }
+ * });
+ */
+class RateLimiter {
+  /**
+   * @param {Object} options - Default limits plus `endpoints` (endpoint -> limits)
+   */
+  constructor(options = {}) {
+    const { endpoints = {}, ...defaults } = options;
+    this.defaults = { ...DEFAULTS, ...defaults };
+    this.endpoints = new Map(Object.entries(endpoints));
+    this.states = new Map();
+  }
+
+  /**
+   * Build a limiter from an instance or options (true: defaults, false/undefined: none)
+   */
+  static from(options) {
+    if (!options) {
+      return null;
+    }
+    if (options instanceof RateLimiter) {
+      return options;
+    }
+    return new RateLimiter(options === true ? {} : options);
+  }
+
+  /**
+   * Set the limits for an endpoint (merged over earlier ones)
+   */
+  configure(endpoint, limits) {
+    this.endpoints.set(endpoint, { ...this.endpoints.get(endpoint), ...limits });
+    this.states.get(endpoint)?.buckets.clear();
+    return this;
+  }
+
+  /**
+   * Effective limits for an endpoint
+   * @param {string} endpoint
+   * @param {Object} serviceLimits - Limits configured on the calling service
+   */
+  getLimits(endpoint, serviceLimits = {}) {
+    const endpointLimits = this.endpoints.get(endpoint) || {};
+    return {
+      ...this.defaults,
+      ...serviceLimits,
+      ...endpointLimits,
+      operations: {
+        ...this.defaults.operations,
+        ...serviceLimits.operations,
+        ...endpointLimits.operations
+      }
+    };
+  }
+
+  /**
+   * Run a request once the endpoint's limits allow it
+   * @param {string} endpoint - Endpoint key
+   * @param {string} operation - Operation name (for per-operation limits)
+   * @param {Function} fn - async () => result
+   * @param {Object} options
+   * @param {Object} options.limits - Service limits (see getLimits)
+   * @param {number} options.queueTimeout - Override the queue timeout (ms)
+   * @throws {RateLimitError} If the request waits longer than the queue timeout
+   */
+  schedule(endpoint, operation, fn, options = {}) {
+    const state = this.getState(endpoint);
+    const limits = this.getLimits(endpoint, options.limits);
+    const queueTimeout = options.queueTimeout !== undefined ? options.queueTimeout : limits.queueTimeout;
+
+    return new Promise((resolve, reject) => {
+      const entry = { operation, limits, fn, resolve, reject, timer: null, queuedAt: Date.now() };
+
+      if (Number.isFinite(queueTimeout)) {
+        entry.timer = setTimeout(() => {
+          state.queue.splice(state.queue.indexOf(entry), 1);
+          if (state.queue.length === 0) {
+            clearTimeout(state.timer);
+            state.timer = null;
+          }
+          debug(`${endpoint} ${operation}: queue timeout after ${queueTimeout}ms`);
+          reject(new RateLimitError(
+            `Rate limit queue timeout after ${queueTimeout}ms for ${operation} on ${endpoint}`,
+            { endpoint, operation, queueTimeout, active: state.active, queued: state.queue.length }
+          ));
+        }, queueTimeout);
+      }
+
+      state.queue.push(entry);
+      this.pump(endpoint, state);
+    });
+  }
+
+  getState(endpoint) {
+    if (!this.states.has(endpoint)) {
+      this.states.set(endpoint, {
+        buckets: new Map(),
+        active: 0,
+        queue: [],
+        timer: null
+      });
+    }
+    return this.states.get(endpoint);
+  }
+
+  /**
+   * Start every queued request the limits allow, in order
+   */
+  pump(endpoint, state) {
+    const now = Date.now();
+    let wait = Infinity;
+
+    for (let i = 0; i < state.queue.length;) {
+      const entry = state.queue[i];
+      if (state.active >= entry.limits.maxConcurrent) {
+        // Started again when a request to the endpoint settles
+        i++;
+        continue;
+      }
+
+      const operationLimits = entry.limits.operations[entry.operation];
+      const buckets = [
+        this.getBucket(state, entry.limits),
+        operationLimits && this.getBucket(state, { interval: entry.limits.interval, ...operationLimits }, entry.operation)
+      ].filter(Boolean);
+      const entryWait = Math.max(0, ...buckets.map(bucket => this.timeUntilToken(bucket, now)));
+
+      if (entryWait > 0) {
+        wait = Math.min(wait, entryWait);
+        i++;
+        continue;
+      }
+
+      buckets.forEach(bucket => { bucket.tokens -= 1; });
+      state.queue.splice(i, 1);
+      this.run(endpoint, state, entry, now);
+    }
+
+    if (state.queue.length > 0 && Number.isFinite(wait) && !state.timer) {
+      state.timer = setTimeout(() => {
+        state.timer = null;
+        this.pump(endpoint, state);
+      }, Math.ceil(wait));
+    }
+  }
+
+  run(endpoint, state, entry, now) {
+    clearTimeout(entry.timer);
+    state.active++;
+
+    const waited = now - entry.queuedAt;
+    if (waited > 0) {
+      debug(`${endpoint} ${entry.operation}: started after ${waited}ms in queue`);
+    }
+
+    // Free the slot before settling so callers see up-to-date stats
+    const settle = (callback) => (value) => {
+      state.active--;
+      this.pump(endpoint, state);
+      callback(value);
+    };
+
+    Promise.resolve()
+      .then(entry.fn)
+      .then(settle(entry.resolve), settle(entry.reject));
+  }
+
+  /**
+   * The endpoint's bucket for these limits (per operation when given), or
+   * null without a request rate. Requests with the same limits share it.
+   */
+  getBucket(state, limits, operation = null) {
+    if (!Number.isFinite(limits.requestsPerInterval)) {
+      return null;
+    }
+
+    const key = JSON.stringify([operation, limits.requestsPerInterval, limits.interval, limits.burst || null]);
+    if (!state.buckets.has(key)) {
+      const capacity = limits.burst || limits.requestsPerInterval;
+      state.buckets.set(key, {
+        capacity,
+        rate: limits.requestsPerInterval / limits.interval,
+        tokens: capacity,
+        updatedAt: Date.now()
+      });
+    }
+    return state.buckets.get(key);
+  }
+
+  /**
+   * Refill a bucket and return the ms until it holds a whole token
+   */
+  timeUntilToken(bucket, now) {
+    bucket.tokens = Math.min(bucket.capacity, bucket.tokens + (now - bucket.updatedAt) * bucket.rate);
+    bucket.updatedAt = now;
+    return bucket.tokens >= 1 ? 0 : (1 - bucket.tokens) / bucket.rate;
+  }
+
+  /**
+   * In-flight and queued requests for an endpoint
+   * @param {string} endpoint
+   * @param {Object} serviceLimits - Report the tokens left for this service's limits
+   */
+  getStats(endpoint, serviceLimits) {
+    const state = this.states.get(endpoint);
+    const bucket = state ? this.getBucket(state, this.getLimits(endpoint, serviceLimits)) : null;
+    return {
+      active: state ? state.active : 0,
+      queued: state ? state.queue.length : 0,
+      tokens: bucket ? Math.floor(bucket.tokens) : null
+    };
+  }
+}
+
+RateLimiter.DEFAULTS = DEFAULTS;
+
+module.exports = RateLimiter;
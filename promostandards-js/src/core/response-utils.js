@@ -0,0 +1,108 @@
+/**
+ * Helpers for reading normalized SOAP responses
+ *
+ * Responses reach services either through the heuristic normalizer (numeric
+ * strings become numbers, single elements are not wrapped in arrays) or typed
+ * from the XSDs. These helpers read a value the same way in both cases.
+ */
+
+const { ValidationError } = require('./errors');
+
+/**
+ * Wrap a repeated element in an array (null/undefined -> [])
+ */
+function toArray(value) {
+  if (value === null || value === undefined) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Read a text value; element text with attributes arrives as { _: text }
+ * @returns {string|null}
+ */
+function toText(value) {
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    value = value._;
+  }
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  return value instanceof Date ? value.toISOString() : String(value);
+}
+
+/**
+ * @returns {number|null} null for missing or non-numeric values
+ */
+function toNumber(value) {
+  const text = toText(value);
+  if (text === null || text.trim() === '') {
+    return null;
+  }
+  const number = Number(text);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * @returns {boolean|null} null for missing or unrecognized values
+ */
+function toBoolean(value) {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  const text = toText(value);
+  if (text === null) {
+    return null;
+  }
+  if (/^(true|1|y|yes)$/i.test(text)) return true;
+  if (/^(false|0|n|no)$/i.test(text)) return false;
+  return null;
+}
+
+/**
+ * @returns {Date|null} null for missing or unparseable values
+ */
+function toDate(value) {
+  if (value instanceof Date) {
+    return value;
+  }
+  const text = toText(value);
+  if (text === null) {
+    return null;
+  }
+  const date = new Date(text);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Read a ServiceMessageArray ({ serviceMessage: [...] }) as
+ * [{ code, description, severity }]
+ */
+function toServiceMessages(serviceMessageArray) {
+  return toArray(serviceMessageArray?.serviceMessage).map(message => ({
+    code: toNumber(message.code),
+    description: toText(message.description),
+    severity: toText(message.severity)
+  }));
+}
+
+/**
+ * Whether a service call failed because the supplier answered without data
+ * ("No results found"), which the response validators reject with the
+ * operation in details. A request the schema rejected before sending carries
+ * details.errors and is a real failure.
+ */
+function isNoResults(error) {
+  return error instanceof ValidationError && Boolean(error.details?.operation) && !error.details.errors;
+}
+
+module.exports = {
+  toArray,
+  toText,
+  toNumber,
+  toBoolean,
+  toDate,
+  toServiceMessages,
+  isNoResults
+};
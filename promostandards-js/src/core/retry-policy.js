@@ -0,0 +1,214 @@
+const debug = require('debug')('promostandards:retry');
+
+/**
+ * Transport error codes worth another attempt
+ */
+const RETRYABLE_ERROR_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'ESOCKETTIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENETUNREACH',
+  'EHOSTUNREACH',
+  'ERR_NETWORK'
+]);
+
+/**
+ * Operations that create or change data on the supplier side. A retried
+ * request may be processed twice, so these are only retried when
+ * allowNonIdempotent is set.
+ */
+const NON_IDEMPOTENT_OPERATIONS = ['sendPO', 'sendAdvanceShipmentNotification', 'sendRemittanceAdvice'];
+
+const DEFAULTS = {
+  maxAttempts: 3,
+  baseDelay: 500,
+  maxDelay: 10000,
+  factor: 2,
+  jitter: true,
+  retryAfter: true,
+  maxRetryAfter: 60000,
+  retryStatuses: [408, 429, 500, 502, 503, 504],
+  allowNonIdempotent: false,
+  nonIdempotentOperations: NON_IDEMPOTENT_OPERATIONS
+};
+
+/**
+ * RetryPolicy - Retry transient HTTP failures with exponential backoff
+ *
+ * Retried: transport errors (connection reset/refused, DNS hiccups),
+ * timeouts and the statuses in retryStatuses. Never retried: responses
+ * carrying a SOAP Fault (whatever the HTTP status), other 4xx statuses
+ * (including 401/403 auth failures) and non-idempotent operations unless
+ * allowNonIdempotent is set.
+ *
+ * Delays grow as baseDelay * factor^(attempt - 1), capped at maxDelay, with
+ * full jitter. A Retry-After header (seconds or HTTP date) takes precedence,
+ * capped at maxRetryAfter.
+ */
+class RetryPolicy {
+  /**
+   * @param {Object|number|boolean} options - Policy options, a max attempt count,
+   *   or false to disable retries
+   */
+  constructor(options = {}) {
+    if (options === false) {
+      options = { maxAttempts: 1 };
+    } else if (typeof options === 'number') {
+      options = { maxAttempts: options };
+    }
+
+    Object.assign(this, DEFAULTS, options);
+    this.maxAttempts = Math.max(1, Math.floor(this.maxAttempts));
+  }
+
+  /**
+   * Build a policy from an instance or options
+   */
+  static from(options) {
+    return options instanceof RetryPolicy ? options : new RetryPolicy(options);
+  }
+
+  /**
+   * Derive a policy with per-call overrides
+   * @param {Object|number|boolean} overrides - Same forms as the constructor
+   */
+  with(overrides) {
+    if (overrides === undefined || overrides === null) {
+      return this;
+    }
+    if (overrides === false) {
+      return new RetryPolicy({ ...this, maxAttempts: 1 });
+    }
+    if (typeof overrides === 'number') {
+      return new RetryPolicy({ ...this, maxAttempts: overrides });
+    }
+    return new RetryPolicy({ ...this, ...overrides });
+  }
+
+  /**
+   * Run an attempt function until it succeeds or the failure is not retryable.
+   * The thrown error carries every attempt in error.attempts.
+   * @param {Function} fn - async (attempt) => result
+   * @param {Object} context
+   * @param {string} context.operation - Operation name, checked against nonIdempotentOperations
+   */
+  async execute(fn, context = {}) {
+    const { operation } = context;
+    const attempts = [];
+
+    for (let attempt = 1; ; attempt++) {
+      const startedAt = Date.now();
+
+      try {
+        const result = await fn(attempt);
+        if (attempt > 1) {
+          debug(`${operation} succeeded on attempt ${attempt}/${this.maxAttempts}`);
+        }
+        return result;
+      } catch (error) {
+        const record = {
+          attempt,
+          error: error.message,
+          code: error.code || null,
+          status: error.response?.status || null,
+          duration: Date.now() - startedAt
+        };
+        attempts.push(record);
+
+        const reason = this.getRetryBlocker(error, operation, attempt);
+        if (reason) {
+          debug(`${operation} attempt ${attempt}/${this.maxAttempts} failed (${record.error}); not retrying: ${reason}`);
+          error.attempts = attempts;
+          throw error;
+        }
+
+        record.delay = this.getDelay(attempt, error);
+        debug(`${operation} attempt ${attempt}/${this.maxAttempts} failed (${record.error}); retrying in ${record.delay}ms`);
+        await this.sleep(record.delay);
+      }
+    }
+  }
+
+  /**
+   * Check whether an error may be retried at all (ignoring attempt counts)
+   */
+  isRetryable(error, operation) {
+    return this.getRetryBlocker(error, operation, 0) === null;
+  }
+
+  /**
+   * Explain why a failed attempt is not retried, or null if it is
+   */
+  getRetryBlocker(error, operation, attempt) {
+    if (attempt >= this.maxAttempts) {
+      return this.maxAttempts === 1 ? 'retries disabled' : 'attempts exhausted';
+    }
+
+    if (operation && !this.allowNonIdempotent && this.nonIdempotentOperations.includes(operation)) {
+      return `${operation} is not idempotent`;
+    }
+
+    if (error.response) {
+      if (this.isSoapFault(error.response.data)) {
+        return 'SOAP fault';
+      }
+      if (!this.retryStatuses.includes(error.response.status)) {
+        return `HTTP ${error.response.status}`;
+      }
+      return null;
+    }
+
+    if (RETRYABLE_ERROR_CODES.has(error.code)) {
+      return null;
+    }
+
+    return 'not a transport error';
+  }
+
+  isSoapFault(data) {
+    return typeof data === 'string' && /<([\w-]+:)?Fault[\s>]/.test(data);
+  }
+
+  /**
+   * Delay before the attempt after `attempt` (ms)
+   */
+  getDelay(attempt, error) {
+    const retryAfter = this.retryAfter ? this.parseRetryAfter(error?.response?.headers) : null;
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, this.maxRetryAfter);
+    }
+
+    const delay = Math.min(this.baseDelay * Math.pow(this.factor, attempt - 1), this.maxDelay);
+    return this.jitter ? Math.round(Math.random() * delay) : delay;
+  }
+
+  /**
+   * Parse a Retry-After header into milliseconds
+   */
+  parseRetryAfter(headers) {
+    const value = headers?.['retry-after'];
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    if (/^\d+$/.test(String(value).trim())) {
+      return Number(value) * 1000;
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+RetryPolicy.DEFAULTS = DEFAULTS;
+RetryPolicy.NON_IDEMPOTENT_OPERATIONS = NON_IDEMPOTENT_OPERATIONS;
+
+module.exports = RetryPolicy;
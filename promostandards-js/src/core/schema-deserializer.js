@@ -0,0 +1,168 @@
+const _ = require('lodash');
+
+/**
+ * XSD builtins converted to numbers
+ */
+const NUMERIC_TYPES = new Set([
+  'decimal', 'float', 'double',
+  'integer', 'int', 'long', 'short', 'byte',
+  'nonNegativeInteger', 'positiveInteger', 'nonPositiveInteger', 'negativeInteger',
+  'unsignedLong', 'unsignedInt', 'unsignedShort', 'unsignedByte'
+]);
+
+/**
+ * XSD builtins converted to Date
+ */
+const DATE_TYPES = new Set(['dateTime', 'date']);
+
+/**
+ * SchemaDeserializer - Type parsed response XML from the response XSDs
+ *
+ * Works on the raw xml2js output (no heuristic coercion) and:
+ * - keeps xsd:string (and derived) values as strings, so "00123" stays "00123"
+ * - converts numeric builtins to Number, xsd:boolean to Boolean and
+ *   xsd:dateTime/xsd:date to Date
+ * - always returns an array for elements with maxOccurs > 1
+ *
+ * Keys are camelCased like XmlConverter.normalizeJsonResponse so response
+ * validators and service code see the same key names in both modes.
+ * Elements the schema does not declare (supplier extensions) fall back to
+ * the heuristic normalizer.
+ */
+class SchemaDeserializer {
+  /**
+   * @param {WsdlSchema} schema - Parsed WSDL/XSD declarations
+   * @param {XmlConverter} xmlConverter - Used for key normalization and undeclared elements
+   */
+  constructor(schema, xmlConverter) {
+    this.schema = schema;
+    this.xmlConverter = xmlConverter;
+  }
+
+  /**
+   * Type the content of a response element
+   * @param {{namespace: string, name: string}|string} elementName - Global response element
+   * @param {*} value - Raw xml2js value of that element
+   * @returns {*} Typed value, or null if the element is not declared
+   */
+  deserialize(elementName, value) {
+    const element = this.schema.getElement(elementName);
+    if (!element) {
+      return null;
+    }
+
+    return this.typeElement(element, value);
+  }
+
+  typeElement(element, value) {
+    if (this.isNil(value)) {
+      return null;
+    }
+
+    const type = this.schema.getElementType(element);
+
+    if (type && type.kind === 'complex') {
+      return this.typeComplex(type, value);
+    }
+
+    const builtin = type && type.kind === 'simple'
+      ? this.schema.describeSimpleType(type).builtin
+      : type?.name || 'string';
+
+    return this.typeSimple(this.textOf(value), builtin);
+  }
+
+  typeComplex(type, value) {
+    if (!_.isPlainObject(value)) {
+      return {};
+    }
+
+    const children = this.collectElements(type.content);
+    const typed = {};
+
+    for (const [key, raw] of Object.entries(value)) {
+      if (this.isAttribute(key)) {
+        continue;
+      }
+
+      const element = children.get(key) || children.get(key.toLowerCase());
+      if (!element) {
+        Object.assign(typed, this.xmlConverter.normalizeJsonResponse({ [key]: raw }));
+        continue;
+      }
+
+      const values = (Array.isArray(raw) ? raw : [raw]).map(item => this.typeElement(element, item));
+      typed[this.xmlConverter.normalizeKey(element.name)] =
+        element.maxOccurs > 1 || values.length > 1 ? values : values[0];
+    }
+
+    return typed;
+  }
+
+  /**
+   * Map child element names (exact and lower-cased) to their declarations
+   */
+  collectElements(group, children = new Map()) {
+    for (const item of group?.items || []) {
+      if (item.kind) {
+        this.collectElements(item, children);
+        continue;
+      }
+
+      const element = this.schema.resolveElement(item);
+      children.set(element.name, element);
+      if (!children.has(element.name.toLowerCase())) {
+        children.set(element.name.toLowerCase(), element);
+      }
+    }
+
+    return children;
+  }
+
+  typeSimple(text, builtin) {
+    if (NUMERIC_TYPES.has(builtin)) {
+      if (text.trim() === '') return null;
+      const number = Number(text);
+      return Number.isNaN(number) ? text : number;
+    }
+
+    if (builtin === 'boolean') {
+      const normalized = text.trim();
+      if (normalized === 'true' || normalized === '1') return true;
+      if (normalized === 'false' || normalized === '0') return false;
+      return normalized === '' ? null : text;
+    }
+
+    if (DATE_TYPES.has(builtin)) {
+      if (text.trim() === '') return null;
+      const date = new Date(text.trim());
+      return Number.isNaN(date.getTime()) ? text : date;
+    }
+
+    return text;
+  }
+
+  /**
+   * Text content of a simple element (xml2js puts it under "_" when the element has attributes)
+   */
+  textOf(value) {
+    if (_.isPlainObject(value)) {
+      return value._ === undefined ? '' : String(value._);
+    }
+    return String(value);
+  }
+
+  isNil(value) {
+    if (value === null || value === undefined) {
+      return true;
+    }
+    return _.isPlainObject(value) &&
+      Object.entries(value).some(([key, v]) => /(^|:)nil$/.test(key) && String(v) === 'true');
+  }
+
+  isAttribute(key) {
+    return key === '$' || key === '_' || key === 'xmlns' || key.includes(':') || key.startsWith('xmlns');
+  }
+}
+
+module.exports = SchemaDeserializer;
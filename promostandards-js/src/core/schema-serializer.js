@@ -0,0 +1,277 @@
+const { ValidationError } = require('./errors');
+
+/**
+ * Enumerations longer than this are summarized in error messages
+ */
+const MAX_LISTED_ENUMERATIONS = 12;
+
+const XSI_NAMESPACE = 'http://www.w3.org/2001/XMLSchema-instance';
+
+/**
+ * SchemaSerializer - Build request XML from the parsed XSDs
+ *
+ * Compared with SoapClient.buildRequestXml this:
+ * - qualifies each element with the namespace it is declared in
+ *   (service namespace vs SharedObjects namespaces)
+ * - emits elements in xsd:sequence order regardless of object key order
+ * - sends required nillable elements without a value as xsi:nil
+ * - reports missing required elements, values outside an enumeration and
+ *   keys the schema does not declare (rather than dropping a misspelled or
+ *   wrong-version field without a word)
+ *
+ * Keys are matched to element names exactly, then case-insensitively.
+ * A complex element whose content is a single repeating child (the
+ * PromoStandards "...Array" wrappers) also accepts a bare array or value:
+ * `partIdArray: ['A', 'B']` serializes as two partId children.
+ */
+class SchemaSerializer {
+  /**
+   * @param {WsdlSchema} schema - Parsed WSDL/XSD declarations
+   */
+  constructor(schema) {
+    this.schema = schema;
+  }
+
+  /**
+   * Serialize a request element
+   * @param {{namespace: string, name: string}|string} elementName - Global element to serialize
+   * @param {Object} data - Request data
+   * @returns {string} Element XML with namespace declarations on the root
+   * @throws {ValidationError} With every problem found in details.errors
+   */
+  serialize(elementName, data = {}) {
+    const element = this.schema.getElement(elementName);
+    if (!element) {
+      throw new ValidationError(
+        `Element ${typeof elementName === 'string' ? elementName : elementName.name} is not declared in the schema`,
+        { element: elementName }
+      );
+    }
+
+    const state = { prefixes: new Map(), errors: [], nil: false };
+    const xml = this.serializeElement(element, data, element.name, state);
+
+    if (state.errors.length > 0) {
+      throw new ValidationError(
+        `Invalid ${element.name}: ${state.errors[0]}`,
+        { element: element.name, errors: state.errors }
+      );
+    }
+
+    const declarations = Array.from(state.prefixes.entries())
+      .map(([namespace, prefix]) => ` xmlns:${prefix}="${namespace}"`)
+      .join('') + (state.nil ? ` xmlns:xsi="${XSI_NAMESPACE}"` : '');
+
+    // Namespace declarations go on the root start tag
+    return xml.replace(/^<([^\s>]+)/, `<$1${declarations}`);
+  }
+
+  serializeElement(element, value, path, state) {
+    const type = this.schema.getElementType(element);
+    const tag = this.tagName(element, state);
+
+    if (type && type.kind === 'complex') {
+      const content = this.unwrapArrayShorthand(type, value);
+      if (!this.isPlainObject(content)) {
+        state.errors.push(`${path} must be an object`);
+        return '';
+      }
+      return `<${tag}>${this.serializeComplex(type, content, path, state)}</${tag}>`;
+    }
+
+    if (this.isPlainObject(value) || Array.isArray(value)) {
+      state.errors.push(`${path} must be a simple value`);
+      return '';
+    }
+
+    const { builtin, enumerations } = type && type.kind === 'simple'
+      ? this.schema.describeSimpleType(type)
+      : { builtin: type?.name || 'string', enumerations: [] };
+
+    const text = this.formatValue(value, builtin);
+
+    if (enumerations.length > 0 && !enumerations.includes(text)) {
+      const allowed = enumerations.length <= MAX_LISTED_ENUMERATIONS
+        ? `: ${enumerations.join(', ')}`
+        : '';
+      state.errors.push(`${path} "${text}" is not an allowed value${allowed}`);
+    }
+
+    return `<${tag}>${this.escape(text)}</${tag}>`;
+  }
+
+  serializeComplex(type, value, path, state) {
+    const remaining = new Set(
+      Object.keys(value).filter(key => value[key] !== null && value[key] !== undefined)
+    );
+
+    const xml = type.content ? this.serializeGroup(type.content, value, path, state, remaining) : '';
+
+    for (const key of remaining) {
+      state.errors.push(`${path}.${key} is not declared in the schema`);
+    }
+
+    return xml;
+  }
+
+  serializeGroup(group, value, path, state, remaining) {
+    if (group.minOccurs === 0 && !this.groupHasValue(group, value, remaining)) {
+      return '';
+    }
+
+    if (group.kind === 'choice') {
+      const present = group.items.filter(item => this.groupHasValue({ items: [item] }, value, remaining));
+      const names = group.items
+        .filter(item => item.name || item.ref)
+        .map(item => this.schema.resolveElement(item).name);
+      if (present.length === 0) {
+        state.errors.push(`${path} requires one of ${names.join(', ')}`);
+        return '';
+      }
+      // A choice that does not repeat takes exactly one branch
+      if (present.length > 1 && group.maxOccurs <= 1) {
+        state.errors.push(`${path} allows only one of ${names.join(', ')}`);
+      }
+      return present.map(item => this.serializeParticle(item, value, path, state, remaining)).join('');
+    }
+
+    return group.items
+      .map(item => this.serializeParticle(item, value, path, state, remaining))
+      .join('');
+  }
+
+  serializeParticle(particle, value, path, state, remaining) {
+    if (particle.kind) {
+      return this.serializeGroup(particle, value, path, state, remaining);
+    }
+
+    const element = this.schema.resolveElement(particle);
+    const key = this.findKey(element.name, remaining);
+    const childPath = `${path}.${element.name}`;
+
+    if (key === null) {
+      if (element.minOccurs > 0 && element.nillable) {
+        state.nil = true;
+        return `<${this.tagName(element, state)} xsi:nil="true"/>`;
+      }
+      if (element.minOccurs > 0) {
+        state.errors.push(`${childPath} is required`);
+      }
+      return '';
+    }
+
+    remaining.delete(key);
+    const childValue = value[key];
+
+    if (Array.isArray(childValue) && element.maxOccurs === 1) {
+      // A single wrapper element given a bare array (see unwrapArrayShorthand)
+      return this.serializeElement(element, childValue, childPath, state);
+    }
+
+    const values = Array.isArray(childValue) ? childValue : [childValue];
+
+    if (values.length < element.minOccurs) {
+      state.errors.push(`${childPath} requires at least ${element.minOccurs} entries`);
+    }
+    if (values.length > element.maxOccurs) {
+      state.errors.push(`${childPath} allows at most ${element.maxOccurs} entries`);
+    }
+
+    return values
+      .map((item, index) => this.serializeElement(
+        element,
+        item,
+        values.length > 1 ? `${childPath}[${index}]` : childPath,
+        state
+      ))
+      .join('');
+  }
+
+  /**
+   * Treat a bare array/value given for a single-child wrapper type as that child
+   */
+  unwrapArrayShorthand(type, value) {
+    if (this.isPlainObject(value) || value === null || value === undefined) {
+      return value;
+    }
+
+    const items = type.content?.items || [];
+    if (items.length === 1 && !items[0].kind) {
+      const child = this.schema.resolveElement(items[0]);
+      if (Array.isArray(value) ? child.maxOccurs > 1 : true) {
+        return { [child.name]: value };
+      }
+    }
+
+    return value;
+  }
+
+  groupHasValue(group, value, remaining) {
+    return group.items.some(item => {
+      if (item.kind) {
+        return this.groupHasValue(item, value, remaining);
+      }
+      return this.findKey(this.schema.resolveElement(item).name, remaining) !== null;
+    });
+  }
+
+  /**
+   * Find the data key for an element name: exact match, then case-insensitive
+   */
+  findKey(name, remaining) {
+    if (remaining.has(name)) {
+      return name;
+    }
+
+    const lower = name.toLowerCase();
+    for (const key of remaining) {
+      if (key.toLowerCase() === lower) {
+        return key;
+      }
+    }
+
+    return null;
+  }
+
+  tagName(element, state) {
+    if (!element.namespace) {
+      return element.name;
+    }
+
+    if (!state.prefixes.has(element.namespace)) {
+      state.prefixes.set(element.namespace, `ns${state.prefixes.size + 1}`);
+    }
+
+    return `${state.prefixes.get(element.namespace)}:${element.name}`;
+  }
+
+  /**
+   * Format a value for its XSD builtin type
+   */
+  formatValue(value, builtin) {
+    if (value instanceof Date) {
+      return builtin === 'date' ? value.toISOString().slice(0, 10) : value.toISOString();
+    }
+
+    if (typeof value === 'boolean') {
+      return value ? 'true' : 'false';
+    }
+
+    return String(value);
+  }
+
+  isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+  }
+
+  escape(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+}
+
+module.exports = SchemaSerializer;
@@ -2,13 +2,23 @@ const soap = require('soap');
 const axios = require('axios');
 const debug = require('debug')('promostandards:soap');
 const XmlConverter = require('./xml-converter');
+const WsdlSchema = require('./wsdl-schema');
+const SchemaSerializer = require('./schema-serializer');
+const SchemaDeserializer = require('./schema-deserializer');
+const RetryPolicy = require('./retry-policy');
 const PromoStandardsError = require('./errors');
+const { RateLimitError } = require('./errors');
 
 class SoapClient {
   constructor(options = {}) {
     this.wsdl = options.wsdl;
     this.endpoint = options.endpoint;
     this.timeout = options.timeout || 30000;
+    this.serializeFromSchema = options.serializeFromSchema !== false;
+    this.typedResponses = !!options.typedResponses;
+    this.retryPolicy = RetryPolicy.from(options.retry);
+    this.rateLimiter = options.rateLimiter || null;
+    this.rateLimit = options.rateLimit || {};
     this.xmlConverter = new XmlConverter(options.xmlOptions);
     this.httpClient = axios.create({
       timeout: this.timeout,
@@ -20,6 +30,7 @@ class SoapClient {
     });
     
     this._client = null;
+    this._schema = null;
     this._wsdlCache = new Map();
   }
 
@@ -64,6 +75,9 @@ class SoapClient {
     // - Others use just "Request" (e.g., Inventory 1.2.1)
     // The element name can be overridden via options.elementName
 
+    // Schema-driven serialization validates the request before anything is sent
+    const schemaXml = await this.buildRequestXmlFromSchema(operation, requestData, options);
+
     try {
       debug(`Calling operation: ${operation}`, requestData);
 
@@ -75,27 +89,41 @@ class SoapClient {
         this.getElementNameFromWsdl(operation) ||
         this.toPascalCase(operation) + 'Request';
 
-      // Build the XML body with proper namespacing
-      const xmlBody = this.buildRequestXml(requestData, requestElementName, namespace);
+      // Build the XML body with proper namespacing (hand-built when the schema is unavailable)
+      const xmlBody = schemaXml || this.buildRequestXml(requestData, requestElementName, namespace);
 
       // Build full SOAP envelope
       const soapEnvelope = this.buildSoapEnvelope(xmlBody, namespace);
 
       debug('SOAP Request:', soapEnvelope);
 
-      // Send the request
-      const response = await this.httpClient.post(endpoint, soapEnvelope, {
+      const send = () => this.httpClient.post(endpoint, soapEnvelope, {
         headers: {
           'SOAPAction': operation
         }
       });
 
+      // Send the request, retrying transient failures (options.retry overrides the policy).
+      // Each attempt waits for the endpoint's rate limits.
+      const response = await this.retryPolicy.with(options.retry).execute(
+        () => (this.rateLimiter
+          ? this.rateLimiter.schedule(endpoint, operation, send, {
+            limits: this.rateLimit,
+            queueTimeout: options.queueTimeout
+          })
+          : send()),
+        { operation }
+      );
+
       debug('SOAP Response received');
 
-      // Parse the response
-      const jsonResponse = await this.xmlConverter.xmlToJson(response.data);
-      const bodyContent = this.extractSoapBody(jsonResponse);
-      const normalizedResult = this.xmlConverter.normalizeJsonResponse(bodyContent);
+      // Parse the response (typed from the response XSD when enabled and available)
+      const parsedResponse = await this.xmlConverter.parseXml(response.data);
+      const bodyContent = this.extractSoapBody(parsedResponse);
+      const typedResult = await this.typeResponseFromSchema(operation, bodyContent, options);
+      const normalizedResult = typedResult !== null
+        ? typedResult
+        : this.xmlConverter.normalizeJsonResponse(bodyContent);
 
       if (options.includeRaw) {
         return {
@@ -107,26 +135,94 @@ class SoapClient {
 
       return normalizedResult;
     } catch (error) {
+      if (error instanceof RateLimitError) {
+        throw error;
+      }
       if (error.response?.data) {
         // Try to parse SOAP fault from response
+        let fault = null;
         try {
-          const faultJson = await this.xmlConverter.xmlToJson(error.response.data);
-          const fault = this.extractSoapFault(faultJson);
-          if (fault) {
-            throw new PromoStandardsError(
-              fault.faultstring || fault.message || 'SOAP Fault',
-              fault.faultcode || 'SOAP_FAULT',
-              { operation, detail: fault.detail }
-            );
-          }
+          fault = this.extractSoapFault(await this.xmlConverter.xmlToJson(error.response.data));
         } catch (parseError) {
           // If we can't parse the fault, throw the original error
         }
+        if (fault) {
+          throw new PromoStandardsError(
+            fault.faultstring || fault.message || 'SOAP Fault',
+            fault.faultcode || 'SOAP_FAULT',
+            { operation, detail: fault.detail, ...this.getAttemptDetails(error) }
+          );
+        }
       }
       this.handleSoapError(error, operation);
     }
   }
 
+  /**
+   * Load the WSDL's operations and XSD declarations (cached)
+   * Resolves to null if the schemas cannot be loaded.
+   */
+  async getSchema() {
+    if (!this._schema) {
+      this._schema = WsdlSchema.load(this.wsdl, {
+        fetch: async (url) => (await this.httpClient.get(url, { responseType: 'text' })).data
+      }).catch((error) => {
+        debug('Could not load WSDL schemas, using hand-built request XML:', error.message);
+        return null;
+      });
+    }
+
+    return this._schema;
+  }
+
+  /**
+   * Build request XML from the parsed XSDs (namespaces, sequence order, checks)
+   * Returns null when schema serialization is disabled or the request element
+   * is not declared, so the caller falls back to buildRequestXml.
+   * @throws {ValidationError} If the request does not satisfy the schema
+   */
+  async buildRequestXmlFromSchema(operation, requestData, options = {}) {
+    if (!this.serializeFromSchema || options.serializeFromSchema === false) {
+      return null;
+    }
+
+    const schema = await this.getSchema();
+    if (!schema) {
+      return null;
+    }
+
+    const elementName = options.elementName || schema.getOperationInput(operation);
+    if (!elementName || !schema.getElement(elementName)) {
+      debug(`No schema element for ${operation}, using hand-built request XML`);
+      return null;
+    }
+
+    return new SchemaSerializer(schema).serialize(elementName, requestData);
+  }
+
+  /**
+   * Type a response body from the parsed XSDs instead of the heuristic coercion
+   * in XmlConverter: strings stay strings, numeric/boolean/date types are
+   * converted and repeating elements are always arrays.
+   * Returns null when typed responses are disabled or the response element
+   * is not declared, so the caller falls back to normalizeJsonResponse.
+   */
+  async typeResponseFromSchema(operation, bodyContent, options = {}) {
+    const enabled = options.typedResponses !== undefined ? options.typedResponses : this.typedResponses;
+    if (!enabled) {
+      return null;
+    }
+
+    const schema = await this.getSchema();
+    const elementName = schema && schema.getOperationOutput(operation);
+    if (!elementName) {
+      debug(`No schema response element for ${operation}, using heuristic response typing`);
+      return null;
+    }
+
+    return new SchemaDeserializer(schema, this.xmlConverter).deserialize(elementName, bodyContent);
+  }
+
   /**
    * Build XML for request data
    */
@@ -219,9 +315,12 @@ class SoapClient {
    */
   extractSoapFault(json) {
     try {
-      const envelope = json['soap:Envelope'] || json['SOAP-ENV:Envelope'] || json['soapenv:Envelope'] || json.Envelope;
-      const body = envelope?.['soap:Body'] || envelope?.['SOAP-ENV:Body'] || envelope?.['soapenv:Body'] || envelope?.Body;
-      const fault = body?.['soap:Fault'] || body?.['SOAP-ENV:Fault'] || body?.Fault;
+      // Normalized (camelCase) names as xmlToJson returns them, as in extractSoapBody
+      const envelope = json['soap:Envelope'] || json['SOAP-ENV:Envelope'] || json['soapenv:Envelope'] ||
+                       json.Envelope || json.envelope;
+      const body = envelope?.['soap:Body'] || envelope?.['SOAP-ENV:Body'] || envelope?.['soapenv:Body'] ||
+                   envelope?.Body || envelope?.body;
+      const fault = body?.['soap:Fault'] || body?.['SOAP-ENV:Fault'] || body?.Fault || body?.fault;
       return fault;
     } catch (e) {
       return null;
@@ -427,10 +526,25 @@ class SoapClient {
     throw new PromoStandardsError(
       `SOAP operation failed: ${error.message}`,
       'SOAP_ERROR',
-      { operation, originalError: error.message }
+      { operation, originalError: error.message, ...this.getAttemptDetails(error) }
     );
   }
 
+  /**
+   * HTTP status, SOAP fault flag and retry attempts of a failed request, for error details
+   */
+  getAttemptDetails(error) {
+    const details = {};
+    if (error.response?.status) {
+      details.status = error.response.status;
+      details.soapFault = this.retryPolicy.isSoapFault(error.response.data);
+    }
+    if (error.attempts) {
+      details.attempts = error.attempts;
+    }
+    return details;
+  }
+
   handleHttpError(error, operation) {
     if (error.response) {
       const status = error.response.status;
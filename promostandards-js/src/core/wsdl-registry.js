@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+const debug = require('debug')('promostandards:wsdl-registry');
+
+/**
+ * Root directory of the bundled WSDL/XSD sets (promostandards-js/wsdl)
+ */
+const BUNDLED_WSDL_ROOT = path.resolve(__dirname, '../../wsdl');
+
+/**
+ * Bundled WSDLs keyed by service name (BaseService.serviceName) and version.
+ *
+ * Each entry is the WSDL path relative to BUNDLED_WSDL_ROOT. The XSDs it
+ * imports sit alongside it, copied unmodified from the official
+ * PromoStandards distributions in /documentation.
+ *
+ * Notes:
+ * - Inventory 2.0.0 is the 2.0.0RC4 schema set, the latest one published.
+ * - Pricing & Configuration 2.0.0, Product Media 1.0.0 and PO 2.0.0 are not bundled.
+ */
+const BUNDLED_WSDLS = {
+  CompanyData: {
+    '1.0.0': 'CompanyData/1.0.0/CompanyDataService.wsdl'
+  },
+  Inventory: {
+    '1.2.1': 'Inventory/1.2.1/InventoryService.wsdl',
+    '2.0.0': 'Inventory/2.0.0/InventoryService.wsdl'
+  },
+  Invoice: {
+    '1.0.0': 'Invoice/1.0.0/InvoiceService.wsdl'
+  },
+  OrderShipmentNotification: {
+    '1.0.0': 'OrderShipmentNotification/1.0.0/OrderShipmentNotificationService.wsdl',
+    '2.0.0': 'OrderShipmentNotification/2.0.0/OrderShipmentNotificationService.wsdl',
+    '2.1.0': 'OrderShipmentNotification/2.1.0/OrderShipmentNotificationService.wsdl'
+  },
+  OrderStatus: {
+    '1.0.0': 'OrderStatus/1.0.0/OrderStatusService.wsdl',
+    '2.0.0': 'OrderStatus/2.0.0/OrderStatusServiceV2.wsdl'
+  },
+  PricingConfiguration: {
+    '1.0.0': 'PricingConfiguration/1.0.0/PricingAndConfiguration.wsdl'
+  },
+  ProductCompliance: {
+    '1.0.0': 'ProductCompliance/1.0.0/productCompliance.wsdl'
+  },
+  ProductData: {
+    '1.0.0': 'ProductData/1.0.0/ProductDataService.wsdl',
+    '2.0.0': 'ProductData/2.0.0/ProductDataService.wsdl'
+  },
+  ProductMedia: {
+    '1.1.0': 'ProductMedia/1.1.0/MediaContentService.wsdl'
+  },
+  PurchaseOrder: {
+    '1.0.0': 'PurchaseOrder/1.0.0/POService.wsdl'
+  },
+  RemittanceAdvice: {
+    '1.0.0': 'RemittanceAdvice/1.0.0/RemittanceAdvice.wsdl'
+  }
+};
+
+/**
+ * Get the absolute path of the bundled WSDL for a service version
+ * @param {string} serviceName - Service name (e.g. 'Inventory')
+ * @param {string} version - Service version (e.g. '2.0.0')
+ * @returns {string|null} Absolute WSDL path, or null if not bundled
+ */
+function getBundledWsdl(serviceName, version) {
+  const relativePath = BUNDLED_WSDLS[serviceName]?.[version];
+  if (!relativePath) {
+    return null;
+  }
+
+  const wsdlPath = path.join(BUNDLED_WSDL_ROOT, relativePath);
+  if (!fs.existsSync(wsdlPath)) {
+    debug(`Bundled WSDL missing on disk: ${wsdlPath}`);
+    return null;
+  }
+
+  return wsdlPath;
+}
+
+/**
+ * Check whether a WSDL is bundled for a service version
+ */
+function hasBundledWsdl(serviceName, version) {
+  return getBundledWsdl(serviceName, version) !== null;
+}
+
+/**
+ * Get the bundled versions of a service
+ * @param {string} serviceName - Service name
+ * @returns {string[]} Bundled versions (empty if none)
+ */
+function getBundledVersions(serviceName) {
+  return Object.keys(BUNDLED_WSDLS[serviceName] || {});
+}
+
+/**
+ * List every bundled WSDL
+ * @returns {Array<{service: string, version: string, wsdl: string}>}
+ */
+function listBundledWsdls() {
+  const entries = [];
+
+  for (const [service, versions] of Object.entries(BUNDLED_WSDLS)) {
+    for (const version of Object.keys(versions)) {
+      entries.push({ service, version, wsdl: path.join(BUNDLED_WSDL_ROOT, versions[version]) });
+    }
+  }
+
+  return entries;
+}
+
+module.exports = {
+  BUNDLED_WSDL_ROOT,
+  BUNDLED_WSDLS,
+  getBundledWsdl,
+  hasBundledWsdl,
+  getBundledVersions,
+  listBundledWsdls
+};
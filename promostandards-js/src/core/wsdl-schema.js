@@ -0,0 +1,364 @@
+const fs = require('fs');
+const path = require('path');
+const xml2js = require('xml2js');
+const debug = require('debug')('promostandards:wsdl-schema');
+
+const XSD_NAMESPACE = 'http://www.w3.org/2001/XMLSchema';
+
+/**
+ * WsdlSchema - Parsed WSDL operations and XSD declarations
+ *
+ * The soap library keeps a single schema per target namespace, so the
+ * PromoStandards layout (one XSD file per request/response, all sharing the
+ * service namespace) loses every declaration but the last one. WsdlSchema
+ * follows the WSDL's xsd:import/xsd:include chain itself and merges every
+ * declaration by qualified name.
+ *
+ * Qualified names are `{ namespace, name }`. Declarations:
+ * - element:  { name, namespace, type, typeName, minOccurs, maxOccurs, ref }
+ * - complex:  { kind: 'complex', name, namespace, content }
+ * - group:    { kind: 'sequence' | 'choice' | 'all', minOccurs, maxOccurs, items }
+ * - simple:   { kind: 'simple', name, namespace, base, enumerations, facets }
+ */
+class WsdlSchema {
+  constructor() {
+    this.targetNamespace = null;
+    this.elements = new Map();
+    this.types = new Map();
+    this.messages = new Map();
+    this.operations = new Map();
+    this._loaded = new Set();
+  }
+
+  /**
+   * Load a WSDL (file path or URL) and every schema it imports
+   * @param {string} location - WSDL file path or URL
+   * @param {Object} options
+   * @param {Function} options.fetch - async (url) => string, used for http(s) locations
+   * @returns {Promise<WsdlSchema>}
+   */
+  static async load(location, options = {}) {
+    const schema = new WsdlSchema();
+    schema.fetch = options.fetch || WsdlSchema.readLocal;
+    await schema.loadDocument(location);
+    debug(`Loaded ${schema.elements.size} elements and ${schema.types.size} types from ${location}`);
+    return schema;
+  }
+
+  static async readLocal(location) {
+    return fs.promises.readFile(location, 'utf8');
+  }
+
+  static isUrl(location) {
+    return /^https?:\/\//i.test(location);
+  }
+
+  static resolveLocation(base, relative) {
+    if (WsdlSchema.isUrl(relative) || path.isAbsolute(relative)) {
+      return relative;
+    }
+    if (WsdlSchema.isUrl(base)) {
+      return new URL(relative, base).href;
+    }
+    return path.resolve(path.dirname(base), relative);
+  }
+
+  static key(namespace, name) {
+    return `{${namespace || ''}}${name}`;
+  }
+
+  async loadDocument(location) {
+    if (this._loaded.has(location)) {
+      return;
+    }
+    this._loaded.add(location);
+
+    const xml = WsdlSchema.isUrl(location)
+      ? await this.fetch(location)
+      : await WsdlSchema.readLocal(location);
+
+    const parsed = await xml2js.parseStringPromise(xml, {
+      explicitChildren: true,
+      preserveChildrenOrder: true,
+      explicitRoot: false
+    });
+
+    const root = this.toNode(parsed, '', {});
+
+    if (root.local === 'definitions') {
+      await this.addDefinitions(root, location);
+    } else if (root.local === 'schema') {
+      await this.addSchema(root, location);
+    }
+  }
+
+  /**
+   * Convert an xml2js node into { local, attrs, children, scope }
+   */
+  toNode(raw, tagName, parentScope) {
+    const attrs = raw.$ || {};
+    const scope = { ...parentScope };
+
+    for (const [attr, value] of Object.entries(attrs)) {
+      if (attr === 'xmlns') {
+        scope[''] = value;
+      } else if (attr.startsWith('xmlns:')) {
+        scope[attr.slice(6)] = value;
+      }
+    }
+
+    const name = tagName || raw['#name'] || '';
+    return {
+      local: name.includes(':') ? name.split(':')[1] : name,
+      attrs,
+      scope,
+      children: (raw.$$ || []).map(child => this.toNode(child, child['#name'], scope))
+    };
+  }
+
+  /**
+   * Resolve a prefixed name (e.g. "ns2:wsVersion") against a node's scope
+   */
+  resolveQName(node, value) {
+    if (!value) return null;
+
+    const [prefix, name] = value.includes(':') ? value.split(':') : ['', value];
+    return { namespace: node.scope[prefix] || null, name };
+  }
+
+  async addDefinitions(node, location) {
+    this.targetNamespace = this.targetNamespace || node.attrs.targetNamespace;
+
+    for (const child of node.children) {
+      if (child.local === 'types') {
+        for (const schemaNode of child.children.filter(c => c.local === 'schema')) {
+          await this.addSchema(schemaNode, location);
+        }
+      } else if (child.local === 'message') {
+        const part = child.children.find(c => c.local === 'part');
+        this.messages.set(child.attrs.name, part ? this.resolveQName(part, part.attrs.element) : null);
+      } else if (child.local === 'portType') {
+        for (const operation of child.children.filter(c => c.local === 'operation')) {
+          const input = operation.children.find(c => c.local === 'input');
+          const output = operation.children.find(c => c.local === 'output');
+          this.operations.set(operation.attrs.name, {
+            input: input ? this.resolveQName(input, input.attrs.message) : null,
+            output: output ? this.resolveQName(output, output.attrs.message) : null
+          });
+        }
+      }
+    }
+  }
+
+  async addSchema(node, location) {
+    const targetNamespace = node.attrs.targetNamespace || null;
+    const context = {
+      targetNamespace,
+      qualified: node.attrs.elementFormDefault === 'qualified'
+    };
+
+    for (const child of node.children) {
+      switch (child.local) {
+      case 'import':
+      case 'include':
+        if (child.attrs.schemaLocation) {
+          await this.loadDocument(WsdlSchema.resolveLocation(location, child.attrs.schemaLocation));
+        }
+        break;
+      case 'element': {
+        const element = this.parseElement(child, context, true);
+        this.elements.set(WsdlSchema.key(element.namespace, element.name), element);
+        break;
+      }
+      case 'complexType':
+      case 'simpleType': {
+        const type = this.parseType(child, context);
+        this.types.set(WsdlSchema.key(type.namespace, type.name), type);
+        break;
+      }
+      default:
+        break;
+      }
+    }
+  }
+
+  parseElement(node, context, global = false) {
+    const element = {
+      name: node.attrs.name || null,
+      namespace: global || context.qualified ? context.targetNamespace : null,
+      ref: this.resolveQName(node, node.attrs.ref),
+      typeName: this.resolveQName(node, node.attrs.type),
+      type: null,
+      minOccurs: node.attrs.minOccurs === undefined ? 1 : Number(node.attrs.minOccurs),
+      maxOccurs: WsdlSchema.parseMaxOccurs(node.attrs.maxOccurs),
+      nillable: node.attrs.nillable === 'true'
+    };
+
+    const inlineType = node.children.find(c => c.local === 'complexType' || c.local === 'simpleType');
+    if (inlineType) {
+      element.type = this.parseType(inlineType, context);
+    }
+
+    return element;
+  }
+
+  parseType(node, context) {
+    if (node.local === 'simpleType') {
+      return this.parseSimpleType(node, context);
+    }
+
+    const group = node.children.find(c => ['sequence', 'choice', 'all'].includes(c.local));
+    return {
+      kind: 'complex',
+      name: node.attrs.name || null,
+      namespace: context.targetNamespace,
+      content: group ? this.parseGroup(group, context) : null
+    };
+  }
+
+  parseSimpleType(node, context) {
+    const type = {
+      kind: 'simple',
+      name: node.attrs.name || null,
+      namespace: context.targetNamespace,
+      base: null,
+      enumerations: [],
+      facets: {}
+    };
+
+    const restriction = node.children.find(c => c.local === 'restriction');
+    if (restriction) {
+      type.base = this.resolveQName(restriction, restriction.attrs.base);
+      for (const facet of restriction.children) {
+        if (facet.local === 'enumeration') {
+          type.enumerations.push(facet.attrs.value);
+        } else if (facet.local !== 'annotation') {
+          type.facets[facet.local] = facet.attrs.value;
+        }
+      }
+    }
+
+    return type;
+  }
+
+  parseGroup(node, context) {
+    return {
+      kind: node.local,
+      minOccurs: node.attrs.minOccurs === undefined ? 1 : Number(node.attrs.minOccurs),
+      maxOccurs: WsdlSchema.parseMaxOccurs(node.attrs.maxOccurs),
+      items: node.children
+        .filter(c => ['element', 'sequence', 'choice', 'all'].includes(c.local))
+        .map(c => (c.local === 'element' ? this.parseElement(c, context) : this.parseGroup(c, context)))
+    };
+  }
+
+  static parseMaxOccurs(value) {
+    if (value === undefined) return 1;
+    return value === 'unbounded' ? Infinity : Number(value);
+  }
+
+  /**
+   * Get a global element declaration
+   * @param {{namespace: string, name: string}|string} qname - Qualified name, or a bare name
+   *   (looked up in the WSDL target namespace first, then any namespace)
+   */
+  getElement(qname) {
+    if (typeof qname === 'string') {
+      const preferred = this.elements.get(WsdlSchema.key(this.targetNamespace, qname));
+      if (preferred) return preferred;
+
+      for (const element of this.elements.values()) {
+        if (element.name === qname) return element;
+      }
+      return null;
+    }
+
+    return this.elements.get(WsdlSchema.key(qname.namespace, qname.name)) || null;
+  }
+
+  /**
+   * Resolve a (possibly ref) particle into its effective declaration,
+   * keeping the particle's occurrence constraints
+   */
+  resolveElement(particle) {
+    if (!particle.ref) {
+      return particle;
+    }
+
+    const target = this.getElement(particle.ref);
+    if (!target) {
+      return { ...particle, name: particle.ref.name, namespace: particle.ref.namespace };
+    }
+
+    return { ...target, minOccurs: particle.minOccurs, maxOccurs: particle.maxOccurs, ref: null };
+  }
+
+  /**
+   * Get the type of an element declaration (inline or named)
+   * @returns {Object|null} Type declaration, { kind: 'builtin', name } for XSD types, or null
+   */
+  getElementType(element) {
+    if (element.type) {
+      return element.type;
+    }
+
+    if (element.typeName) {
+      return this.getType(element.typeName);
+    }
+
+    return null;
+  }
+
+  getType(qname) {
+    if (qname.namespace === XSD_NAMESPACE) {
+      return { kind: 'builtin', name: qname.name };
+    }
+
+    return this.types.get(WsdlSchema.key(qname.namespace, qname.name)) || null;
+  }
+
+  /**
+   * Walk a simple type's restriction chain down to its XSD builtin
+   * @returns {{builtin: string, enumerations: string[]}}
+   */
+  describeSimpleType(type) {
+    let current = type;
+    let enumerations = [];
+    const seen = new Set();
+
+    while (current && current.kind === 'simple' && !seen.has(current)) {
+      seen.add(current);
+      if (enumerations.length === 0 && current.enumerations.length > 0) {
+        enumerations = current.enumerations;
+      }
+      current = current.base ? this.getType(current.base) : null;
+    }
+
+    return {
+      builtin: current && current.kind === 'builtin' ? current.name : 'string',
+      enumerations
+    };
+  }
+
+  /**
+   * Get the request element for an operation
+   * @returns {{namespace: string, name: string}|null}
+   */
+  getOperationInput(operation) {
+    const input = this.operations.get(operation)?.input;
+    return input ? this.messages.get(input.name) || null : null;
+  }
+
+  /**
+   * Get the response element for an operation
+   * @returns {{namespace: string, name: string}|null}
+   */
+  getOperationOutput(operation) {
+    const output = this.operations.get(operation)?.output;
+    return output ? this.messages.get(output.name) || null : null;
+  }
+}
+
+WsdlSchema.XSD_NAMESPACE = XSD_NAMESPACE;
+
+module.exports = WsdlSchema;
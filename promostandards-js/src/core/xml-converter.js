@@ -21,9 +21,16 @@ class XmlConverter {
   }
 
   async xmlToJson(xml) {
+    const result = await this.parseXml(xml);
+    return this.normalizeJsonResponse(result);
+  }
+
+  /**
+   * Parse XML without normalizing keys or coercing values
+   */
+  async parseXml(xml) {
     try {
-      const result = await this.parser.parseStringPromise(xml);
-      return this.normalizeJsonResponse(result);
+      return await this.parser.parseStringPromise(xml);
     } catch (error) {
       throw new Error(`XML parsing failed: ${error.message}`);
     }
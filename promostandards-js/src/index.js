@@ -1,11 +1,19 @@
 const PromoStandardsClient = require('./client');
+const SupplierRegistry = require('./supplier-registry');
+const OrderTracker = require('./order-tracker');
+const OrderReconciler = require('./order-reconciler');
 const PromoStandardsAuth = require('./core/auth');
 const WSDLProvider = require('./core/wsdl-provider');
+const OneSourceClient = require('./core/onesource-client');
 
 // Core classes
 const BaseService = require('./core/base-service');
 const SoapClient = require('./core/soap-client');
 const XmlConverter = require('./core/xml-converter');
+const RetryPolicy = require('./core/retry-policy');
+const CircuitBreaker = require('./core/circuit-breaker');
+const RateLimiter = require('./core/rate-limiter');
+const { getBundledWsdl, hasBundledWsdl, listBundledWsdls } = require('./core/wsdl-registry');
 
 // Services
 const InventoryService = require('./services/inventory/inventory-service');
@@ -20,6 +28,17 @@ const ProductComplianceService = require('./services/product-compliance/product-
 const CompanyDataService = require('./services/company-data/company-data-service');
 const RemittanceAdviceService = require('./services/remittance-advice/remittance-advice-service');
 
+// Response helpers
+const { normalizeInventory } = require('./services/inventory/inventory-normalizer');
+const { normalizeShipments } = require('./services/order-shipment/shipment-normalizer');
+const CarrierRegistry = require('./services/order-shipment/carrier-registry');
+const { normalizeInvoices } = require('./services/invoice/invoice-normalizer');
+const InvoiceSync = require('./services/invoice/invoice-sync');
+const PriceCalculator = require('./services/pricing-config/price-calculator');
+const DecorationExplorer = require('./services/pricing-config/decoration-explorer');
+const PurchaseOrderBuilder = require('./services/purchase-order/purchase-order-builder');
+const SubmissionLedger = require('./services/purchase-order/submission-ledger');
+
 // Errors
 const PromoStandardsError = require('./core/errors');
 const {
@@ -27,7 +46,10 @@ const {
   ValidationError,
   ServiceError,
   NetworkError,
-  TimeoutError
+  TimeoutError,
+  CircuitOpenError,
+  RateLimitError,
+  DuplicateSubmissionError
 } = require('./core/errors');
 
 // Main export
@@ -35,10 +57,14 @@ module.exports = PromoStandardsClient;
 
 // Named exports - Client
 module.exports.PromoStandardsClient = PromoStandardsClient;
+module.exports.SupplierRegistry = SupplierRegistry;
+module.exports.OrderTracker = OrderTracker;
+module.exports.OrderReconciler = OrderReconciler;
 
 // Named exports - Auth
 module.exports.PromoStandardsAuth = PromoStandardsAuth;
 module.exports.WSDLProvider = WSDLProvider;
+module.exports.OneSourceClient = OneSourceClient;
 
 // Services
 module.exports.InventoryService = InventoryService;
@@ -53,10 +79,29 @@ module.exports.ProductComplianceService = ProductComplianceService;
 module.exports.CompanyDataService = CompanyDataService;
 module.exports.RemittanceAdviceService = RemittanceAdviceService;
 
+// Response helpers
+module.exports.normalizeInventory = normalizeInventory;
+module.exports.normalizeShipments = normalizeShipments;
+module.exports.CarrierRegistry = CarrierRegistry;
+module.exports.normalizeInvoices = normalizeInvoices;
+module.exports.InvoiceSync = InvoiceSync;
+module.exports.PriceCalculator = PriceCalculator;
+module.exports.DecorationExplorer = DecorationExplorer;
+module.exports.PurchaseOrderBuilder = PurchaseOrderBuilder;
+module.exports.SubmissionLedger = SubmissionLedger;
+
 // Core utilities
 module.exports.BaseService = BaseService;
 module.exports.SoapClient = SoapClient;
 module.exports.XmlConverter = XmlConverter;
+module.exports.RetryPolicy = RetryPolicy;
+module.exports.CircuitBreaker = CircuitBreaker;
+module.exports.RateLimiter = RateLimiter;
+
+// Bundled WSDLs
+module.exports.getBundledWsdl = getBundledWsdl;
+module.exports.hasBundledWsdl = hasBundledWsdl;
+module.exports.listBundledWsdls = listBundledWsdls;
 
 // Errors
 module.exports.PromoStandardsError = PromoStandardsError;
@@ -65,11 +110,15 @@ module.exports.ValidationError = ValidationError;
 module.exports.ServiceError = ServiceError;
 module.exports.NetworkError = NetworkError;
 module.exports.TimeoutError = TimeoutError;
+module.exports.CircuitOpenError = CircuitOpenError;
+module.exports.RateLimitError = RateLimitError;
+module.exports.DuplicateSubmissionError = DuplicateSubmissionError;
 
 // Convenience factory methods
 module.exports.createClient = (options) => new PromoStandardsClient(options);
 module.exports.createAuth = (credentials) => new PromoStandardsAuth(credentials);
 module.exports.createWsdlProvider = (options) => new WSDLProvider(options);
+module.exports.createOneSourceClient = (options) => new OneSourceClient(options);
 
 // Service factory methods
 module.exports.createInventoryService = (options) => new InventoryService(options);
@@ -0,0 +1,473 @@
+const debug = require('debug')('promostandards:reconciler');
+const { ValidationError } = require('./core/errors');
+const { toArray, toText, toNumber, isNoResults } = require('./core/response-utils');
+const { normalizeShipments } = require('./services/order-shipment/shipment-normalizer');
+const { normalizeInvoice } = require('./services/invoice/invoice-normalizer');
+const PurchaseOrderBuilder = require('./services/purchase-order/purchase-order-builder');
+
+/**
+ * OrderReconciler - Three-way match of a purchase order, its shipments and its invoices
+ *
+ * Ordered lines come from the PO as sent with sendPO (one entry per part, or
+ * per line item without parts). Shipped package items and invoice lines are
+ * matched to them by PO line number and part ID (supplier or distributor
+ * part ID), falling back to the part ID alone or to a line with a single part.
+ * Credit memos count negatively. Invoices are read with normalizeInvoice, so
+ * a charge line is freight when the PO's chargeType (or, without a chargeId,
+ * its description) says Freight.
+ *
+ * Report:
+ * {
+ *   purchaseOrderNumber,
+ *   matched,              // true when nothing below needs attention
+ *   lines: [{ lineNumber, productId, partId, description, uom, status,   // 'matched', 'open' or 'discrepancy'
+ *             ordered: { quantity, unitPrice, amount },
+ *             shipped: { quantity, trackingNumbers },
+ *             billed: { quantity, unitPrice, amount, invoiceNumbers } }],
+ *   variances: [{ type, lineNumber, partId, chargeId, expected, actual, difference, message }],
+ *                         // type: 'quantity', 'price', 'charge' or 'freight'
+ *   unbilledShipments: [{ lineNumber, partId, shippedQuantity, billedQuantity, quantity }],
+ *   billedNotShipped: [{ lineNumber, partId, billedQuantity, shippedQuantity, quantity, invoiceNumbers }],
+ *   notOrdered: [{ source, lineNumber, partId, productId, chargeId, quantity, amount, reference }],
+ *   charges: [{ chargeId, chargeType, description, ordered, billed, difference }],
+ *   freight: { ordered, billed, difference },
+ *   totals: { ordered, billed, tax },
+ *   shippedInFull, invoices: [{ invoiceNumber, invoiceType, invoiceDate, invoiceAmount }]
+ * }
+ *
+ * Under-shipment is a variance only once the supplier reports the order
+ * shipped in full; charge and freight differences only once it is invoiced.
+ *
+ * @example
+ * const reconciler = new OrderReconciler(client, { loadPurchaseOrder: (poNumber) => db.findPO(poNumber) });
+ * const report = await reconciler.reconcile('PO-1001');
+ * report.unbilledShipments;  // [{ lineNumber: 1, partId: '5790BLK', quantity: 50, ... }]
+ */
+class OrderReconciler {
+  /**
+   * @param {Object} services - A PromoStandardsClient or { orderShipment, invoice } services
+   * @param {Object} options
+   * @param {Function} options.loadPurchaseOrder - async (poNumber) => PO object, used when
+   *   reconcile() is not given the PO
+   * @param {number} options.amountTolerance - Money differences up to this are ignored (default 0.01)
+   * @param {number} options.quantityTolerance - Quantity differences up to this are ignored (default 0)
+   */
+  constructor(services = {}, options = {}) {
+    const find = (name) => (services.services instanceof Map ? services.services.get(name) : services[name]) || null;
+    this.orderShipment = find('orderShipment');
+    this.invoice = find('invoice');
+
+    this.loadPurchaseOrder = options.loadPurchaseOrder || null;
+    this.amountTolerance = options.amountTolerance !== undefined ? options.amountTolerance : 0.01;
+    this.quantityTolerance = options.quantityTolerance || 0;
+  }
+
+  /**
+   * Fetch shipments and invoices for a PO and match them against it
+   * @param {string} poNumber - Purchase order number
+   * @param {Object} options
+   * @param {Object|PurchaseOrderBuilder} options.purchaseOrder - The PO as sent (default: loadPurchaseOrder)
+   * @returns {Promise<Object>} Report (see class docs)
+   * @throws {ValidationError} Without a PO, or when a service is missing
+   */
+  async reconcile(poNumber, options = {}) {
+    if (!poNumber) {
+      throw new ValidationError('poNumber is required for reconcile', { method: 'reconcile' });
+    }
+    if (!this.orderShipment || !this.invoice) {
+      throw new ValidationError(
+        'OrderReconciler needs orderShipment and invoice services',
+        { method: 'reconcile', missing: ['orderShipment', 'invoice'].filter(name => !this[name]) }
+      );
+    }
+
+    const purchaseOrder = options.purchaseOrder ||
+      (this.loadPurchaseOrder && await this.loadPurchaseOrder(poNumber));
+    if (!purchaseOrder) {
+      throw new ValidationError(
+        `No purchase order to reconcile ${poNumber} against; pass options.purchaseOrder or loadPurchaseOrder`,
+        { method: 'reconcile', poNumber }
+      );
+    }
+
+    const [shipments, invoices] = await Promise.all([
+      fetchOrEmpty(() => this.orderShipment.getShipmentsByPO(poNumber)),
+      fetchOrEmpty(() => this.invoice.getByPO(poNumber))
+    ]);
+
+    return this.match({
+      purchaseOrder,
+      shipments: shipments ? normalizeShipments(shipments).shipments : [],
+      invoices: invoices ? toArray(invoices.invoiceArray?.invoice) : []
+    });
+  }
+
+  /**
+   * Match already fetched data
+   * @param {Object} data
+   * @param {Object|PurchaseOrderBuilder} data.purchaseOrder - The PO as sent with sendPO
+   * @param {Array<Object>} data.shipments - normalizeShipments(...).shipments
+   * @param {Array<Object>} data.invoices - Invoice entries of getInvoices responses
+   *   (response.invoiceArray.invoice)
+   * @returns {Object} Report (see class docs)
+   */
+  match({ purchaseOrder, shipments = [], invoices: invoiceEntries = [] }) {
+    const po = purchaseOrder instanceof PurchaseOrderBuilder ? purchaseOrder.build() : purchaseOrder;
+    const { lines, charges } = readPurchaseOrder(po);
+    const chargeTypes = new Map([...charges.values()].map(charge => [charge.chargeId, charge.chargeType]));
+    const invoices = toArray(invoiceEntries).map(invoice => normalizeInvoice(invoice, { chargeTypes }));
+    const notOrdered = [];
+    const shippedInFull = shipments.length > 0 && shipments.every(shipment =>
+      shipment.purchaseOrderShippedInFull === true || shipment.salesOrderShippedInFull === true);
+
+    for (const shipment of shipments) {
+      for (const pkg of shipment.packages) {
+        for (const item of pkg.items) {
+          const line = findLine(lines, item.purchaseOrderLineNumber,
+            [item.supplierPartId, item.distributorPartId], item.supplierProductId);
+          if (!line) {
+            notOrdered.push({
+              source: 'shipment',
+              lineNumber: item.purchaseOrderLineNumber ?? null,
+              partId: item.supplierPartId || item.distributorPartId || null,
+              productId: item.supplierProductId || null,
+              chargeId: null,
+              quantity: item.quantity,
+              amount: null,
+              reference: pkg.trackingNumber || null
+            });
+            continue;
+          }
+          line.shipped.quantity = round(line.shipped.quantity + (item.quantity || 0));
+          if (pkg.trackingNumber && !line.shipped.trackingNumbers.includes(pkg.trackingNumber)) {
+            line.shipped.trackingNumbers.push(pkg.trackingNumber);
+          }
+        }
+      }
+    }
+
+    const billedCharges = new Map();
+    let billedFreight = 0;
+    for (const invoice of invoices) {
+      const sign = invoice.creditMemo ? -1 : 1;
+      billedFreight += sign * ((invoice.shippingAmount || 0) + (invoice.handlingAmount || 0));
+
+      for (const charge of invoice.charges) {
+        const amount = sign * (charge.extendedPrice || 0);
+        if (charge.chargeType === 'Freight') {
+          billedFreight += amount;
+        } else if (charges.has(charge.chargeId)) {
+          billedCharges.set(charge.chargeId, (billedCharges.get(charge.chargeId) || 0) + amount);
+        } else {
+          notOrdered.push({
+            source: 'invoice', lineNumber: charge.purchaseOrderLineNumber, partId: null, productId: null,
+            chargeId: charge.chargeId, quantity: sign * (charge.quantity || 0), amount: round(amount),
+            reference: invoice.invoiceNumber
+          });
+        }
+      }
+
+      for (const item of invoice.lineItems) {
+        const quantity = sign * (item.quantity || 0);
+        const amount = sign * (item.extendedPrice || 0);
+        const line = findLine(lines, item.purchaseOrderLineNumber, [item.partId, item.distributorPartId], item.productId);
+        if (!line) {
+          notOrdered.push({
+            source: 'invoice', lineNumber: item.purchaseOrderLineNumber, partId: item.partId || item.distributorPartId,
+            productId: item.productId, chargeId: null, quantity, amount: round(amount), reference: invoice.invoiceNumber
+          });
+          continue;
+        }
+        line.billed.quantity = round(line.billed.quantity + quantity);
+        line.billed.amount = round(line.billed.amount + amount);
+        if (!line.billed.invoiceNumbers.includes(invoice.invoiceNumber)) {
+          line.billed.invoiceNumbers.push(invoice.invoiceNumber);
+        }
+      }
+    }
+
+    const report = {
+      purchaseOrderNumber: toText(po.orderNumber),
+      matched: false,
+      lines: [],
+      variances: [],
+      unbilledShipments: [],
+      billedNotShipped: [],
+      notOrdered,
+      charges: [],
+      freight: null,
+      totals: {
+        ordered: toNumber(po.totalAmount),
+        billed: round(sum(invoices.map(invoice => (invoice.creditMemo ? -1 : 1) * (invoice.invoiceAmount || 0)))),
+        tax: round(sum(invoices.map(invoice => (invoice.creditMemo ? -1 : 1) * (invoice.taxAmount || 0))))
+      },
+      shippedInFull,
+      invoices: invoices.map(({ invoiceNumber, invoiceType, invoiceDate, invoiceAmount }) =>
+        ({ invoiceNumber, invoiceType, invoiceDate, invoiceAmount }))
+    };
+
+    for (const line of lines) {
+      report.lines.push(this.checkLine(line, shippedInFull, report));
+    }
+    this.checkCharges(charges, billedCharges, billedFreight, invoices.length > 0, report);
+
+    report.matched = report.variances.length === 0 && report.unbilledShipments.length === 0 &&
+      report.billedNotShipped.length === 0 && report.notOrdered.length === 0;
+
+    debug(`${report.purchaseOrderNumber}: ${report.variances.length} variance(s), ` +
+      `${report.unbilledShipments.length} unbilled, ${report.billedNotShipped.length} billed not shipped`);
+    return report;
+  }
+
+  /**
+   * Compare one ordered line with what shipped and what was billed
+   */
+  checkLine(line, shippedInFull, report) {
+    const { ordered, shipped, billed } = line;
+    const ids = { lineNumber: line.lineNumber, partId: line.partId };
+    const found = [];
+    const variance = (entry) => {
+      found.push(entry);
+      report.variances.push({ ...ids, chargeId: null, ...entry, difference: round(entry.actual - entry.expected) });
+    };
+
+    billed.unitPrice = billed.quantity ? round(billed.amount / billed.quantity) : null;
+
+    const shortShipped = shippedInFull && ordered.quantity - shipped.quantity > this.quantityTolerance;
+    if (shipped.quantity - ordered.quantity > this.quantityTolerance || shortShipped) {
+      variance({
+        type: 'quantity',
+        expected: ordered.quantity,
+        actual: shipped.quantity,
+        message: `Shipped ${shipped.quantity} of ${ordered.quantity} ordered`
+      });
+    }
+    if (billed.quantity - ordered.quantity > this.quantityTolerance) {
+      variance({
+        type: 'quantity',
+        expected: ordered.quantity,
+        actual: billed.quantity,
+        message: `Billed ${billed.quantity} of ${ordered.quantity} ordered`
+      });
+    }
+    if (ordered.unitPrice !== null && billed.quantity &&
+        Math.abs(billed.amount - ordered.unitPrice * billed.quantity) > this.amountTolerance) {
+      variance({
+        type: 'price',
+        expected: ordered.unitPrice,
+        actual: billed.unitPrice,
+        message: `Billed ${billed.unitPrice} per unit, ordered at ${ordered.unitPrice}`
+      });
+    }
+
+    if (shipped.quantity - billed.quantity > this.quantityTolerance) {
+      found.push('unbilled');
+      report.unbilledShipments.push({
+        ...ids,
+        shippedQuantity: shipped.quantity,
+        billedQuantity: billed.quantity,
+        quantity: round(shipped.quantity - billed.quantity)
+      });
+    }
+    if (billed.quantity - shipped.quantity > this.quantityTolerance) {
+      found.push('billedNotShipped');
+      report.billedNotShipped.push({
+        ...ids,
+        billedQuantity: billed.quantity,
+        shippedQuantity: shipped.quantity,
+        quantity: round(billed.quantity - shipped.quantity),
+        invoiceNumbers: billed.invoiceNumbers
+      });
+    }
+
+    let status = 'matched';
+    if (found.length > 0) {
+      status = 'discrepancy';
+    } else if (shipped.quantity < ordered.quantity || billed.quantity < ordered.quantity) {
+      status = 'open';
+    }
+
+    return {
+      lineNumber: line.lineNumber,
+      productId: line.productId,
+      partId: line.partId,
+      description: line.description,
+      uom: line.uom,
+      status,
+      ordered,
+      shipped,
+      billed
+    };
+  }
+
+  /**
+   * Compare ordered charges (by chargeId) and freight with what was billed
+   */
+  checkCharges(charges, billedCharges, billedFreight, invoiced, report) {
+    let orderedFreight = 0;
+
+    for (const charge of charges.values()) {
+      if (charge.chargeType === 'Freight') {
+        orderedFreight += charge.amount;
+        continue;
+      }
+      const billed = round(billedCharges.get(charge.chargeId) || 0);
+      const difference = round(billed - charge.amount);
+      report.charges.push({
+        chargeId: charge.chargeId,
+        chargeType: charge.chargeType,
+        description: charge.description,
+        ordered: charge.amount,
+        billed,
+        difference
+      });
+      if (invoiced && Math.abs(difference) > this.amountTolerance) {
+        report.variances.push({
+          type: 'charge',
+          lineNumber: charge.lineNumber,
+          partId: null,
+          chargeId: charge.chargeId,
+          expected: charge.amount,
+          actual: billed,
+          difference,
+          message: `Charge ${charge.chargeId} billed ${billed}, ordered ${charge.amount}`
+        });
+      }
+    }
+
+    orderedFreight = round(orderedFreight);
+    billedFreight = round(billedFreight);
+    report.freight = { ordered: orderedFreight, billed: billedFreight, difference: round(billedFreight - orderedFreight) };
+    if (invoiced && Math.abs(report.freight.difference) > this.amountTolerance) {
+      report.variances.push({
+        type: 'freight',
+        lineNumber: null,
+        partId: null,
+        chargeId: null,
+        expected: orderedFreight,
+        actual: billedFreight,
+        difference: report.freight.difference,
+        message: `Freight and handling billed ${billedFreight}, ordered ${orderedFreight}`
+      });
+    }
+  }
+}
+
+/**
+ * Call a service, treating a "no results" answer as nothing found
+ */
+async function fetchOrEmpty(request) {
+  try {
+    return await request();
+  } catch (error) {
+    if (isNoResults(error)) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Ordered lines (one per part, or per line item without parts) and charges by chargeId
+ */
+function readPurchaseOrder(po) {
+  if (!po || !po.LineItemArray) {
+    throw new ValidationError('purchaseOrder must be a PO object with a LineItemArray', { method: 'match' });
+  }
+
+  const lines = [];
+  const charges = new Map();
+
+  for (const item of toArray(po.LineItemArray.LineItem)) {
+    const lineNumber = toNumber(item.lineNumber);
+    const parts = toArray(item.PartArray?.Part);
+    const entry = (fields) => ({
+      lineNumber,
+      productId: toText(item.productId),
+      ...fields,
+      shipped: { quantity: 0, trackingNumbers: [] },
+      billed: { quantity: 0, unitPrice: null, amount: 0, invoiceNumbers: [] }
+    });
+
+    if (parts.length === 0) {
+      const quantity = toNumber(item.Quantity?.value) || 0;
+      const unitPrice = toNumber(item.unitPrice);
+      lines.push(entry({
+        partId: null,
+        partIds: [],
+        description: toText(item.description),
+        uom: toText(item.Quantity?.uom),
+        ordered: { quantity, unitPrice, amount: unitPrice !== null ? round(unitPrice * quantity) : null }
+      }));
+    }
+
+    for (const part of parts) {
+      const quantity = toNumber(part.Quantity?.value) || 0;
+      const unitPrice = toNumber(part.unitPrice) ?? toNumber(item.unitPrice);
+      const amount = toNumber(part.extendedPrice) ?? (unitPrice !== null ? round(unitPrice * quantity) : null);
+      lines.push(entry({
+        partId: toText(part.partId),
+        partIds: [toText(part.partId), toText(part.customerPartId)].filter(Boolean),
+        description: toText(part.description) || toText(item.description),
+        uom: toText(part.Quantity?.uom),
+        ordered: { quantity, unitPrice, amount }
+      }));
+    }
+
+    for (const charge of toArray(item.Configuration?.ChargeArray?.Charge)) {
+      const chargeId = toText(charge.chargeId);
+      const amount = toNumber(charge.extendedPrice) ??
+        round((toNumber(charge.unitPrice) || 0) * (toNumber(charge.Quantity?.value) ?? 1));
+      const existing = charges.get(chargeId);
+      charges.set(chargeId, {
+        chargeId,
+        chargeType: toText(charge.chargeType),
+        description: toText(charge.description) || toText(charge.chargeName),
+        lineNumber: existing ? existing.lineNumber : lineNumber,
+        amount: round((existing ? existing.amount : 0) + amount)
+      });
+    }
+  }
+
+  return { lines, charges };
+}
+
+/**
+ * Find the ordered line for a shipped or billed item
+ * @param {Array<Object>} lines
+ * @param {number|null} lineNumber - PO line number, if the supplier sent one
+ * @param {Array<string|null>} partIds - Supplier and distributor part IDs
+ * @param {string|null} productId
+ */
+function findLine(lines, lineNumber, partIds, productId) {
+  const ids = partIds.filter(Boolean).map(String);
+  const onLine = lineNumber !== null && lineNumber !== undefined
+    ? lines.filter(line => line.lineNumber === Number(lineNumber))
+    : [];
+  const candidates = onLine.length > 0 ? onLine : lines;
+
+  if (ids.length > 0) {
+    const byPart = candidates.find(line => line.partIds.some(id => ids.includes(id)));
+    if (byPart) {
+      return byPart;
+    }
+  }
+  if (onLine.length === 1) {
+    return onLine[0];
+  }
+  if (ids.length === 0 && productId) {
+    const byProduct = candidates.filter(line => line.productId === String(productId));
+    return byProduct.length === 1 ? byProduct[0] : null;
+  }
+  return null;
+}
+
+function sum(values) {
+  return values.reduce((total, value) => total + value, 0);
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+module.exports = OrderReconciler;
@@ -0,0 +1,423 @@
+const EventEmitter = require('events');
+const debug = require('debug')('promostandards:order-tracker');
+const { ValidationError } = require('./core/errors');
+const { toArray, toText, toBoolean, toDate, isNoResults } = require('./core/response-utils');
+const { normalizeShipments } = require('./services/order-shipment/shipment-normalizer');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/**
+ * OrderTracker - Poll Order Status and Shipment Notifications and emit what changed
+ *
+ * Each poll asks every supplier's OrderStatus service for changes since the
+ * supplier's checkpoint (getOrderStatus, queryType lastUpdate with statusTimeStamp,
+ * sent as 3 to Order Status 1.0.0) and
+ * its OrderShipmentNotification service for shipments since then
+ * (getShipmentsSince). Results are compared per sales order with the last
+ * known state, so overlapping windows and repeated answers emit nothing new.
+ *
+ * State and checkpoint are kept per supplier in a store with the cache
+ * interface (get/set/delete, sync or async) as JSON strings; the default
+ * store is an in-memory Map. The checkpoint only advances when both services
+ * answered, and the first poll of a supplier looks back `initialLookback` ms.
+ * Orders first seen in a poll are reported with previous values of null.
+ *
+ * Events (also accepted as onStatusChanged/onIssueRaised/... options):
+ * - 'statusChanged'           { supplier, purchaseOrderNumber, salesOrderNumber, previousStatus, status, validTimestamp }
+ * - 'issueRaised'             { supplier, purchaseOrderNumber, salesOrderNumber, issue }
+ * - 'deliveryEstimateChanged' { supplier, purchaseOrderNumber, salesOrderNumber, previousExpectedShipDate,
+ *                               expectedShipDate, previousExpectedDeliveryDate, expectedDeliveryDate }
+ * - 'partiallyShipped'        { supplier, purchaseOrderNumber, salesOrderNumber, packages }
+ * - 'shipped'                 { supplier, purchaseOrderNumber, salesOrderNumber, packages }
+ * - 'pollError'               { supplier, service, error }
+ *
+ * `packages` lists only packages not reported before, as normalizeShipments
+ * returns them (with trackingNumber, trackingUrl, carrier, service, items, ...).
+ */
+class OrderTracker extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {SupplierRegistry|Object} options.suppliers - A SupplierRegistry, or an
+   *   object of supplier code -> PromoStandardsClient or { orderStatus, orderShipment } services
+   * @param {Object} options.store - get(key), set(key, value) and delete(key) (default: new Map())
+   * @param {string} options.prefix - Key prefix in the store (default 'order-tracker:')
+   * @param {number} options.interval - Time between polls after start() (ms, default 15 minutes)
+   * @param {number} options.initialLookback - How far back the first poll looks (ms, default 24 hours)
+   * @param {number} options.overlap - Subtracted from the checkpoint to allow for clock skew (ms, default 5 minutes)
+   * @param {number} options.retention - Forget orders not reported for this long (ms, default 90 days)
+   * @param {CarrierRegistry} options.carriers - For package tracking URLs (default: UPS, USPS, FedEx and DHL)
+   */
+  constructor(options = {}) {
+    super();
+
+    if (!options.suppliers || typeof options.suppliers !== 'object') {
+      throw new ValidationError(
+        'suppliers must be a SupplierRegistry or an object of supplier targets',
+        { method: 'OrderTracker' }
+      );
+    }
+
+    this.suppliers = options.suppliers;
+    this.store = options.store || new Map();
+    this.prefix = options.prefix !== undefined ? options.prefix : 'order-tracker:';
+    this.interval = options.interval || 15 * 60 * 1000;
+    this.initialLookback = options.initialLookback !== undefined ? options.initialLookback : DAY;
+    this.overlap = options.overlap !== undefined ? options.overlap : 5 * 60 * 1000;
+    this.retention = options.retention || 90 * DAY;
+    this.carriers = options.carriers || null;
+
+    for (const [event, hook] of [
+      ['statusChanged', options.onStatusChanged],
+      ['issueRaised', options.onIssueRaised],
+      ['deliveryEstimateChanged', options.onDeliveryEstimateChanged],
+      ['partiallyShipped', options.onPartiallyShipped],
+      ['shipped', options.onShipped],
+      ['pollError', options.onPollError]
+    ]) {
+      if (hook) {
+        this.on(event, hook);
+      }
+    }
+
+    this.timer = null;
+    this.started = false;
+    this.running = null;
+  }
+
+  /**
+   * Poll every supplier once, one after another. Concurrent calls share the
+   * poll in progress.
+   * @returns {Promise<Object>} Supplier code -> pollSupplier() result
+   */
+  poll() {
+    if (!this.running) {
+      this.running = this.pollAll().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async pollAll() {
+    const results = {};
+    for (const code of this.listSuppliers()) {
+      try {
+        results[code] = await this.pollSupplier(code);
+      } catch (error) {
+        // Lookup or store failures; the supplier is tried again next poll
+        debug(`${code}: poll failed: ${error.message}`);
+        results[code] = { errors: [{ service: null, error }] };
+        this.emit('pollError', { supplier: code, service: null, error });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Poll one supplier, emit its events and save its state
+   *
+   * Service failures are emitted as 'pollError' rather than thrown; the
+   * checkpoint then stays where it was so the next poll covers the window again.
+   * @param {string} code - Supplier code
+   * @returns {Promise<Object>} { since, checkpoint, events, errors }
+   */
+  async pollSupplier(code) {
+    const { orderStatus, orderShipment } = this.getServices(code);
+    const state = await this.loadState(code);
+    const startedAt = this.now();
+    const since = new Date(state.checkpoint
+      ? Date.parse(state.checkpoint) - this.overlap
+      : startedAt - this.initialLookback);
+
+    const events = [];
+    const errors = [];
+    const emit = (event, payload) => {
+      events.push({ event, ...payload });
+      this.emit(event, payload);
+    };
+    const fetch = async (service, request) => {
+      if (!service) {
+        return [];
+      }
+      try {
+        return await request();
+      } catch (error) {
+        if (isNoResults(error)) {
+          return [];
+        }
+        debug(`${code}: ${service} poll failed: ${error.message}`);
+        errors.push({ service, error });
+        this.emit('pollError', { supplier: code, service, error });
+        return null;
+      }
+    };
+
+    const statuses = await fetch(orderStatus && 'orderStatus', async () =>
+      readOrderStatuses(await orderStatus.getOrderStatus({ queryType: 'lastUpdate', statusTimeStamp: since })));
+    const shipments = await fetch(orderShipment && 'orderShipment', async () =>
+      readShipments(await orderShipment.getShipmentsSince(since), this.carriers));
+
+    for (const detail of statuses || []) {
+      this.diffStatus(code, this.getOrder(state, detail, startedAt), detail, emit);
+    }
+    for (const salesOrder of shipments || []) {
+      this.diffShipment(code, this.getOrder(state, salesOrder, startedAt), salesOrder, emit);
+    }
+
+    if (errors.length === 0) {
+      state.checkpoint = new Date(startedAt).toISOString();
+    } else if (!state.checkpoint) {
+      // Pin the first window so a retry does not slide past it
+      state.checkpoint = since.toISOString();
+    }
+    this.prune(state, startedAt);
+    await this.store.set(this.key(code), JSON.stringify(state));
+
+    debug(`${code}: ${events.length} event(s) since ${since.toISOString()}`);
+    return { since, checkpoint: state.checkpoint, events, errors };
+  }
+
+  /**
+   * Poll now and then every `interval` ms after each poll finishes
+   * @param {number} interval - Overrides options.interval
+   */
+  start(interval = this.interval) {
+    this.stop();
+    this.interval = interval;
+
+    const run = () => {
+      this.timer = null;
+      this.poll().finally(() => {
+        if (this.timer === null && this.started) {
+          this.timer = setTimeout(run, this.interval);
+          if (this.timer.unref) {
+            this.timer.unref();
+          }
+        }
+      });
+    };
+
+    this.started = true;
+    run();
+    return this;
+  }
+
+  stop() {
+    this.started = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    return this;
+  }
+
+  /**
+   * Saved state of a supplier: { checkpoint, orders }
+   * @param {string} code - Supplier code
+   * @returns {Promise<Object>}
+   */
+  async loadState(code) {
+    const stored = await this.store.get(this.key(code));
+    const state = typeof stored === 'string' ? JSON.parse(stored) : stored;
+    return { checkpoint: null, orders: {}, ...state };
+  }
+
+  /**
+   * Forget a supplier's checkpoint and known orders
+   * @param {string} code - Supplier code
+   */
+  async reset(code) {
+    await this.store.delete(this.key(code));
+  }
+
+  key(code) {
+    return `${this.prefix}${code}`;
+  }
+
+  /**
+   * Supplier codes to poll
+   */
+  listSuppliers() {
+    if (isRegistry(this.suppliers)) {
+      return this.suppliers.listSuppliers().filter(code => {
+        const services = this.suppliers.getSupplierConfig(code).services;
+        return services.orderStatus || services.orderShipment;
+      });
+    }
+    return Object.keys(this.suppliers);
+  }
+
+  /**
+   * Find a supplier's orderStatus and orderShipment services (either may be missing)
+   */
+  getServices(code) {
+    const target = isRegistry(this.suppliers)
+      ? this.suppliers.getSupplier(code)
+      : this.suppliers[code];
+
+    if (!target) {
+      throw new ValidationError(`Supplier '${code}' is not tracked`, { supplier: code });
+    }
+
+    const find = (name) => (target.services instanceof Map
+      ? target.services.get(name)
+      : target[name]) || null;
+    return { orderStatus: find('orderStatus'), orderShipment: find('orderShipment') };
+  }
+
+  /**
+   * Known state of a sales order, created on first sight
+   */
+  getOrder(state, { purchaseOrderNumber, salesOrderNumber }, now) {
+    const key = `${purchaseOrderNumber}/${salesOrderNumber || ''}`;
+    if (!state.orders[key]) {
+      state.orders[key] = {
+        purchaseOrderNumber,
+        salesOrderNumber,
+        status: null,
+        expectedShipDate: null,
+        expectedDeliveryDate: null,
+        issues: [],
+        packages: [],
+        shippedInFull: false
+      };
+    }
+    state.orders[key].lastSeenAt = new Date(now).toISOString();
+    return state.orders[key];
+  }
+
+  diffStatus(supplier, order, detail, emit) {
+    const ids = { supplier, purchaseOrderNumber: order.purchaseOrderNumber, salesOrderNumber: order.salesOrderNumber };
+
+    if (detail.status && detail.status !== order.status) {
+      emit('statusChanged', {
+        ...ids,
+        previousStatus: order.status,
+        status: detail.status,
+        validTimestamp: detail.validTimestamp
+      });
+      order.status = detail.status;
+    }
+
+    for (const issue of detail.issues) {
+      if (!order.issues.includes(issue.key)) {
+        emit('issueRaised', { ...ids, issue: issue.issue });
+        order.issues.push(issue.key);
+      }
+    }
+
+    if (detail.expectedShipDate !== order.expectedShipDate ||
+        detail.expectedDeliveryDate !== order.expectedDeliveryDate) {
+      emit('deliveryEstimateChanged', {
+        ...ids,
+        previousExpectedShipDate: order.expectedShipDate,
+        expectedShipDate: detail.expectedShipDate,
+        previousExpectedDeliveryDate: order.expectedDeliveryDate,
+        expectedDeliveryDate: detail.expectedDeliveryDate
+      });
+      order.expectedShipDate = detail.expectedShipDate;
+      order.expectedDeliveryDate = detail.expectedDeliveryDate;
+    }
+  }
+
+  diffShipment(supplier, order, salesOrder, emit) {
+    const packages = salesOrder.packages.filter(pkg => !order.packages.includes(packageKey(pkg)));
+    const shippedInFull = salesOrder.shippedInFull && !order.shippedInFull;
+
+    if (packages.length === 0 && !shippedInFull) {
+      return;
+    }
+
+    emit(salesOrder.shippedInFull ? 'shipped' : 'partiallyShipped', {
+      supplier,
+      purchaseOrderNumber: order.purchaseOrderNumber,
+      salesOrderNumber: order.salesOrderNumber,
+      packages
+    });
+
+    order.packages.push(...packages.map(packageKey));
+    order.shippedInFull = order.shippedInFull || salesOrder.shippedInFull;
+  }
+
+  /**
+   * Drop orders not reported within the retention period
+   */
+  prune(state, now) {
+    for (const [key, order] of Object.entries(state.orders)) {
+      if (now - Date.parse(order.lastSeenAt) > this.retention) {
+        delete state.orders[key];
+      }
+    }
+  }
+
+  now() {
+    return Date.now();
+  }
+}
+
+function isRegistry(value) {
+  return typeof value.getSupplier === 'function' && typeof value.listSuppliers === 'function';
+}
+
+/**
+ * Flatten a getOrderStatus response (1.0.0 or 2.0.0) to one entry per sales order
+ */
+function readOrderStatuses(response) {
+  const orders = toArray(response?.orderStatusArray?.orderStatus);
+
+  return orders.flatMap(order => toArray(order.orderStatusDetailArray?.orderStatusDetail).map(detail => ({
+    purchaseOrderNumber: toText(order.purchaseOrderNumber),
+    salesOrderNumber: toText(detail.salesOrderNumber ?? detail.factoryOrderNumber),
+    status: toText(detail.status ?? detail.statusName),
+    expectedShipDate: toIsoDate(detail.expectedShipDate),
+    expectedDeliveryDate: toIsoDate(detail.expectedDeliveryDate),
+    validTimestamp: toIsoDate(detail.validTimestamp),
+    issues: toArray(detail.issueArray?.issue).map(issue => ({
+      key: toText(issue.issueId) || `${toText(issue.issueCategory)}:${toText(issue.issueName)}`,
+      issue: {
+        issueId: toText(issue.issueId),
+        issueCategory: toText(issue.issueCategory),
+        issueName: toText(issue.issueName),
+        issueDescription: toText(issue.issueDescription),
+        issueStatus: toText(issue.issueStatus),
+        urgentResponseRequired: toBoolean(issue.urgentResponseRequired),
+        responseRequiredBy: toIsoDate(issue.responseRequiredBy)
+      }
+    }))
+  })));
+}
+
+/**
+ * Group normalized shipments by sales order
+ */
+function readShipments(response, carriers) {
+  const salesOrders = new Map();
+
+  for (const shipment of normalizeShipments(response, { carriers }).shipments) {
+    const key = `${shipment.purchaseOrderNumber}/${shipment.salesOrderNumber || ''}`;
+    if (!salesOrders.has(key)) {
+      salesOrders.set(key, {
+        purchaseOrderNumber: shipment.purchaseOrderNumber,
+        salesOrderNumber: shipment.salesOrderNumber,
+        shippedInFull: shipment.salesOrderShippedInFull === true,
+        packages: []
+      });
+    }
+    salesOrders.get(key).packages.push(...shipment.packages);
+  }
+
+  return [...salesOrders.values()];
+}
+
+/**
+ * Packages are told apart by tracking number, or by date and carrier without one
+ */
+function packageKey(pkg) {
+  return pkg.trackingNumber || `${toIsoDate(pkg.shipmentDate)}:${pkg.carrier}:${pkg.service}`;
+}
+
+function toIsoDate(value) {
+  const date = toDate(value);
+  return date ? date.toISOString() : null;
+}
+
+module.exports = OrderTracker;
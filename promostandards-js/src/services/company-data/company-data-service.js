@@ -1,4 +1,5 @@
 const BaseService = require('../../core/base-service');
+const { ValidationError } = require('../../core/errors');
 
 /**
  * CompanyDataService - PromoStandards Company Data Service
@@ -6,51 +7,220 @@ const BaseService = require('../../core/base-service');
  * Provides methods to query supplier company information.
  *
  * Operations:
- * - getCompanyInfo: Get supplier company information
+ * - getCompanyData: Get company name, contact and business lines
+ * - getContacts: Get supplier contacts
+ * - getPaymentMethods: Get accepted payment methods
+ * - getPaymentTerms: Get available payment terms
+ * - getPhysicalLocations: Get warehouses, offices and FOB locations
+ * - getPolicies: Get supplier policies
+ * - getShippingMethods: Get supported shipping methods
+ * - getCertifications: Get company certifications
+ * - getBusinessCharacteristics: Get business characteristics (e.g. diversity)
+ * - getAvailablePromoStandardsServices: Get the services the supplier implements
+ * - getPromoStandardsServiceDetails: Get endpoint details for each service
+ * - getServiceMethods: Get available service methods
  */
 class CompanyDataService extends BaseService {
   static serviceName = 'CompanyData';
   static supportedVersions = ['1.0.0'];
   static defaultVersion = '1.0.0';
 
+  /**
+   * Every Company Data operation uses the same RequestMethod element,
+   * which only carries the authentication fields (wsVersion, id, password)
+   */
+  static requestElementName = 'RequestMethod';
+
   constructor(options = {}) {
     super(options);
 
     this.operations = {
-      getCompanyInfo: 'getCompanyInfo'
+      getCompanyData: 'getCompanyData',
+      getContacts: 'getContacts',
+      getPaymentMethods: 'getPaymentMethods',
+      getPaymentTerms: 'getPaymentTerms',
+      getPhysicalLocations: 'getPhysicalLocations',
+      getPolicies: 'getPolicies',
+      getShippingMethods: 'getShippingMethods',
+      getCertifications: 'getCertifications',
+      getBusinessCharacteristics: 'getBusinessCharacteristics',
+      getAvailablePromoStandardsServices: 'getAvailablePromoStandardsServices',
+      getPromoStandardsServiceDetails: 'getPromoStandardsServiceDetails',
+      getServiceMethods: 'getServiceMethods'
     };
   }
 
   /**
-   * Get company information
-   * @param {Object} params - Request parameters (optional)
-   * @returns {Promise<Object>} Company info response
+   * Get company data (name, website, primary contact, business lines)
+   * @returns {Promise<Object>} Company data response
    */
-  async getCompanyInfo(params = {}) {
-    const request = {};
+  async getCompanyData(params = {}) {
+    return this.callRequestMethod(this.operations.getCompanyData, params);
+  }
+
+  /**
+   * @deprecated getCompanyInfo is not a Company Data 1.0.0 operation. Use getCompanyData.
+   * @returns {Promise<Object>} Company data response
+   */
+  async getCompanyInfo() {
+    return this.getCompanyData();
+  }
+
+  /**
+   * Get supplier contacts
+   * @returns {Promise<Object>} Contacts response
+   */
+  async getContacts(params = {}) {
+    return this.callRequestMethod(this.operations.getContacts, params);
+  }
+
+  /**
+   * Get accepted payment methods
+   * @returns {Promise<Object>} Payment methods response
+   */
+  async getPaymentMethods(params = {}) {
+    return this.callRequestMethod(this.operations.getPaymentMethods, params);
+  }
+
+  /**
+   * Get available payment terms
+   * @returns {Promise<Object>} Payment terms response
+   */
+  async getPaymentTerms(params = {}) {
+    return this.callRequestMethod(this.operations.getPaymentTerms, params);
+  }
+
+  /**
+   * Get physical locations (warehouses, offices, FOB points)
+   * @returns {Promise<Object>} Physical locations response
+   */
+  async getPhysicalLocations(params = {}) {
+    return this.callRequestMethod(this.operations.getPhysicalLocations, params);
+  }
+
+  /**
+   * Get supplier policies
+   * @returns {Promise<Object>} Policies response
+   */
+  async getPolicies(params = {}) {
+    return this.callRequestMethod(this.operations.getPolicies, params);
+  }
+
+  /**
+   * Get supported shipping methods
+   * @returns {Promise<Object>} Shipping methods response
+   */
+  async getShippingMethods(params = {}) {
+    return this.callRequestMethod(this.operations.getShippingMethods, params);
+  }
+
+  /**
+   * Get company certifications
+   * @returns {Promise<Object>} Certifications response
+   */
+  async getCertifications(params = {}) {
+    return this.callRequestMethod(this.operations.getCertifications, params);
+  }
+
+  /**
+   * Get business characteristics
+   * @returns {Promise<Object>} Business characteristics response
+   */
+  async getBusinessCharacteristics(params = {}) {
+    return this.callRequestMethod(this.operations.getBusinessCharacteristics, params);
+  }
+
+  /**
+   * Get the PromoStandards services (type and version) the supplier implements
+   * @returns {Promise<Object>} Available services response
+   */
+  async getAvailablePromoStandardsServices(params = {}) {
+    return this.callRequestMethod(this.operations.getAvailablePromoStandardsServices, params);
+  }
+
+  /**
+   * Get endpoint details for each PromoStandards service the supplier implements
+   * @returns {Promise<Object>} Service details response
+   */
+  async getPromoStandardsServiceDetails(params = {}) {
+    return this.callRequestMethod(this.operations.getPromoStandardsServiceDetails, params);
+  }
+
+  /**
+   * Get available service methods
+   * @returns {Promise<Object>} Service methods response
+   */
+  async getServiceMethods(params = {}) {
+    return this.callRequestMethod(this.operations.getServiceMethods, params);
+  }
+
+  /**
+   * Call an operation that takes the RequestMethod element
+   * @private
+   */
+  async callRequestMethod(operation, params) {
+    const request = this.buildRequestMethod(params, operation);
+    return this.call(operation, request, { elementName: CompanyDataService.requestElementName });
+  }
 
-    // Include any optional parameters
-    if (params.localizationCountry || params.country) {
-      request.localizationCountry = params.localizationCountry || params.country;
+  /**
+   * Build a RequestMethod body. Authentication is injected by BaseService,
+   * so the only accepted input is an explicit wsVersion override.
+   */
+  buildRequestMethod(params = {}, operation) {
+    if (params === null || typeof params !== 'object' || Array.isArray(params)) {
+      throw new ValidationError(
+        'params must be an object',
+        { method: operation, type: typeof params }
+      );
     }
 
-    if (params.localizationLanguage || params.language) {
-      request.localizationLanguage = params.localizationLanguage || params.language;
+    const unsupported = Object.keys(params).filter(key => key !== 'wsVersion');
+    if (unsupported.length > 0) {
+      throw new ValidationError(
+        `${operation} does not accept request parameters`,
+        { method: operation, unsupported }
+      );
     }
 
-    return this.call(this.operations.getCompanyInfo, request);
+    const request = {};
+    if (params.wsVersion) {
+      request.wsVersion = params.wsVersion;
+    }
+
+    return request;
   }
 
   /**
-   * Response validators
+   * Build a validator for a Company Data response. Every response is either
+   * the expected array or a ServiceMessageArray explaining why it is empty.
+   * @private
    */
-  static responseValidators = {
-    getCompanyInfo: (response) => {
-      if (!response.companyInfo && !response.company) {
-        throw new Error('Invalid response: missing company info');
+  static expectArray(key, label) {
+    return (response) => {
+      if (!response[key] && !response.serviceMessageArray) {
+        throw new Error(`Invalid response: missing ${label}`);
       }
       return response;
-    }
+    };
+  }
+
+  /**
+   * Response validators
+   */
+  static responseValidators = {
+    getCompanyData: CompanyDataService.expectArray('companyData', 'company data'),
+    getContacts: CompanyDataService.expectArray('contactArray', 'contacts'),
+    getPaymentMethods: CompanyDataService.expectArray('paymentMethodArray', 'payment methods'),
+    getPaymentTerms: CompanyDataService.expectArray('paymentTermsArray', 'payment terms'),
+    getPhysicalLocations: CompanyDataService.expectArray('physicalLocationArray', 'physical locations'),
+    getPolicies: CompanyDataService.expectArray('policyArray', 'policies'),
+    getShippingMethods: CompanyDataService.expectArray('shippingMethodArray', 'shipping methods'),
+    getCertifications: CompanyDataService.expectArray('certificationArray', 'certifications'),
+    getBusinessCharacteristics: CompanyDataService.expectArray('businessCharacteristicArray', 'business characteristics'),
+    getAvailablePromoStandardsServices: CompanyDataService.expectArray('promoStandardsServiceArray', 'available services'),
+    getPromoStandardsServiceDetails: CompanyDataService.expectArray('promoStandardsServiceDetailArray', 'service details'),
+    getServiceMethods: CompanyDataService.expectArray('serviceMethodArray', 'service methods')
   };
 }
 
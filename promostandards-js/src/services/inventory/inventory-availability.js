@@ -0,0 +1,159 @@
+const { ValidationError } = require('../../core/errors');
+const { toDate } = require('../../core/response-utils');
+const { normalizeInventory } = require('./inventory-normalizer');
+
+/**
+ * Availability questions answered from getInventoryLevels output
+ *
+ * Every helper takes a raw getInventoryLevels response (1.2.1 or 2.0.0) or
+ * its normalized form (see inventory-normalizer.js). 1.2.1 suppliers report
+ * neither warehouses nor future availability, so only on-hand stock counts.
+ */
+
+function toNormalized(inventory) {
+  return inventory && Array.isArray(inventory.parts) ? inventory : normalizeInventory(inventory);
+}
+
+/**
+ * Find a part by partId
+ * @throws {ValidationError} If the inventory has no such part
+ */
+function findPart(inventory, partId) {
+  const normalized = toNormalized(inventory);
+  const part = normalized.parts.find(candidate => candidate.partId === String(partId));
+
+  if (!part) {
+    throw new ValidationError(
+      `Part '${partId}' not found in inventory for ${normalized.productId}`,
+      { partId, availableParts: normalized.parts.map(candidate => candidate.partId) }
+    );
+  }
+  return part;
+}
+
+/**
+ * On-hand quantity of a part across locations (part quantity when the
+ * supplier lists no locations). Omit partId for every part of the product.
+ * @returns {number}
+ */
+function getTotalAvailable(inventory, partId) {
+  const parts = partId === undefined ? toNormalized(inventory).parts : [findPart(inventory, partId)];
+
+  return parts.reduce((total, part) => total + onHand(part), 0);
+}
+
+/**
+ * Quantity of a part that can ship by a date: on-hand stock plus future
+ * availability arriving on or before the date
+ * @param {Object} inventory
+ * @param {string} partId
+ * @param {Date|string} date - Ship-by date (default now)
+ * @returns {number}
+ */
+function getAvailableByDate(inventory, partId, date = new Date()) {
+  const part = findPart(inventory, partId);
+  const by = toShipByDate(date);
+
+  return onHand(part) + incomingBy(part.futureAvailability, by);
+}
+
+/**
+ * Pick the warehouse that can fulfil a quantity on its own
+ *
+ * Locations with enough stock on hand win, then locations whose future
+ * availability covers the rest by `options.date`. Ties go to the earliest
+ * `options.preferredLocations` entry, then the location with the most stock.
+ *
+ * @param {Object} inventory
+ * @param {string} partId
+ * @param {number} quantity
+ * @param {Object} options
+ * @param {Date|string} options.date - Accept stock arriving by this date
+ * @param {string[]} options.preferredLocations - Location IDs in order of preference
+ * @returns {Object|null} { locationId, name, quantityAvailable, availableOn } (availableOn
+ *   null when on hand), or null when no single location can fulfil the quantity
+ */
+function selectFulfillmentLocation(inventory, partId, quantity, options = {}) {
+  const part = findPart(inventory, partId);
+  const by = options.date ? toShipByDate(options.date) : null;
+  const preferred = options.preferredLocations || [];
+  const rank = (location) => {
+    const index = preferred.indexOf(location.id);
+    return index === -1 ? preferred.length : index;
+  };
+
+  const candidates = part.locations
+    .map(location => ({ location, availableOn: readyOn(location, quantity, by) }))
+    .filter(candidate => candidate.availableOn !== undefined)
+    .sort((a, b) =>
+      (a.availableOn ? 1 : 0) - (b.availableOn ? 1 : 0) ||
+      (a.availableOn && b.availableOn ? a.availableOn - b.availableOn : 0) ||
+      rank(a.location) - rank(b.location) ||
+      (b.location.quantityAvailable || 0) - (a.location.quantityAvailable || 0)
+    );
+
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  const { location, availableOn } = candidates[0];
+  return {
+    locationId: location.id,
+    name: location.name,
+    quantityAvailable: location.quantityAvailable,
+    availableOn
+  };
+}
+
+function onHand(part) {
+  if (part.locations.length > 0) {
+    return part.locations.reduce((total, location) => total + (location.quantityAvailable || 0), 0);
+  }
+  return part.quantityAvailable || 0;
+}
+
+function incomingBy(futureAvailability, by) {
+  return futureAvailability
+    .filter(entry => entry.availableOn && entry.availableOn <= by)
+    .reduce((total, entry) => total + (entry.quantity || 0), 0);
+}
+
+/**
+ * When a location holds `quantity`: null if on hand, the arrival date that
+ * completes it if by `by`, undefined if never
+ */
+function readyOn(location, quantity, by) {
+  let available = location.quantityAvailable || 0;
+  if (available >= quantity) {
+    return null;
+  }
+  if (!by) {
+    return undefined;
+  }
+
+  for (const entry of location.futureAvailability) {
+    if (!entry.availableOn || entry.availableOn > by) {
+      break;
+    }
+    available += entry.quantity || 0;
+    if (available >= quantity) {
+      return entry.availableOn;
+    }
+  }
+  return undefined;
+}
+
+function toShipByDate(date) {
+  const by = toDate(date);
+  if (!by) {
+    throw new ValidationError(`Invalid date: ${date}`, { date });
+  }
+  return by;
+}
+
+module.exports = {
+  findPart,
+  getTotalAvailable,
+  getAvailableByDate,
+  selectFulfillmentLocation
+};
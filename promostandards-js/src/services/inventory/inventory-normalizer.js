@@ -0,0 +1,160 @@
+const { ValidationError } = require('../../core/errors');
+const {
+  toArray,
+  toText,
+  toNumber,
+  toBoolean,
+  toDate,
+  toServiceMessages
+} = require('../../core/response-utils');
+
+/**
+ * Normalize a getInventoryLevels response (1.2.1 or 2.0.0) into one model:
+ *
+ * {
+ *   productId,
+ *   parts: [{
+ *     partId, description, color, size, selection, mainPart,
+ *     quantityAvailable, uom,
+ *     manufacturedItem, buyToOrder, replenishmentLeadTime,   // manual-inventory flags (2.0.0)
+ *     locations: [{ id, name, postalCode, country, quantityAvailable, uom, futureAvailability }],
+ *     futureAvailability: [{ quantity, uom, availableOn, locationId }],  // every location, by date
+ *     lastModified
+ *   }],
+ *   companionParts: [...],  // 1.2.1 ProductCompanionInventoryArray, same shape as parts
+ *   messages: [{ code, description, severity }]
+ * }
+ *
+ * Fields a version does not carry are null (or [] for arrays).
+ *
+ * @param {Object} response - getInventoryLevels result
+ * @returns {Object}
+ * @throws {ValidationError} If the response has neither inventory structure
+ */
+function normalizeInventory(response) {
+  if (response?.inventory || response?.serviceMessageArray) {
+    return normalizeV2(response);
+  }
+  // 1.2.1 Reply: productID and the inventory arrays at the top level
+  if (response && ['productId', 'productVariationInventoryArray', 'productCompanionInventoryArray',
+    'errorMessage', 'customMessageArray'].some(key => response[key] !== undefined)) {
+    return normalizeV1(response);
+  }
+
+  throw new ValidationError(
+    'Unrecognized inventory response: expected Inventory (2.0.0) or ProductVariationInventoryArray (1.2.1)',
+    { keys: response && typeof response === 'object' ? Object.keys(response) : [] }
+  );
+}
+
+function normalizeV2(response) {
+  const inventory = response.inventory || {};
+
+  return {
+    productId: toText(inventory.productId),
+    parts: toArray(inventory.partInventoryArray?.partInventory).map(normalizeV2Part),
+    companionParts: [],
+    messages: toServiceMessages(response.serviceMessageArray)
+  };
+}
+
+function normalizeV2Part(part) {
+  const quantity = readQuantity(part.quantityAvailable);
+  const locations = toArray(part.inventoryLocationArray?.inventoryLocation).map(normalizeV2Location);
+
+  return {
+    partId: toText(part.partId),
+    description: toText(part.partDescription),
+    color: toText(part.partColor),
+    size: toText(part.labelSize),
+    selection: toText(part.attributeSelection),
+    mainPart: toBoolean(part.mainPart),
+    quantityAvailable: quantity.value,
+    uom: quantity.uom,
+    manufacturedItem: toBoolean(part.manufacturedItem),
+    buyToOrder: toBoolean(part.buyToOrder),
+    replenishmentLeadTime: toNumber(part.replenishmentLeadTime),
+    locations,
+    futureAvailability: locations
+      .flatMap(location => location.futureAvailability.map(entry => ({ ...entry, locationId: location.id })))
+      .sort(byAvailableOn),
+    lastModified: toDate(part.lastModified)
+  };
+}
+
+function normalizeV2Location(location) {
+  const quantity = readQuantity(location.inventoryLocationQuantity);
+
+  return {
+    id: toText(location.inventoryLocationId),
+    name: toText(location.inventoryLocationName),
+    postalCode: toText(location.postalCode),
+    country: toText(location.country),
+    quantityAvailable: quantity.value,
+    uom: quantity.uom,
+    futureAvailability: toArray(location.futureAvailabilityArray?.futureAvailability)
+      .map(entry => {
+        const future = readQuantity(entry);
+        return { quantity: future.value, uom: future.uom, availableOn: toDate(entry.availableOn) };
+      })
+      .sort(byAvailableOn)
+  };
+}
+
+function normalizeV1(response) {
+  const messages = toArray(response.customMessageArray?.customMessage)
+    .map(message => ({ code: null, description: toText(message), severity: 'Information' }));
+  if (toText(response.errorMessage)) {
+    messages.unshift({ code: null, description: toText(response.errorMessage), severity: 'Error' });
+  }
+
+  return {
+    productId: toText(response.productId),
+    parts: toArray(response.productVariationInventoryArray?.productVariationInventory).map(normalizeV1Part),
+    companionParts: toArray(response.productCompanionInventoryArray?.productCompanionInventory).map(normalizeV1Part),
+    messages
+  };
+}
+
+function normalizeV1Part(part) {
+  return {
+    partId: toText(part.partId),
+    description: toText(part.partDescription),
+    color: toText(part.attributeColor),
+    size: toText(part.attributeSize),
+    selection: toText(part.attributeSelection),
+    mainPart: null,
+    quantityAvailable: toNumber(part.quantityAvailable),
+    uom: null,
+    manufacturedItem: null,
+    buyToOrder: null,
+    replenishmentLeadTime: null,
+    locations: [],
+    futureAvailability: [],
+    // validTimestamp is when the quantity was valid
+    lastModified: toDate(part.validTimestamp)
+  };
+}
+
+/**
+ * Read { quantity: { uom, value } } (the 2.0.0 Quantity element)
+ */
+function readQuantity(container) {
+  const quantity = container?.quantity;
+  return {
+    value: toNumber(quantity?.value),
+    uom: toText(quantity?.uom)
+  };
+}
+
+// Undated entries last
+function byAvailableOn(a, b) {
+  if (!a.availableOn || !b.availableOn) {
+    return (a.availableOn ? 0 : 1) - (b.availableOn ? 0 : 1);
+  }
+  return a.availableOn - b.availableOn;
+}
+
+module.exports = {
+  normalizeInventory
+};
@@ -1,5 +1,7 @@
 const BaseService = require('../../core/base-service');
 const { ValidationError } = require('../../core/errors');
+const { normalizeInventory } = require('./inventory-normalizer');
+const availability = require('./inventory-availability');
 
 class InventoryService extends BaseService {
   static serviceName = 'Inventory';
@@ -24,6 +26,54 @@ class InventoryService extends BaseService {
     return this.call(this.operations.getInventoryLevels, requestData, options);
   }
 
+  /**
+   * Get inventory levels in the version-independent model (see inventory-normalizer.js)
+   * @param {Object} params - Same as getInventoryLevels
+   * @returns {Promise<Object>} { productId, parts, companionParts, messages }
+   */
+  async getNormalizedInventoryLevels(params = {}) {
+    const response = await this.getInventoryLevels(params);
+
+    try {
+      return normalizeInventory(response);
+    } catch (error) {
+      throw this.handleError(error, this.operations.getInventoryLevels);
+    }
+  }
+
+  /**
+   * On-hand quantity across locations
+   * @param {Object} inventory - getInventoryLevels or getNormalizedInventoryLevels result
+   * @param {string} partId - Omit for every part of the product
+   * @returns {number}
+   */
+  getTotalAvailable(inventory, partId) {
+    return availability.getTotalAvailable(inventory, partId);
+  }
+
+  /**
+   * Quantity that can ship by a date (on hand plus future availability by then)
+   * @param {Object} inventory - getInventoryLevels or getNormalizedInventoryLevels result
+   * @param {string} partId
+   * @param {Date|string} date - Default now
+   * @returns {number}
+   */
+  getAvailableByDate(inventory, partId, date) {
+    return availability.getAvailableByDate(inventory, partId, date);
+  }
+
+  /**
+   * Warehouse that can fulfil a quantity on its own (see inventory-availability.js)
+   * @param {Object} inventory - getInventoryLevels or getNormalizedInventoryLevels result
+   * @param {string} partId
+   * @param {number} quantity
+   * @param {Object} options - { date, preferredLocations }
+   * @returns {Object|null} { locationId, name, quantityAvailable, availableOn }
+   */
+  selectFulfillmentLocation(inventory, partId, quantity, options = {}) {
+    return availability.selectFulfillmentLocation(inventory, partId, quantity, options);
+  }
+
   async getFilterValues(params = {}) {
     const requestData = {
       productId: params.productId || params.productID
@@ -159,12 +209,12 @@ class InventoryService extends BaseService {
     getInventoryLevels: (response) => {
       // After normalizeJsonResponse, all keys are camelCase
       // Different vendors/versions use different response structures:
-      // - V1.2.1 (Hit): Reply with ProductVariationInventoryArray
+      // - V1.2.1 (Hit): Reply with ProductVariationInventoryArray (or only productID)
       // - V2.0.0: inventory or inventoryLevels
       if (!response.inventory &&
           !response.inventoryLevels &&
           !response.productVariationInventoryArray &&
-          !response.productID) {
+          !response.productId) {
         throw new Error('Invalid response: missing inventory data');
       }
       return response;
@@ -0,0 +1,281 @@
+const { ValidationError } = require('../../core/errors');
+const {
+  toArray,
+  toText,
+  toNumber,
+  toDate,
+  toServiceMessages
+} = require('../../core/response-utils');
+
+const CREDIT_MEMO = 'CREDIT MEMO';
+
+/**
+ * Charge types as used by the PO service's ChargeArray, guessed from the
+ * line description when the caller has no chargeId mapping. Checked in order:
+ * "Screen print setup" is a Setup charge, not a Run charge.
+ */
+const CHARGE_TYPE_PATTERNS = [
+  ['Freight', /\b(freight|shipping|delivery|postage|handling)\b/i],
+  ['Setup', /\b(set\s*-?\s*up|screens?|plates?|dies?|digitiz\w*|tooling)\b/i],
+  ['Run', /\b(run|imprint\w*|print\w*|decorat\w*|embroider\w*|engrav\w*|deboss\w*|emboss\w*|per\s+(piece|unit|color))\b/i],
+  ['Order', /\b(less\s+than\s+minimum|ltm|rush|proofs?|order\s+charge)\b/i]
+];
+
+/**
+ * Normalize a getInvoices response into one model per invoice:
+ *
+ * {
+ *   invoices: [{
+ *     invoiceNumber, invoiceType, creditMemo, invoiceDate, paymentDueDate,
+ *     purchaseOrderNumber, purchaseOrderVersion, salesOrderNumbers,
+ *     billTo: { accountName, accountNumber, attentionTo, address1, address2, address3,
+ *               city, region, postalCode, country, email, phone },
+ *     soldTo: { ... },
+ *     comments, paymentTerms, currency, fob, documentUrl, paymentUrl,
+ *     lineItems: [{ lineNumber, purchaseOrderLineNumber, productId, partId,
+ *                   distributorProductId, distributorPartId, description,
+ *                   orderedQuantity, quantity, backOrderedQuantity, uom,
+ *                   unitPrice, discountAmount, extendedPrice }],
+ *     charges: [{ lineNumber, purchaseOrderLineNumber, chargeId, chargeType, description,
+ *                 quantity, uom, unitPrice, discountAmount, extendedPrice }],
+ *     taxes: [{ type, jurisdiction, amount }],
+ *     salesAmount, shippingAmount, handlingAmount, taxAmount,      // as sent
+ *     invoiceAmount, advancePaymentAmount, invoiceAmountDue,
+ *     totals: { lineItems, charges, subtotal, shipping, handling, tax, total, amountDue },
+ *     consistency: { consistent, errors: [{ check, lineNumber, expected, actual, difference, message }] }
+ *   }],
+ *   messages: [{ code, description, severity }]
+ * }
+ *
+ * Invoice lines with a chargeId, or with no product or part ID, are charges.
+ * chargeType is 'Setup', 'Run', 'Freight' or 'Order' from options.chargeTypes
+ * (keyed by chargeId, e.g. the PO's charges) or else from the description;
+ * null when neither says.
+ *
+ * totals are computed from the lines: subtotal is every line's extended price
+ * (charges included, as in salesAmount), total adds shipping, handling and
+ * tax. consistency compares them with what the supplier sent: each line's
+ * quantity x unitPrice - discount, salesAmount, taxAmount against TaxArray,
+ * invoiceAmount and invoiceAmountDue. Credit memos keep the amounts as sent
+ * (positive); creditMemo tells them apart.
+ *
+ * @param {Object} response - getInvoices result
+ * @param {Object} options
+ * @param {Map|Object} options.chargeTypes - chargeId => chargeType
+ * @param {number} options.tolerance - Money differences up to this are consistent (default 0.01)
+ * @returns {Object}
+ * @throws {ValidationError} If the response has no invoice structure
+ */
+function normalizeInvoices(response, options = {}) {
+  if (!response || !['invoiceArray', 'serviceMessageArray'].some(key => response[key] !== undefined)) {
+    throw new ValidationError(
+      'Unrecognized invoice response: expected InvoiceArray',
+      { keys: response && typeof response === 'object' ? Object.keys(response) : [] }
+    );
+  }
+
+  return {
+    invoices: toArray(response.invoiceArray?.invoice).map(invoice => normalizeInvoice(invoice, options)),
+    messages: toServiceMessages(response.serviceMessageArray)
+  };
+}
+
+/**
+ * Normalize one Invoice element (see normalizeInvoices)
+ * @param {Object} invoice - An entry of response.invoiceArray.invoice
+ * @param {Object} options - Same as normalizeInvoices
+ * @returns {Object}
+ */
+function normalizeInvoice(invoice, options = {}) {
+  const tolerance = options.tolerance !== undefined ? options.tolerance : 0.01;
+  const invoiceType = (toText(invoice.invoiceType) || 'INVOICE').toUpperCase();
+  const lineItems = [];
+  const charges = [];
+
+  for (const line of toArray(invoice.invoiceLineItemsArray?.invoiceLineItem)) {
+    const chargeId = toText(line.chargeId);
+    const ids = {
+      productId: toText(line.productId),
+      partId: toText(line.partId),
+      distributorProductId: toText(line.distributorProductId),
+      distributorPartId: toText(line.distributorPartId)
+    };
+
+    if (chargeId !== null || !Object.values(ids).some(Boolean)) {
+      const charge = { ...normalizeLine(line), chargeId };
+      charges.push({ ...charge, chargeType: chargeTypeOf(charge, options.chargeTypes) });
+    } else {
+      lineItems.push({
+        ...normalizeLine(line),
+        ...ids,
+        orderedQuantity: toNumber(line.orderedQuantity),
+        backOrderedQuantity: toNumber(line.backOrderedQuantity)
+      });
+    }
+  }
+
+  const normalized = {
+    invoiceNumber: toText(invoice.invoiceNumber),
+    invoiceType,
+    creditMemo: invoiceType === CREDIT_MEMO,
+    invoiceDate: toDate(invoice.invoiceDate),
+    paymentDueDate: toDate(invoice.paymentDueDate),
+    purchaseOrderNumber: toText(invoice.purchaseOrderNumber),
+    purchaseOrderVersion: toText(invoice.purchaseOrderVersion),
+    salesOrderNumbers: toArray(invoice.salesOrderNumbersArray?.salesOrderNumber).map(toText).filter(Boolean),
+    billTo: normalizeAccount(invoice.billTo),
+    soldTo: normalizeAccount(invoice.soldTo),
+    comments: toText(invoice.invoiceComments),
+    paymentTerms: toText(invoice.paymentTerms),
+    currency: toText(invoice.currency),
+    fob: toText(invoice.fob),
+    documentUrl: toText(invoice.invoiceDocumentUrl),
+    paymentUrl: toText(invoice.invoicePaymentUrl),
+    lineItems,
+    charges,
+    taxes: toArray(invoice.taxArray?.tax).map(tax => ({
+      type: toText(tax.taxType),
+      jurisdiction: toText(tax.taxJurisdiction),
+      amount: toNumber(tax.taxAmount)
+    })),
+    salesAmount: toNumber(invoice.salesAmount),
+    shippingAmount: toNumber(invoice.shippingAmount),
+    handlingAmount: toNumber(invoice.handlingAmount),
+    taxAmount: toNumber(invoice.taxAmount),
+    invoiceAmount: toNumber(invoice.invoiceAmount),
+    advancePaymentAmount: toNumber(invoice.advancePaymentAmount),
+    invoiceAmountDue: toNumber(invoice.invoiceAmountDue)
+  };
+
+  normalized.totals = computeTotals(normalized);
+  normalized.consistency = checkConsistency(normalized, tolerance);
+  return normalized;
+}
+
+/**
+ * Fields shared by product and charge lines
+ */
+function normalizeLine(line) {
+  const quantity = toNumber(line.invoiceQuantity);
+  const unitPrice = toNumber(line.unitPrice);
+  const discountAmount = toNumber(line.discountAmount);
+  const extendedPrice = toNumber(line.extendedPrice);
+
+  return {
+    lineNumber: toNumber(line.invoiceLineItemNumber),
+    purchaseOrderLineNumber: toNumber(line.purchaseOrderLineItemNumber),
+    description: toText(line.lineItemDescription),
+    quantity,
+    uom: toText(line.quantityUom),
+    unitPrice,
+    discountAmount,
+    // Suppliers that leave extendedPrice out still bill quantity x unitPrice
+    extendedPrice: extendedPrice !== null || quantity === null || unitPrice === null
+      ? extendedPrice
+      : round(quantity * unitPrice - (discountAmount || 0))
+  };
+}
+
+function chargeTypeOf(charge, chargeTypes) {
+  if (chargeTypes && charge.chargeId !== null) {
+    const known = chargeTypes instanceof Map ? chargeTypes.get(charge.chargeId) : chargeTypes[charge.chargeId];
+    if (known) {
+      return known;
+    }
+  }
+  const text = charge.description || '';
+  const match = CHARGE_TYPE_PATTERNS.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : null;
+}
+
+function computeTotals(invoice) {
+  const lineItems = round(sum(invoice.lineItems.map(line => line.extendedPrice)));
+  const charges = round(sum(invoice.charges.map(charge => charge.extendedPrice)));
+  const subtotal = round(lineItems + charges);
+  const shipping = invoice.shippingAmount || 0;
+  const handling = invoice.handlingAmount || 0;
+  const tax = invoice.taxAmount !== null ? invoice.taxAmount : round(sum(invoice.taxes.map(tax => tax.amount)));
+  const total = round(subtotal + shipping + handling + tax);
+
+  return {
+    lineItems,
+    charges,
+    subtotal,
+    shipping,
+    handling,
+    tax,
+    total,
+    amountDue: round(total - (invoice.advancePaymentAmount || 0))
+  };
+}
+
+function checkConsistency(invoice, tolerance) {
+  const errors = [];
+  const check = (name, expected, actual, lineNumber, label) => {
+    if (expected === null || actual === null || Math.abs(actual - expected) <= tolerance) {
+      return;
+    }
+    errors.push({
+      check: name,
+      lineNumber,
+      expected,
+      actual,
+      difference: round(actual - expected),
+      message: `${label} is ${actual}, expected ${expected}`
+    });
+  };
+
+  for (const line of [...invoice.lineItems, ...invoice.charges]) {
+    if (line.quantity !== null && line.unitPrice !== null) {
+      check('extendedPrice', round(line.quantity * line.unitPrice - (line.discountAmount || 0)), line.extendedPrice,
+        line.lineNumber, `Line ${line.lineNumber !== null ? line.lineNumber : '?'} extendedPrice`);
+    }
+  }
+
+  const { totals } = invoice;
+  check('salesAmount', totals.subtotal, invoice.salesAmount, null, 'salesAmount');
+  if (invoice.taxes.length > 0) {
+    check('taxAmount', round(sum(invoice.taxes.map(tax => tax.amount))), invoice.taxAmount, null, 'taxAmount');
+  }
+  check('invoiceAmount', totals.total, invoice.invoiceAmount, null, 'invoiceAmount');
+  if (invoice.invoiceAmount !== null) {
+    check('invoiceAmountDue', round(invoice.invoiceAmount - (invoice.advancePaymentAmount || 0)),
+      invoice.invoiceAmountDue, null, 'invoiceAmountDue');
+  }
+
+  return { consistent: errors.length === 0, errors };
+}
+
+function normalizeAccount(account) {
+  const info = account?.accountInfo;
+  if (!info) {
+    return null;
+  }
+  return {
+    accountName: toText(info.accountName),
+    accountNumber: toText(info.accountNumber),
+    attentionTo: toText(info.attentionTo),
+    address1: toText(info.address1),
+    address2: toText(info.address2),
+    address3: toText(info.address3),
+    city: toText(info.city),
+    region: toText(info.region),
+    postalCode: toText(info.postalCode),
+    country: toText(info.country),
+    email: toText(info.email),
+    phone: toText(info.phone)
+  };
+}
+
+function sum(values) {
+  return values.reduce((total, value) => total + (value || 0), 0);
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+module.exports = {
+  normalizeInvoices,
+  normalizeInvoice
+};
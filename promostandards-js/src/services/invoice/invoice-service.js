@@ -1,5 +1,6 @@
 const BaseService = require('../../core/base-service');
 const { ValidationError } = require('../../core/errors');
+const { normalizeInvoices } = require('./invoice-normalizer');
 
 /**
  * InvoiceService - PromoStandards Invoice Service
@@ -8,7 +9,9 @@ const { ValidationError } = require('../../core/errors');
  *
  * Operations:
  * - getInvoices: Get invoices by date range or invoice number
+ *   (getNormalizedInvoices adds typed lines, totals and a consistency check)
  * - getVoidedInvoices: Get voided invoices
+ *   (InvoiceSync applies them to previously imported invoices)
  */
 class InvoiceService extends BaseService {
   static serviceName = 'Invoice';
@@ -27,10 +30,10 @@ class InvoiceService extends BaseService {
   /**
    * Get invoices
    * @param {Object} params - Request parameters
-   * @param {string} params.queryType - Query type: 1=InvoiceNumber, 2=PO, 3=DateRange
+   * @param {string} params.queryType - Query type: 1=InvoiceNumber, 2=PO, 3=DateRange, 4=AvailableSince
    * @param {string} params.referenceNumber - Invoice number or PO (required for queryType 1 or 2)
-   * @param {string|Date} params.requestedDate - Date filter (for queryType 3)
-   * @param {string} params.availableTimeStamp - Filter by availability timestamp
+   * @param {string|Date} params.requestedDate - Invoice date (required for queryType 3)
+   * @param {string|Date} params.availableTimeStamp - Made available since (required for queryType 4)
    * @returns {Promise<Object>} Invoice response
    */
   async getInvoices(params = {}) {
@@ -38,18 +41,39 @@ class InvoiceService extends BaseService {
     return this.call(this.operations.getInvoices, request);
   }
 
+  /**
+   * Get invoices in the normalized model (see invoice-normalizer.js)
+   * @param {Object} params - Same as getInvoices
+   * @param {Object} options
+   * @param {Map|Object} options.chargeTypes - chargeId => chargeType ('Setup', 'Run', 'Freight', 'Order')
+   * @param {number} options.tolerance - Money differences up to this are consistent (default 0.01)
+   * @returns {Promise<Object>} { invoices, messages }
+   */
+  async getNormalizedInvoices(params = {}, options = {}) {
+    const response = await this.getInvoices(params);
+
+    try {
+      return normalizeInvoices(response, options);
+    } catch (error) {
+      throw this.handleError(error, this.operations.getInvoices);
+    }
+  }
+
   /**
    * Get voided invoices
-   * @param {Object} params - Request parameters
-   * @param {string|Date} params.voidedTimeStamp - Get invoices voided since this date
+   * @param {Object} params - Request parameters; the getInvoices query parameters also apply
+   * @param {string|Date} params.since - Get invoices voided since this date
+   *   (queryType 4 with availableTimeStamp; voidedTimeStamp is accepted as an alias)
    * @returns {Promise<Object>} Voided invoices response
    */
   async getVoidedInvoices(params = {}) {
-    const request = {};
+    const { since, voidedTimeStamp, ...query } = params;
+    const voidedSince = since || voidedTimeStamp;
 
-    if (params.voidedTimeStamp || params.since) {
-      request.voidedTimeStamp = this.formatTimestamp(params.voidedTimeStamp || params.since);
-    }
+    const request = this.buildInvoiceRequest(
+      voidedSince ? { queryType: '4', availableTimeStamp: voidedSince, ...query } : query,
+      this.operations.getVoidedInvoices
+    );
 
     return this.call(this.operations.getVoidedInvoices, request);
   }
@@ -118,17 +142,17 @@ class InvoiceService extends BaseService {
   }
 
   /**
-   * Build invoice request
+   * Build invoice request (GetInvoicesRequest and GetVoidedInvoicesRequest share the query)
    */
-  buildInvoiceRequest(params) {
+  buildInvoiceRequest(params, method = this.operations.getInvoices) {
     const request = {};
 
     // Query type is required
     const queryType = params.queryType || this.inferQueryType(params);
     if (!queryType) {
       throw new ValidationError(
-        'queryType is required. Use 1=InvoiceNumber, 2=PO, 3=DateRange',
-        { method: 'getInvoices' }
+        'queryType is required. Use 1=InvoiceNumber, 2=PO, 3=DateRange, 4=AvailableSince',
+        { method }
       );
     }
     request.queryType = queryType;
@@ -139,25 +163,30 @@ class InvoiceService extends BaseService {
       if (!refNum) {
         throw new ValidationError(
           `referenceNumber is required for queryType ${queryType}`,
-          { method: 'getInvoices', queryType }
+          { method, queryType }
         );
       }
       request.referenceNumber = refNum;
     }
 
-    // Requested date (for date range queries)
+    // Requested date (for date range queries; an xsd:date)
     if (params.requestedDate || params.since || params.fromDate) {
-      request.requestedDate = this.formatTimestamp(params.requestedDate || params.since || params.fromDate);
+      request.requestedDate = this.formatTimestamp(params.requestedDate || params.since || params.fromDate).slice(0, 10);
     } else if (queryType === '3' || queryType === 3) {
       throw new ValidationError(
         'requestedDate is required for queryType 3 (DateRange)',
-        { method: 'getInvoices', queryType }
+        { method, queryType }
       );
     }
 
-    // Available timestamp (optional filter)
+    // Available timestamp (for queryType 4, otherwise an optional filter)
     if (params.availableTimeStamp) {
       request.availableTimeStamp = this.formatTimestamp(params.availableTimeStamp);
+    } else if (queryType === '4' || queryType === 4) {
+      throw new ValidationError(
+        'availableTimeStamp is required for queryType 4 (AvailableSince)',
+        { method, queryType }
+      );
     }
 
     return request;
@@ -176,6 +205,9 @@ class InvoiceService extends BaseService {
     if (params.requestedDate || params.since || params.fromDate) {
       return '3'; // Date range query
     }
+    if (params.availableTimeStamp) {
+      return '4'; // Available since query
+    }
     return null;
   }
 
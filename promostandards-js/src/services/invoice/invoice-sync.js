@@ -0,0 +1,282 @@
+const EventEmitter = require('events');
+const debug = require('debug')('promostandards:invoice-sync');
+const { ValidationError } = require('../../core/errors');
+const { toArray, toText, toDate, isNoResults } = require('../../core/response-utils');
+const { normalizeInvoices } = require('./invoice-normalizer');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/**
+ * InvoiceSync - Import new invoices and void the ones the supplier cancels
+ *
+ * Each sync asks the Invoice service for invoices (getByDateRange) and voided
+ * invoices (getVoidedInvoices) since the checkpoint. Invoices not imported
+ * before are reported as 'created'; a voided invoice that was imported is
+ * marked voided and reported as 'voided', once. Overlapping windows and
+ * repeated answers report nothing new.
+ *
+ * Imported invoices and the checkpoint are kept in a store with the cache
+ * interface (get/set/delete, sync or async) as one JSON string; the default
+ * store is an in-memory Map. The checkpoint only advances when both calls
+ * answered, and the first sync looks back `initialLookback` ms. Voids of
+ * invoices never imported are remembered too, so the invoice is not created
+ * when it shows up later.
+ *
+ * Changes (sync() result, also emitted; accepted as onCreated/onVoided/onSyncError options):
+ * - 'created'   { invoiceNumber, invoice }   // invoice as normalizeInvoices returns it
+ * - 'voided'    { invoiceNumber, voidDate, invoice }   // invoice as saved: { invoiceNumber, invoiceType,
+ *                                                       //   purchaseOrderNumber, invoiceDate, invoiceAmount, currency,
+ *                                                       //   importedAt, voided, voidDate, voidedAt }
+ * - 'syncError' { service, error }   // service is 'invoices' or 'voidedInvoices'; not part of changes
+ *
+ * @example
+ * const sync = new InvoiceSync(client.invoice, { store: redisStore, key: 'invoice-sync:HIT' });
+ * const { changes } = await sync.sync();
+ * for (const change of changes) {
+ *   if (change.type === 'created') ledger.post(change.invoice);
+ *   if (change.type === 'voided') ledger.reverse(change.invoiceNumber);
+ * }
+ */
+class InvoiceSync extends EventEmitter {
+  /**
+   * @param {InvoiceService} service - Invoice service of one supplier
+   * @param {Object} options
+   * @param {Object} options.store - get(key), set(key, value) and delete(key) (default: new Map())
+   * @param {string} options.key - Key in the store (default 'invoice-sync'); one per supplier
+   * @param {number} options.interval - Time between syncs after start() (ms, default 1 hour)
+   * @param {number} options.initialLookback - How far back the first sync looks (ms, default 30 days)
+   * @param {number} options.overlap - Subtracted from the checkpoint to allow for clock skew (ms, default 5 minutes)
+   * @param {number} options.retention - Forget invoices imported longer ago than this (ms, default 365 days)
+   * @param {number} options.tolerance - Passed to normalizeInvoices (default 0.01)
+   */
+  constructor(service, options = {}) {
+    super();
+
+    if (!service || typeof service.getByDateRange !== 'function' || typeof service.getVoidedInvoices !== 'function') {
+      throw new ValidationError('InvoiceSync needs an InvoiceService', { method: 'InvoiceSync' });
+    }
+
+    this.service = service;
+    this.store = options.store || new Map();
+    this.storeKey = options.key || 'invoice-sync';
+    this.interval = options.interval || HOUR;
+    this.initialLookback = options.initialLookback !== undefined ? options.initialLookback : 30 * DAY;
+    this.overlap = options.overlap !== undefined ? options.overlap : 5 * 60 * 1000;
+    this.retention = options.retention || 365 * DAY;
+    this.tolerance = options.tolerance;
+
+    for (const [event, hook] of [
+      ['created', options.onCreated],
+      ['voided', options.onVoided],
+      ['syncError', options.onSyncError]
+    ]) {
+      if (hook) {
+        this.on(event, hook);
+      }
+    }
+
+    this.timer = null;
+    this.started = false;
+    this.running = null;
+  }
+
+  /**
+   * Sync once. Concurrent calls share the sync in progress.
+   * @returns {Promise<Object>} See run()
+   */
+  sync() {
+    if (!this.running) {
+      this.running = this.run().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  /**
+   * Fetch, compare with the imported invoices, emit changes and save
+   *
+   * Service failures are emitted as 'syncError' rather than thrown; the
+   * checkpoint then stays where it was so the next sync covers the window again.
+   * @returns {Promise<Object>} { since, checkpoint, changes: [{ type, invoiceNumber, ... }], errors }
+   */
+  async run() {
+    const state = await this.loadState();
+    const startedAt = this.now();
+    const since = new Date(state.checkpoint
+      ? Date.parse(state.checkpoint) - this.overlap
+      : startedAt - this.initialLookback);
+    const importedAt = new Date(startedAt).toISOString();
+
+    const changes = [];
+    const errors = [];
+    const fetch = async (service, request) => {
+      try {
+        return await request();
+      } catch (error) {
+        if (isNoResults(error)) {
+          return [];
+        }
+        debug(`${service} sync failed: ${error.message}`);
+        errors.push({ service, error });
+        this.emit('syncError', { service, error });
+        return [];
+      }
+    };
+
+    const invoices = await fetch('invoices', async () =>
+      normalizeInvoices(await this.service.getByDateRange(since), { tolerance: this.tolerance }).invoices);
+    const voids = await fetch('voidedInvoices', async () =>
+      readVoidedInvoices(await this.service.getVoidedInvoices({ since })));
+
+    for (const invoice of invoices) {
+      if (!invoice.invoiceNumber || state.invoices[invoice.invoiceNumber]) {
+        continue;
+      }
+      state.invoices[invoice.invoiceNumber] = {
+        invoiceNumber: invoice.invoiceNumber,
+        invoiceType: invoice.invoiceType,
+        purchaseOrderNumber: invoice.purchaseOrderNumber,
+        invoiceDate: toIsoDate(invoice.invoiceDate),
+        invoiceAmount: invoice.invoiceAmount,
+        currency: invoice.currency,
+        importedAt,
+        voided: false,
+        voidDate: null,
+        voidedAt: null
+      };
+      this.record(changes, 'created', { invoiceNumber: invoice.invoiceNumber, invoice });
+    }
+
+    for (const { invoiceNumber, voidDate } of voids) {
+      const known = state.invoices[invoiceNumber];
+      if (known && known.voided) {
+        continue;
+      }
+      if (!known) {
+        // Voided before we imported it: never create it
+        state.invoices[invoiceNumber] = {
+          invoiceNumber, importedAt: null, voided: true, voidDate, voidedAt: importedAt
+        };
+        continue;
+      }
+      Object.assign(known, { voided: true, voidDate, voidedAt: importedAt });
+      this.record(changes, 'voided', { invoiceNumber, voidDate, invoice: { ...known } });
+    }
+
+    if (errors.length === 0) {
+      state.checkpoint = importedAt;
+    } else if (!state.checkpoint) {
+      // Pin the first window so a retry does not slide past it
+      state.checkpoint = since.toISOString();
+    }
+    this.prune(state, startedAt);
+    await this.store.set(this.storeKey, JSON.stringify(state));
+
+    debug(`${changes.length} change(s) since ${since.toISOString()}`);
+    return { since, checkpoint: state.checkpoint, changes, errors };
+  }
+
+  record(changes, type, payload) {
+    changes.push({ type, ...payload });
+    this.emit(type, payload);
+  }
+
+  /**
+   * Sync now and then every `interval` ms after each sync finishes
+   * @param {number} interval - Overrides options.interval
+   */
+  start(interval = this.interval) {
+    this.stop();
+    this.interval = interval;
+
+    const run = () => {
+      this.timer = null;
+      this.sync().catch(error => {
+        // Store failures; tried again next time
+        debug(`sync failed: ${error.message}`);
+        this.emit('syncError', { service: null, error });
+      }).finally(() => {
+        if (this.timer === null && this.started) {
+          this.timer = setTimeout(run, this.interval);
+          if (this.timer.unref) {
+            this.timer.unref();
+          }
+        }
+      });
+    };
+
+    this.started = true;
+    run();
+    return this;
+  }
+
+  stop() {
+    this.started = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    return this;
+  }
+
+  /**
+   * Saved state: { checkpoint, invoices: { invoiceNumber: saved invoice } }
+   * @returns {Promise<Object>}
+   */
+  async loadState() {
+    const stored = await this.store.get(this.storeKey);
+    const state = typeof stored === 'string' ? JSON.parse(stored) : stored;
+    return { checkpoint: null, invoices: {}, ...state };
+  }
+
+  /**
+   * A saved invoice, or null if it was never imported
+   * @param {string} invoiceNumber
+   * @returns {Promise<Object|null>}
+   */
+  async getInvoice(invoiceNumber) {
+    const saved = (await this.loadState()).invoices[invoiceNumber];
+    return saved && saved.importedAt ? saved : null;
+  }
+
+  /**
+   * Forget the checkpoint and imported invoices
+   */
+  async reset() {
+    await this.store.delete(this.storeKey);
+  }
+
+  /**
+   * Drop invoices imported (or, if never imported, voided) before the retention period
+   */
+  prune(state, now) {
+    for (const [invoiceNumber, saved] of Object.entries(state.invoices)) {
+      const at = Date.parse(saved.importedAt || saved.voidedAt);
+      if (now - at > this.retention) {
+        delete state.invoices[invoiceNumber];
+      }
+    }
+  }
+
+  now() {
+    return Date.now();
+  }
+}
+
+/**
+ * getVoidedInvoices response as [{ invoiceNumber, voidDate }]
+ */
+function readVoidedInvoices(response) {
+  return toArray(response?.voidedInvoiceArray?.voidedInvoice)
+    .map(voided => ({
+      invoiceNumber: toText(voided.invoiceNumber),
+      voidDate: toIsoDate(toDate(voided.voidDate))
+    }))
+    .filter(voided => voided.invoiceNumber);
+}
+
+function toIsoDate(date) {
+  return date ? date.toISOString() : null;
+}
+
+module.exports = InvoiceSync;
@@ -0,0 +1,170 @@
+const { ValidationError } = require('../../core/errors');
+
+/**
+ * Built-in carriers, in detection order. USPS comes before FedEx because
+ * 22-digit USPS labels (starting 91-95) also look like FedEx numbers.
+ */
+const DEFAULT_CARRIERS = [
+  {
+    code: 'UPS',
+    name: 'UPS',
+    aliases: ['ups', 'united parcel service'],
+    patterns: [/^1Z[0-9A-Z]{16}$/, /^T\d{10}$/],
+    trackingUrl: 'https://www.ups.com/track?tracknum={trackingNumber}'
+  },
+  {
+    code: 'USPS',
+    name: 'USPS',
+    aliases: ['usps', 'united states postal service', 'us postal service', 'u.s. postal service', 'postal service'],
+    // IMpb (optionally behind the 420+ZIP routing prefix) and S10 international
+    patterns: [/^(420\d{5}(\d{4})?)?9[1-5]\d{20}$/, /^(420\d{5}(\d{4})?)?9[1-5]\d{24}$/, /^[A-Z]{2}\d{9}US$/],
+    trackingUrl: 'https://tools.usps.com/go/TrackConfirmAction?tLabels={trackingNumber}'
+  },
+  {
+    code: 'FEDEX',
+    name: 'FedEx',
+    aliases: ['fedex', 'fdx', 'federal express'],
+    patterns: [/^\d{12}$/, /^\d{15}$/, /^\d{20}$/, /^\d{22}$/],
+    trackingUrl: 'https://www.fedex.com/fedextrack/?trknbr={trackingNumber}'
+  },
+  {
+    code: 'DHL',
+    name: 'DHL',
+    aliases: ['dhl', 'dhl express'],
+    patterns: [/^\d{10}$/, /^JJD\d{18}$/, /^JVGL\d{16}$/],
+    trackingUrl: 'https://www.dhl.com/global-en/home/tracking.html?tracking-id={trackingNumber}'
+  }
+];
+
+/**
+ * CarrierRegistry - Identify carriers and build tracking URLs
+ *
+ * Suppliers send free-text carrier names ("UPS Ground", "Federal Express")
+ * and tracking numbers with or without spaces. A carrier is found from the
+ * name first (aliases match the whole name or its first words) and otherwise
+ * from the tracking number format.
+ *
+ * Carriers are { code, name, aliases, patterns, trackingUrl }, where
+ * trackingUrl is a template with {trackingNumber} or a function
+ * (trackingNumber) => url. register() adds a carrier or replaces one with the
+ * same code.
+ */
+class CarrierRegistry {
+  /**
+   * @param {Object[]} carriers - Default: UPS, USPS, FedEx and DHL
+   */
+  constructor(carriers = DEFAULT_CARRIERS) {
+    this.carriers = new Map();
+    carriers.forEach(carrier => this.register(carrier));
+  }
+
+  /**
+   * Add or replace a carrier
+   * @param {Object} carrier - { code, name, aliases, patterns, trackingUrl }
+   * @returns {CarrierRegistry} this
+   */
+  register(carrier) {
+    if (!carrier || !carrier.code || !carrier.trackingUrl) {
+      throw new ValidationError(
+        'A carrier needs a code and a trackingUrl',
+        { method: 'register', carrier: carrier && carrier.code }
+      );
+    }
+
+    this.carriers.set(carrier.code, {
+      name: carrier.code,
+      ...carrier,
+      aliases: (carrier.aliases || [carrier.code]).map(normalizeName),
+      patterns: carrier.patterns || []
+    });
+    return this;
+  }
+
+  /**
+   * Find a carrier by name, falling back to the tracking number format
+   * @param {string} name - Carrier name as sent by the supplier (optional)
+   * @param {string} trackingNumber - Optional
+   * @returns {Object|null} The registered carrier
+   */
+  identify(name, trackingNumber) {
+    return this.findByName(name) || this.findByTrackingNumber(trackingNumber);
+  }
+
+  findByName(name) {
+    const normalized = normalizeName(name);
+    if (!normalized) {
+      return null;
+    }
+    for (const carrier of this.carriers.values()) {
+      if (carrier.aliases.some(alias => normalized === alias || normalized.startsWith(`${alias} `))) {
+        return carrier;
+      }
+    }
+    return null;
+  }
+
+  findByTrackingNumber(trackingNumber) {
+    const normalized = CarrierRegistry.normalizeTrackingNumber(trackingNumber);
+    if (!normalized) {
+      return null;
+    }
+    for (const carrier of this.carriers.values()) {
+      if (carrier.patterns.some(pattern => pattern.test(normalized))) {
+        return carrier;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Tracking URL for a package
+   * @param {string} trackingNumber
+   * @param {string} carrierName - Carrier name as sent by the supplier (optional)
+   * @returns {string|null} null when the carrier is unknown
+   */
+  getTrackingUrl(trackingNumber, carrierName) {
+    const normalized = CarrierRegistry.normalizeTrackingNumber(trackingNumber);
+    const carrier = normalized && this.identify(carrierName, normalized);
+    return carrier ? this.buildTrackingUrl(carrier, normalized) : null;
+  }
+
+  /**
+   * Fill a carrier's tracking URL template
+   * @param {Object} carrier - A registered carrier
+   * @param {string} trackingNumber
+   * @returns {string|null}
+   */
+  buildTrackingUrl(carrier, trackingNumber) {
+    const normalized = CarrierRegistry.normalizeTrackingNumber(trackingNumber);
+    if (!normalized) {
+      return null;
+    }
+    if (typeof carrier.trackingUrl === 'function') {
+      return carrier.trackingUrl(normalized);
+    }
+    return carrier.trackingUrl.replace('{trackingNumber}', encodeURIComponent(normalized));
+  }
+
+  /**
+   * Upper case without spaces or dashes
+   * @returns {string|null}
+   */
+  static normalizeTrackingNumber(trackingNumber) {
+    if (trackingNumber === null || trackingNumber === undefined) {
+      return null;
+    }
+    const normalized = String(trackingNumber).replace(/[\s-]/g, '').toUpperCase();
+    return normalized || null;
+  }
+}
+
+function normalizeName(name) {
+  if (name === null || name === undefined) {
+    return '';
+  }
+  return String(name).toLowerCase().replace(/[^a-z0-9.]+/g, ' ').trim();
+}
+
+CarrierRegistry.DEFAULT_CARRIERS = DEFAULT_CARRIERS;
+
+module.exports = CarrierRegistry;
@@ -1,5 +1,16 @@
 const BaseService = require('../../core/base-service');
 const { ValidationError } = require('../../core/errors');
+const { normalizeShipments } = require('./shipment-normalizer');
+
+/**
+ * Enumerations from SharedOSNObjects.xsd (2.1.0)
+ */
+const DIMENSION_UOMS = ['Inches', 'Feet', 'mm', 'cm', 'Meters'];
+const WEIGHT_UOMS = ['Ounces', 'Pounds', 'Grams', 'kg'];
+const QUANTITY_UOMS = ['BX', 'CA', 'DZ', 'EA', 'KT', 'PK', 'PR', 'RL', 'SL', 'ST', 'TH'];
+const PRE_PRODUCTION_PROOF_TYPES = ['Yes', 'No', 'Unknown'];
+const SHIPMENT_DESTINATION_TYPES = ['Commercial', 'Residential', 'Other'];
+const MAX_SHIP_REFERENCES = 4;
 
 /**
  * OrderShipmentNotificationService (OSN) - PromoStandards Order Shipment Notification Service
@@ -8,6 +19,9 @@ const { ValidationError } = require('../../core/errors');
  *
  * Operations:
  * - getOrderShipmentNotification: Get shipment details for orders
+ *   (getNormalizedShipments flattens the result across versions)
+ * - sendAdvanceShipmentNotification: Send an ASN to the supplier (v2.1.0 only)
+ * - getServiceMethods: Get available service methods (v2.1.0 only)
  */
 class OrderShipmentNotificationService extends BaseService {
   static serviceName = 'OrderShipmentNotification';
@@ -17,9 +31,21 @@ class OrderShipmentNotificationService extends BaseService {
   constructor(options = {}) {
     super(options);
 
-    this.operations = {
-      getOrderShipmentNotification: 'getOrderShipmentNotification'
-    };
+    // CarrierRegistry used for tracking URLs by getNormalizedShipments
+    this.carriers = options.carriers || null;
+
+    // Define operations based on version
+    if (this.version === '2.1.0') {
+      this.operations = {
+        getOrderShipmentNotification: 'getOrderShipmentNotification',
+        sendAdvanceShipmentNotification: 'sendAdvanceShipmentNotification',
+        getServiceMethods: 'getServiceMethods'
+      };
+    } else {
+      this.operations = {
+        getOrderShipmentNotification: 'getOrderShipmentNotification'
+      };
+    }
   }
 
   /**
@@ -32,7 +58,69 @@ class OrderShipmentNotificationService extends BaseService {
    */
   async getOrderShipmentNotification(params = {}) {
     const request = this.buildShipmentRequest(params);
-    return this.call(this.operations.getOrderShipmentNotification, request);
+    // Always typed from the schema: the heuristic typing turns digit-only
+    // tracking numbers into numbers (22-digit USPS numbers become 9.4e+21)
+    return this.call(this.operations.getOrderShipmentNotification, request, { typedResponses: true });
+  }
+
+  /**
+   * Get shipments in the version-independent model (see shipment-normalizer.js)
+   * @param {Object} params - Same as getOrderShipmentNotification
+   * @returns {Promise<Object>} { shipments, messages }
+   */
+  async getNormalizedShipments(params = {}) {
+    const response = await this.getOrderShipmentNotification(params);
+
+    try {
+      return normalizeShipments(response, { carriers: this.carriers });
+    } catch (error) {
+      throw this.handleError(error, this.operations.getOrderShipmentNotification);
+    }
+  }
+
+  /**
+   * Send an advance shipment notification (v2.1.0)
+   * @param {Object} params - Request parameters
+   * @param {Object} params.AdvanceShipmentNotification - A pre-built ASN object (skips buildAdvanceShipmentNotification)
+   * @param {string} params.customerIdentifier - Customer identifier (optional)
+   * @param {string} params.purchaseOrderNumber - Purchase order number
+   * @param {boolean} params.purchaseOrderShippedInFull - Whether the PO has shipped in full
+   * @param {Array<Object>} params.shipments - Shipments (see buildAsnShipment)
+   * @returns {Promise<Object>} Supplier acknowledgement (transactionId and/or serviceMessageArray)
+   */
+  async sendAdvanceShipmentNotification(params = {}) {
+    if (this.version !== '2.1.0') {
+      throw new ValidationError(
+        `sendAdvanceShipmentNotification is not available in version ${this.version}`,
+        { version: this.version, availableIn: ['2.1.0'] }
+      );
+    }
+
+    const asn = params.AdvanceShipmentNotification || this.buildAdvanceShipmentNotification(params);
+    this.validateAdvanceShipmentNotification(asn);
+
+    const request = {};
+    if (params.customerIdentifier) {
+      request.customerIdentifier = params.customerIdentifier;
+    }
+    request.AdvanceShipmentNotification = asn;
+
+    return this.call(this.operations.sendAdvanceShipmentNotification, request);
+  }
+
+  /**
+   * Get available service methods (v2.1.0)
+   * @returns {Promise<Object>} Available service methods
+   */
+  async getServiceMethods() {
+    if (this.version !== '2.1.0') {
+      throw new ValidationError(
+        `getServiceMethods is not available in version ${this.version}`,
+        { version: this.version, availableIn: ['2.1.0'] }
+      );
+    }
+
+    return this.call(this.operations.getServiceMethods, {});
   }
 
   /**
@@ -141,6 +229,234 @@ class OrderShipmentNotificationService extends BaseService {
     return request;
   }
 
+  /**
+   * Build an AdvanceShipmentNotification object (helper method)
+   * @param {Object} data - ASN data
+   * @returns {Object} Formatted AdvanceShipmentNotification object
+   */
+  buildAdvanceShipmentNotification(data = {}) {
+    const shipments = data.shipments || [];
+
+    return {
+      purchaseOrderNumber: data.purchaseOrderNumber || data.poNumber,
+      purchaseOrderShippedInFull: Boolean(data.purchaseOrderShippedInFull ?? data.shippedInFull),
+      ShipmentArray: {
+        Shipment: (Array.isArray(shipments) ? shipments : [shipments])
+          .map(shipment => this.buildAsnShipment(shipment))
+      }
+    };
+  }
+
+  /**
+   * Build an ASN Shipment object
+   */
+  buildAsnShipment(shipment = {}) {
+    const packages = shipment.packages || [];
+
+    return {
+      destinationShippedInFull: Boolean(shipment.destinationShippedInFull ?? shipment.shippedInFull),
+      customerPickup: Boolean(shipment.customerPickup),
+      shipFromAddress: this.buildShippingContact(shipment.shipFrom || shipment.shipFromAddress),
+      shipToAddress: this.buildShippingContact(shipment.shipTo || shipment.shipToAddress),
+      shipmentDestinationType: shipment.shipmentDestinationType || shipment.destinationType,
+      PackageArray: {
+        Package: (Array.isArray(packages) ? packages : [packages])
+          .map(pkg => this.buildAsnPackage(pkg))
+      }
+    };
+  }
+
+  /**
+   * Build a ShippingContactDetails object
+   */
+  buildShippingContact(address = {}) {
+    return {
+      attentionTo: address.attentionTo,
+      companyName: address.companyName,
+      address1: address.address1,
+      address2: address.address2,
+      address3: address.address3,
+      city: address.city,
+      region: address.region || address.state,
+      postalCode: address.postalCode || address.zip,
+      country: address.country,
+      email: address.email,
+      phone: address.phone
+    };
+  }
+
+  /**
+   * Build an ASN Package object
+   */
+  buildAsnPackage(pkg = {}) {
+    const items = pkg.items || [];
+    const dimensions = pkg.dimensions || {};
+    const shipReferences = pkg.shipReferences || [];
+
+    const built = {
+      id: pkg.id,
+      trackingNumber: pkg.trackingNumber,
+      shipmentDate: this.formatTimestamp(pkg.shipmentDate)
+    };
+
+    if (dimensions.dimUOM || dimensions.weightUOM) {
+      built.Dimension = {
+        DimensionSize: dimensions.dimUOM ? {
+          dimUOM: dimensions.dimUOM,
+          length: dimensions.length,
+          width: dimensions.width,
+          height: dimensions.height
+        } : undefined,
+        DimensionWeight: dimensions.weightUOM ? {
+          weightUOM: dimensions.weightUOM,
+          weight: dimensions.weight
+        } : undefined
+      };
+    }
+
+    if (pkg.carrier || pkg.service) {
+      built.FreightDetails = {
+        carrier: pkg.carrier,
+        service: pkg.service
+      };
+    }
+
+    built.shippingAccount = pkg.shippingAccount;
+    built.shipmentTerms = pkg.shipmentTerms;
+
+    if (items.length > 0) {
+      built.ItemArray = {
+        Item: items.map(item => this.buildAsnItem(item))
+      };
+    }
+
+    built.preProductionProof = pkg.preProductionProof || 'No';
+    built.shipReferences = Array.isArray(shipReferences) ? shipReferences : [shipReferences];
+
+    return built;
+  }
+
+  /**
+   * Build an ASN Item object
+   */
+  buildAsnItem(item = {}) {
+    return {
+      supplierProductId: item.supplierProductId || item.productId,
+      supplierPartId: item.supplierPartId || item.partId,
+      distributorProductId: item.distributorProductId,
+      distributorPartId: item.distributorPartId,
+      purchaseOrderLineNumber: item.purchaseOrderLineNumber || item.lineNumber,
+      Quantity: {
+        value: item.quantity?.value ?? item.quantity,
+        uom: item.quantity?.uom || item.uom || 'EA'
+      }
+    };
+  }
+
+  /**
+   * Validate an AdvanceShipmentNotification object against SharedOSNObjects.xsd
+   * @throws {ValidationError} With a list of problems in details.errors
+   */
+  validateAdvanceShipmentNotification(asn) {
+    const errors = [];
+
+    if (!asn || typeof asn !== 'object') {
+      throw new ValidationError(
+        'AdvanceShipmentNotification is required for sendAdvanceShipmentNotification',
+        { method: 'sendAdvanceShipmentNotification' }
+      );
+    }
+
+    if (!asn.purchaseOrderNumber) {
+      errors.push('purchaseOrderNumber is required');
+    }
+
+    const shipments = [].concat(asn.ShipmentArray?.Shipment || []);
+    if (shipments.length === 0) {
+      errors.push('ShipmentArray must contain at least one Shipment');
+    }
+
+    shipments.forEach((shipment, shipmentIndex) => {
+      const shipmentPath = `Shipment[${shipmentIndex}]`;
+
+      for (const addressKey of ['shipFromAddress', 'shipToAddress']) {
+        const address = shipment[addressKey] || {};
+        for (const field of ['address1', 'city', 'region', 'postalCode']) {
+          if (!address[field]) {
+            errors.push(`${shipmentPath}.${addressKey}.${field} is required`);
+          }
+        }
+      }
+
+      if (shipment.shipmentDestinationType && !SHIPMENT_DESTINATION_TYPES.includes(shipment.shipmentDestinationType)) {
+        errors.push(`${shipmentPath}.shipmentDestinationType must be one of ${SHIPMENT_DESTINATION_TYPES.join(', ')}`);
+      }
+
+      const packages = [].concat(shipment.PackageArray?.Package || []);
+      if (packages.length === 0) {
+        errors.push(`${shipmentPath}.PackageArray must contain at least one Package`);
+      }
+
+      packages.forEach((pkg, packageIndex) => {
+        const packagePath = `${shipmentPath}.Package[${packageIndex}]`;
+
+        if (!pkg.shipmentDate) {
+          errors.push(`${packagePath}.shipmentDate is required`);
+        }
+
+        if (!PRE_PRODUCTION_PROOF_TYPES.includes(pkg.preProductionProof)) {
+          errors.push(`${packagePath}.preProductionProof must be one of ${PRE_PRODUCTION_PROOF_TYPES.join(', ')}`);
+        }
+
+        const size = pkg.Dimension?.DimensionSize;
+        if (size && !DIMENSION_UOMS.includes(size.dimUOM)) {
+          errors.push(`${packagePath}.Dimension.DimensionSize.dimUOM must be one of ${DIMENSION_UOMS.join(', ')}`);
+        }
+
+        const weight = pkg.Dimension?.DimensionWeight;
+        if (weight) {
+          if (!WEIGHT_UOMS.includes(weight.weightUOM)) {
+            errors.push(`${packagePath}.Dimension.DimensionWeight.weightUOM must be one of ${WEIGHT_UOMS.join(', ')}`);
+          }
+          if (weight.weight === undefined || weight.weight === null) {
+            errors.push(`${packagePath}.Dimension.DimensionWeight.weight is required`);
+          }
+        }
+
+        if (pkg.FreightDetails && (!pkg.FreightDetails.carrier || !pkg.FreightDetails.service)) {
+          errors.push(`${packagePath}.FreightDetails requires both carrier and service`);
+        }
+
+        if ([].concat(pkg.shipReferences || []).length > MAX_SHIP_REFERENCES) {
+          errors.push(`${packagePath}.shipReferences allows at most ${MAX_SHIP_REFERENCES} entries`);
+        }
+
+        [].concat(pkg.ItemArray?.Item || []).forEach((item, itemIndex) => {
+          const itemPath = `${packagePath}.Item[${itemIndex}]`;
+
+          if (!item.supplierProductId) {
+            errors.push(`${itemPath}.supplierProductId is required`);
+          }
+          if (item.Quantity?.value === undefined || item.Quantity?.value === null || isNaN(Number(item.Quantity.value))) {
+            errors.push(`${itemPath}.Quantity.value must be a number`);
+          }
+          if (!QUANTITY_UOMS.includes(item.Quantity?.uom)) {
+            errors.push(`${itemPath}.Quantity.uom must be one of ${QUANTITY_UOMS.join(', ')}`);
+          }
+        });
+      });
+    });
+
+    if (errors.length > 0) {
+      throw new ValidationError(
+        `Invalid advance shipment notification: ${errors[0]}`,
+        { method: 'sendAdvanceShipmentNotification', errors }
+      );
+    }
+
+    return true;
+  }
+
   /**
    * Infer query type from parameters
    */
@@ -200,6 +516,20 @@ class OrderShipmentNotificationService extends BaseService {
         throw new Error('Invalid response: missing shipment notification data');
       }
       return response;
+    },
+
+    sendAdvanceShipmentNotification: (response) => {
+      if (!response.transactionId && !response.serviceMessageArray) {
+        throw new Error('Invalid response: missing shipment notification acknowledgement');
+      }
+      return response;
+    },
+
+    getServiceMethods: (response) => {
+      if (!response.serviceMethodArray && !response.serviceMessageArray) {
+        throw new Error('Invalid response: missing serviceMethods');
+      }
+      return response;
     }
   };
 }
@@ -0,0 +1,205 @@
+const { ValidationError } = require('../../core/errors');
+const CarrierRegistry = require('./carrier-registry');
+const {
+  toArray,
+  toText,
+  toNumber,
+  toBoolean,
+  toDate,
+  toServiceMessages
+} = require('../../core/response-utils');
+
+const defaultCarriers = new CarrierRegistry();
+
+/**
+ * Normalize a getOrderShipmentNotification response (1.0.0, 2.0.0 or 2.1.0)
+ * into one shipment per ship-from/ship-to pair:
+ *
+ * {
+ *   shipments: [{
+ *     purchaseOrderNumber, purchaseOrderShippedInFull,
+ *     salesOrderNumber, salesOrderShippedInFull,
+ *     id,                 // 1.0.0 ShipmentLocation id
+ *     shippedInFull,      // 1.0.0 location complete / 2.x destinationShippedInFull
+ *     customerPickup, destinationType,
+ *     shipFrom: { attentionTo, companyName, address1, address2, address3, address4,
+ *                 city, region, postalCode, country, email, phone },
+ *     shipTo: { ... },
+ *     packages: [{
+ *       id, trackingNumber, trackingUrl, carrier, carrierCode, service, shipmentDate,
+ *       shippingAccount, shipmentTerms, preProductionProof,
+ *       dimensions: { uom, length, width, height }, weight: { uom, value },
+ *       items: [{ supplierProductId, supplierPartId, distributorProductId,
+ *                 distributorPartId, purchaseOrderLineNumber, quantity, uom }]
+ *     }]
+ *   }],
+ *   messages: [{ code, description, severity }]
+ * }
+ *
+ * Fields a version does not carry are null (or [] for arrays). carrierCode and
+ * trackingUrl come from the carrier registry (null for unknown carriers).
+ *
+ * @param {Object} response - getOrderShipmentNotification result
+ * @param {Object} options
+ * @param {CarrierRegistry} options.carriers - Default: UPS, USPS, FedEx and DHL
+ * @returns {Object}
+ * @throws {ValidationError} If the response has no shipment notification structure
+ */
+function normalizeShipments(response, options = {}) {
+  if (!response || !['orderShipmentNotificationArray', 'serviceMessageArray', 'errorMessage']
+    .some(key => response[key] !== undefined)) {
+    throw new ValidationError(
+      'Unrecognized shipment notification response: expected OrderShipmentNotificationArray',
+      { keys: response && typeof response === 'object' ? Object.keys(response) : [] }
+    );
+  }
+
+  const carriers = options.carriers || defaultCarriers;
+  const messages = toServiceMessages(response.serviceMessageArray);
+  // 1.0.0 reports problems in a single errorMessage: { code, description } as
+  // the schema declares it, or plain text from some suppliers
+  const errorMessage = response.errorMessage;
+  const errorDescription = toText(errorMessage?.description ?? errorMessage);
+  if (errorDescription) {
+    messages.push({ code: toNumber(errorMessage?.code), description: errorDescription, severity: 'Error' });
+  }
+
+  const notifications = toArray(response.orderShipmentNotificationArray?.orderShipmentNotification);
+  const shipments = notifications.flatMap(notification => {
+    const order = {
+      purchaseOrderNumber: toText(notification.purchaseOrderNumber),
+      purchaseOrderShippedInFull: toBoolean(notification.purchaseOrderShippedInFull ?? notification.complete)
+    };
+
+    return toArray(notification.salesOrderArray?.salesOrder).flatMap(salesOrder => {
+      const sales = {
+        ...order,
+        salesOrderNumber: toText(salesOrder.salesOrderNumber),
+        salesOrderShippedInFull: toBoolean(salesOrder.salesOrderShippedInFull ?? salesOrder.complete)
+      };
+
+      if (salesOrder.shipmentArray) {
+        return toArray(salesOrder.shipmentArray.shipment).map(shipment => normalizeV2Shipment(shipment, sales, carriers));
+      }
+      return toArray(salesOrder.shipmentLocationArray?.shipmentLocation)
+        .map(location => normalizeV1Location(location, sales, carriers));
+    });
+  });
+
+  return { shipments, messages };
+}
+
+function normalizeV2Shipment(shipment, sales, carriers) {
+  return {
+    ...sales,
+    id: null,
+    shippedInFull: toBoolean(shipment.destinationShippedInFull),
+    customerPickup: toBoolean(shipment.customerPickup),
+    destinationType: toText(shipment.shipmentDestinationType),
+    shipFrom: normalizeAddress(shipment.shipFromAddress),
+    shipTo: normalizeAddress(shipment.shipToAddress),
+    packages: toArray(shipment.packageArray?.package).map(pkg => {
+      const size = pkg.dimension?.dimensionSize;
+      const weight = pkg.dimension?.dimensionWeight;
+
+      return normalizePackage(pkg, {
+        carrier: pkg.freightDetails?.carrier,
+        service: pkg.freightDetails?.service,
+        dimensions: size && { uom: size.dimUom, length: size.length, width: size.width, height: size.height },
+        weight: weight && { uom: weight.weightUom, value: weight.weight },
+        items: toArray(pkg.itemArray?.item).map(item => normalizeItem(item, item.quantity?.value, item.quantity?.uom))
+      }, carriers);
+    })
+  };
+}
+
+function normalizeV1Location(location, sales, carriers) {
+  return {
+    ...sales,
+    id: toText(location.id),
+    shippedInFull: toBoolean(location.complete),
+    customerPickup: null,
+    destinationType: toText(location.shipmentDestinationType),
+    shipFrom: normalizeAddress(location.shipFromAddress),
+    shipTo: normalizeAddress(location.shipToAddress),
+    packages: toArray(location.packageArray?.package).map(pkg => normalizePackage(pkg, {
+      carrier: pkg.carrier,
+      service: pkg.shipmentMethod,
+      dimensions: { uom: pkg.dimUom, length: pkg.length, width: pkg.width, height: pkg.height },
+      weight: { uom: pkg.weightUom, value: pkg.weight },
+      items: toArray(pkg.itemArray?.item).map(item => normalizeItem(item, item.quantity, null))
+    }, carriers))
+  };
+}
+
+/**
+ * @param {Object} pkg - Package element
+ * @param {Object} fields - Version-specific values: carrier, service, dimensions, weight, items
+ */
+function normalizePackage(pkg, fields, carriers) {
+  const trackingNumber = toText(pkg.trackingNumber);
+  const carrier = toText(fields.carrier);
+  const known = carriers.identify(carrier, trackingNumber);
+  const dimensions = fields.dimensions || {};
+  const weight = fields.weight || {};
+
+  return {
+    id: toText(pkg.id),
+    trackingNumber,
+    trackingUrl: known ? carriers.buildTrackingUrl(known, trackingNumber) : null,
+    carrier: carrier || (known ? known.name : null),
+    carrierCode: known ? known.code : null,
+    service: toText(fields.service),
+    shipmentDate: toDate(pkg.shipmentDate),
+    shippingAccount: toText(pkg.shippingAccount),
+    shipmentTerms: toText(pkg.shipmentTerms),
+    preProductionProof: toText(pkg.preProductionProof),
+    dimensions: {
+      uom: toText(dimensions.uom),
+      length: toNumber(dimensions.length),
+      width: toNumber(dimensions.width),
+      height: toNumber(dimensions.height)
+    },
+    weight: {
+      uom: toText(weight.uom),
+      value: toNumber(weight.value)
+    },
+    items: fields.items
+  };
+}
+
+function normalizeItem(item, quantity, uom) {
+  return {
+    supplierProductId: toText(item.supplierProductId),
+    supplierPartId: toText(item.supplierPartId),
+    distributorProductId: toText(item.distributorProductId),
+    distributorPartId: toText(item.distributorPartId),
+    purchaseOrderLineNumber: toNumber(item.purchaseOrderLineNumber),
+    quantity: toNumber(quantity),
+    uom: toText(uom)
+  };
+}
+
+function normalizeAddress(address) {
+  if (!address) {
+    return null;
+  }
+  return {
+    attentionTo: toText(address.attentionTo),
+    companyName: toText(address.companyName),
+    address1: toText(address.address1),
+    address2: toText(address.address2),
+    address3: toText(address.address3),
+    address4: toText(address.address4),
+    city: toText(address.city),
+    region: toText(address.region),
+    postalCode: toText(address.postalCode),
+    country: toText(address.country),
+    email: toText(address.email),
+    phone: toText(address.phone)
+  };
+}
+
+module.exports = {
+  normalizeShipments
+};
@@ -1,6 +1,20 @@
 const BaseService = require('../../core/base-service');
 const { ValidationError } = require('../../core/errors');
 
+/**
+ * Query types: 2.0.0 names them, 1.0.0 numbers them (and has no issue or
+ * transaction queries). Either form is accepted and sent as the service
+ * version expects.
+ */
+const QUERY_TYPES = [
+  { name: 'poSearch', number: 1 },
+  { name: 'soSearch', number: 2 },
+  { name: 'lastUpdate', number: 3 },
+  { name: 'allOpen', number: 4 },
+  { name: 'allOpenIssues', number: null },
+  { name: 'transactionId', number: null }
+];
+
 /**
  * OrderStatusService - PromoStandards Order Status Service
  *
@@ -36,13 +50,14 @@ class OrderStatusService extends BaseService {
   }
 
   /**
-   * Get order status (v2.0.0)
+   * Get order status (v2.0.0; sent as getOrderStatusDetails on v1.0.0)
    * @param {Object} params - Request parameters
-   * @param {string} params.queryType - Query type: 1=PO, 2=SO, 3=DateRange, 4=All
-   * @param {string} params.referenceNumber - PO or SO number (required for queryType 1 or 2)
-   * @param {string|Date} params.statusTimeStamp - Filter by date (for queryType 3)
-   * @param {string} params.returnIssueDetailType - Issue detail type
-   * @param {boolean} params.returnProductDetail - Whether to return product details
+   * @param {string|number} params.queryType - poSearch (1), soSearch (2), lastUpdate (3), allOpen (4),
+   *   allOpenIssues or transactionId (2.0.0 only)
+   * @param {string} params.referenceNumber - PO, SO or transaction ID (required for poSearch, soSearch, transactionId)
+   * @param {string|Date} params.statusTimeStamp - Changes since this date (required for lastUpdate)
+   * @param {string} params.returnIssueDetailType - noIssues, openIssues or allIssues (2.0.0 only)
+   * @param {boolean} params.returnProductDetail - Whether to return product details (2.0.0 only)
    * @returns {Promise<Object>} Order status response
    */
   async getOrderStatus(params = {}) {
@@ -56,32 +71,26 @@ class OrderStatusService extends BaseService {
   }
 
   /**
-   * Get order status details (v1.0.0)
+   * Get order status details (v1.0.0; sent as getOrderStatus on v2.0.0)
    * @param {Object} params - Request parameters
    * @param {string} params.purchaseOrderNumber - The PO number to query
+   * @param {string|number} params.queryType - Another query instead (see getOrderStatus)
    * @returns {Promise<Object>} Order status details
    */
   async getOrderStatusDetails(params = {}) {
-    if (this.version === '2.0.0') {
-      // Redirect to v2 method with PO query type
-      return this.getOrderStatus({
-        queryType: '1', // PO query
-        referenceNumber: params.purchaseOrderNumber || params.poNumber,
-        ...params
-      });
-    }
-
-    const request = {
-      purchaseOrderNumber: params.purchaseOrderNumber || params.poNumber
-    };
-
-    if (!request.purchaseOrderNumber) {
+    if (!params.queryType && !this.inferQueryType(params)) {
       throw new ValidationError(
         'purchaseOrderNumber is required for getOrderStatusDetails',
         { method: 'getOrderStatusDetails' }
       );
     }
 
+    if (this.version === '2.0.0') {
+      // Redirect to v2 method
+      return this.getOrderStatus(params);
+    }
+
+    const request = this.buildOrderStatusRequest(params);
     return this.call(this.operations.getOrderStatusDetails, request);
   }
 
@@ -144,48 +153,86 @@ class OrderStatusService extends BaseService {
   }
 
   /**
-   * Build order status request for v2.0.0
+   * Build an order status request for the service version
+   * (GetOrderStatusRequest on v2.0.0, GetOrderStatusDetailsRequest on v1.0.0)
    */
   buildOrderStatusRequest(params) {
     const request = {};
+    const method = this.version === '1.0.0' ? 'getOrderStatusDetails' : 'getOrderStatus';
 
     // Query type is required
-    const queryType = params.queryType || this.inferQueryType(params);
-    if (!queryType) {
-      throw new ValidationError(
-        'queryType is required. Use 1=PO, 2=SO, 3=DateRange, 4=All',
-        { method: 'getOrderStatus' }
-      );
-    }
-    request.queryType = queryType;
+    const queryType = this.resolveQueryType(params.queryType || this.inferQueryType(params), method);
+    request.queryType = this.version === '1.0.0' ? queryType.number : queryType.name;
 
-    // Reference number (required for PO and SO queries)
-    if (queryType === '1' || queryType === '2' || queryType === 1 || queryType === 2) {
-      const refNum = params.referenceNumber || params.poNumber || params.purchaseOrderNumber || params.soNumber || params.salesOrderNumber;
+    // Reference number (required for PO, SO and transaction queries)
+    if (['poSearch', 'soSearch', 'transactionId'].includes(queryType.name)) {
+      const refNum = params.referenceNumber || params.poNumber || params.purchaseOrderNumber || params.soNumber ||
+        params.salesOrderNumber || params.transactionId;
       if (!refNum) {
         throw new ValidationError(
-          `referenceNumber is required for queryType ${queryType}`,
-          { method: 'getOrderStatus', queryType }
+          `referenceNumber is required for queryType ${queryType.name}`,
+          { method, queryType: queryType.name }
         );
       }
       request.referenceNumber = refNum;
     }
 
-    // Status timestamp (for date range queries)
+    // Status timestamp (required for last update queries)
     if (params.statusTimeStamp || params.since || params.fromDate) {
       request.statusTimeStamp = this.formatTimestamp(params.statusTimeStamp || params.since || params.fromDate);
+    } else if (queryType.name === 'lastUpdate') {
+      throw new ValidationError(
+        'statusTimeStamp is required for queryType lastUpdate',
+        { method, queryType: queryType.name }
+      );
+    }
+
+    // Optional parameters (v2.0.0 only)
+    for (const option of ['returnIssueDetailType', 'returnProductDetail']) {
+      if (params[option] === undefined) {
+        continue;
+      }
+      if (this.version === '1.0.0') {
+        throw new ValidationError(
+          `${option} is not available in version 1.0.0`,
+          { method, version: this.version, availableIn: ['2.0.0'] }
+        );
+      }
+      request[option] = params[option];
     }
 
-    // Optional parameters
-    if (params.returnIssueDetailType !== undefined) {
-      request.returnIssueDetailType = params.returnIssueDetailType;
+    return request;
+  }
+
+  /**
+   * Look up a query type by 2.0.0 name or 1.0.0 number
+   * @returns {{name: string, number: number|null}}
+   */
+  resolveQueryType(queryType, method) {
+    if (queryType === undefined || queryType === null || queryType === '') {
+      throw new ValidationError(
+        'queryType is required. Use poSearch (1), soSearch (2), lastUpdate (3), allOpen (4), allOpenIssues or transactionId',
+        { method }
+      );
     }
 
-    if (params.returnProductDetail !== undefined) {
-      request.returnProductDetail = params.returnProductDetail;
+    const resolved = QUERY_TYPES.find(type =>
+      type.name === queryType || (type.number !== null && String(type.number) === String(queryType)));
+    if (!resolved) {
+      throw new ValidationError(
+        `Unknown queryType ${queryType}. Use poSearch (1), soSearch (2), lastUpdate (3), allOpen (4), allOpenIssues or transactionId`,
+        { method, queryType }
+      );
     }
 
-    return request;
+    if (this.version === '1.0.0' && resolved.number === null) {
+      throw new ValidationError(
+        `queryType ${resolved.name} is not available in version 1.0.0`,
+        { method, version: this.version, availableIn: ['2.0.0'] }
+      );
+    }
+
+    return resolved;
   }
 
   /**
@@ -193,13 +240,13 @@ class OrderStatusService extends BaseService {
    */
   inferQueryType(params) {
     if (params.poNumber || params.purchaseOrderNumber) {
-      return '1'; // PO query
+      return 'poSearch';
     }
     if (params.soNumber || params.salesOrderNumber) {
-      return '2'; // SO query
+      return 'soSearch';
     }
     if (params.statusTimeStamp || params.since || params.fromDate) {
-      return '3'; // Date range query
+      return 'lastUpdate';
     }
     return null;
   }
@@ -250,7 +297,7 @@ class OrderStatusService extends BaseService {
     },
 
     getOrderStatusDetails: (response) => {
-      if (!response.orderStatusDetails && !response.orderStatus) {
+      if (!response.orderStatusArray && !response.orderStatusDetails && !response.orderStatus) {
         throw new Error('Invalid response: missing orderStatusDetails');
       }
       return response;
@@ -0,0 +1,356 @@
+const debug = require('debug')('promostandards:pricing');
+const { ValidationError } = require('../../core/errors');
+const {
+  toArray,
+  toText,
+  toNumber,
+  toBoolean
+} = require('../../core/response-utils');
+
+/**
+ * DecorationExplorer - One decoration tree from the PPC operations
+ *
+ * Combines getAvailableLocations, getAvailableCharges, the DecorationArray of
+ * getConfigurationAndPricing (Decorated) and getDecorationColors per location:
+ *
+ * {
+ *   productId, partId, fobId, currency,
+ *   locations: [{
+ *     locationId, locationName, rank, isDefault, decorationsIncluded,
+ *     minDecorations, maxDecorations, partIds,
+ *     methods: [{
+ *       decorationId, decorationName, isDefault,
+ *       imprint: { geometry, width, height, diameter, uom },
+ *       unitsIncluded, unitsUom, maxUnits,          // maxUnits is max colours when unitsUom is Colors
+ *       ltmQuantity, leadTime, rushLeadTime,
+ *       colors: { pmsMatch, fullColor, options: [{ colorId, colorName }] },
+ *       charges: [{ chargeId, chargeName, chargeDescription, chargeType, appliesLtm,
+ *                   perLocation, perColor, prices: [{ xMinQty, xUom, yMinQty, yUom, price, repeatPrice }] }]
+ *     }]
+ *   }],
+ *   charges: [{ chargeId, chargeName, chargeDescription, chargeType }],  // getAvailableCharges
+ *   warnings: []  // lookups that failed without failing the tree
+ * }
+ */
+class DecorationExplorer {
+  /**
+   * @param {PricingConfigurationService} service
+   */
+  constructor(service) {
+    this.service = service;
+  }
+
+  /**
+   * Build the decoration tree for a product
+   * @param {Object} params
+   * @param {string} params.productId
+   * @param {string} params.partId - Only locations this part allows
+   * @param {string} params.fobId - Default: the first FOB point from getFobPoints
+   * @param {string} params.currency - Default USD
+   * @param {string} params.priceType - Default List
+   * @returns {Promise<Object>} Decoration tree
+   */
+  async explore(params = {}) {
+    if (!params.productId) {
+      throw new ValidationError('productId is required to explore decorations', { method: 'exploreDecorations' });
+    }
+
+    const localization = {
+      localizationCountry: params.localizationCountry,
+      localizationLanguage: params.localizationLanguage
+    };
+    const request = { productId: params.productId, ...localization };
+    const fobId = params.fobId !== undefined ? params.fobId : await this.getDefaultFobId(params.productId, localization);
+    const currency = params.currency || 'USD';
+
+    const [available, charges, pricing] = await Promise.all([
+      this.service.getAvailableLocations(request),
+      this.service.getAvailableCharges(request),
+      this.service.getConfigurationAndPricing({
+        ...request,
+        partId: params.partId,
+        fobId,
+        currency,
+        priceType: params.priceType || 'List',
+        configurationType: 'Decorated'
+      })
+    ]);
+
+    const tree = this.buildTree({ available, charges, pricing, partId: params.partId });
+    tree.fobId = fobId === undefined || fobId === null ? null : String(fobId);
+    tree.currency = toText(pricing?.configuration?.currency) || currency;
+
+    await Promise.all(tree.locations.map(location => this.addColors(tree, location, localization)));
+
+    debug(`Explored ${tree.locations.length} decoration locations for ${params.productId}`);
+    return tree;
+  }
+
+  /**
+   * Build the tree from already-fetched responses (colours are added by explore)
+   */
+  buildTree({ available, charges, pricing, partId }) {
+    const configuration = pricing?.configuration || {};
+    const chargeInfo = new Map(toArray(charges?.availableChargeArray?.availableCharge)
+      .map(charge => [toText(charge.chargeId), {
+        chargeId: toText(charge.chargeId),
+        chargeName: toText(charge.chargeName),
+        chargeDescription: toText(charge.chargeDescription),
+        chargeType: toText(charge.chargeType)
+      }]));
+
+    const parts = toArray(configuration.partArray?.part);
+    const partsByLocation = new Map();
+    for (const part of parts) {
+      for (const entry of toArray(part.locationIdArray?.locationId)) {
+        const locationId = toText(entry && typeof entry === 'object' ? entry.locationId : entry);
+        partsByLocation.set(locationId, [...(partsByLocation.get(locationId) || []), toText(part.partId)]);
+      }
+    }
+
+    const locations = new Map();
+    for (const location of toArray(configuration.locationArray?.location)) {
+      const locationId = toText(location.locationId);
+      locations.set(locationId, {
+        locationId,
+        locationName: toText(location.locationName),
+        rank: toNumber(location.locationRank),
+        isDefault: toBoolean(location.defaultLocation),
+        decorationsIncluded: toNumber(location.decorationsIncluded),
+        minDecorations: toNumber(location.minDecoration),
+        maxDecorations: toNumber(location.maxDecoration),
+        partIds: partsByLocation.get(locationId) || [],
+        methods: toArray(location.decorationArray?.decoration).map(decoration => this.toMethod(decoration, chargeInfo))
+      });
+    }
+
+    // Locations offered without decoration details
+    for (const location of toArray(available?.availableLocationArray?.availableLocation)) {
+      const locationId = toText(location.locationId);
+      if (!locations.has(locationId)) {
+        locations.set(locationId, {
+          locationId,
+          locationName: toText(location.locationName),
+          rank: null,
+          isDefault: null,
+          decorationsIncluded: null,
+          minDecorations: null,
+          maxDecorations: null,
+          partIds: partsByLocation.get(locationId) || [],
+          methods: []
+        });
+      }
+    }
+
+    const allowed = (location) => !partId || location.partIds.length === 0 || location.partIds.includes(String(partId));
+
+    return {
+      productId: toText(configuration.productId),
+      partId: partId === undefined || partId === null ? null : String(partId),
+      fobId: null,
+      currency: toText(configuration.currency),
+      locations: [...locations.values()]
+        .filter(allowed)
+        .sort(byRank),
+      charges: [...chargeInfo.values()],
+      warnings: []
+    };
+  }
+
+  toMethod(decoration, chargeInfo) {
+    return {
+      decorationId: toText(decoration.decorationId),
+      decorationName: toText(decoration.decorationName),
+      isDefault: toBoolean(decoration.defaultDecoration),
+      imprint: {
+        geometry: toText(decoration.decorationGeometry),
+        width: toNumber(decoration.decorationWidth),
+        height: toNumber(decoration.decorationHeight),
+        diameter: toNumber(decoration.decorationDiameter),
+        uom: toText(decoration.decorationUom)
+      },
+      unitsIncluded: toNumber(decoration.decorationUnitsIncluded),
+      unitsUom: toText(decoration.decorationUnitsIncludedUom),
+      maxUnits: toNumber(decoration.decorationUnitsMax),
+      ltmQuantity: toNumber(decoration.itemPartQuantityLtm),
+      leadTime: toNumber(decoration.leadTime),
+      rushLeadTime: toNumber(decoration.rushLeadTime),
+      colors: { pmsMatch: null, fullColor: null, options: [] },
+      charges: toArray(decoration.chargeArray?.charge).map(charge => {
+        const info = chargeInfo.get(toText(charge.chargeId)) || {};
+        return {
+          chargeId: toText(charge.chargeId),
+          chargeName: toText(charge.chargeName) || info.chargeName || null,
+          chargeDescription: toText(charge.chargeDescription) || info.chargeDescription || null,
+          chargeType: toText(charge.chargeType) || info.chargeType || null,
+          appliesLtm: toBoolean(charge.chargesAppliesLtm),
+          perLocation: toNumber(charge.chargesPerLocation),
+          perColor: toNumber(charge.chargesPerColor),
+          prices: toArray(charge.chargePriceArray?.chargePrice).map(price => ({
+            xMinQty: toNumber(price.xMinQty),
+            xUom: toText(price.xUom),
+            yMinQty: toNumber(price.yMinQty),
+            yUom: toText(price.yUom),
+            price: toNumber(price.price),
+            repeatPrice: toNumber(price.repeatPrice)
+          }))
+        };
+      })
+    };
+  }
+
+  /**
+   * Attach getDecorationColors results to a location's methods
+   */
+  async addColors(tree, location, localization) {
+    if (location.methods.length === 0) {
+      return;
+    }
+
+    let response;
+    try {
+      response = await this.service.getDecorationColors({
+        productId: tree.productId,
+        locationId: location.locationId,
+        ...localization
+      });
+    } catch (error) {
+      debug(`getDecorationColors failed for location ${location.locationId}: ${error.message}`);
+      tree.warnings.push({ locationId: location.locationId, operation: 'getDecorationColors', message: error.message });
+      return;
+    }
+
+    const decorationColors = response?.decorationColors || {};
+    const colors = {
+      pmsMatch: toBoolean(decorationColors.pmsMatch),
+      fullColor: toBoolean(decorationColors.fullColor),
+      options: toArray(decorationColors.colorArray?.color).map(color => ({
+        colorId: toText(color.colorId),
+        colorName: toText(color.colorName)
+      }))
+    };
+
+    // Colours apply to the listed methods, or every method when none are listed
+    const methodIds = toArray(decorationColors.decorationMethodArray?.decorationMethod)
+      .map(method => toText(method.decorationId));
+    for (const method of location.methods) {
+      if (methodIds.length === 0 || methodIds.includes(method.decorationId)) {
+        method.colors = colors;
+      }
+    }
+  }
+
+  async getDefaultFobId(productId, localization) {
+    const response = await this.service.getFobPoints({ productId, ...localization });
+    const fob = toArray(response?.fobPointArray?.fobPoint)[0];
+
+    if (!fob) {
+      throw new ValidationError(`No FOB points offered for ${productId}`, { productId });
+    }
+    return toText(fob.fobId);
+  }
+
+  /**
+   * Check a proposed configuration against a decoration tree
+   * @param {Object} tree - From explore
+   * @param {Object} proposal
+   * @param {string} proposal.partId - Default: tree.partId
+   * @param {Array<Object>} proposal.decorations - [{ locationId | locationName, decorationId,
+   *   colors (count or colour names/IDs), units, width, height, diameter }]
+   * @returns {{valid: boolean, errors: Array<{index: number, field: string, message: string}>}}
+   */
+  validate(tree, proposal = {}) {
+    const errors = [];
+    const partId = proposal.partId !== undefined ? String(proposal.partId) : tree.partId;
+    const perLocation = new Map();
+
+    toArray(proposal.decorations).forEach((request, index) => {
+      const error = (field, message) => errors.push({ index, field, message });
+      const label = request.locationId !== undefined ? request.locationId : request.locationName;
+      const location = tree.locations.find(candidate =>
+        (request.locationId !== undefined && candidate.locationId === String(request.locationId)) ||
+        (request.locationName && candidate.locationName?.toLowerCase() === String(request.locationName).toLowerCase())
+      );
+
+      if (!location) {
+        return error('location', `Location '${label}' is not offered`);
+      }
+      const locationName = location.locationName || location.locationId;
+
+      if (partId && location.partIds.length > 0 && !location.partIds.includes(partId)) {
+        return error('location', `Location '${locationName}' is not available for part ${partId}`);
+      }
+      perLocation.set(location, (perLocation.get(location) || 0) + 1);
+
+      const method = request.decorationId !== undefined
+        ? location.methods.find(candidate => candidate.decorationId === String(request.decorationId))
+        : (location.methods.length === 1 ? location.methods[0] : location.methods.find(candidate => candidate.isDefault));
+
+      if (!method) {
+        return error('decorationId', request.decorationId !== undefined
+          ? `Decoration '${request.decorationId}' is not offered at '${locationName}'`
+          : `decorationId is required: '${locationName}' offers ${location.methods.map(m => m.decorationName || m.decorationId).join(', ') || 'no decoration methods'}`);
+      }
+      const methodName = `${method.decorationName || method.decorationId} at '${locationName}'`;
+
+      this.validateColors(request, method, methodName, error);
+
+      if (request.units !== undefined && method.unitsUom !== 'Colors' && method.maxUnits !== null &&
+          Number(request.units) > method.maxUnits) {
+        error('units', `${request.units} ${method.unitsUom || 'units'} exceeds the maximum of ${method.maxUnits} for ${methodName}`);
+      }
+
+      for (const dimension of ['width', 'height', 'diameter']) {
+        const limit = method.imprint[dimension];
+        if (request[dimension] !== undefined && limit !== null && Number(request[dimension]) > limit) {
+          error(dimension, `Imprint ${dimension} ${request[dimension]} exceeds ${limit}${method.imprint.uom ? ` ${method.imprint.uom}` : ''} for ${methodName}`);
+        }
+      }
+    });
+
+    for (const [location, count] of perLocation) {
+      if (location.maxDecorations !== null && count > location.maxDecorations) {
+        errors.push({
+          index: null,
+          field: 'decorations',
+          message: `'${location.locationName || location.locationId}' allows at most ${location.maxDecorations} decoration(s), got ${count}`
+        });
+      }
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  validateColors(request, method, methodName, error) {
+    if (request.colors === undefined) {
+      return;
+    }
+
+    const requested = Array.isArray(request.colors) ? request.colors.map(String) : null;
+    const count = requested ? requested.length : Number(request.colors);
+
+    if (method.unitsUom === 'Colors' && method.maxUnits !== null && count > method.maxUnits) {
+      error('colors', `${count} colors exceeds the maximum of ${method.maxUnits} for ${methodName}`);
+    }
+
+    // Named colours must be on the list unless any PMS colour can be matched
+    const { options, pmsMatch } = method.colors;
+    if (requested && options.length > 0 && pmsMatch !== true) {
+      const known = new Set(options.flatMap(option => [option.colorId, option.colorName?.toLowerCase()]));
+      const unknown = requested.filter(color => !known.has(color) && !known.has(color.toLowerCase()));
+      if (unknown.length > 0) {
+        error('colors', `Colors not offered for ${methodName}: ${unknown.join(', ')}`);
+      }
+    }
+  }
+}
+
+// Ranked locations first, in rank order
+function byRank(a, b) {
+  if (a.rank === null || b.rank === null) {
+    return (a.rank === null ? 1 : 0) - (b.rank === null ? 1 : 0);
+  }
+  return a.rank - b.rank;
+}
+
+module.exports = DecorationExplorer;
@@ -0,0 +1,468 @@
+const debug = require('debug')('promostandards:pricing');
+const { ValidationError } = require('../../core/errors');
+const {
+  toArray,
+  toText,
+  toNumber,
+  toBoolean,
+  toDate
+} = require('../../core/response-utils');
+
+const LTM_CHARGE_PATTERN = /less[\s-]*than[\s-]*min|\bLTM\b/i;
+
+/**
+ * PriceCalculator - Quotes from Pricing & Configuration (PPC) data
+ *
+ * Rules applied to a getConfigurationAndPricing response:
+ * - Unit price: the PartPrice break with the highest minQuantity <= quantity.
+ *   Below the lowest break the order is less-than-minimum (LTM), allowed only
+ *   down to a selected decoration's itemPartQuantityLTM.
+ * - Charge price: the ChargePrice row with the highest xMinQty, then yMinQty,
+ *   not above the order. Quantity UOMs read the quantity, Colors the colour
+ *   count, Locations the number of decorations, other UOMs `units`.
+ * - Each charge occurs chargesPerLocation times, and per colour when
+ *   chargesPerColor is set. Run charges skip the colours covered by
+ *   decorationUnitsIncluded (Colors) and are multiplied by the quantity.
+ * - LTM charges (named "less than minimum"/"LTM", or Order charges with
+ *   chargesAppliesLTM) apply only to LTM orders.
+ * - Prices outside priceEffectiveDate/priceExpiryDate are ignored.
+ *
+ * @example
+ * const calculator = new PriceCalculator(pricingService);
+ * const quote = await calculator.quote({
+ *   productId: '5790', partId: '5790BLK', quantity: 250, fobId: '1',
+ *   decorations: [{ locationId: 2, decorationId: 1, colors: 2 }]
+ * });
+ * quote.total;      // 812.5
+ * quote.lineItems;  // [{ type: 'product', ... }, { type: 'setup', ... }, ...]
+ */
+class PriceCalculator {
+  /**
+   * @param {PricingConfigurationService} service
+   * @param {Object} options
+   * @param {string} options.currency - Default currency (default USD)
+   * @param {string} options.priceType - Default price type: List, Net or Customer (default List)
+   * @param {Function} options.isLessThanMinimumCharge - (charge) => boolean, replaces the LTM rule
+   */
+  constructor(service, options = {}) {
+    this.service = service;
+    this.currency = options.currency || 'USD';
+    this.priceType = options.priceType || 'List';
+    this.isLessThanMinimumCharge = options.isLessThanMinimumCharge || PriceCalculator.isLessThanMinimumCharge;
+  }
+
+  /**
+   * Fetch PPC data for a product and price an order
+   * @param {Object} order
+   * @param {string} order.productId
+   * @param {string} order.partId - Default: the product's default (or only) part
+   * @param {number} order.quantity
+   * @param {string} order.fobId - FOB point
+   * @param {Array<Object>} order.decorations - [{ locationId | locationName, decorationId, colors, units, repeat }]
+   * @param {string} order.currency
+   * @param {string} order.priceType
+   * @param {Date|string} order.date - Price date (default now)
+   * @returns {Promise<Object>} See calculate
+   */
+  async quote(order = {}) {
+    this.validateOrder(order);
+    const decorations = order.decorations || [];
+
+    const response = await this.service.getConfigurationAndPricing({
+      productId: order.productId,
+      partId: order.partId,
+      fobId: order.fobId,
+      currency: order.currency || this.currency,
+      priceType: order.priceType || this.priceType,
+      configurationType: decorations.length > 0 ? 'Decorated' : 'Blank',
+      localizationCountry: order.localizationCountry,
+      localizationLanguage: order.localizationLanguage
+    });
+
+    return this.calculate(response, order);
+  }
+
+  /**
+   * Price an order from a getConfigurationAndPricing response
+   * @returns {Object} { productId, partId, quantity, currency, fobId, unitPrice, lessThanMinimum,
+   *   lineItems, productTotal, setupCharges, runCharges, orderCharges, lessThanMinimumCharges,
+   *   total, effectiveUnitPrice }
+   * @throws {ValidationError} For unknown parts/locations/decorations or quantities outside the breaks
+   */
+  calculate(response, order = {}) {
+    this.validateOrder(order);
+
+    const configuration = response?.configuration || response?.configurationAndPricing;
+    if (!configuration) {
+      const message = toText(response?.errorMessage?.description);
+      throw new ValidationError(
+        `No pricing configuration for ${order.productId}${message ? `: ${message}` : ''}`,
+        { productId: order.productId, errorMessage: response?.errorMessage }
+      );
+    }
+
+    const quantity = Number(order.quantity);
+    const date = order.date ? toDate(order.date) : new Date();
+    const part = this.selectPart(configuration, order.partId);
+    const partId = toText(part.partId);
+    this.checkFob(configuration, order.fobId);
+
+    const selections = (order.decorations || []).map(decoration => this.selectDecoration(configuration, part, decoration));
+    this.checkDecorationCounts(selections);
+
+    const { price, lessThanMinimum } = this.selectPartPrice(part, quantity, selections, date);
+    const lineItems = [{
+      type: 'product',
+      description: toText(part.partDescription) || partId,
+      partId,
+      unitPrice: price.price,
+      quantity,
+      amount: round(price.price * quantity)
+    }];
+
+    const context = { quantity, date, lessThanMinimum, locationCount: selections.length };
+    for (const selection of selections) {
+      lineItems.push(...this.priceCharges(selection, context));
+    }
+
+    const sum = (type) => round(lineItems
+      .filter(item => !type || item.type === type)
+      .reduce((total, item) => total + item.amount, 0));
+    const total = sum();
+
+    debug(`Quoted ${order.productId}/${partId} x${quantity}: ${total}`);
+    return {
+      productId: toText(configuration.productId) || order.productId,
+      partId,
+      quantity,
+      currency: toText(configuration.currency) || order.currency || this.currency,
+      fobId: order.fobId === undefined ? null : String(order.fobId),
+      priceType: toText(configuration.priceType) || order.priceType || this.priceType,
+      unitPrice: price.price,
+      priceUom: price.priceUom,
+      lessThanMinimum,
+      lineItems,
+      productTotal: sum('product'),
+      setupCharges: sum('setup'),
+      runCharges: sum('run'),
+      orderCharges: sum('order'),
+      lessThanMinimumCharges: sum('lessThanMinimum'),
+      total,
+      effectiveUnitPrice: round(total / quantity, 4)
+    };
+  }
+
+  validateOrder(order) {
+    if (!order.productId) {
+      throw new ValidationError('productId is required for pricing', { method: 'quote' });
+    }
+    if (!Number.isInteger(Number(order.quantity)) || Number(order.quantity) <= 0) {
+      throw new ValidationError(
+        'quantity must be a positive integer',
+        { method: 'quote', quantity: order.quantity }
+      );
+    }
+    if (order.date && !toDate(order.date)) {
+      throw new ValidationError(`Invalid price date: ${order.date}`, { method: 'quote', date: order.date });
+    }
+  }
+
+  selectPart(configuration, partId) {
+    const parts = toArray(configuration.partArray?.part);
+    const partIds = parts.map(part => toText(part.partId));
+
+    if (partId !== undefined && partId !== null) {
+      const part = parts.find(candidate => toText(candidate.partId) === String(partId));
+      if (!part) {
+        throw new ValidationError(
+          `Part '${partId}' not found in pricing for ${toText(configuration.productId)}`,
+          { partId, availableParts: partIds }
+        );
+      }
+      return part;
+    }
+
+    const part = parts.length === 1 ? parts[0] : parts.find(candidate => toBoolean(candidate.defaultPart));
+    if (!part) {
+      throw new ValidationError(
+        'partId is required: the product has several parts and no default part',
+        { availableParts: partIds }
+      );
+    }
+    return part;
+  }
+
+  checkFob(configuration, fobId) {
+    const fobIds = toArray(configuration.fobArray?.fob).map(fob => toText(fob.fobId));
+
+    if (fobId !== undefined && fobIds.length > 0 && !fobIds.includes(String(fobId))) {
+      throw new ValidationError(
+        `FOB point '${fobId}' is not offered for ${toText(configuration.productId)}`,
+        { fobId, availableFobIds: fobIds }
+      );
+    }
+  }
+
+  /**
+   * Resolve a requested decoration to its PPC location and decoration
+   */
+  selectDecoration(configuration, part, request) {
+    const locations = toArray(configuration.locationArray?.location);
+    const location = locations.find(candidate =>
+      (request.locationId !== undefined && toText(candidate.locationId) === String(request.locationId)) ||
+      (request.locationName && toText(candidate.locationName)?.toLowerCase() === request.locationName.toLowerCase())
+    );
+    const locationLabel = request.locationId !== undefined ? request.locationId : request.locationName;
+
+    if (!location) {
+      throw new ValidationError(
+        `Decoration location '${locationLabel}' not found`,
+        {
+          location: locationLabel,
+          availableLocations: locations.map(candidate => ({
+            locationId: toText(candidate.locationId),
+            locationName: toText(candidate.locationName)
+          }))
+        }
+      );
+    }
+
+    const locationId = toText(location.locationId);
+    const partLocations = toArray(part.locationIdArray?.locationId)
+      .map(entry => toText(entry && typeof entry === 'object' ? entry.locationId : entry));
+    if (partLocations.length > 0 && !partLocations.includes(locationId)) {
+      throw new ValidationError(
+        `Location '${toText(location.locationName) || locationId}' is not available for part ${toText(part.partId)}`,
+        { locationId, partId: toText(part.partId), availableLocations: partLocations }
+      );
+    }
+
+    const decorations = toArray(location.decorationArray?.decoration);
+    const decoration = request.decorationId !== undefined
+      ? decorations.find(candidate => toText(candidate.decorationId) === String(request.decorationId))
+      : (decorations.length === 1 ? decorations[0] : decorations.find(candidate => toBoolean(candidate.defaultDecoration)));
+
+    if (!decoration) {
+      throw new ValidationError(
+        request.decorationId !== undefined
+          ? `Decoration '${request.decorationId}' is not offered at location '${toText(location.locationName) || locationId}'`
+          : `decorationId is required: location '${toText(location.locationName) || locationId}' has several decorations`,
+        {
+          locationId,
+          decorationId: request.decorationId,
+          availableDecorations: decorations.map(candidate => ({
+            decorationId: toText(candidate.decorationId),
+            decorationName: toText(candidate.decorationName)
+          }))
+        }
+      );
+    }
+
+    const colors = request.colors === undefined ? 1 : Number(request.colors);
+    const unitsUom = toText(decoration.decorationUnitsIncludedUom);
+    const unitsMax = toNumber(decoration.decorationUnitsMax);
+    const requestedUnits = unitsUom === 'Colors' ? colors : toNumber(request.units);
+    if (unitsMax !== null && requestedUnits !== null && requestedUnits > unitsMax) {
+      throw new ValidationError(
+        `${requestedUnits} ${unitsUom || 'units'} exceeds the maximum of ${unitsMax} for ` +
+        `${toText(decoration.decorationName) || toText(decoration.decorationId)} at ${toText(location.locationName) || locationId}`,
+        { locationId, decorationId: toText(decoration.decorationId), units: requestedUnits, max: unitsMax }
+      );
+    }
+
+    return {
+      location,
+      decoration,
+      locationId,
+      decorationId: toText(decoration.decorationId),
+      colors,
+      units: toNumber(request.units),
+      repeat: Boolean(request.repeat)
+    };
+  }
+
+  checkDecorationCounts(selections) {
+    const perLocation = new Map();
+    for (const selection of selections) {
+      perLocation.set(selection.locationId, [...(perLocation.get(selection.locationId) || []), selection]);
+    }
+
+    for (const [locationId, entries] of perLocation) {
+      const max = toNumber(entries[0].location.maxDecoration);
+      if (max !== null && entries.length > max) {
+        throw new ValidationError(
+          `Location '${toText(entries[0].location.locationName) || locationId}' allows at most ${max} decoration(s)`,
+          { locationId, requested: entries.length, max }
+        );
+      }
+    }
+  }
+
+  selectPartPrice(part, quantity, selections, date) {
+    const partId = toText(part.partId);
+    const breaks = toArray(part.partPriceArray?.partPrice)
+      .map(entry => ({
+        minQuantity: toNumber(entry.minQuantity),
+        price: toNumber(entry.price),
+        priceUom: toText(entry.priceUom),
+        discountCode: toText(entry.discountCode),
+        effectiveDate: toDate(entry.priceEffectiveDate),
+        expiryDate: toDate(entry.priceExpiryDate)
+      }))
+      .filter(entry => entry.minQuantity !== null && entry.price !== null && isCurrent(entry, date))
+      .sort((a, b) => a.minQuantity - b.minQuantity);
+
+    if (breaks.length === 0) {
+      throw new ValidationError(`No current price breaks published for part ${partId}`, { partId });
+    }
+
+    const price = breaks.filter(entry => entry.minQuantity <= quantity).pop();
+    if (price) {
+      return { price, lessThanMinimum: false };
+    }
+
+    const ltmQuantities = selections
+      .map(selection => toNumber(selection.decoration.itemPartQuantityLtm))
+      .filter(value => value !== null);
+    const ltmQuantity = ltmQuantities.length > 0 ? Math.min(...ltmQuantities) : null;
+
+    if (ltmQuantity !== null && quantity >= ltmQuantity) {
+      return { price: breaks[0], lessThanMinimum: true };
+    }
+
+    const ltmNote = ltmQuantity !== null ? ` (less-than-minimum orders start at ${ltmQuantity})` : '';
+    throw new ValidationError(
+      `Quantity ${quantity} is below the minimum of ${breaks[0].minQuantity} for part ${partId}${ltmNote}`,
+      {
+        partId,
+        quantity,
+        minQuantity: breaks[0].minQuantity,
+        lessThanMinimumQuantity: ltmQuantity,
+        priceBreaks: breaks.map(entry => ({ minQuantity: entry.minQuantity, price: entry.price }))
+      }
+    );
+  }
+
+  /**
+   * Line items for one decoration's charges
+   */
+  priceCharges(selection, context) {
+    const { decoration, locationId, decorationId } = selection;
+    const lineItems = [];
+    const includedColors = toText(decoration.decorationUnitsIncludedUom) === 'Colors'
+      ? toNumber(decoration.decorationUnitsIncluded) || 0
+      : 0;
+
+    for (const charge of toArray(decoration.chargeArray?.charge)) {
+      const chargeType = toText(charge.chargeType);
+      const isLtm = this.isLessThanMinimumCharge(charge);
+      if (isLtm && !context.lessThanMinimum) {
+        continue;
+      }
+
+      const row = this.selectChargePrice(charge, selection, context);
+      const unitPrice = selection.repeat && row.repeatPrice !== null ? row.repeatPrice : row.price;
+
+      const perLocation = toNumber(charge.chargesPerLocation) || 1;
+      const perColor = toNumber(charge.chargesPerColor);
+      const colors = chargeType === 'Run' ? Math.max(0, selection.colors - includedColors) : selection.colors;
+      const occurrences = perLocation * (perColor ? perColor * colors : 1);
+      if (occurrences === 0) {
+        continue;
+      }
+
+      const type = isLtm ? 'lessThanMinimum' : (chargeType || 'order').toLowerCase();
+      const count = type === 'run' ? occurrences * context.quantity : occurrences;
+
+      lineItems.push({
+        type,
+        description: toText(charge.chargeName) || toText(charge.chargeDescription),
+        chargeId: toText(charge.chargeId),
+        locationId,
+        decorationId,
+        unitPrice,
+        quantity: count,
+        amount: round(unitPrice * count)
+      });
+    }
+
+    return lineItems;
+  }
+
+  selectChargePrice(charge, selection, context) {
+    const valueFor = (uom) => {
+      switch (uom) {
+      case 'Colors': return selection.colors;
+      case 'Locations': return context.locationCount;
+      case 'Inches':
+      case 'SquareInches':
+      case 'Stitches':
+      case 'Other': return selection.units === null ? 0 : selection.units;
+      default: return context.quantity;
+      }
+    };
+
+    const rows = toArray(charge.chargePriceArray?.chargePrice)
+      .map(entry => ({
+        xMinQty: toNumber(entry.xMinQty) || 0,
+        xUom: toText(entry.xUom),
+        yMinQty: toNumber(entry.yMinQty) || 0,
+        yUom: toText(entry.yUom),
+        price: toNumber(entry.price),
+        repeatPrice: toNumber(entry.repeatPrice),
+        effectiveDate: toDate(entry.priceEffectiveDate),
+        expiryDate: toDate(entry.priceExpiryDate)
+      }))
+      .filter(entry => entry.price !== null && isCurrent(entry, context.date));
+
+    const fits = (entry, x) => entry.xMinQty <= x && entry.yMinQty <= valueFor(entry.yUom);
+    const pick = (candidates) => candidates
+      .sort((a, b) => (b.xMinQty - a.xMinQty) || (b.yMinQty - a.yMinQty))[0];
+
+    let row = pick(rows.filter(entry => fits(entry, valueFor(entry.xUom))));
+
+    // LTM orders use the charge's lowest quantity row
+    if (!row && context.lessThanMinimum && rows.length > 0) {
+      const lowest = Math.min(...rows.map(entry => entry.xMinQty));
+      row = pick(rows.filter(entry => fits(entry, lowest)));
+    }
+
+    if (!row) {
+      const chargeType = toText(charge.chargeType);
+      throw new ValidationError(
+        `No ${chargeType ? `${chargeType} ` : ''}charge price for '${toText(charge.chargeName)}' at quantity ` +
+        `${context.quantity} and ${selection.colors} color(s)`,
+        {
+          chargeId: toText(charge.chargeId),
+          locationId: selection.locationId,
+          decorationId: selection.decorationId,
+          quantity: context.quantity,
+          colors: selection.colors,
+          chargePrices: rows.map(entry => ({ xMinQty: entry.xMinQty, yMinQty: entry.yMinQty, price: entry.price }))
+        }
+      );
+    }
+
+    return row;
+  }
+
+  /**
+   * Default LTM rule: named "less than minimum"/"LTM", or an Order charge with chargesAppliesLTM
+   */
+  static isLessThanMinimumCharge(charge) {
+    const text = `${toText(charge.chargeName) || ''} ${toText(charge.chargeDescription) || ''}`;
+    return LTM_CHARGE_PATTERN.test(text) ||
+      (toBoolean(charge.chargesAppliesLtm) === true && toText(charge.chargeType) === 'Order');
+  }
+}
+
+function isCurrent(entry, date) {
+  return (!entry.effectiveDate || entry.effectiveDate <= date) && (!entry.expiryDate || entry.expiryDate >= date);
+}
+
+function round(value, places = 2) {
+  const factor = 10 ** places;
+  return Math.round((value + Number.EPSILON) * factor) / factor;
+}
+
+module.exports = PriceCalculator;
@@ -1,5 +1,7 @@
 const BaseService = require('../../core/base-service');
 const { ValidationError } = require('../../core/errors');
+const PriceCalculator = require('./price-calculator');
+const DecorationExplorer = require('./decoration-explorer');
 
 /**
  * PricingConfigurationService (PPC) - PromoStandards Pricing and Configuration Service
@@ -12,6 +14,10 @@ const { ValidationError } = require('../../core/errors');
  * - getAvailableCharges: Get available charges for a product
  * - getDecorationColors: Get available decoration colors
  * - getFobPoints: Get FOB shipping points
+ *
+ * calculatePrice prices an order from getConfigurationAndPricing (see PriceCalculator);
+ * exploreDecorations and validateDecorations combine the decoration operations
+ * into one tree (see DecorationExplorer).
  */
 class PricingConfigurationService extends BaseService {
   static serviceName = 'PricingConfiguration';
@@ -80,6 +86,39 @@ class PricingConfigurationService extends BaseService {
     return this.call(this.operations.getConfigurationAndPricing, request);
   }
 
+  /**
+   * Price an order: unit price, setup, run and less-than-minimum charges, and total
+   * @param {Object} order - See PriceCalculator#quote
+   * @param {Object} options - PriceCalculator options
+   * @returns {Promise<Object>} Quote with a line-item breakdown
+   */
+  async calculatePrice(order = {}, options = {}) {
+    return new PriceCalculator(this, options).quote(order);
+  }
+
+  /**
+   * Get a product's decoration options as one tree:
+   * location -> decoration methods -> max colours / imprint size -> colour options -> charges
+   * @param {Object} params - { productId, partId, fobId, currency, priceType }
+   * @returns {Promise<Object>} See DecorationExplorer
+   */
+  async exploreDecorations(params = {}) {
+    return new DecorationExplorer(this).explore(params);
+  }
+
+  /**
+   * Check a proposed decoration configuration against the supplier's rules
+   * @param {Object} proposal - { productId, partId, decorations: [{ locationId, decorationId, colors, units, width, height }] }
+   * @param {Object} tree - From exploreDecorations (fetched when omitted)
+   * @returns {Promise<{valid: boolean, errors: Array<Object>, tree: Object}>}
+   */
+  async validateDecorations(proposal = {}, tree = null) {
+    const explorer = new DecorationExplorer(this);
+    const decorationTree = tree || await explorer.explore(proposal);
+
+    return { ...explorer.validate(decorationTree, proposal), tree: decorationTree };
+  }
+
   /**
    * Get available decoration locations for a product
    * @param {Object} params - Request parameters
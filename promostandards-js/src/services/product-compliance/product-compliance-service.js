@@ -7,7 +7,8 @@ const { ValidationError } = require('../../core/errors');
  * Provides methods to query product compliance and safety information.
  *
  * Operations:
- * - getProductComplianceInfo: Get compliance/safety info for a product
+ * - getCompliance: Get compliance data (e.g. CA Prop 65) for a product or part
+ * - getProductsWithRegulations: Get products that have or will have regulations
  */
 class ProductComplianceService extends BaseService {
   static serviceName = 'ProductCompliance';
@@ -18,48 +19,141 @@ class ProductComplianceService extends BaseService {
     super(options);
 
     this.operations = {
-      getProductComplianceInfo: 'getProductComplianceInfo'
+      getCompliance: 'getCompliance',
+      getProductsWithRegulations: 'getProductsWithRegulations'
     };
   }
 
   /**
-   * Get product compliance information
+   * Get compliance data for a product
    * @param {Object} params - Request parameters
    * @param {string} params.productId - Product ID
-   * @param {string} params.partId - Part ID (optional)
-   * @param {string} params.localizationCountry - Country code
-   * @param {string} params.localizationLanguage - Language code
-   * @returns {Promise<Object>} Compliance info response
+   * @param {string} params.partId - Part ID (optional, omit for all applicable parts)
+   * @returns {Promise<Object>} Compliance data response
    */
-  async getProductComplianceInfo(params = {}) {
-    if (!params.productId) {
+  async getCompliance(params = {}) {
+    const productId = params.productId || params.productID;
+    if (!productId) {
       throw new ValidationError(
-        'productId is required for getProductComplianceInfo',
-        { method: 'getProductComplianceInfo' }
+        'productId is required for getCompliance',
+        { method: 'getCompliance' }
       );
     }
 
     const request = {
-      productId: params.productId,
-      localizationCountry: params.localizationCountry || params.country || 'US',
-      localizationLanguage: params.localizationLanguage || params.language || 'en'
+      productId
     };
 
-    if (params.partId) {
-      request.partId = params.partId;
+    if (params.partId || params.partID) {
+      request.partId = params.partId || params.partID;
+    }
+
+    return this.call(this.operations.getCompliance, request);
+  }
+
+  /**
+   * Get products that currently have, or will have, applicable regulations
+   * @param {Object} params - Request parameters
+   * @param {string|Date} params.changeTimeStamp - Only products changed since this date (optional)
+   * @returns {Promise<Object>} Products with regulations response
+   */
+  async getProductsWithRegulations(params = {}) {
+    const request = {};
+
+    const since = params.changeTimeStamp || params.since || params.modifiedSince;
+    if (since) {
+      request.changeTimeStamp = this.formatTimestamp(since);
+    }
+
+    return this.call(this.operations.getProductsWithRegulations, request);
+  }
+
+  /**
+   * @deprecated getProductComplianceInfo is not a Product Compliance 1.0.0 operation. Use getCompliance.
+   * @param {Object} params - Request parameters
+   * @returns {Promise<Object>} Compliance data response
+   */
+  async getProductComplianceInfo(params = {}) {
+    return this.getCompliance(params);
+  }
+
+  /**
+   * Format timestamp to ISO 8601
+   */
+  formatTimestamp(timestamp) {
+    if (!timestamp) return null;
+
+    if (timestamp instanceof Date) {
+      return timestamp.toISOString();
+    }
+
+    if (typeof timestamp === 'string') {
+      const date = new Date(timestamp);
+      if (isNaN(date.getTime())) {
+        throw new ValidationError(
+          'Invalid timestamp format',
+          { provided: timestamp, expected: 'ISO 8601 format' }
+        );
+      }
+      return date.toISOString();
+    }
+
+    if (typeof timestamp === 'number') {
+      return new Date(timestamp).toISOString();
     }
 
-    return this.call(this.operations.getProductComplianceInfo, request);
+    throw new ValidationError(
+      'Invalid timestamp type',
+      { type: typeof timestamp, expected: 'Date, string, or number' }
+    );
   }
 
   /**
    * Response validators
+   *
+   * Both response elements are all-optional sequences, so an empty response
+   * (no compliance data available) is valid and normalized to an empty object.
    */
   static responseValidators = {
-    getProductComplianceInfo: (response) => {
-      if (!response.productComplianceArray && !response.productCompliance) {
-        throw new Error('Invalid response: missing compliance info');
+    getCompliance: (response) => {
+      if (!response) {
+        return {};
+      }
+
+      if (typeof response !== 'object') {
+        throw new Error('Invalid response: missing compliance data');
+      }
+
+      if (response.complianceDataArray) {
+        const entries = [].concat(response.complianceDataArray.complianceData || []);
+        if (entries.some(entry => !entry || entry.productId === undefined)) {
+          throw new Error('Invalid response: compliance data missing productId');
+        }
+      } else if (Object.keys(response).length > 0 && !response.serviceMessageArray) {
+        throw new Error('Invalid response: missing compliance data');
+      }
+
+      return response;
+    },
+
+    getProductsWithRegulations: (response) => {
+      if (!response) {
+        return {};
       }
+
+      if (typeof response !== 'object') {
+        throw new Error('Invalid response: missing products with regulations');
+      }
+
+      if (response.productWithRegulationsArray) {
+        const entries = [].concat(response.productWithRegulationsArray.productWithRegulations || []);
+        if (entries.some(entry => !entry || entry.productId === undefined)) {
+          throw new Error('Invalid response: product with regulations missing productId');
+        }
+      } else if (Object.keys(response).length > 0 && !response.serviceMessageArray) {
+        throw new Error('Invalid response: missing products with regulations');
+      }
+
       return response;
     }
   };
@@ -20,18 +20,12 @@ class ProductDataService extends BaseService {
       );
     }
 
-    if (this.version === '2.0.0' && params.productIdType) {
-      request.productIDtype = params.productIdType;
-    }
-
     return this.call('getProduct', request);
   }
 
   async getProductDateModified(params = {}) {
     const request = {
-      changeTimeStamp: this.formatTimestamp(params.changeTimeStamp || params.since || params.modifiedSince),
-      localizationCountry: params.localizationCountry || params.country || 'US',
-      localizationLanguage: params.localizationLanguage || params.language || 'en'
+      changeTimeStamp: this.formatTimestamp(params.changeTimeStamp || params.since || params.modifiedSince)
     };
 
     if (!request.changeTimeStamp) {
@@ -45,10 +39,13 @@ class ProductDataService extends BaseService {
   }
 
   async getProductSellable(params = {}) {
-    const request = {
-      localizationCountry: params.localizationCountry || params.country || 'US',
-      localizationLanguage: params.localizationLanguage || params.language || 'en'
-    };
+    const request = {};
+
+    // Localization is only part of the 2.0.0 request
+    if (this.version === '2.0.0') {
+      request.localizationCountry = params.localizationCountry || params.country || 'US';
+      request.localizationLanguage = params.localizationLanguage || params.language || 'en';
+    }
 
     // productId is optional - if omitted, returns ALL sellable products
     const productId = params.productId || params.productID;
@@ -60,18 +57,12 @@ class ProductDataService extends BaseService {
       request.partId = params.partId || params.partID;
     }
 
-    if (this.version === '2.0.0') {
-      request.isSellable = params.isSellable !== undefined ? params.isSellable : true;
-
-      if (params.productIdType) {
-        request.productIDtype = params.productIdType;
-      }
-    }
+    request.isSellable = params.isSellable !== undefined ? params.isSellable : true;
 
     return this.call('getProductSellable', request);
   }
 
-  async getProductCloseout(params = {}) {
+  async getProductCloseout() {
     if (this.version === '1.0.0') {
       throw new ValidationError(
         'getProductCloseout is not available in version 1.0.0',
@@ -79,12 +70,7 @@ class ProductDataService extends BaseService {
       );
     }
 
-    const request = {
-      localizationCountry: params.localizationCountry || params.country || 'US',
-      localizationLanguage: params.localizationLanguage || params.language || 'en'
-    };
-
-    return this.call('getProductCloseOut', request);
+    return this.call('getProductCloseOut', {});
   }
 
   formatTimestamp(timestamp) {
@@ -28,11 +28,10 @@ class ProductMediaService extends BaseService {
    * Get media content for a product
    * @param {Object} params - Request parameters
    * @param {string} params.productId - Product ID
-   * @param {string} params.mediaType - Media type filter (optional)
+   * @param {string} params.mediaType - Media type: Image, Video, Audio or Document
    * @param {string} params.partId - Part ID filter (optional)
-   * @param {string} params.classType - Class type filter (optional)
-   * @param {string} params.localizationCountry - Country code
-   * @param {string} params.localizationLanguage - Language code
+   * @param {number} params.classType - Class type filter (optional)
+   * @param {string} params.cultureName - Language culture name, e.g. en-US (optional)
    * @returns {Promise<Object>} Media content response
    */
   async getMediaContent(params = {}) {
@@ -43,14 +42,20 @@ class ProductMediaService extends BaseService {
       );
     }
 
+    if (!params.mediaType) {
+      throw new ValidationError(
+        'mediaType is required for getMediaContent',
+        { method: 'getMediaContent' }
+      );
+    }
+
     const request = {
       productId: params.productId,
-      localizationCountry: params.localizationCountry || params.country || 'US',
-      localizationLanguage: params.localizationLanguage || params.language || 'en'
+      mediaType: params.mediaType
     };
 
-    if (params.mediaType) {
-      request.mediaType = params.mediaType;
+    if (params.cultureName) {
+      request.cultureName = params.cultureName;
     }
 
     if (params.partId) {
@@ -68,8 +73,7 @@ class ProductMediaService extends BaseService {
    * Get products with media modified since date
    * @param {Object} params - Request parameters
    * @param {string|Date} params.changeTimeStamp - Get media modified since this date
-   * @param {string} params.localizationCountry - Country code
-   * @param {string} params.localizationLanguage - Language code
+   * @param {string} params.cultureName - Language culture name, e.g. en-US (optional)
    * @returns {Promise<Object>} Modified media response
    */
   async getMediaDateModified(params = {}) {
@@ -81,11 +85,13 @@ class ProductMediaService extends BaseService {
     }
 
     const request = {
-      changeTimeStamp: this.formatTimestamp(params.changeTimeStamp || params.since || params.modifiedSince),
-      localizationCountry: params.localizationCountry || params.country || 'US',
-      localizationLanguage: params.localizationLanguage || params.language || 'en'
+      changeTimeStamp: this.formatTimestamp(params.changeTimeStamp || params.since || params.modifiedSince)
     };
 
+    if (params.cultureName) {
+      request.cultureName = params.cultureName;
+    }
+
     return this.call(this.operations.getMediaDateModified, request);
   }
 
@@ -0,0 +1,565 @@
+const { ValidationError } = require('../../core/errors');
+
+/**
+ * PurchaseOrderBuilder - Fluent builder for the Purchase Order 1.0.0 PO element
+ *
+ * Covers the whole SharedObjectsPO.xsd structure: digital proofs, order
+ * contacts, shipments with third-party accounts, line items with programs,
+ * parts linked to shipments and decoration locations, configurations with
+ * charges, locations, decorations and artwork, and tax information.
+ *
+ * Keys are emitted in xsd:sequence order. What the schema requires but a
+ * caller rarely cares about is filled in: line numbers, shipment IDs,
+ * location link IDs, line and order totals, booleans (false) and the
+ * ExactOnly tolerance. Nothing else is checked here.
+ *
+ * @example
+ * const po = new PurchaseOrderBuilder({ orderNumber: 'PO-1001', termsAndConditions: 'Net 30' })
+ *   .contact({ type: 'Order', attentionTo: 'Jane Buyer', email: 'jane@example.com' })
+ *   .shipment({ carrier: 'UPS', service: 'Ground', shipTo: { companyName: 'Acme', address1: '1 Main St' } })
+ *   .lineItem({
+ *     description: 'Stadium cup',
+ *     productId: '5790',
+ *     unitPrice: 3,
+ *     parts: [{ partId: '5790BLK', quantity: 250 }],
+ *     decorations: [{ locationId: 1, decorationId: 10, artwork: { refArtworkId: 'ART-9' } }],
+ *     charges: [{ chargeId: 100, chargeType: 'Setup', quantity: 1, unitPrice: 50 }]
+ *   })
+ *   .build();
+ */
+class PurchaseOrderBuilder {
+  /**
+   * @param {Object} header - Order header fields (see header())
+   */
+  constructor(header = {}) {
+    this.fields = {};
+    this.proof = null;
+    this.contacts = [];
+    this.shipments = [];
+    this.lineItems = [];
+    this.taxes = [];
+
+    this.header(header);
+  }
+
+  /**
+   * Build from a single order object
+   *
+   * Also accepts the keys buildPurchaseOrder has always taken: contact or
+   * orderContactInfo, and shipTo with the freight fields alongside the address.
+   * @param {Object} orderData - Header fields plus digitalProof, contacts,
+   *   shipments, lineItems and taxes
+   * @returns {PurchaseOrderBuilder}
+   */
+  static from(orderData = {}) {
+    const {
+      digitalProof, contacts, contact, orderContactInfo, shipments, shipTo, lineItems, taxes,
+      ...header
+    } = orderData;
+    const builder = new PurchaseOrderBuilder(header);
+
+    if (digitalProof) {
+      builder.digitalProof(digitalProof);
+    }
+    toList(contacts || contact || orderContactInfo).forEach(entry => builder.contact(entry));
+    toList(shipments).forEach(entry => builder.shipment(entry));
+    if (shipTo) {
+      builder.shipment(fromLegacyShipTo(shipTo));
+    }
+    toList(lineItems).forEach(entry => builder.lineItem(entry));
+    toList(taxes).forEach(entry => builder.tax(entry));
+
+    return builder;
+  }
+
+  /**
+   * Set order header fields
+   * @param {Object} fields
+   * @param {string} fields.orderType - Blank, Configured, Sample or Simple (default:
+   *   Configured when any line item is decorated, otherwise Blank)
+   * @param {string} fields.orderNumber
+   * @param {Date|string} fields.orderDate - Default now
+   * @param {Date|string} fields.lastModified - Default now
+   * @param {number} fields.totalAmount - Default: sum of line item totals
+   * @param {string} fields.paymentTerms
+   * @param {boolean} fields.rush
+   * @param {string} fields.currency - ISO 4217 code (default USD)
+   * @param {string} fields.termsAndConditions
+   * @param {string} fields.salesChannel
+   * @param {string} fields.promoCode
+   * @returns {PurchaseOrderBuilder}
+   */
+  header(fields = {}) {
+    for (const [key, value] of Object.entries(fields)) {
+      if (value !== undefined) {
+        this.fields[key] = value;
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Request a digital proof
+   * @param {Object} proof
+   * @param {boolean} proof.required - Whether production waits for approval
+   * @param {Array<Object>} proof.addresses - { type (Email|Webservice), email, lineItemGroupingId }
+   * @returns {PurchaseOrderBuilder}
+   */
+  digitalProof(proof = {}) {
+    this.proof = {
+      DigitalProofAddressArray: {
+        DigitalProofAddress: toList(proof.addresses).map(address => ({
+          type: address.type || 'Email',
+          email: address.email,
+          lineItemGroupingId: address.lineItemGroupingId
+        }))
+      },
+      required: proof.required || false
+    };
+    return this;
+  }
+
+  /**
+   * Add an order contact
+   * @param {Object} contact - type (Art, Bill, Expeditor, Order, Sales, Sold),
+   *   accountName, accountNumber and contact details (see contactDetails())
+   * @returns {PurchaseOrderBuilder}
+   */
+  contact(contact = {}) {
+    this.contacts.push({
+      accountName: contact.accountName,
+      accountNumber: contact.accountNumber,
+      contactType: contact.type || contact.contactType || 'Order',
+      ContactDetails: contactDetails(contact.details || contact)
+    });
+    return this;
+  }
+
+  /**
+   * Add a shipment
+   * @param {Object} shipment
+   * @param {number} shipment.id - Shipment ID referenced by part shipment links
+   *   (default: next number)
+   * @param {Object} shipment.shipTo - Contact details of the destination
+   * @param {string} shipment.carrier
+   * @param {string} shipment.service
+   * @param {string|string[]} shipment.references - Up to two shipping references
+   * @param {string} shipment.comments
+   * @param {Object} shipment.thirdPartyAccount - accountName, accountNumber and contact details
+   * @param {boolean} shipment.allowConsolidation
+   * @param {boolean} shipment.blindShip
+   * @param {boolean} shipment.packingListRequired
+   * @param {boolean} shipment.customerPickup
+   * @returns {PurchaseOrderBuilder}
+   */
+  shipment(shipment = {}) {
+    const shipmentId = shipment.id !== undefined
+      ? shipment.id
+      : Math.max(0, ...this.shipments.map(entry => Number(entry.ShipTo.shipmentId) || 0)) + 1;
+
+    const references = toList(shipment.references || shipment.shipReferences);
+    const account = shipment.thirdPartyAccount;
+
+    this.shipments.push({
+      shipReferences: references.length > 0 ? references : undefined,
+      comments: shipment.comments,
+      ThirdPartyAccount: account ? {
+        accountName: account.accountName,
+        accountNumber: account.accountNumber,
+        ContactDetails: contactDetails(account.details || account)
+      } : undefined,
+      allowConsolidation: shipment.allowConsolidation || false,
+      blindShip: shipment.blindShip || false,
+      packingListRequired: shipment.packingListRequired || false,
+      FreightDetails: {
+        carrier: shipment.carrier,
+        service: shipment.service
+      },
+      ShipTo: {
+        customerPickup: shipment.customerPickup || false,
+        ContactDetails: contactDetails(shipment.shipTo || {}),
+        shipmentId
+      }
+    });
+    return this;
+  }
+
+  /**
+   * Add a line item
+   * @param {Object} item
+   * @param {number} item.lineNumber - Default: next number
+   * @param {string} item.lineReferenceId
+   * @param {string} item.description
+   * @param {string} item.lineType - New, Reference or Repeat (default New)
+   * @param {number|Object} item.quantity - Number or { value, uom } (default: sum of parts)
+   * @param {string} item.uom - Quantity UOM (default EA)
+   * @param {string} item.fobId
+   * @param {string|Object} item.tolerance - Tolerance, or { tolerance, value, uom }
+   * @param {boolean} item.allowPartialShipments
+   * @param {number} item.unitPrice
+   * @param {number} item.lineItemTotal - Default: parts plus configuration charges
+   * @param {Date|string} item.requestedShipDate
+   * @param {Date|string} item.requestedInHandsDate
+   * @param {string} item.referenceSalesQuote
+   * @param {Object} item.program - { id, name }
+   * @param {string} item.endCustomerSalesOrder
+   * @param {string} item.productId
+   * @param {string} item.customerProductId
+   * @param {number} item.lineItemGroupingId
+   * @param {Array<Object>} item.parts - See buildPart()
+   * @param {Object} item.configuration - { charges, locations, referenceNumberType,
+   *   referenceNumber, preProductionProof }; `decorations` and `charges` on
+   *   the item are shorthands for configuration.locations and .charges
+   * @returns {PurchaseOrderBuilder}
+   */
+  lineItem(item = {}) {
+    const lineNumber = item.lineNumber !== undefined
+      ? item.lineNumber
+      : Math.max(0, ...this.lineItems.map(entry => Number(entry.lineNumber) || 0)) + 1;
+    const uom = item.uom || item.quantity?.uom || 'EA';
+
+    const configuration = buildConfiguration({
+      ...item.configuration,
+      locations: item.configuration?.locations || item.decorations,
+      charges: item.configuration?.charges || item.charges
+    });
+    const locationLinkIds = configuration
+      ? toList(configuration.LocationArray?.Location).map(location => location.locationLinkId)
+      : [];
+    const parts = toList(item.parts).map(part => buildPart(part, uom, locationLinkIds));
+
+    const quantity = item.quantity !== undefined
+      ? toQuantity(item.quantity, uom)
+      : (parts.length > 0 ? { uom, value: sum(parts.map(part => part.Quantity.value)) } : undefined);
+
+    this.lineItems.push({
+      lineNumber,
+      lineReferenceId: item.lineReferenceId,
+      description: item.description,
+      lineType: item.lineType || 'New',
+      Quantity: quantity,
+      fobId: item.fobId,
+      ToleranceDetails: toleranceDetails(item),
+      allowPartialShipments: item.allowPartialShipments || false,
+      unitPrice: item.unitPrice,
+      lineItemTotal: item.lineItemTotal !== undefined
+        ? item.lineItemTotal
+        : lineItemTotal(item.unitPrice, quantity, parts, configuration),
+      requestedShipDate: formatDateTime(item.requestedShipDate),
+      requestedInHandsDate: formatDateTime(item.requestedInHandsDate),
+      referenceSalesQuote: item.referenceSalesQuote || item.salesQuote,
+      Program: item.program ? { id: item.program.id, name: item.program.name } : undefined,
+      endCustomerSalesOrder: item.endCustomerSalesOrder,
+      productId: item.productId,
+      customerProductId: item.customerProductId,
+      lineItemGroupingId: item.lineItemGroupingId,
+      PartArray: parts.length > 0 ? { Part: parts } : undefined,
+      Configuration: configuration
+    });
+    return this;
+  }
+
+  /**
+   * Add tax information
+   * @param {Object} tax
+   * @param {string|string[]} tax.jurisdiction - One or more tax jurisdictions
+   * @param {boolean} tax.exempt
+   * @param {string} tax.taxId
+   * @param {string} tax.type - Hst-Gst, Pst or SalesTax
+   * @param {number} tax.amount
+   * @returns {PurchaseOrderBuilder}
+   */
+  tax(tax = {}) {
+    this.taxes.push({
+      taxJurisdiction: toList(tax.jurisdiction || tax.jurisdictions || tax.taxJurisdiction),
+      taxExempt: tax.exempt || tax.taxExempt || false,
+      taxId: tax.taxId,
+      taxType: tax.type || tax.taxType,
+      taxAmount: tax.amount !== undefined ? tax.amount : tax.taxAmount
+    });
+    return this;
+  }
+
+  /**
+   * Build the PO element
+   * @returns {Object} PO object for sendPO
+   * @throws {ValidationError} If a part links to a shipment that was not added
+   */
+  build() {
+    const fields = this.fields;
+    const shipmentIds = this.shipments.map(shipment => String(shipment.ShipTo.shipmentId));
+
+    for (const item of this.lineItems) {
+      for (const part of toList(item.PartArray?.Part)) {
+        for (const link of toList(part.ShipmentLinkArray?.ShipmentLink)) {
+          if (!shipmentIds.includes(String(link.shipmentId))) {
+            throw new ValidationError(
+              `Line ${item.lineNumber} part ${part.partId} links to unknown shipment ${link.shipmentId}`,
+              { lineNumber: item.lineNumber, partId: part.partId, shipmentId: link.shipmentId, shipmentIds }
+            );
+          }
+        }
+      }
+    }
+
+    const po = {
+      orderType: fields.orderType || (this.lineItems.some(item => item.Configuration) ? 'Configured' : 'Blank'),
+      orderNumber: fields.orderNumber,
+      orderDate: formatDateTime(fields.orderDate || new Date()),
+      lastModified: formatDateTime(fields.lastModified || new Date()),
+      totalAmount: fields.totalAmount !== undefined
+        ? fields.totalAmount
+        : round(sum(this.lineItems.map(item => Number(item.lineItemTotal) || 0))),
+      paymentTerms: fields.paymentTerms,
+      rush: fields.rush || false,
+      currency: fields.currency || 'USD',
+      DigitalProof: this.proof || undefined,
+      OrderContactArray: this.contacts.length > 0 ? { Contact: this.contacts } : undefined,
+      ShipmentArray: { Shipment: this.shipments },
+      LineItemArray: { LineItem: this.lineItems },
+      termsAndConditions: fields.termsAndConditions,
+      salesChannel: fields.salesChannel,
+      promoCode: fields.promoCode,
+      TaxInformationArray: this.taxes.length > 0 ? { TaxInformation: this.taxes } : undefined
+    };
+
+    return po;
+  }
+}
+
+/**
+ * Build a Part
+ * @param {Object} part - partId, partGroup, customerPartId, customerSupplied,
+ *   description, quantity, uom, locationLinkIds (default: every decorated
+ *   location of the line), unitPrice, extendedPrice and shipments
+ *   ([{ shipmentId, quantity }] splitting the part across shipments)
+ */
+function buildPart(part, uom, locationLinkIds) {
+  const partUom = part.uom || part.quantity?.uom || uom;
+  const quantity = toQuantity(part.quantity, partUom);
+  const links = toList(part.shipments).map(link => ({
+    Quantity: toQuantity(link.quantity, partUom),
+    shipmentId: link.shipmentId
+  }));
+
+  return {
+    partGroup: part.partGroup,
+    partId: part.partId,
+    customerPartId: part.customerPartId,
+    customerSupplied: part.customerSupplied || false,
+    description: part.description,
+    Quantity: quantity,
+    locationLinkId: part.locationLinkIds !== undefined ? toList(part.locationLinkIds) : locationLinkIds,
+    unitPrice: part.unitPrice,
+    extendedPrice: part.extendedPrice !== undefined
+      ? part.extendedPrice
+      : (part.unitPrice !== undefined ? round(part.unitPrice * quantity.value) : undefined),
+    ShipmentLinkArray: links.length > 0 ? { ShipmentLink: links } : undefined
+  };
+}
+
+/**
+ * Build a Configuration, or undefined when there is nothing to configure
+ *
+ * A location without a decorations list is itself the one decoration:
+ * `{ locationId, decorationId, artwork }`.
+ */
+function buildConfiguration(configuration) {
+  const charges = toList(configuration.charges).map(charge => {
+    const quantity = toQuantity(charge.quantity === undefined ? 1 : charge.quantity, charge.uom || 'EA');
+    return {
+      chargeName: charge.chargeName || charge.name,
+      description: charge.description,
+      extendedPrice: charge.extendedPrice !== undefined
+        ? charge.extendedPrice
+        : (charge.unitPrice !== undefined ? round(charge.unitPrice * quantity.value) : undefined),
+      unitPrice: charge.unitPrice,
+      chargeId: charge.chargeId,
+      chargeType: charge.chargeType || charge.type,
+      Quantity: quantity
+    };
+  });
+
+  let nextLinkId = Math.max(0, ...toList(configuration.locations).map(location => Number(location.locationLinkId) || 0));
+  const locations = toList(configuration.locations).map(location => ({
+    locationName: location.locationName,
+    DecorationArray: {
+      Decoration: toList(location.decorations || location).map(decoration => ({
+        decorationName: decoration.decorationName,
+        Artwork: buildArtwork(decoration.artwork || {}),
+        decorationId: decoration.decorationId
+      }))
+    },
+    locationLinkId: location.locationLinkId !== undefined ? location.locationLinkId : ++nextLinkId,
+    locationId: location.locationId
+  }));
+
+  if (charges.length === 0 && locations.length === 0 && !configuration.referenceNumber) {
+    return undefined;
+  }
+
+  return {
+    ChargeArray: charges.length > 0 ? { Charge: charges } : undefined,
+    LocationArray: locations.length > 0 ? { Location: locations } : undefined,
+    referenceNumberType: configuration.referenceNumberType,
+    referenceNumber: configuration.referenceNumber,
+    preProductionProof: configuration.preProductionProof || false
+  };
+}
+
+/**
+ * Build an Artwork
+ * @param {Object} artwork - instructions, refArtworkId, totalStitchCount,
+ *   files ([{ type, url|fileLocation, name|fileName, transport }]), description,
+ *   dimensions ({ geometry, width, height, diameter, uom, useMaxLocationDimensions }),
+ *   layers ({ colorSystem, colors: [{ color, nameOrNumber, description }] }) and
+ *   typesets ([{ value, font, fontSize, sequenceNumber }])
+ */
+function buildArtwork(artwork) {
+  const files = toList(artwork.files).map(file => ({
+    artworkType: file.type || file.artworkType || 'ProductionReady',
+    fileLocation: file.url || file.fileLocation,
+    fileName: file.name || file.fileName,
+    transportMechanism: file.transport || file.transportMechanism || 'Url'
+  }));
+  const dimensions = artwork.dimensions;
+  const layers = artwork.layers;
+  const typesets = toList(artwork.typesets);
+
+  return {
+    instructions: artwork.instructions,
+    refArtworkId: artwork.refArtworkId,
+    totalStitchCount: artwork.totalStitchCount,
+    ArtworkFileArray: files.length > 0 ? { ArtworkFile: files } : undefined,
+    description: artwork.description,
+    Dimensions: dimensions ? {
+      diameter: dimensions.diameter,
+      height: dimensions.height,
+      uom: dimensions.uom,
+      width: dimensions.width,
+      useMaxLocationDimensions: dimensions.useMaxLocationDimensions || false,
+      geometry: dimensions.geometry || (dimensions.diameter !== undefined ? 'Circle' : 'Rectangle')
+    } : undefined,
+    Layers: layers ? {
+      colorSystem: layers.colorSystem || 'Pms',
+      LayerOrStopArray: {
+        LayerOrStop: toList(layers.colors || layers.layers).map(layer => ({
+          color: layer.color,
+          nameOrNumber: layer.nameOrNumber,
+          description: layer.description
+        }))
+      }
+    } : undefined,
+    TypesetArray: typesets.length > 0 ? {
+      Typeset: typesets.map((typeset, index) => ({
+        fontSize: typeset.fontSize,
+        font: typeset.font,
+        sequenceNumber: typeset.sequenceNumber !== undefined ? typeset.sequenceNumber : index + 1,
+        value: typeset.value
+      }))
+    } : undefined
+  };
+}
+
+/**
+ * Build ContactDetails from flat address fields
+ */
+function contactDetails(details) {
+  return {
+    attentionTo: details.attentionTo || details.name,
+    companyName: details.companyName,
+    address1: details.address1,
+    address2: details.address2,
+    address3: details.address3,
+    city: details.city,
+    region: details.region || details.state,
+    postalCode: details.postalCode || details.zip,
+    country: details.country,
+    email: details.email,
+    phone: details.phone,
+    comments: details.comments
+  };
+}
+
+/**
+ * Map the buildPurchaseOrder shipTo shape (address and freight in one object)
+ */
+function fromLegacyShipTo(shipTo) {
+  return {
+    ...shipTo,
+    id: shipTo.id !== undefined ? shipTo.id : 1,
+    references: shipTo.references || shipTo.poNumber,
+    shipTo: { country: 'US', ...shipTo }
+  };
+}
+
+function toleranceDetails(item) {
+  const tolerance = item.tolerance;
+  if (tolerance && typeof tolerance === 'object') {
+    return {
+      uom: tolerance.uom,
+      value: tolerance.value,
+      tolerance: tolerance.tolerance || 'ExactOnly'
+    };
+  }
+  return {
+    uom: item.tolerancePercent !== undefined ? 'Percent' : undefined,
+    value: item.tolerancePercent,
+    tolerance: tolerance || 'ExactOnly'
+  };
+}
+
+function lineItemTotal(unitPrice, quantity, parts, configuration) {
+  const priced = parts.filter(part => part.extendedPrice !== undefined);
+  const product = priced.length > 0
+    ? sum(priced.map(part => Number(part.extendedPrice)))
+    : (unitPrice !== undefined && quantity ? unitPrice * (Number(quantity.value) || 0) : 0);
+  const charges = toList(configuration?.ChargeArray?.Charge)
+    .reduce((total, charge) => total + (Number(charge.extendedPrice) || 0), 0);
+
+  return round(product + charges);
+}
+
+function toQuantity(quantity, uom) {
+  if (quantity && typeof quantity === 'object') {
+    return { uom: quantity.uom || uom, value: quantity.value };
+  }
+  return { uom, value: quantity };
+}
+
+/**
+ * Format a date as xsd:dateTime (ISO 8601)
+ */
+function formatDateTime(date) {
+  if (!date) return undefined;
+
+  const parsed = date instanceof Date ? date : new Date(date);
+  if (isNaN(parsed.getTime())) {
+    throw new ValidationError(
+      'Invalid date format',
+      { provided: date, expected: 'ISO 8601 date/time' }
+    );
+  }
+
+  return parsed.toISOString();
+}
+
+function toList(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+function sum(values) {
+  return values.reduce((total, value) => total + (Number(value) || 0), 0);
+}
+
+/**
+ * Round to the 4 fraction digits PromoStandards decimals allow
+ */
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+module.exports = PurchaseOrderBuilder;
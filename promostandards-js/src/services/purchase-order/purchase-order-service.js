@@ -1,5 +1,15 @@
 const BaseService = require('../../core/base-service');
-const { ValidationError } = require('../../core/errors');
+const { ValidationError, ServiceError, DuplicateSubmissionError } = require('../../core/errors');
+const { toArray, isNoResults } = require('../../core/response-utils');
+const PurchaseOrderBuilder = require('./purchase-order-builder');
+const { validatePurchaseOrder } = require('./purchase-order-validator');
+const SubmissionLedger = require('./submission-ledger');
+
+/**
+ * SoapClient error codes for failures after which the supplier may still
+ * have received and processed the PO
+ */
+const UNKNOWN_OUTCOME_CODES = ['SOAP_ERROR', 'HTTP_ERROR', 'NETWORK_ERROR', 'TIMEOUT_ERROR'];
 
 /**
  * PurchaseOrderService - PromoStandards Purchase Order Service
@@ -9,6 +19,15 @@ const { ValidationError } = require('../../core/errors');
  * Operations:
  * - sendPO: Submit a purchase order
  * - getPOSupportedVersions: Get supported PO versions
+ *
+ * Build the PO with createPurchaseOrder() (see purchase-order-builder.js).
+ * sendPO checks it with validatePO() first unless `validatePO: false` is
+ * passed to the constructor or `validate: false` to sendPO.
+ *
+ * Every sendPO is recorded in a submission ledger (see submission-ledger.js)
+ * keyed by orderNumber. A PO the supplier acknowledged, or whose last send
+ * ended without a clear answer, is not sent again unless `force: true` is
+ * passed; reconcilePO() asks Order Status whether the supplier has it.
  */
 class PurchaseOrderService extends BaseService {
   static serviceName = 'PurchaseOrder';
@@ -18,6 +37,12 @@ class PurchaseOrderService extends BaseService {
   constructor(options = {}) {
     super(options);
 
+    this.validateBeforeSend = options.validatePO !== false;
+
+    // In-memory unless a ledger or store is given; `ledger: false` turns it off
+    this.ledger = SubmissionLedger.from(options.ledger === undefined ? true : options.ledger);
+    this.orderStatus = options.orderStatus || null;
+
     this.operations = {
       sendPO: 'sendPO',
       getSupportedOrderTypes: 'getSupportedOrderTypes'
@@ -27,11 +52,19 @@ class PurchaseOrderService extends BaseService {
   /**
    * Send a purchase order
    * @param {Object} params - Request parameters
-   * @param {Object} params.PO - The purchase order object
+   * @param {Object|PurchaseOrderBuilder} params.PO - The purchase order object or builder
+   * @param {boolean} params.validate - Set false to skip validatePO for this call
+   * @param {boolean} params.force - Send even if the ledger says the PO was
+   *   acknowledged or its last send has an unknown outcome
+   * @param {boolean} params.reconcile - Run reconcilePO first when the last
+   *   send has an unknown outcome
    * @returns {Promise<Object>} PO submission response
+   * @throws {ValidationError} If validatePO finds problems (listed in details.errors)
+   * @throws {DuplicateSubmissionError} If the ledger blocks the send
    */
   async sendPO(params = {}) {
-    if (!params.PO && !params.purchaseOrder) {
+    const po = params.PO || params.purchaseOrder;
+    if (!po) {
       throw new ValidationError(
         'PO (purchase order) is required for sendPO',
         { method: 'sendPO' }
@@ -39,145 +72,208 @@ class PurchaseOrderService extends BaseService {
     }
 
     const request = {
-      PO: params.PO || params.purchaseOrder
+      PO: po instanceof PurchaseOrderBuilder ? po.build() : po
     };
 
-    return this.call(this.operations.sendPO, request);
+    if (params.validate !== undefined ? params.validate !== false : this.validateBeforeSend) {
+      const { valid, errors } = this.validatePO(request.PO);
+      if (!valid) {
+        throw new ValidationError(
+          `Invalid purchase order: ${errors[0].path} ${errors[0].message}`,
+          { method: 'sendPO', errors }
+        );
+      }
+    }
+
+    if (!this.ledger || !request.PO.orderNumber) {
+      return this.call(this.operations.sendPO, request);
+    }
+
+    return this.sendRecorded(request, params);
   }
 
   /**
-   * Get supported order types
-   * @returns {Promise<Object>} Supported order types response
+   * Send a PO through the submission ledger
    */
-  async getSupportedOrderTypes() {
-    return this.call(this.operations.getSupportedOrderTypes, {});
+  async sendRecorded(request, params) {
+    const orderNumber = request.PO.orderNumber;
+    const payloadHash = SubmissionLedger.hashPayload(request.PO);
+    let record = await this.ledger.get(orderNumber);
+
+    if (record && record.status === 'pending' && params.reconcile && !params.force) {
+      ({ record } = await this.reconcilePO(orderNumber));
+    }
+    if (record && !params.force) {
+      this.checkResend(record, payloadHash);
+    }
+
+    const now = new Date().toISOString();
+    await this.ledger.update(orderNumber, {
+      payloadHash,
+      status: 'pending',
+      attempts: (record?.attempts || 0) + 1,
+      firstSubmittedAt: record?.firstSubmittedAt || now,
+      lastSubmittedAt: now,
+      error: null
+    });
+
+    let response;
+    try {
+      response = await this.call(this.operations.sendPO, request);
+    } catch (error) {
+      await this.ledger.update(orderNumber, {
+        status: this.isRejection(error) ? 'rejected' : 'pending',
+        error: error.message
+      });
+      throw error;
+    }
+
+    await this.ledger.update(orderNumber, {
+      status: 'acknowledged',
+      transactionId: response.transactionId !== undefined && response.transactionId !== null
+        ? String(response.transactionId)
+        : null,
+      acknowledgedAt: new Date().toISOString(),
+      confirmedBy: 'sendPO'
+    });
+
+    return response;
   }
 
   /**
-   * Build a purchase order object (helper method)
-   * @param {Object} orderData - Order data
-   * @returns {Object} Formatted PO object
+   * Refuse to resend an acknowledged PO or one whose last send has an unknown outcome
+   * @throws {DuplicateSubmissionError}
    */
-  buildPurchaseOrder(orderData) {
-    const po = {
-      orderType: orderData.orderType || 'Blank',
-      orderNumber: orderData.orderNumber,
-      orderDate: this.formatDate(orderData.orderDate || new Date()),
-      lastModified: this.formatDate(orderData.lastModified || new Date()),
-      totalAmount: orderData.totalAmount,
-      paymentTerms: orderData.paymentTerms,
-      rush: orderData.rush || false,
-      currency: orderData.currency || 'USD'
+  checkResend(record, payloadHash) {
+    const details = {
+      orderNumber: record.orderNumber,
+      status: record.status,
+      transactionId: record.transactionId || null,
+      samePayload: record.payloadHash === payloadHash
     };
 
-    // Order contact info
-    if (orderData.orderContactInfo || orderData.contact) {
-      po.OrderContactArray = {
-        OrderContact: this.buildContact(orderData.orderContactInfo || orderData.contact)
-      };
+    if (record.status === 'acknowledged') {
+      const transaction = record.transactionId ? ` (transactionId ${record.transactionId})` : '';
+      throw new DuplicateSubmissionError(
+        details.samePayload
+          ? `PO ${record.orderNumber} was already acknowledged${transaction}; pass force: true to send it again`
+          : `PO ${record.orderNumber} was already acknowledged${transaction} with different contents; pass force: true to send the change`,
+        details
+      );
+    }
+
+    if (record.status === 'pending') {
+      throw new DuplicateSubmissionError(
+        `The outcome of the last sendPO for PO ${record.orderNumber} is unknown; call reconcilePO before retrying or pass force: true`,
+        { ...details, error: record.error }
+      );
+    }
+  }
+
+  /**
+   * Whether a failed sendPO certainly did not place the order: it was stopped
+   * before sending, or the supplier answered with a fault or without a
+   * transactionId. Timeouts, dropped connections and HTTP errors are unknown.
+   */
+  isRejection(error) {
+    if (error instanceof ServiceError) {
+      const code = error.details?.originalError?.code;
+      return !!code && !UNKNOWN_OUTCOME_CODES.includes(code);
+    }
+    return true;
+  }
+
+  /**
+   * Ask Order Status whether the supplier has a PO, and record the answer
+   *
+   * Use before retrying a sendPO whose outcome is unknown. If the PO is
+   * found, its record becomes acknowledged and sendPO will not resend it.
+   * If not, the record becomes notFound and sendPO may retry. A record
+   * sendPO already saw acknowledged stays acknowledged, since suppliers can
+   * take a while to list new orders.
+   * @param {string} orderNumber - PO number
+   * @param {Object} options
+   * @param {OrderStatusService} options.orderStatus - Default: the orderStatus constructor option
+   * @returns {Promise<Object>} { found, orderStatuses, record } (record null without a ledger)
+   */
+  async reconcilePO(orderNumber, options = {}) {
+    const orderStatus = options.orderStatus || this.orderStatus;
+    if (!orderStatus) {
+      throw new ValidationError(
+        'reconcilePO needs an OrderStatusService: pass orderStatus to the constructor or to reconcilePO',
+        { method: 'reconcilePO', orderNumber }
+      );
     }
 
-    // Ship to info
-    if (orderData.shipTo) {
-      po.ShipmentArray = {
-        Shipment: this.buildShipment(orderData.shipTo)
-      };
+    let response;
+    try {
+      // Sent as queryType 1 to Order Status 1.0.0
+      response = await orderStatus.getOrderStatus({ queryType: 'poSearch', referenceNumber: orderNumber });
+    } catch (error) {
+      // The response validator rejects an answer without OrderStatusArray: no such PO.
+      // A rejected request says nothing about the PO and must not allow a resend.
+      if (!isNoResults(error)) {
+        throw error;
+      }
+      response = {};
+    }
+
+    const orderStatuses = toArray(response.orderStatusArray?.orderStatus).filter(status =>
+      status.purchaseOrderNumber === undefined || String(status.purchaseOrderNumber) === String(orderNumber)
+    );
+    const found = orderStatuses.length > 0;
+
+    if (!this.ledger) {
+      return { found, orderStatuses, record: null };
     }
 
-    // Line items
-    if (orderData.lineItems && orderData.lineItems.length > 0) {
-      po.LineItemArray = {
-        LineItem: orderData.lineItems.map((item, index) =>
-          this.buildLineItem(item, index + 1)
-        )
-      };
+    const now = new Date().toISOString();
+    const previous = await this.ledger.get(orderNumber);
+    let changes = { status: 'notFound' };
+    if (found && previous?.status !== 'acknowledged') {
+      changes = { status: 'acknowledged', acknowledgedAt: now, confirmedBy: 'orderStatus' };
+    } else if (previous?.status === 'acknowledged') {
+      changes = {};
     }
 
-    return po;
+    const record = await this.ledger.update(orderNumber, { ...changes, reconciledAt: now });
+    return { found, orderStatuses, record };
   }
 
   /**
-   * Build contact object
+   * Check a PO against the SharedObjectsPO.xsd rules before sending it
+   * @param {Object|PurchaseOrderBuilder} po - The purchase order object or builder
+   * @returns {{valid: boolean, errors: Array<{path: string, message: string}>}} Problems
+   *   with JSON paths into the PO (e.g. $.LineItemArray.LineItem[0].lineType)
    */
-  buildContact(contact) {
-    return {
-      contactType: contact.type || 'Buyer',
-      contactName: contact.name,
-      email: contact.email,
-      phone: contact.phone,
-      fax: contact.fax
-    };
+  validatePO(po) {
+    return validatePurchaseOrder(po instanceof PurchaseOrderBuilder ? po.build() : po);
   }
 
   /**
-   * Build shipment object
+   * Get supported order types
+   * @returns {Promise<Object>} Supported order types response
    */
-  buildShipment(shipTo) {
-    return {
-      shipmentId: shipTo.id || '1',
-      shipReferences: {
-        purchaseOrderNumber: shipTo.poNumber
-      },
-      comments: shipTo.comments,
-      ThirdPartyAccount: shipTo.thirdPartyAccount,
-      allowConsolidation: shipTo.allowConsolidation || false,
-      blindShip: shipTo.blindShip || false,
-      packingListRequired: shipTo.packingListRequired || false,
-      FreightDetails: {
-        carrier: shipTo.carrier,
-        service: shipTo.service
-      },
-      ShipTo: {
-        shipToRegistrationId: shipTo.registrationId,
-        customerPickup: shipTo.customerPickup || false,
-        contactDetails: {
-          attentionTo: shipTo.attentionTo,
-          companyName: shipTo.companyName,
-          address1: shipTo.address1,
-          address2: shipTo.address2,
-          address3: shipTo.address3,
-          city: shipTo.city,
-          region: shipTo.state || shipTo.region,
-          postalCode: shipTo.postalCode || shipTo.zip,
-          country: shipTo.country || 'US'
-        }
-      }
-    };
+  async getSupportedOrderTypes() {
+    return this.call(this.operations.getSupportedOrderTypes, {});
   }
 
   /**
-   * Build line item object
+   * Start a purchase order
+   * @param {Object} header - Order header fields (see PurchaseOrderBuilder#header)
+   * @returns {PurchaseOrderBuilder}
    */
-  buildLineItem(item, lineNumber) {
-    return {
-      lineNumber: lineNumber,
-      description: item.description,
-      lineType: item.lineType || 'New',
-      quantity: item.quantity,
-      fobId: item.fobId,
-      ToleranceDetails: {
-        tolerance: item.tolerance || 'ExactOnly',
-        tolerancePercent: item.tolerancePercent
-      },
-      allowPartialShipments: item.allowPartialShipments || false,
-      unitPrice: item.unitPrice,
-      lineItemTotal: item.lineItemTotal || (item.quantity * item.unitPrice),
-      requestedShipDate: this.formatDate(item.requestedShipDate),
-      requestedInHandsDate: this.formatDate(item.requestedInHandsDate),
-      referenceSalesQuote: item.salesQuote,
-      Product: {
-        productId: item.productId,
-        productName: item.productName
-      },
-      PartArray: item.parts ? {
-        Part: item.parts.map(part => ({
-          partId: part.partId,
-          quantity: part.quantity,
-          description: part.description,
-          unitPrice: part.unitPrice
-        }))
-      } : undefined
-    };
+  createPurchaseOrder(header = {}) {
+    return new PurchaseOrderBuilder(header);
+  }
+
+  /**
+   * Build a purchase order object (helper method)
+   * @param {Object} orderData - Order data (see PurchaseOrderBuilder.from)
+   * @returns {Object} Formatted PO object
+   */
+  buildPurchaseOrder(orderData) {
+    return PurchaseOrderBuilder.from(orderData).build();
   }
 
   /**
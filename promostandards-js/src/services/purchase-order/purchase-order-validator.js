@@ -0,0 +1,477 @@
+const { isCurrencyCode, isCountryCode, isUomCode } = require('../../core/iso-codes');
+const { toArray, toNumber, toDate } = require('../../core/response-utils');
+
+/**
+ * Enumerations from SharedObjectsPO.xsd (Purchase Order 1.0.0)
+ */
+const ENUMERATIONS = {
+  orderType: ['Blank', 'Configured', 'Sample', 'Simple'],
+  lineType: ['New', 'Reference', 'Repeat'],
+  tolerance: ['AllowOverrun', 'AllowUnderrun', 'AllowOverrunOrUnderrun', 'ExactOnly'],
+  toleranceUom: ['Percent', 'Quantity'],
+  contactType: ['Art', 'Bill', 'Expeditor', 'Order', 'Sales', 'Sold'],
+  quantityUom: ['BX', 'CA', 'DZ', 'EA', 'KT', 'PK', 'PR', 'RL', 'SL', 'ST', 'TH'],
+  digitalProofAddressType: ['Email', 'Webservice'],
+  chargeType: ['Freight', 'Order', 'Run', 'Setup'],
+  artworkType: ['NonProductionReady', 'ProductionReady', 'SupplierArtTemplate', 'VirtualProof'],
+  transportMechanism: ['ArtworkToFollow', 'Email', 'Ftp', 'Url'],
+  geometry: ['Circle', 'Other', 'Rectangle'],
+  colorSystem: ['Cmyk', 'Other', 'Pms', 'Rgb', 'Thread'],
+  referenceNumberType: ['JobOrWorkOrder', 'PurchaseOrder', 'SalesOrder'],
+  taxType: ['Hst-Gst', 'Pst', 'SalesTax']
+};
+
+/**
+ * Totals may differ from the computed amount by rounding to the cent
+ */
+const AMOUNT_TOLERANCE = 0.005;
+
+/**
+ * Check a PO object against the SharedObjectsPO.xsd rules
+ *
+ * Checks required elements, enumerations, ISO currency/country/UOM codes,
+ * that part, charge and line totals add up, and that parts link to
+ * shipments and decoration locations that exist. Problems are reported
+ * with the JSON path of the offending value (`$` is the PO).
+ *
+ * @param {Object} po - PO object (e.g. PurchaseOrderBuilder#build output)
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>}}
+ */
+function validatePurchaseOrder(po) {
+  const check = new Checker();
+
+  if (!po || typeof po !== 'object') {
+    check.fail('$', 'PO must be an object');
+    return check.result();
+  }
+
+  check.enumeration(po, '$', 'orderType', ENUMERATIONS.orderType);
+  check.text(po, '$', 'orderNumber', { maxLength: 64 });
+  check.dateTime(po, '$', 'orderDate', { required: true });
+  check.dateTime(po, '$', 'lastModified');
+  check.decimal(po, '$', 'totalAmount', { required: true });
+  check.boolean(po, '$', 'rush');
+  if (!isCurrencyCode(po.currency)) {
+    check.fail('$.currency', `currency must be an ISO 4217 currency code (got ${po.currency})`);
+  }
+  check.present(po, '$', 'termsAndConditions');
+
+  if (po.DigitalProof) {
+    check.each(po.DigitalProof.DigitalProofAddressArray, '$.DigitalProof.DigitalProofAddressArray', 'DigitalProofAddress', (address, path) => {
+      check.enumeration(address, path, 'type', ENUMERATIONS.digitalProofAddressType);
+      check.text(address, path, 'email');
+      check.integer(address, path, 'lineItemGroupingId', { required: true });
+    }, { required: true });
+    check.boolean(po.DigitalProof, '$.DigitalProof', 'required');
+  }
+
+  if (po.OrderContactArray) {
+    check.each(po.OrderContactArray, '$.OrderContactArray', 'Contact', (contact, path) => {
+      check.enumeration(contact, path, 'contactType', ENUMERATIONS.contactType);
+      check.contactDetails(contact, path);
+    }, { required: true });
+  }
+
+  const shipmentIds = new Set();
+  check.each(po.ShipmentArray, '$.ShipmentArray', 'Shipment', (shipment, path) => {
+    const references = toArray(shipment.shipReferences);
+    if (references.length > 2) {
+      check.fail(`${path}.shipReferences`, `shipReferences allows at most 2 entries (got ${references.length})`);
+    }
+    if (shipment.ThirdPartyAccount) {
+      check.text(shipment.ThirdPartyAccount, `${path}.ThirdPartyAccount`, 'accountName');
+      check.text(shipment.ThirdPartyAccount, `${path}.ThirdPartyAccount`, 'accountNumber');
+      check.contactDetails(shipment.ThirdPartyAccount, `${path}.ThirdPartyAccount`);
+    }
+    check.boolean(shipment, path, 'allowConsolidation');
+    check.boolean(shipment, path, 'blindShip');
+    check.boolean(shipment, path, 'packingListRequired');
+    if (check.object(shipment, path, 'FreightDetails')) {
+      check.text(shipment.FreightDetails, `${path}.FreightDetails`, 'carrier');
+      check.text(shipment.FreightDetails, `${path}.FreightDetails`, 'service');
+    }
+    if (check.object(shipment, path, 'ShipTo')) {
+      const shipTo = shipment.ShipTo;
+      check.boolean(shipTo, `${path}.ShipTo`, 'customerPickup');
+      check.contactDetails(shipTo, `${path}.ShipTo`);
+      if (check.integer(shipTo, `${path}.ShipTo`, 'shipmentId', { required: true })) {
+        const id = String(shipTo.shipmentId);
+        if (shipmentIds.has(id)) {
+          check.fail(`${path}.ShipTo.shipmentId`, `shipmentId ${id} is used by more than one shipment`);
+        }
+        shipmentIds.add(id);
+      }
+    }
+  }, { required: true });
+
+  const lineNumbers = new Set();
+  const lineItems = [];
+  check.each(po.LineItemArray, '$.LineItemArray', 'LineItem', (item, path) => {
+    lineItems.push(item);
+    if (check.integer(item, path, 'lineNumber', { required: true })) {
+      if (lineNumbers.has(String(item.lineNumber))) {
+        check.fail(`${path}.lineNumber`, `lineNumber ${item.lineNumber} is used by more than one line item`);
+      }
+      lineNumbers.add(String(item.lineNumber));
+    }
+    validateLineItem(check, item, path, shipmentIds);
+  }, { required: true });
+
+  if (po.orderType === 'Configured' && lineItems.length > 0 && !lineItems.some(item => item.Configuration)) {
+    check.fail('$.orderType', 'Configured orders need a Configuration on at least one line item');
+  }
+
+  if (po.TaxInformationArray) {
+    check.each(po.TaxInformationArray, '$.TaxInformationArray', 'TaxInformation', (tax, path) => {
+      if (toArray(tax.taxJurisdiction).length === 0) {
+        check.fail(`${path}.taxJurisdiction`, 'taxJurisdiction is required');
+      }
+      check.boolean(tax, path, 'taxExempt');
+      check.text(tax, path, 'taxId');
+      check.enumeration(tax, path, 'taxType', ENUMERATIONS.taxType);
+      check.decimal(tax, path, 'taxAmount');
+    }, { required: true });
+  }
+
+  return check.result();
+}
+
+function validateLineItem(check, item, path, shipmentIds) {
+  check.text(item, path, 'description');
+  check.enumeration(item, path, 'lineType', ENUMERATIONS.lineType);
+  if (item.Quantity !== undefined && item.Quantity !== null) {
+    check.quantity(item, path);
+  }
+  if (check.object(item, path, 'ToleranceDetails')) {
+    const tolerance = item.ToleranceDetails;
+    check.enumeration(tolerance, `${path}.ToleranceDetails`, 'tolerance', ENUMERATIONS.tolerance);
+    if (tolerance.uom !== undefined && tolerance.uom !== null) {
+      check.enumeration(tolerance, `${path}.ToleranceDetails`, 'uom', ENUMERATIONS.toleranceUom);
+    }
+    check.decimal(tolerance, `${path}.ToleranceDetails`, 'value');
+  }
+  check.boolean(item, path, 'allowPartialShipments');
+  check.decimal(item, path, 'unitPrice');
+  const hasTotal = check.decimal(item, path, 'lineItemTotal', { required: true });
+  check.dateTime(item, path, 'requestedShipDate');
+  check.dateTime(item, path, 'requestedInHandsDate');
+  check.integer(item, path, 'lineItemGroupingId');
+
+  const configuration = item.Configuration;
+  const locationLinkIds = new Set();
+  let charges = 0;
+
+  if (configuration) {
+    const configurationPath = `${path}.Configuration`;
+
+    if (configuration.ChargeArray) {
+      check.each(configuration.ChargeArray, `${configurationPath}.ChargeArray`, 'Charge', (charge, chargePath) => {
+        check.integer(charge, chargePath, 'chargeId', { required: true });
+        check.enumeration(charge, chargePath, 'chargeType', ENUMERATIONS.chargeType);
+        check.quantity(charge, chargePath);
+        charges += check.extendedPrice(charge, chargePath);
+      }, { required: true });
+    }
+
+    if (configuration.LocationArray) {
+      check.each(configuration.LocationArray, `${configurationPath}.LocationArray`, 'Location', (location, locationPath) => {
+        check.integer(location, locationPath, 'locationId', { required: true });
+        if (check.integer(location, locationPath, 'locationLinkId', { required: true })) {
+          const id = String(location.locationLinkId);
+          if (locationLinkIds.has(id)) {
+            check.fail(`${locationPath}.locationLinkId`, `locationLinkId ${id} is used by more than one location`);
+          }
+          locationLinkIds.add(id);
+        }
+        check.each(location.DecorationArray, `${locationPath}.DecorationArray`, 'Decoration', (decoration, decorationPath) => {
+          check.integer(decoration, decorationPath, 'decorationId', { required: true });
+          if (check.object(decoration, decorationPath, 'Artwork')) {
+            validateArtwork(check, decoration.Artwork, `${decorationPath}.Artwork`);
+          }
+        }, { required: true });
+      }, { required: true });
+    }
+
+    if (configuration.referenceNumberType !== undefined && configuration.referenceNumberType !== null) {
+      check.enumeration(configuration, configurationPath, 'referenceNumberType', ENUMERATIONS.referenceNumberType);
+    }
+    check.boolean(configuration, configurationPath, 'preProductionProof');
+  }
+
+  let partsTotal = 0;
+  let pricedParts = 0;
+  const shipments = shipmentIds.size;
+
+  if (item.PartArray) {
+    check.each(item.PartArray, `${path}.PartArray`, 'Part', (part, partPath) => {
+      check.text(part, partPath, 'partId');
+      check.boolean(part, partPath, 'customerSupplied');
+      const quantity = check.quantity(part, partPath);
+      if (part.extendedPrice !== undefined && part.extendedPrice !== null) {
+        pricedParts++;
+      }
+      partsTotal += check.extendedPrice(part, partPath);
+
+      toArray(part.locationLinkId).forEach((id, index) => {
+        if (!locationLinkIds.has(String(id))) {
+          check.fail(
+            `${partPath}.locationLinkId[${index}]`,
+            `locationLinkId ${id} does not match a Configuration location on line ${item.lineNumber}`
+          );
+        }
+      });
+
+      const links = toArray(part.ShipmentLinkArray?.ShipmentLink);
+      if (links.length === 0 && shipments > 1) {
+        check.fail(`${partPath}.ShipmentLinkArray`, `Part ${part.partId} must link to a shipment when the order has ${shipments} shipments`);
+      }
+      let linked = 0;
+      check.each(part.ShipmentLinkArray, `${partPath}.ShipmentLinkArray`, 'ShipmentLink', (link, linkPath) => {
+        if (check.integer(link, linkPath, 'shipmentId', { required: true }) && !shipmentIds.has(String(link.shipmentId))) {
+          check.fail(`${linkPath}.shipmentId`, `shipmentId ${link.shipmentId} does not match a shipment`);
+        }
+        const linkQuantity = check.quantity(link, linkPath);
+        linked += linkQuantity === null ? 0 : linkQuantity;
+      });
+      if (links.length > 0 && quantity !== null && linked !== quantity) {
+        check.fail(`${partPath}.ShipmentLinkArray`, `Shipment links for part ${part.partId} add up to ${linked}, not the part quantity ${quantity}`);
+      }
+    }, { required: true });
+  }
+
+  if (hasTotal) {
+    const product = pricedParts > 0
+      ? partsTotal
+      : (toNumber(item.unitPrice) !== null && toNumber(item.Quantity?.value) !== null
+        ? toNumber(item.unitPrice) * toNumber(item.Quantity.value)
+        : null);
+
+    if (product !== null) {
+      const expected = round(product + charges);
+      if (Math.abs(toNumber(item.lineItemTotal) - expected) > AMOUNT_TOLERANCE) {
+        check.fail(`${path}.lineItemTotal`, `lineItemTotal ${item.lineItemTotal} does not match the parts and charges (${expected})`);
+      }
+    }
+  }
+}
+
+function validateArtwork(check, artwork, path) {
+  check.integer(artwork, path, 'totalStitchCount');
+
+  if (artwork.ArtworkFileArray) {
+    check.each(artwork.ArtworkFileArray, `${path}.ArtworkFileArray`, 'ArtworkFile', (file, filePath) => {
+      check.enumeration(file, filePath, 'artworkType', ENUMERATIONS.artworkType);
+      check.text(file, filePath, 'fileLocation');
+      check.text(file, filePath, 'fileName');
+      check.enumeration(file, filePath, 'transportMechanism', ENUMERATIONS.transportMechanism);
+    }, { required: true });
+  }
+
+  const dimensions = artwork.Dimensions;
+  if (dimensions) {
+    const dimensionsPath = `${path}.Dimensions`;
+    ['diameter', 'height', 'width'].forEach(key => check.decimal(dimensions, dimensionsPath, key));
+    if (dimensions.uom !== undefined && dimensions.uom !== null && !isUomCode(dimensions.uom)) {
+      check.fail(`${dimensionsPath}.uom`, `uom must be an ISO 20022 unit code such as INCH or CMET (got ${dimensions.uom})`);
+    }
+    check.boolean(dimensions, dimensionsPath, 'useMaxLocationDimensions');
+    check.enumeration(dimensions, dimensionsPath, 'geometry', ENUMERATIONS.geometry);
+  }
+
+  const layers = artwork.Layers;
+  if (layers) {
+    check.enumeration(layers, `${path}.Layers`, 'colorSystem', ENUMERATIONS.colorSystem);
+    check.each(layers.LayerOrStopArray, `${path}.Layers.LayerOrStopArray`, 'LayerOrStop', (layer, layerPath) => {
+      ['color', 'nameOrNumber', 'description'].forEach(key => check.text(layer, layerPath, key));
+    }, { required: true });
+  }
+
+  if (artwork.TypesetArray) {
+    check.each(artwork.TypesetArray, `${path}.TypesetArray`, 'Typeset', (typeset, typesetPath) => {
+      check.integer(typeset, typesetPath, 'sequenceNumber', { required: true });
+      check.text(typeset, typesetPath, 'value');
+      check.decimal(typeset, typesetPath, 'fontSize');
+    }, { required: true });
+  }
+}
+
+/**
+ * Collects problems; each check returns whether the value passed
+ */
+class Checker {
+  constructor() {
+    this.errors = [];
+  }
+
+  fail(path, message) {
+    this.errors.push({ path, message });
+    return false;
+  }
+
+  result() {
+    return { valid: this.errors.length === 0, errors: this.errors };
+  }
+
+  present(parent, path, key) {
+    if (isMissing(parent[key])) {
+      return this.fail(`${path}.${key}`, `${key} is required`);
+    }
+    return true;
+  }
+
+  object(parent, path, key) {
+    if (!this.present(parent, path, key)) {
+      return false;
+    }
+    if (typeof parent[key] !== 'object' || Array.isArray(parent[key])) {
+      return this.fail(`${path}.${key}`, `${key} must be an object`);
+    }
+    return true;
+  }
+
+  text(parent, path, key, { maxLength } = {}) {
+    const value = parent[key];
+    if (isMissing(value) || String(value).trim() === '') {
+      return this.fail(`${path}.${key}`, `${key} is required`);
+    }
+    if (maxLength && String(value).length > maxLength) {
+      return this.fail(`${path}.${key}`, `${key} must be at most ${maxLength} characters`);
+    }
+    return true;
+  }
+
+  enumeration(parent, path, key, allowed) {
+    const value = parent[key];
+    if (isMissing(value)) {
+      return this.fail(`${path}.${key}`, `${key} is required (one of ${allowed.join(', ')})`);
+    }
+    if (!allowed.includes(value)) {
+      return this.fail(`${path}.${key}`, `${key} "${value}" must be one of ${allowed.join(', ')}`);
+    }
+    return true;
+  }
+
+  boolean(parent, path, key) {
+    const value = parent[key];
+    if (isMissing(value)) {
+      return this.fail(`${path}.${key}`, `${key} is required`);
+    }
+    if (![true, false, 'true', 'false'].includes(value)) {
+      return this.fail(`${path}.${key}`, `${key} must be true or false`);
+    }
+    return true;
+  }
+
+  decimal(parent, path, key, { required = false } = {}) {
+    const value = parent[key];
+    if (isMissing(value)) {
+      return required ? this.fail(`${path}.${key}`, `${key} is required`) : false;
+    }
+    if (toNumber(value) === null) {
+      return this.fail(`${path}.${key}`, `${key} must be a number (got ${value})`);
+    }
+    return true;
+  }
+
+  integer(parent, path, key, { required = false } = {}) {
+    if (!this.decimal(parent, path, key, { required })) {
+      return false;
+    }
+    if (!Number.isInteger(toNumber(parent[key]))) {
+      return this.fail(`${path}.${key}`, `${key} must be a whole number (got ${parent[key]})`);
+    }
+    return true;
+  }
+
+  dateTime(parent, path, key, { required = false } = {}) {
+    const value = parent[key];
+    if (isMissing(value)) {
+      return required ? this.fail(`${path}.${key}`, `${key} is required`) : false;
+    }
+    if (!toDate(value)) {
+      return this.fail(`${path}.${key}`, `${key} must be an ISO 8601 date/time (got ${value})`);
+    }
+    return true;
+  }
+
+  /**
+   * Check a Quantity element
+   * @returns {number|null} The quantity, or null when invalid
+   */
+  quantity(parent, path) {
+    if (!this.object(parent, path, 'Quantity')) {
+      return null;
+    }
+    const quantityPath = `${path}.Quantity`;
+    this.enumeration(parent.Quantity, quantityPath, 'uom', ENUMERATIONS.quantityUom);
+    return this.decimal(parent.Quantity, quantityPath, 'value', { required: true })
+      ? toNumber(parent.Quantity.value)
+      : null;
+  }
+
+  /**
+   * Check extendedPrice against unitPrice x Quantity
+   * @returns {number} The extended price (0 when missing or invalid)
+   */
+  extendedPrice(parent, path) {
+    this.decimal(parent, path, 'unitPrice');
+    if (!this.decimal(parent, path, 'extendedPrice')) {
+      return 0;
+    }
+
+    const extended = toNumber(parent.extendedPrice);
+    const unitPrice = toNumber(parent.unitPrice);
+    const quantity = toNumber(parent.Quantity?.value);
+    if (unitPrice !== null && quantity !== null && Math.abs(extended - round(unitPrice * quantity)) > AMOUNT_TOLERANCE) {
+      this.fail(`${path}.extendedPrice`, `extendedPrice ${extended} is not unitPrice x quantity (${round(unitPrice * quantity)})`);
+    }
+    return extended;
+  }
+
+  contactDetails(parent, path) {
+    if (!this.object(parent, path, 'ContactDetails')) {
+      return false;
+    }
+    const country = parent.ContactDetails.country;
+    if (!isMissing(country) && !isCountryCode(country)) {
+      return this.fail(`${path}.ContactDetails.country`, `country must be an ISO 3166 country code (got ${country})`);
+    }
+    return true;
+  }
+
+  /**
+   * Run a check for every child of an ...Array wrapper. The wrapper may hold a
+   * single object or an array; paths index the array form.
+   */
+  each(wrapper, path, key, checkEntry, { required = false } = {}) {
+    const entries = toArray(wrapper?.[key] ?? (Array.isArray(wrapper) ? wrapper : undefined));
+    if (entries.length === 0) {
+      if (required) {
+        this.fail(`${path}.${key}`, `${path.split('.').pop()} must contain at least one ${key}`);
+      }
+      return;
+    }
+    const indexed = Array.isArray(wrapper?.[key] ?? wrapper);
+    entries.forEach((entry, index) => {
+      const entryPath = indexed ? `${path}.${key}[${index}]` : `${path}.${key}`;
+      if (!entry || typeof entry !== 'object') {
+        this.fail(entryPath, `${key} must be an object`);
+        return;
+      }
+      checkEntry(entry, entryPath);
+    });
+  }
+}
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+module.exports = {
+  ENUMERATIONS,
+  validatePurchaseOrder
+};
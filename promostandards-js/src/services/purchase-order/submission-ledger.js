@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const debug = require('debug')('promostandards:submission-ledger');
+
+/**
+ * SubmissionLedger - Remembers what happened to each sendPO
+ *
+ * One record per orderNumber:
+ * {
+ *   orderNumber, payloadHash, attempts, transactionId,
+ *   status,          // 'pending' (sent, outcome unknown), 'acknowledged',
+ *                    // 'rejected' (the supplier answered with an error) or
+ *                    // 'notFound' (reconcile found no such order)
+ *   firstSubmittedAt, lastSubmittedAt, acknowledgedAt, reconciledAt,
+ *   confirmedBy,     // 'sendPO' or 'orderStatus'
+ *   error            // message of the last failed attempt
+ * }
+ *
+ * Records live in a store with the cache interface (get/set/delete, sync
+ * or async) and are saved as JSON strings, so a Redis or database backed
+ * store survives restarts. The default store is an in-memory Map.
+ */
+class SubmissionLedger {
+  /**
+   * @param {Object} store - get(key), set(key, value) and delete(key) (default: new Map())
+   * @param {Object} options
+   * @param {string} options.prefix - Key prefix in the store (default 'po:')
+   */
+  constructor(store = new Map(), options = {}) {
+    this.store = store;
+    this.prefix = options.prefix !== undefined ? options.prefix : 'po:';
+  }
+
+  /**
+   * Build a ledger from an instance, a store, true (in-memory) or false (none)
+   */
+  static from(options) {
+    if (!options) {
+      return null;
+    }
+    if (options instanceof SubmissionLedger) {
+      return options;
+    }
+    return options === true ? new SubmissionLedger() : new SubmissionLedger(options);
+  }
+
+  /**
+   * Hash of the PO contents, ignoring lastModified
+   *
+   * Set orderDate explicitly when retrying: PurchaseOrderBuilder defaults it
+   * to the build time, which changes the hash.
+   * @param {Object} po - PO object
+   * @returns {string} SHA-256 hex digest
+   */
+  static hashPayload(po) {
+    const contents = { ...po };
+    delete contents.lastModified;
+    return crypto.createHash('sha256').update(stableStringify(contents)).digest('hex');
+  }
+
+  /**
+   * Get the record for an order
+   * @param {string} orderNumber
+   * @returns {Promise<Object|null>}
+   */
+  async get(orderNumber) {
+    const stored = await this.store.get(this.key(orderNumber));
+    if (!stored) {
+      return null;
+    }
+    return typeof stored === 'string' ? JSON.parse(stored) : stored;
+  }
+
+  /**
+   * Merge changes into the record for an order
+   * @param {string} orderNumber
+   * @param {Object} changes
+   * @returns {Promise<Object>} The saved record
+   */
+  async update(orderNumber, changes) {
+    const record = {
+      ...(await this.get(orderNumber)),
+      ...changes,
+      orderNumber: String(orderNumber)
+    };
+
+    debug(`PO ${orderNumber}: ${record.status}`);
+    await this.store.set(this.key(orderNumber), JSON.stringify(record));
+    return record;
+  }
+
+  /**
+   * Forget an order
+   * @param {string} orderNumber
+   */
+  async delete(orderNumber) {
+    await this.store.delete(this.key(orderNumber));
+  }
+
+  key(orderNumber) {
+    return `${this.prefix}${orderNumber}`;
+  }
+}
+
+/**
+ * JSON with sorted keys and undefined values dropped, so equal POs hash equally
+ */
+function stableStringify(value) {
+  if (value instanceof Date) {
+    return JSON.stringify(value.toISOString());
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(item => (item === undefined ? 'null' : stableStringify(item))).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+module.exports = SubmissionLedger;
@@ -1,13 +1,34 @@
 const BaseService = require('../../core/base-service');
 const { ValidationError } = require('../../core/errors');
+const { isCurrencyCode } = require('../../core/iso-codes');
+
+/**
+ * Reference number types accepted in a RemittanceDetail
+ */
+const REFERENCE_NUMBER_TYPES = ['invoice', 'other', 'purchaseOrder', 'quote', 'salesOrder'];
+
+/**
+ * Convenience keys that imply a referenceNumberType
+ */
+const REFERENCE_ALIASES = {
+  invoiceNumber: 'invoice',
+  purchaseOrderNumber: 'purchaseOrder',
+  poNumber: 'purchaseOrder',
+  salesOrderNumber: 'salesOrder',
+  soNumber: 'salesOrder',
+  quoteNumber: 'quote'
+};
 
 /**
  * RemittanceAdviceService - PromoStandards Remittance Advice Service
  *
- * Provides methods to query payment remittance information.
+ * Remittance Advice is a distributor-to-supplier push: the distributor
+ * notifies the supplier of a payment and which invoices (or other
+ * references) it covers.
  *
  * Operations:
- * - getRemittanceAdvice: Get payment remittance details
+ * - sendRemittanceAdvice: Send a remittance advice to the supplier
+ * - getServiceMethods: Get available service methods
  */
 class RemittanceAdviceService extends BaseService {
   static serviceName = 'RemittanceAdvice';
@@ -18,157 +39,265 @@ class RemittanceAdviceService extends BaseService {
     super(options);
 
     this.operations = {
-      getRemittanceAdvice: 'getRemittanceAdvice'
+      sendRemittanceAdvice: 'sendRemittanceAdvice',
+      getServiceMethods: 'getServiceMethods'
     };
   }
 
   /**
-   * Get remittance advice
+   * Send a remittance advice
    * @param {Object} params - Request parameters
-   * @param {string} params.queryType - Query type: 1=ByPaymentId, 2=ByDate
-   * @param {string} params.paymentId - Payment ID (required for queryType 1)
-   * @param {string|Date} params.remittanceDate - Remittance date (required for queryType 2)
-   * @returns {Promise<Object>} Remittance advice response
+   * @param {Object} params.Remittance - A pre-built Remittance object (skips buildRemittance)
+   * @param {string} params.currency - ISO 4217 currency code
+   * @param {Array<Object>} params.details - Remittance details (see buildRemittanceDetail)
+   * @param {Object} params.payer - Payer details: name, email, phone
+   * @param {Object} params.payment - Payment details: amountPaid, referenceNumber, date, memo, method
+   * @returns {Promise<Object>} Supplier acknowledgement (transactionId and/or serviceMessageArray)
    */
-  async getRemittanceAdvice(params = {}) {
-    const request = this.buildRequest(params);
-    return this.call(this.operations.getRemittanceAdvice, request);
+  async sendRemittanceAdvice(params = {}) {
+    const remittance = params.Remittance || this.buildRemittance(params);
+
+    this.validateRemittance(remittance);
+
+    return this.call(this.operations.sendRemittanceAdvice, { Remittance: remittance });
   }
 
   /**
-   * Convenience method to get remittance by payment ID
-   * @param {string} paymentId - Payment ID
-   * @param {Object} options - Additional options
-   * @returns {Promise<Object>} Remittance advice response
+   * Get available service methods
+   * @returns {Promise<Object>} Service methods response
    */
-  async getByPaymentId(paymentId, options = {}) {
-    if (!paymentId) {
-      throw new ValidationError(
-        'paymentId is required for getByPaymentId',
-        { method: 'getByPaymentId' }
-      );
+  async getServiceMethods() {
+    return this.call(this.operations.getServiceMethods, {});
+  }
+
+  /**
+   * @deprecated Remittance Advice 1.0.0 has no query operation: the distributor
+   * sends remittances to the supplier. Use sendRemittanceAdvice.
+   * @throws {ValidationError} Always
+   */
+  async getRemittanceAdvice() {
+    throw this.removedQueryError('getRemittanceAdvice');
+  }
+
+  /**
+   * @deprecated See getRemittanceAdvice. Use sendRemittanceAdvice.
+   * @throws {ValidationError} Always
+   */
+  async getByPaymentId() {
+    throw this.removedQueryError('getByPaymentId');
+  }
+
+  /**
+   * @deprecated See getRemittanceAdvice. Use sendRemittanceAdvice.
+   * @throws {ValidationError} Always
+   */
+  async getByDate() {
+    throw this.removedQueryError('getByDate');
+  }
+
+  removedQueryError(method) {
+    return new ValidationError(
+      `${method} is not a Remittance Advice 1.0.0 operation: remittances are sent with sendRemittanceAdvice`,
+      { method, replacement: 'sendRemittanceAdvice' }
+    );
+  }
+
+  /**
+   * Build a Remittance object (helper method)
+   * @param {Object} data - Remittance data
+   * @returns {Object} Formatted Remittance object
+   */
+  buildRemittance(data = {}) {
+    const details = data.details || data.remittanceDetails || data.invoices || [];
+    const payer = data.payer || data.payerDetails || {};
+
+    const remittance = {
+      currency: data.currency || 'USD',
+      RemittanceDetailsArray: {
+        RemittanceDetail: (Array.isArray(details) ? details : [details])
+          .map(detail => this.buildRemittanceDetail(detail))
+      },
+      PayerDetails: {
+        payerName: payer.name || payer.payerName,
+        email: payer.email,
+        phone: payer.phone
+      }
+    };
+
+    const payment = data.payment || data.paymentDetails;
+    if (payment) {
+      remittance.PaymentDetails = this.buildPaymentDetails(payment);
     }
 
-    return this.getRemittanceAdvice({
-      queryType: '1',
-      paymentId,
-      ...options
-    });
+    return remittance;
   }
 
   /**
-   * Convenience method to get remittance by date
-   * @param {string|Date} date - Remittance date
-   * @param {Object} options - Additional options
-   * @returns {Promise<Object>} Remittance advice response
+   * Build a RemittanceDetail object
+   *
+   * Accepts either an explicit referenceNumber/referenceNumberType pair or
+   * one of the typed keys (invoiceNumber, purchaseOrderNumber, salesOrderNumber,
+   * quoteNumber). A creditMemoNumber records an adjustment against the reference.
    */
-  async getByDate(date, options = {}) {
-    if (!date) {
-      throw new ValidationError(
-        'date is required for getByDate',
-        { method: 'getByDate' }
-      );
+  buildRemittanceDetail(detail = {}) {
+    let referenceNumber = detail.referenceNumber;
+    let referenceNumberType = detail.referenceNumberType;
+
+    if (!referenceNumber) {
+      const aliasKey = Object.keys(REFERENCE_ALIASES).find(key => detail[key]);
+      if (aliasKey) {
+        referenceNumber = detail[aliasKey];
+        referenceNumberType = referenceNumberType || REFERENCE_ALIASES[aliasKey];
+      }
     }
 
-    return this.getRemittanceAdvice({
-      queryType: '2',
-      remittanceDate: date,
-      ...options
-    });
+    return {
+      referenceNumber,
+      referenceNumberType: referenceNumberType || 'invoice',
+      creditMemoNumber: detail.creditMemoNumber,
+      amount: this.roundAmount(detail.amount)
+    };
+  }
+
+  /**
+   * Build a PaymentDetails object
+   */
+  buildPaymentDetails(payment) {
+    return {
+      amountPaid: this.roundAmount(payment.amountPaid || payment.amount),
+      paymentReferenceNumber: payment.paymentReferenceNumber || payment.referenceNumber,
+      paymentDate: this.formatDate(payment.paymentDate || payment.date),
+      paymentMemo: payment.paymentMemo || payment.memo,
+      paymentMethod: payment.paymentMethod || payment.method
+    };
   }
 
   /**
-   * Build remittance advice request
+   * Validate a Remittance object against SharedObjectsRemittanceAdvice.xsd
+   * @throws {ValidationError} With a list of problems in details.errors
    */
-  buildRequest(params) {
-    const request = {};
+  validateRemittance(remittance) {
+    const errors = [];
 
-    // Query type
-    const queryType = params.queryType || this.inferQueryType(params);
-    if (!queryType) {
+    if (!remittance || typeof remittance !== 'object') {
       throw new ValidationError(
-        'queryType is required. Use 1=ByPaymentId, 2=ByDate',
-        { method: 'getRemittanceAdvice' }
+        'Remittance is required for sendRemittanceAdvice',
+        { method: 'sendRemittanceAdvice' }
       );
     }
-    request.queryType = queryType;
-
-    // Payment ID (for queryType 1)
-    if (queryType === '1' || queryType === 1) {
-      if (!params.paymentId) {
-        throw new ValidationError(
-          'paymentId is required for queryType 1',
-          { method: 'getRemittanceAdvice', queryType }
-        );
+
+    if (!isCurrencyCode(remittance.currency)) {
+      errors.push(`currency must be an ISO 4217 currency code (got ${remittance.currency})`);
+    }
+
+    const details = [].concat(remittance.RemittanceDetailsArray?.RemittanceDetail || []);
+    if (details.length === 0) {
+      errors.push('RemittanceDetailsArray must contain at least one RemittanceDetail');
+    }
+
+    details.forEach((detail, index) => {
+      const prefix = `RemittanceDetail[${index}]`;
+      if (!detail.referenceNumber) {
+        errors.push(`${prefix}.referenceNumber is required`);
+      }
+      if (!REFERENCE_NUMBER_TYPES.includes(detail.referenceNumberType)) {
+        errors.push(`${prefix}.referenceNumberType must be one of ${REFERENCE_NUMBER_TYPES.join(', ')}`);
+      }
+      if (!this.isPositiveAmount(detail.amount)) {
+        errors.push(`${prefix}.amount must be a number greater than zero`);
       }
-      request.paymentId = params.paymentId;
+    });
+
+    if (!remittance.PayerDetails?.payerName) {
+      errors.push('PayerDetails.payerName is required');
     }
 
-    // Remittance date (for queryType 2)
-    if (queryType === '2' || queryType === 2) {
-      if (!params.remittanceDate && !params.date && !params.since) {
-        throw new ValidationError(
-          'remittanceDate is required for queryType 2',
-          { method: 'getRemittanceAdvice', queryType }
-        );
+    const payment = remittance.PaymentDetails;
+    if (payment) {
+      if (!this.isPositiveAmount(payment.amountPaid)) {
+        errors.push('PaymentDetails.amountPaid must be a number greater than zero');
+      }
+      if (!payment.paymentReferenceNumber) {
+        errors.push('PaymentDetails.paymentReferenceNumber is required');
+      }
+      if (!payment.paymentDate) {
+        errors.push('PaymentDetails.paymentDate is required');
       }
-      request.remittanceDate = this.formatTimestamp(params.remittanceDate || params.date || params.since);
+      if (!payment.paymentMethod) {
+        errors.push('PaymentDetails.paymentMethod is required');
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError(
+        `Invalid remittance advice: ${errors[0]}`,
+        { method: 'sendRemittanceAdvice', errors }
+      );
     }
 
-    return request;
+    return true;
   }
 
   /**
-   * Infer query type from parameters
+   * Check an amount against amountTypeGreaterThanZero (decimal, > 0, 4 fraction digits)
+   *
+   * Numbers are rounded to 4 fraction digits first, so computed amounts
+   * (0.1 + 0.2) pass; strings are checked as written.
    */
-  inferQueryType(params) {
-    if (params.paymentId) {
-      return '1'; // By payment ID
+  isPositiveAmount(amount) {
+    const value = Number(amount);
+    if (amount === null || amount === undefined || amount === '' || !Number.isFinite(value) || value <= 0) {
+      return false;
     }
-    if (params.remittanceDate || params.date || params.since) {
-      return '2'; // By date
-    }
-    return null;
+
+    const fraction = String(this.roundAmount(amount)).split('.')[1];
+    return !fraction || fraction.length <= 4;
   }
 
   /**
-   * Format timestamp to ISO 8601
+   * Round a numeric amount to the 4 fraction digits the schema allows; other values are left as given
    */
-  formatTimestamp(timestamp) {
-    if (!timestamp) return null;
+  roundAmount(amount) {
+    return typeof amount === 'number' && Number.isFinite(amount)
+      ? Math.round(amount * 10000) / 10000
+      : amount;
+  }
 
-    if (timestamp instanceof Date) {
-      return timestamp.toISOString();
-    }
+  /**
+   * Format date to xsd:date (YYYY-MM-DD)
+   */
+  formatDate(date) {
+    if (!date) return undefined;
 
-    if (typeof timestamp === 'string') {
-      const date = new Date(timestamp);
-      if (isNaN(date.getTime())) {
-        throw new ValidationError(
-          'Invalid timestamp format',
-          { provided: timestamp, expected: 'ISO 8601 format' }
-        );
-      }
-      return date.toISOString();
+    if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return date;
     }
 
-    if (typeof timestamp === 'number') {
-      return new Date(timestamp).toISOString();
+    const parsed = date instanceof Date ? date : new Date(date);
+    if (isNaN(parsed.getTime())) {
+      throw new ValidationError(
+        'Invalid date format',
+        { provided: date, expected: 'YYYY-MM-DD' }
+      );
     }
 
-    throw new ValidationError(
-      'Invalid timestamp type',
-      { type: typeof timestamp, expected: 'Date, string, or number' }
-    );
+    return parsed.toISOString().slice(0, 10);
   }
 
   /**
    * Response validators
    */
   static responseValidators = {
-    getRemittanceAdvice: (response) => {
-      if (!response.remittanceAdviceArray && !response.remittanceAdvice) {
-        throw new Error('Invalid response: missing remittance advice data');
+    sendRemittanceAdvice: (response) => {
+      if (!response.transactionId && !response.serviceMessageArray) {
+        throw new Error('Invalid response: missing remittance acknowledgement');
+      }
+      return response;
+    },
+
+    getServiceMethods: (response) => {
+      if (!response.serviceMethodArray && !response.serviceMessageArray) {
+        throw new Error('Invalid response: missing serviceMethods');
       }
       return response;
     }
@@ -0,0 +1,326 @@
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const yaml = require('js-yaml');
+const debug = require('debug')('promostandards:registry');
+const PromoStandardsClient = require('./client');
+const CircuitBreaker = require('./core/circuit-breaker');
+const RateLimiter = require('./core/rate-limiter');
+const { ValidationError } = require('./core/errors');
+
+/**
+ * Service options a configuration may set (`defaults`, supplier and service `quirks`)
+ */
+const OPTIONS_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    timeout: { type: 'integer', minimum: 1 },
+    useBundledWsdl: { type: 'boolean' },
+    serializeFromSchema: { type: 'boolean' },
+    typedResponses: { type: 'boolean' },
+    headers: { type: 'object', additionalProperties: { type: 'string' } },
+    retry: { type: ['object', 'boolean', 'integer'] },
+    rateLimit: { type: 'object' },
+    cacheTTL: { type: 'integer', minimum: 0 }
+  }
+};
+
+/**
+ * A literal value, { env: 'NAME' }, or any other reference object for a custom resolveCredential
+ */
+const CREDENTIAL_SCHEMA = {
+  anyOf: [
+    { type: 'string' },
+    {
+      type: 'object',
+      properties: { env: { type: 'string', minLength: 1 } },
+      minProperties: 1
+    }
+  ]
+};
+
+/**
+ * Build the configuration schema; service keys and versions come from the client's service registry
+ */
+function buildSchema(serviceRegistry) {
+  const services = {};
+  for (const [key, ServiceClass] of Object.entries(serviceRegistry)) {
+    services[key] = {
+      type: 'object',
+      additionalProperties: false,
+      anyOf: [{ required: ['wsdl'] }, { required: ['endpoint'] }],
+      properties: {
+        wsdl: { type: 'string', minLength: 1 },
+        endpoint: { type: 'string', minLength: 1 },
+        version: { enum: ServiceClass.supportedVersions },
+        quirks: OPTIONS_SCHEMA
+      }
+    };
+  }
+
+  return {
+    type: 'object',
+    required: ['suppliers'],
+    additionalProperties: false,
+    properties: {
+      defaults: OPTIONS_SCHEMA,
+      suppliers: {
+        type: 'object',
+        additionalProperties: {
+          type: 'object',
+          required: ['services'],
+          additionalProperties: false,
+          properties: {
+            name: { type: 'string' },
+            credentials: {
+              type: 'object',
+              required: ['username'],
+              additionalProperties: false,
+              properties: {
+                username: CREDENTIAL_SCHEMA,
+                password: CREDENTIAL_SCHEMA
+              }
+            },
+            quirks: OPTIONS_SCHEMA,
+            services: {
+              type: 'object',
+              minProperties: 1,
+              additionalProperties: false,
+              properties: services
+            }
+          }
+        }
+      }
+    }
+  };
+}
+
+/**
+ * SupplierRegistry - Per-supplier clients from a configuration file
+ *
+ * Configuration (JSON or YAML):
+ *
+ *   defaults:                       # Options for every service
+ *     useBundledWsdl: true
+ *   suppliers:
+ *     HIT:
+ *       name: Hit Promotional Products
+ *       credentials:
+ *         username: { env: HIT_USERNAME }
+ *         password: { env: HIT_PASSWORD }
+ *       quirks:                     # Options for this supplier's services
+ *         serializeFromSchema: false
+ *       services:
+ *         inventory:
+ *           endpoint: https://ppds.hitpromo.net/inventoryV2
+ *           version: 2.0.0
+ *         productData:
+ *           wsdl: https://ppds.hitpromo.net/productData?wsdl
+ *           quirks: { timeout: 60000 }
+ *
+ * `wsdl` is the WSDL URL; `endpoint` alone is the SOAP address used with the
+ * bundled WSDL. Options merge defaults < supplier quirks < service quirks.
+ * Credentials are literals, { env: 'NAME' } references, or any reference
+ * object handled by the resolveCredential option.
+ */
+class SupplierRegistry {
+  /**
+   * @param {Object} config - Parsed configuration
+   * @param {Object} options
+   * @param {Object} options.env - Environment for { env } references (default process.env)
+   * @param {Function} options.resolveCredential - (ref, { supplier, field }) => string, for other references
+   * @param {Object|CircuitBreaker} options.circuitBreaker - Breaker shared by every supplier
+   * @param {Object|RateLimiter} options.rateLimiter - Limiter shared by every supplier
+   * @param {Object} options.clientOptions - Extra PromoStandardsClient options (cache, retry, ...)
+   * @throws {ValidationError} If the configuration does not match the schema
+   */
+  constructor(config, options = {}) {
+    SupplierRegistry.validate(config);
+
+    this.config = config;
+    this.env = options.env || process.env;
+    this.resolveCredential = options.resolveCredential || null;
+    this.clientOptions = {
+      ...options.clientOptions,
+      circuitBreaker: CircuitBreaker.from(options.circuitBreaker),
+      rateLimiter: RateLimiter.from(options.rateLimiter)
+    };
+    this.clients = new Map();
+  }
+
+  /**
+   * Load a JSON or YAML configuration file (by extension)
+   * @param {string} file - Path to .json, .yaml or .yml
+   * @param {Object} options - See constructor
+   * @returns {SupplierRegistry}
+   */
+  static fromFile(file, options = {}) {
+    const content = fs.readFileSync(file, 'utf8');
+    const extension = path.extname(file).toLowerCase();
+
+    let config;
+    try {
+      config = extension === '.yaml' || extension === '.yml' ? yaml.load(content) : JSON.parse(content);
+    } catch (error) {
+      throw new ValidationError(`Cannot parse supplier configuration ${file}: ${error.message}`, { file });
+    }
+
+    debug(`Loaded supplier configuration from ${file}`);
+    return new SupplierRegistry(config, options);
+  }
+
+  /**
+   * Validate a configuration against the schema
+   * @throws {ValidationError} With every problem in details.errors
+   */
+  static validate(config) {
+    if (!SupplierRegistry._validator) {
+      const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+      SupplierRegistry._validator = ajv.compile(buildSchema(PromoStandardsClient.SERVICE_REGISTRY));
+    }
+
+    const validate = SupplierRegistry._validator;
+    if (validate(config)) {
+      return true;
+    }
+
+    const errors = validate.errors
+      // anyOf/oneOf failures repeat their branches' errors
+      .filter(error => error.keyword !== 'anyOf' || error.instancePath.includes('/services/'))
+      .map(error => SupplierRegistry.formatError(error));
+
+    throw new ValidationError(
+      `Invalid supplier configuration: ${errors[0]}`,
+      { errors: Array.from(new Set(errors)) }
+    );
+  }
+
+  static formatError(error) {
+    const location = error.instancePath.split('/').slice(1).join('.') || 'configuration';
+
+    if (error.keyword === 'additionalProperties') {
+      return `${location} has unknown property ${error.params.additionalProperty}`;
+    }
+    if (error.keyword === 'enum') {
+      return `${location} must be one of ${error.params.allowedValues.join(', ')}`;
+    }
+    if (error.keyword === 'anyOf' && error.instancePath.includes('/services/')) {
+      return `${location} requires wsdl or endpoint`;
+    }
+    return `${location} ${error.message}`;
+  }
+
+  /**
+   * Configured supplier codes
+   */
+  listSuppliers() {
+    return Object.keys(this.config.suppliers);
+  }
+
+  hasSupplier(code) {
+    return Object.prototype.hasOwnProperty.call(this.config.suppliers, code);
+  }
+
+  /**
+   * Get a supplier's configuration
+   * @throws {ValidationError} If the supplier is not configured
+   */
+  getSupplierConfig(code) {
+    if (!this.hasSupplier(code)) {
+      throw new ValidationError(
+        `Supplier '${code}' is not configured`,
+        { supplier: code, availableSuppliers: this.listSuppliers() }
+      );
+    }
+    return this.config.suppliers[code];
+  }
+
+  /**
+   * Get the client for a supplier, with every configured service added
+   * (e.g. `registry.getSupplier('HIT').inventory`). Clients are cached per supplier.
+   * @param {string} code - Supplier code
+   * @returns {PromoStandardsClient}
+   */
+  getSupplier(code) {
+    if (!this.clients.has(code)) {
+      this.clients.set(code, this.createClient(code));
+    }
+    return this.clients.get(code);
+  }
+
+  createClient(code) {
+    const supplier = this.getSupplierConfig(code);
+    const credentials = this.resolveCredentials(code, supplier.credentials);
+
+    const client = new PromoStandardsClient({
+      ...this.clientOptions,
+      ...credentials
+    });
+    client.supplierCode = code;
+    client.supplierName = supplier.name || code;
+
+    for (const [key, service] of Object.entries(supplier.services)) {
+      const ServiceClass = PromoStandardsClient.SERVICE_REGISTRY[key];
+      const serviceOptions = {
+        ...this.config.defaults,
+        ...supplier.quirks,
+        ...service.quirks,
+        ...(service.wsdl && { wsdl: service.wsdl }),
+        ...(service.endpoint && { endpoint: service.endpoint }),
+        ...(service.version && { version: service.version })
+      };
+
+      // An endpoint without a WSDL URL is the SOAP address for the bundled WSDL
+      if (!service.wsdl) {
+        serviceOptions.useBundledWsdl = true;
+      }
+
+      client.addService(key, ServiceClass, serviceOptions);
+    }
+
+    debug(`Created client for ${code}: ${Object.keys(supplier.services).join(', ')}`);
+    return client;
+  }
+
+  /**
+   * Resolve credential references into { username, password }
+   * @throws {ValidationError} If a reference cannot be resolved
+   */
+  resolveCredentials(code, credentials) {
+    if (!credentials) {
+      throw new ValidationError(`Supplier '${code}' has no credentials configured`, { supplier: code });
+    }
+
+    const resolved = {};
+    for (const field of ['username', 'password']) {
+      if (credentials[field] !== undefined) {
+        resolved[field] = this.resolveReference(code, field, credentials[field]);
+      }
+    }
+    return resolved;
+  }
+
+  resolveReference(code, field, ref) {
+    if (typeof ref === 'string') {
+      return ref;
+    }
+
+    let value;
+    if (ref.env) {
+      value = this.env[ref.env];
+    } else if (this.resolveCredential) {
+      value = this.resolveCredential(ref, { supplier: code, field });
+    }
+
+    if (value === undefined || value === null || value === '') {
+      throw new ValidationError(
+        `Cannot resolve ${field} for supplier '${code}'`,
+        { supplier: code, field, reference: ref }
+      );
+    }
+    return value;
+  }
+}
+
+module.exports = SupplierRegistry;
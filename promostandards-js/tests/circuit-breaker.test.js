@@ -0,0 +1,231 @@
+const nock = require('nock');
+const CircuitBreaker = require('../src/core/circuit-breaker');
+const PromoStandardsClient = require('../src/client');
+const InventoryService = require('../src/services/inventory/inventory-service');
+const PromoStandardsError = require('../src/core/errors');
+const { CircuitOpenError, RateLimitError, ValidationError } = require('../src/core/errors');
+
+describe('CircuitBreaker', () => {
+  const KEY = 'https://supplier.test/inventory';
+  const REPLY = `<?xml version="1.0" encoding="utf-8"?>
+<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">
+  <soap:Body><GetInventoryLevelsResponse><Inventory><productId>ABC</productId></Inventory></GetInventoryLevelsResponse></soap:Body>
+</soap:Envelope>`;
+
+  let clock;
+
+  function createBreaker(options = {}) {
+    const breaker = new CircuitBreaker({ failureThreshold: 2, cooldown: 1000, ...options });
+    breaker.now = () => clock;
+    return breaker;
+  }
+
+  function serverError(status = 503) {
+    return new PromoStandardsError('SOAP operation failed', 'SOAP_ERROR', { status });
+  }
+
+  const fail = (error = serverError()) => () => Promise.reject(error);
+  const succeed = () => Promise.resolve('ok');
+
+  beforeEach(() => {
+    clock = 0;
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  describe('states', () => {
+    it('should open after consecutive failures and fail fast', async () => {
+      const breaker = createBreaker();
+      const calls = jest.fn(fail());
+
+      await expect(breaker.execute(KEY, calls)).rejects.toThrow('SOAP operation failed');
+      await expect(breaker.execute(KEY, calls)).rejects.toThrow('SOAP operation failed');
+      await expect(breaker.execute(KEY, calls)).rejects.toThrow(CircuitOpenError);
+
+      expect(calls).toHaveBeenCalledTimes(2);
+      expect(breaker.getState(KEY)).toBe('open');
+    });
+
+    it('should reset the count on success', async () => {
+      const breaker = createBreaker();
+
+      await expect(breaker.execute(KEY, fail())).rejects.toThrow();
+      await breaker.execute(KEY, succeed);
+      await expect(breaker.execute(KEY, fail())).rejects.toThrow();
+
+      expect(breaker.getState(KEY)).toBe('closed');
+    });
+
+    it('should not count validation errors, auth errors or SOAP faults', async () => {
+      const breaker = createBreaker({ failureThreshold: 1 });
+
+      await expect(breaker.execute(KEY, fail(new ValidationError('bad request')))).rejects.toThrow();
+      await expect(breaker.execute(KEY, fail(new PromoStandardsError('denied', 'AUTH_ERROR')))).rejects.toThrow();
+      await expect(breaker.execute(KEY, fail(new PromoStandardsError('fault', 'SOAP_ERROR', { status: 500, soapFault: true }))))
+        .rejects.toThrow();
+      await expect(breaker.execute(KEY, fail(serverError(404)))).rejects.toThrow();
+
+      expect(breaker.getState(KEY)).toBe('closed');
+    });
+
+    it('should not reset the count on errors raised before the request is sent', async () => {
+      const breaker = createBreaker();
+
+      await expect(breaker.execute(KEY, fail())).rejects.toThrow();
+      await expect(breaker.execute(KEY, fail(new ValidationError('bad request')))).rejects.toThrow();
+      await expect(breaker.execute(KEY, fail())).rejects.toThrow();
+
+      expect(breaker.getState(KEY)).toBe('open');
+    });
+
+    it('should give the probe back when it ends before reaching the supplier', async () => {
+      const breaker = createBreaker();
+      await expect(breaker.execute(KEY, fail())).rejects.toThrow();
+      await expect(breaker.execute(KEY, fail())).rejects.toThrow();
+
+      clock = 1000;
+      await expect(breaker.execute(KEY, fail(new ValidationError('bad request')))).rejects.toThrow(ValidationError);
+      expect(breaker.getState(KEY)).toBe('half-open');
+
+      await expect(breaker.execute(KEY, succeed)).resolves.toBe('ok');
+      expect(breaker.getState(KEY)).toBe('closed');
+    });
+
+    it('should stay half-open when the probe times out in the rate limiter queue', async () => {
+      const breaker = createBreaker();
+      await expect(breaker.execute(KEY, fail())).rejects.toThrow();
+      await expect(breaker.execute(KEY, fail())).rejects.toThrow();
+
+      clock = 1000;
+      await expect(breaker.execute(KEY, fail(new RateLimitError('Rate limit queue timeout')))).rejects.toThrow(RateLimitError);
+      expect(breaker.getState(KEY)).toBe('half-open');
+
+      await expect(breaker.execute(KEY, fail())).rejects.toThrow('SOAP operation failed');
+      expect(breaker.getState(KEY)).toBe('open');
+    });
+
+    it('should admit one probe after the cooldown and close on success', async () => {
+      const breaker = createBreaker();
+      await expect(breaker.execute(KEY, fail())).rejects.toThrow();
+      await expect(breaker.execute(KEY, fail())).rejects.toThrow();
+
+      clock = 1000;
+      let release;
+      const probe = breaker.execute(KEY, () => new Promise(resolve => { release = resolve; }));
+
+      await expect(breaker.execute(KEY, succeed)).rejects.toThrow(CircuitOpenError);
+      release('ok');
+      await expect(probe).resolves.toBe('ok');
+      expect(breaker.getState(KEY)).toBe('closed');
+    });
+
+    it('should reopen when the probe fails', async () => {
+      const breaker = createBreaker();
+      await expect(breaker.execute(KEY, fail())).rejects.toThrow();
+      await expect(breaker.execute(KEY, fail())).rejects.toThrow();
+
+      clock = 1000;
+      await expect(breaker.execute(KEY, fail())).rejects.toThrow('SOAP operation failed');
+
+      expect(breaker.getState(KEY)).toBe('open');
+      expect(breaker.getStates()[KEY].retryAt).toEqual(new Date(2000));
+    });
+
+    it('should track each key separately', async () => {
+      const breaker = createBreaker({ failureThreshold: 1 });
+
+      await expect(breaker.execute(KEY, fail())).rejects.toThrow();
+
+      await expect(breaker.execute('https://other.test/inventory', succeed)).resolves.toBe('ok');
+    });
+  });
+
+  describe('events', () => {
+    it('should emit open, halfOpen and close and call option hooks', async () => {
+      const onOpen = jest.fn();
+      const breaker = createBreaker({ onOpen });
+      const events = [];
+      ['open', 'halfOpen', 'close', 'reject'].forEach(event => breaker.on(event, () => events.push(event)));
+
+      await expect(breaker.execute(KEY, fail())).rejects.toThrow();
+      await expect(breaker.execute(KEY, fail())).rejects.toThrow();
+      await expect(breaker.execute(KEY, succeed)).rejects.toThrow(CircuitOpenError);
+      clock = 1000;
+      await breaker.execute(KEY, succeed);
+
+      expect(events).toEqual(['open', 'reject', 'halfOpen', 'close']);
+      expect(onOpen).toHaveBeenCalledWith(expect.objectContaining({ key: KEY, failures: 2 }));
+    });
+
+    it('should describe the open circuit in the error', async () => {
+      const breaker = createBreaker({ failureThreshold: 1 });
+      await expect(breaker.execute(KEY, fail())).rejects.toThrow();
+
+      try {
+        await breaker.execute(KEY, succeed);
+        throw new Error('expected the circuit to be open');
+      } catch (error) {
+        expect(error.code).toBe('CIRCUIT_OPEN');
+        expect(error.details).toMatchObject({
+          endpoint: KEY,
+          failures: 1,
+          retryAt: new Date(1000),
+          lastError: 'SOAP operation failed'
+        });
+      }
+    });
+  });
+
+  describe('BaseService', () => {
+    function createService(circuitBreaker) {
+      return new InventoryService({
+        endpoint: KEY,
+        version: '2.0.0',
+        username: 'user',
+        password: 'pass',
+        retry: false,
+        circuitBreaker
+      });
+    }
+
+    it('should stop calling a supplier once the circuit opens', async () => {
+      const service = createService({ failureThreshold: 2 });
+      const scope = nock('https://supplier.test').post('/inventory').times(3).reply(502, 'Bad Gateway');
+
+      await expect(service.getInventoryLevels({ productId: 'ABC' })).rejects.toThrow();
+      await expect(service.getInventoryLevels({ productId: 'ABC' })).rejects.toThrow();
+      await expect(service.getInventoryLevels({ productId: 'ABC' })).rejects.toBeInstanceOf(CircuitOpenError);
+
+      expect(scope.pendingMocks()).toHaveLength(1);
+    });
+
+    it('should share circuits between services of one client', async () => {
+      const client = new PromoStandardsClient({
+        username: 'user',
+        password: 'pass',
+        retry: false,
+        circuitBreaker: { failureThreshold: 1 }
+      });
+      client.addService('inventory', InventoryService, { endpoint: KEY, version: '2.0.0', useBundledWsdl: true });
+      client.addService('inventoryCopy', InventoryService, { endpoint: KEY, version: '2.0.0', useBundledWsdl: true });
+      nock('https://supplier.test').post('/inventory').reply(503, 'Service Unavailable');
+
+      await expect(client.inventory.getInventoryLevels({ productId: 'ABC' })).rejects.toThrow();
+
+      expect(client.inventoryCopy.circuitBreaker).toBe(client.inventory.circuitBreaker);
+      await expect(client.inventoryCopy.getInventoryLevels({ productId: 'ABC' })).rejects.toBeInstanceOf(CircuitOpenError);
+    });
+
+    it('should pass calls through while closed', async () => {
+      const service = createService(true);
+      nock('https://supplier.test').post('/inventory').reply(200, REPLY);
+
+      const result = await service.getInventoryLevels({ productId: 'ABC' });
+
+      expect(result.inventory.productId).toBe('ABC');
+      expect(service.circuitBreaker.getState(KEY)).toBe('closed');
+    });
+  });
+});
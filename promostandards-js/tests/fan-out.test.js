@@ -0,0 +1,140 @@
+const http = require('http');
+const PromoStandardsClient = require('../src/client');
+const SupplierRegistry = require('../src/supplier-registry');
+const InventoryService = require('../src/services/inventory/inventory-service');
+const { ServiceError, ValidationError } = require('../src/core/errors');
+
+/**
+ * Local SOAP stand-in: /<supplier>/inventory answers, /broken/inventory fails
+ */
+function startSuppliers() {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+
+    if (req.url === '/broken/inventory') {
+      res.statusCode = 500;
+      return res.end('Internal Server Error');
+    }
+
+    const supplier = req.url.split('/')[1].toUpperCase();
+    res.setHeader('Content-Type', 'text/xml');
+    res.end(`<?xml version="1.0" encoding="utf-8"?>
+<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">
+  <soap:Body><GetInventoryLevelsResponse><Inventory><productId>${supplier}-1</productId></Inventory></GetInventoryLevelsResponse></soap:Body>
+</soap:Envelope>`);
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, requests, baseUrl: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+describe('PromoStandardsClient.fanOut', () => {
+  let suppliers;
+  let client;
+
+  beforeAll(async () => {
+    suppliers = await startSuppliers();
+  });
+
+  afterAll(done => {
+    suppliers.server.close(done);
+  });
+
+  beforeEach(() => {
+    suppliers.requests.length = 0;
+    client = new PromoStandardsClient({ username: 'user', password: 'pass' });
+  });
+
+  function createRegistry() {
+    const service = (path) => ({ endpoint: `${suppliers.baseUrl}/${path}/inventory`, version: '2.0.0' });
+    const supplier = (path) => ({ credentials: { username: 'user', password: 'pass' }, services: { inventory: service(path) } });
+
+    return new SupplierRegistry({
+      defaults: { retry: false },
+      suppliers: {
+        HIT: supplier('hit'),
+        BROKEN: supplier('broken'),
+        ACME: supplier('acme'),
+        MEDIA: {
+          credentials: { username: 'user', password: 'pass' },
+          services: { productMedia: { endpoint: `${suppliers.baseUrl}/media`, version: '1.1.0' } }
+        }
+      }
+    });
+  }
+
+  it('should report results and errors per supplier', async () => {
+    const batch = await client.fanOut(createRegistry(), 'inventory', 'getInventoryLevels', { productId: '1' });
+
+    expect(batch.succeeded).toEqual(['HIT', 'ACME']);
+    expect(batch.failed).toEqual(['BROKEN']);
+    expect(batch.results.HIT.inventory.productId).toBe('HIT-1');
+    expect(batch.results.ACME.inventory.productId).toBe('ACME-1');
+    expect(batch.errors.BROKEN).toBeInstanceOf(ServiceError);
+    expect(Object.keys(batch.durations)).toEqual(['HIT', 'BROKEN', 'ACME']);
+    // Suppliers without the service are skipped
+    expect(suppliers.requests).not.toContain('/media');
+  });
+
+  it('should resolve supplier codes through a registry', async () => {
+    const batch = await client.fanOut(['ACME', 'NOPE'], 'inventory', 'getInventoryLevels', { productId: '1' }, {
+      registry: createRegistry()
+    });
+
+    expect(batch.succeeded).toEqual(['ACME']);
+    expect(batch.errors.NOPE).toBeInstanceOf(ValidationError);
+    expect(batch.errors.NOPE.message).toBe('Supplier \'NOPE\' is not configured');
+  });
+
+  it('should accept clients, useSupplier results and services', async () => {
+    const registry = createRegistry();
+    const service = registry.getSupplier('ACME').inventory;
+
+    const batch = await client.fanOut({
+      HIT: registry.getSupplier('HIT'),
+      ACME: { supplier: { code: 'ACME' }, inventory: service },
+      DIRECT: service,
+      MEDIA: registry.getSupplier('MEDIA')
+    }, 'inventory', 'getInventoryLevels', (supplier) => ({ productId: supplier }));
+
+    expect(batch.succeeded).toEqual(['HIT', 'ACME', 'DIRECT']);
+    expect(batch.errors.MEDIA.message).toBe('Supplier \'MEDIA\' has no inventory service');
+  });
+
+  it('should bound concurrency and spread array arguments', async () => {
+    let active = 0;
+    let maxActive = 0;
+    const targets = {};
+
+    for (const code of ['A', 'B', 'C', 'D', 'E']) {
+      const service = new InventoryService({ wsdl: 'https://supplier.test/inventory?wsdl', username: 'u', password: 'p' });
+      service.getFilterValues = jest.fn(async (productId, extra) => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        active--;
+        return { productId, extra };
+      });
+      targets[code] = service;
+    }
+
+    const batch = await client.fanOut(targets, 'inventory', 'getFilterValues', ['P1', 'x'], { concurrency: 2 });
+
+    expect(maxActive).toBe(2);
+    expect(batch.succeeded).toEqual(['A', 'B', 'C', 'D', 'E']);
+    expect(batch.results.E).toEqual({ productId: 'P1', extra: 'x' });
+  });
+
+  it('should reject unknown methods per supplier and invalid supplier sets', async () => {
+    const batch = await client.fanOut(createRegistry(), 'inventory', 'getEverything', {});
+
+    expect(batch.failed).toEqual(['HIT', 'BROKEN', 'ACME']);
+    expect(batch.errors.HIT).toBeInstanceOf(ValidationError);
+    await expect(client.fanOut(null, 'inventory', 'getInventoryLevels')).rejects.toBeInstanceOf(ValidationError);
+  });
+});
@@ -0,0 +1,85 @@
+const CompanyDataService = require('../../src/services/company-data/company-data-service');
+const { ValidationError } = require('../../src/core/errors');
+
+/**
+ * CompanyDataService Tests
+ *
+ * BaseService.call is stubbed so these tests cover request building,
+ * element naming and response validation without a live WSDL.
+ */
+describe('CompanyDataService', () => {
+  const MOCK_WSDL = 'https://mock-vendor.com/companyData?wsdl';
+
+  const OPERATIONS = [
+    ['getCompanyData', 'companyData'],
+    ['getContacts', 'contactArray'],
+    ['getPaymentMethods', 'paymentMethodArray'],
+    ['getPaymentTerms', 'paymentTermsArray'],
+    ['getPhysicalLocations', 'physicalLocationArray'],
+    ['getPolicies', 'policyArray'],
+    ['getShippingMethods', 'shippingMethodArray'],
+    ['getCertifications', 'certificationArray'],
+    ['getBusinessCharacteristics', 'businessCharacteristicArray'],
+    ['getAvailablePromoStandardsServices', 'promoStandardsServiceArray'],
+    ['getPromoStandardsServiceDetails', 'promoStandardsServiceDetailArray'],
+    ['getServiceMethods', 'serviceMethodArray']
+  ];
+
+  let service;
+
+  beforeEach(() => {
+    service = new CompanyDataService({
+      wsdl: MOCK_WSDL,
+      username: 'test',
+      password: 'test'
+    });
+  });
+
+  describe('operations', () => {
+    it.each(OPERATIONS)('%s should call the RequestMethod element', async (operation) => {
+      const call = jest.spyOn(service, 'call').mockResolvedValue({});
+
+      await service[operation]();
+
+      expect(call).toHaveBeenCalledWith(operation, {}, { elementName: 'RequestMethod' });
+    });
+
+    it('should keep getCompanyInfo as an alias of getCompanyData', async () => {
+      const call = jest.spyOn(service, 'call').mockResolvedValue({});
+
+      await service.getCompanyInfo();
+
+      expect(call).toHaveBeenCalledWith('getCompanyData', {}, { elementName: 'RequestMethod' });
+    });
+
+    it('should reject unsupported request parameters', async () => {
+      await expect(service.getContacts({ contactType: 'Sales' }))
+        .rejects.toThrow(ValidationError);
+    });
+
+    it('should allow a wsVersion override', () => {
+      expect(service.buildRequestMethod({ wsVersion: '1.0.0' }, 'getContacts'))
+        .toEqual({ wsVersion: '1.0.0' });
+    });
+  });
+
+  describe('response validators', () => {
+    it.each(OPERATIONS)('%s should accept %s', (operation, key) => {
+      const validator = CompanyDataService.responseValidators[operation];
+
+      expect(() => validator({ [key]: {} })).not.toThrow();
+    });
+
+    it.each(OPERATIONS)('%s should accept a serviceMessageArray', (operation) => {
+      const validator = CompanyDataService.responseValidators[operation];
+
+      expect(() => validator({ serviceMessageArray: { serviceMessage: {} } })).not.toThrow();
+    });
+
+    it.each(OPERATIONS)('%s should reject an empty response', (operation) => {
+      const validator = CompanyDataService.responseValidators[operation];
+
+      expect(() => validator({})).toThrow('Invalid response');
+    });
+  });
+});
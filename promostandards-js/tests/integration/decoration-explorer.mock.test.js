@@ -0,0 +1,259 @@
+const PricingConfigurationService = require('../../src/services/pricing-config/pricing-config-service');
+const XmlConverter = require('../../src/core/xml-converter');
+const { ValidationError } = require('../../src/core/errors');
+
+const RESPONSES = {
+  getFobPoints: `
+    <GetFobPointsResponse>
+      <FobPointArray>
+        <FobPoint><fobId>MA</fobId><fobCity>Boston</fobCity><fobState>MA</fobState><fobPostalCode>02134</fobPostalCode><fobCountry>US</fobCountry></FobPoint>
+        <FobPoint><fobId>CA</fobId><fobCity>Fresno</fobCity><fobState>CA</fobState><fobPostalCode>93650</fobPostalCode><fobCountry>US</fobCountry></FobPoint>
+      </FobPointArray>
+    </GetFobPointsResponse>`,
+
+  getAvailableLocations: `
+    <GetAvailableLocationsResponse>
+      <AvailableLocationArray>
+        <AvailableLocation><locationId>1</locationId><locationName>Front</locationName></AvailableLocation>
+        <AvailableLocation><locationId>2</locationId><locationName>Back</locationName></AvailableLocation>
+        <AvailableLocation><locationId>3</locationId><locationName>Handle</locationName></AvailableLocation>
+      </AvailableLocationArray>
+    </GetAvailableLocationsResponse>`,
+
+  getAvailableCharges: `
+    <GetAvailableChargesResponse>
+      <AvailableChargeArray>
+        <AvailableCharge><chargeId>100</chargeId><chargeName>Screen Setup</chargeName><chargeDescription>Per color setup</chargeDescription><chargeType>Setup</chargeType></AvailableCharge>
+        <AvailableCharge><chargeId>110</chargeId><chargeName>Tape Charge</chargeName><chargeDescription>Embroidery tape</chargeDescription><chargeType>Setup</chargeType></AvailableCharge>
+      </AvailableChargeArray>
+    </GetAvailableChargesResponse>`,
+
+  getConfigurationAndPricing: `
+    <GetConfigurationAndPricingResponse>
+      <Configuration>
+        <PartArray>
+          <Part>
+            <partId>5790BLK</partId>
+            <PartPriceArray><PartPrice><minQuantity>50</minQuantity><price>4.00</price><priceUom>EA</priceUom></PartPrice></PartPriceArray>
+            <LocationIdArray><LocationId><locationId>1</locationId></LocationId><LocationId><locationId>2</locationId></LocationId></LocationIdArray>
+          </Part>
+          <Part>
+            <partId>5790WHT</partId>
+            <PartPriceArray><PartPrice><minQuantity>50</minQuantity><price>4.00</price><priceUom>EA</priceUom></PartPrice></PartPriceArray>
+            <LocationIdArray><LocationId><locationId>1</locationId></LocationId></LocationIdArray>
+          </Part>
+        </PartArray>
+        <LocationArray>
+          <Location>
+            <locationId>2</locationId><locationName>Back</locationName>
+            <DecorationArray>
+              <Decoration>
+                <decorationId>20</decorationId><decorationName>Screen Print</decorationName>
+                <decorationGeometry>Rectangle</decorationGeometry><decorationHeight>10</decorationHeight><decorationWidth>12</decorationWidth><decorationUom>Inches</decorationUom>
+                <decorationUnitsIncluded>1</decorationUnitsIncluded><decorationUnitsIncludedUom>Colors</decorationUnitsIncludedUom><decorationUnitsMax>2</decorationUnitsMax>
+                <defaultDecoration>true</defaultDecoration>
+              </Decoration>
+            </DecorationArray>
+            <defaultLocation>false</defaultLocation><maxDecoration>1</maxDecoration><minDecoration>0</minDecoration><locationRank>2</locationRank>
+          </Location>
+          <Location>
+            <locationId>1</locationId><locationName>Front</locationName>
+            <DecorationArray>
+              <Decoration>
+                <decorationId>10</decorationId><decorationName>Screen Print</decorationName>
+                <decorationGeometry>Rectangle</decorationGeometry><decorationHeight>8</decorationHeight><decorationWidth>10</decorationWidth><decorationUom>Inches</decorationUom>
+                <itemPartQuantityLTM>25</itemPartQuantityLTM>
+                <ChargeArray>
+                  <Charge>
+                    <chargeId>100</chargeId><chargeType>Setup</chargeType>
+                    <ChargePriceArray><ChargePrice><xMinQty>1</xMinQty><xUom>Quantity</xUom><yMinQty>1</yMinQty><yUom>Colors</yUom><price>50</price><repeatPrice>25</repeatPrice></ChargePrice></ChargePriceArray>
+                    <chargesAppliesLTM>false</chargesAppliesLTM><chargesPerLocation>1</chargesPerLocation><chargesPerColor>1</chargesPerColor>
+                  </Charge>
+                </ChargeArray>
+                <decorationUnitsIncluded>1</decorationUnitsIncluded><decorationUnitsIncludedUom>Colors</decorationUnitsIncludedUom><decorationUnitsMax>4</decorationUnitsMax>
+                <defaultDecoration>true</defaultDecoration><leadTime>5</leadTime><rushLeadTime>2</rushLeadTime>
+              </Decoration>
+              <Decoration>
+                <decorationId>11</decorationId><decorationName>Embroidery</decorationName>
+                <decorationGeometry>Circle</decorationGeometry><decorationDiameter>4</decorationDiameter><decorationUom>Inches</decorationUom>
+                <decorationUnitsIncludedUom>Stitches</decorationUnitsIncludedUom><decorationUnitsMax>10000</decorationUnitsMax>
+                <defaultDecoration>false</defaultDecoration>
+              </Decoration>
+            </DecorationArray>
+            <defaultLocation>true</defaultLocation><maxDecoration>2</maxDecoration><minDecoration>0</minDecoration><locationRank>1</locationRank>
+          </Location>
+        </LocationArray>
+        <productId>5790</productId>
+        <currency>USD</currency>
+        <FobArray><Fob><fobId>MA</fobId></Fob></FobArray>
+        <priceType>List</priceType>
+      </Configuration>
+    </GetConfigurationAndPricingResponse>`,
+
+  getDecorationColors: {
+    1: `
+      <GetDecorationColorsResponse>
+        <DecorationColors>
+          <ColorArray>
+            <Color><colorId>C1</colorId><colorName>Black</colorName></Color>
+            <Color><colorId>C2</colorId><colorName>White</colorName></Color>
+          </ColorArray>
+          <productId>5790</productId>
+          <locationId>1</locationId>
+          <DecorationMethodArray><DecorationMethod><decorationId>10</decorationId><decorationName>Screen Print</decorationName></DecorationMethod></DecorationMethodArray>
+          <pmsMatch>false</pmsMatch>
+          <fullColor>false</fullColor>
+        </DecorationColors>
+      </GetDecorationColorsResponse>`,
+    2: `
+      <GetDecorationColorsResponse>
+        <DecorationColors>
+          <ColorArray><Color><colorId>C1</colorId><colorName>Black</colorName></Color></ColorArray>
+          <productId>5790</productId>
+          <locationId>2</locationId>
+          <pmsMatch>true</pmsMatch>
+          <fullColor>false</fullColor>
+        </DecorationColors>
+      </GetDecorationColorsResponse>`
+  }
+};
+
+describe('DecorationExplorer', () => {
+  const converter = new XmlConverter();
+  const parse = async (xml) => Object.values(await converter.xmlToJson(xml))[0];
+  let service;
+
+  beforeEach(() => {
+    service = new PricingConfigurationService({
+      wsdl: 'https://mock-vendor.com/ppc?wsdl',
+      username: 'test',
+      password: 'test'
+    });
+
+    jest.spyOn(service, 'call').mockImplementation(async (operation, request) => {
+      const response = RESPONSES[operation];
+      return parse(typeof response === 'string' ? response : response[request.locationId]);
+    });
+  });
+
+  describe('exploreDecorations', () => {
+    it('should combine the PPC operations into one tree', async () => {
+      const tree = await service.exploreDecorations({ productId: '5790' });
+
+      expect(tree).toMatchObject({ productId: '5790', partId: null, fobId: 'MA', currency: 'USD', warnings: [] });
+      expect(tree.locations.map(location => [location.locationId, location.methods.length])).toEqual([
+        ['1', 2], ['2', 1], ['3', 0]
+      ]);
+
+      const [front] = tree.locations;
+      expect(front).toMatchObject({ locationName: 'Front', isDefault: true, maxDecorations: 2, partIds: ['5790BLK', '5790WHT'] });
+      expect(front.methods[0]).toMatchObject({
+        decorationId: '10',
+        decorationName: 'Screen Print',
+        imprint: { geometry: 'Rectangle', width: 10, height: 8, diameter: null, uom: 'Inches' },
+        unitsUom: 'Colors',
+        maxUnits: 4,
+        ltmQuantity: 25,
+        leadTime: 5,
+        colors: { pmsMatch: false, options: [{ colorId: 'C1', colorName: 'Black' }, { colorId: 'C2', colorName: 'White' }] }
+      });
+      expect(front.methods[0].charges).toEqual([{
+        chargeId: '100',
+        chargeName: 'Screen Setup',
+        chargeDescription: 'Per color setup',
+        chargeType: 'Setup',
+        appliesLtm: false,
+        perLocation: 1,
+        perColor: 1,
+        prices: [{ xMinQty: 1, xUom: 'Quantity', yMinQty: 1, yUom: 'Colors', price: 50, repeatPrice: 25 }]
+      }]);
+      // Colours listed for Screen Print only
+      expect(front.methods[1].colors.options).toEqual([]);
+      expect(tree.charges.map(charge => charge.chargeId)).toEqual(['100', '110']);
+    });
+
+    it('should request decorated pricing for the FOB point and limit locations to the part', async () => {
+      const tree = await service.exploreDecorations({ productId: '5790', partId: '5790WHT', fobId: 'CA' });
+
+      expect(service.call).not.toHaveBeenCalledWith('getFobPoints', expect.anything());
+      expect(service.call).toHaveBeenCalledWith('getConfigurationAndPricing', expect.objectContaining({
+        partId: '5790WHT',
+        fobId: 'CA',
+        configurationType: 'Decorated'
+      }));
+      expect(tree.locations.map(location => location.locationId)).toEqual(['1', '3']);
+    });
+
+    it('should record colour lookups that fail', async () => {
+      const call = service.call.getMockImplementation();
+      service.call.mockImplementation(async (operation, request) => {
+        if (operation === 'getDecorationColors' && request.locationId === '2') {
+          throw new ValidationError('Invalid response from getDecorationColors', {});
+        }
+        return call(operation, request);
+      });
+
+      const tree = await service.exploreDecorations({ productId: '5790' });
+
+      expect(tree.warnings).toEqual([{
+        locationId: '2',
+        operation: 'getDecorationColors',
+        message: 'Invalid response from getDecorationColors'
+      }]);
+      expect(tree.locations[1].methods[0].colors.options).toEqual([]);
+    });
+  });
+
+  describe('validateDecorations', () => {
+    let tree;
+
+    beforeEach(async () => {
+      tree = await service.exploreDecorations({ productId: '5790' });
+    });
+
+    it('should accept a configuration that follows the rules', async () => {
+      const result = await service.validateDecorations({
+        partId: '5790BLK',
+        decorations: [
+          { locationName: 'front', colors: ['Black', 'C2'], width: 9 },
+          { locationId: 1, decorationId: 11, units: 8000, diameter: 3.5 },
+          { locationId: 2, colors: ['PMS 186'] }
+        ]
+      }, tree);
+
+      expect(result).toEqual({ valid: true, errors: [], tree });
+    });
+
+    it('should explain every broken rule', async () => {
+      const { valid, errors } = await service.validateDecorations({
+        partId: '5790WHT',
+        decorations: [
+          { locationId: 1, colors: ['Black', 'Gold', 'C2', 'Red', 'Blue'] },
+          { locationId: 1, decorationId: 11, units: 12000, diameter: 5 },
+          { locationId: 1, decorationId: 12 },
+          { locationId: 2 },
+          { locationName: 'Sleeve' }
+        ]
+      }, tree);
+
+      expect(valid).toBe(false);
+      expect(errors).toEqual([
+        { index: 0, field: 'colors', message: '5 colors exceeds the maximum of 4 for Screen Print at \'Front\'' },
+        { index: 0, field: 'colors', message: 'Colors not offered for Screen Print at \'Front\': Gold, Red, Blue' },
+        { index: 1, field: 'units', message: '12000 Stitches exceeds the maximum of 10000 for Embroidery at \'Front\'' },
+        { index: 1, field: 'diameter', message: 'Imprint diameter 5 exceeds 4 Inches for Embroidery at \'Front\'' },
+        { index: 2, field: 'decorationId', message: 'Decoration \'12\' is not offered at \'Front\'' },
+        { index: 3, field: 'location', message: 'Location \'Back\' is not available for part 5790WHT' },
+        { index: 4, field: 'location', message: 'Location \'Sleeve\' is not offered' },
+        { index: null, field: 'decorations', message: '\'Front\' allows at most 2 decoration(s), got 3' }
+      ]);
+    });
+
+    it('should fetch the tree when none is given', async () => {
+      const result = await service.validateDecorations({ productId: '5790', decorations: [{ locationId: 3 }] });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors[0].message).toBe('decorationId is required: \'Handle\' offers no decoration methods');
+    });
+  });
+});
@@ -1,5 +1,6 @@
 const nock = require('nock');
 const InventoryService = require('../../src/services/inventory/inventory-service');
+const XmlConverter = require('../../src/core/xml-converter');
 const { ValidationError } = require('../../src/core/errors');
 
 /**
@@ -277,4 +278,198 @@ describe('InventoryService', () => {
       expect(() => validator({})).toThrow('missing filterValues');
     });
   });
+
+  describe('normalized inventory', () => {
+    const V1_REPLY = `
+      <Reply>
+        <productID>1625</productID>
+        <ProductVariationInventoryArray>
+          <ProductVariationInventory>
+            <partID>1625NVY</partID>
+            <partDescription>Tote - Navy</partDescription>
+            <quantityAvailable>1200</quantityAvailable>
+            <attributeColor>Navy</attributeColor>
+            <attributeSize>OS</attributeSize>
+            <validTimestamp>2024-05-01T08:00:00Z</validTimestamp>
+          </ProductVariationInventory>
+          <ProductVariationInventory>
+            <partID>1625RED</partID>
+            <partDescription>Tote - Red</partDescription>
+            <quantityAvailable>0</quantityAvailable>
+            <attributeColor>Red</attributeColor>
+            <attributeSize>OS</attributeSize>
+          </ProductVariationInventory>
+        </ProductVariationInventoryArray>
+        <CustomMessageArray><customMessage>Ships in 2 days</customMessage></CustomMessageArray>
+      </Reply>`;
+
+    const V2_RESPONSE = `
+      <GetInventoryLevelsResponse>
+        <Inventory>
+          <productId>1625</productId>
+          <PartInventoryArray>
+            <PartInventory>
+              <partId>1625NVY</partId>
+              <mainPart>true</mainPart>
+              <partColor>Navy</partColor>
+              <labelSize>OS</labelSize>
+              <partDescription>Tote - Navy</partDescription>
+              <quantityAvailable><Quantity><uom>EA</uom><value>1200</value></Quantity></quantityAvailable>
+              <manufacturedItem>false</manufacturedItem>
+              <buyToOrder>false</buyToOrder>
+              <InventoryLocationArray>
+                <InventoryLocation>
+                  <inventoryLocationId>EAST</inventoryLocationId>
+                  <inventoryLocationName>Boston</inventoryLocationName>
+                  <postalCode>02134</postalCode>
+                  <country>US</country>
+                  <inventoryLocationQuantity><Quantity><uom>EA</uom><value>700</value></Quantity></inventoryLocationQuantity>
+                  <FutureAvailabilityArray>
+                    <FutureAvailability>
+                      <Quantity><uom>EA</uom><value>500</value></Quantity>
+                      <availableOn>2024-06-15T00:00:00Z</availableOn>
+                    </FutureAvailability>
+                  </FutureAvailabilityArray>
+                </InventoryLocation>
+                <InventoryLocation>
+                  <inventoryLocationId>WEST</inventoryLocationId>
+                  <inventoryLocationQuantity><Quantity><uom>EA</uom><value>500</value></Quantity></inventoryLocationQuantity>
+                  <FutureAvailabilityArray>
+                    <FutureAvailability>
+                      <Quantity><uom>EA</uom><value>100</value></Quantity>
+                      <availableOn>2024-06-01T00:00:00Z</availableOn>
+                    </FutureAvailability>
+                  </FutureAvailabilityArray>
+                </InventoryLocation>
+              </InventoryLocationArray>
+              <lastModified>2024-05-01T08:00:00Z</lastModified>
+            </PartInventory>
+            <PartInventory>
+              <partId>1625RED</partId>
+              <mainPart>false</mainPart>
+              <partColor>Red</partColor>
+              <labelSize>OS</labelSize>
+              <partDescription>Tote - Red</partDescription>
+              <quantityAvailable><Quantity><uom>EA</uom><value>0</value></Quantity></quantityAvailable>
+              <manufacturedItem>true</manufacturedItem>
+              <buyToOrder>true</buyToOrder>
+              <replenishmentLeadTime>14</replenishmentLeadTime>
+            </PartInventory>
+          </PartInventoryArray>
+        </Inventory>
+        <ServiceMessageArray>
+          <ServiceMessage><code>200</code><description>Ships in 2 days</description><severity>Information</severity></ServiceMessage>
+        </ServiceMessageArray>
+      </GetInventoryLevelsResponse>`;
+
+    async function createNormalizingService(version, xml) {
+      const service = new InventoryService({ wsdl: MOCK_WSDL, username: 'test', password: 'test', version });
+      const body = Object.values(await new XmlConverter().xmlToJson(xml))[0];
+      jest.spyOn(service, 'call').mockResolvedValue(body);
+      return service;
+    }
+
+    const common = (part) => ({
+      partId: part.partId,
+      description: part.description,
+      color: part.color,
+      size: part.size,
+      quantityAvailable: part.quantityAvailable
+    });
+
+    it('should give both versions the same part model', async () => {
+      const v1 = await (await createNormalizingService('1.2.1', V1_REPLY)).getNormalizedInventoryLevels({ productId: '1625' });
+      const v2 = await (await createNormalizingService('2.0.0', V2_RESPONSE)).getNormalizedInventoryLevels({ productId: '1625' });
+
+      expect(v1.productId).toBe('1625');
+      expect(v2.productId).toBe('1625');
+      expect(Object.keys(v1.parts[0])).toEqual(Object.keys(v2.parts[0]));
+      expect(v1.parts.map(common)).toEqual(v2.parts.map(common));
+      expect(v1.parts[0]).toMatchObject({
+        partId: '1625NVY',
+        quantityAvailable: 1200,
+        manufacturedItem: null,
+        locations: [],
+        lastModified: new Date('2024-05-01T08:00:00Z')
+      });
+      expect(v1.messages).toEqual([{ code: null, description: 'Ships in 2 days', severity: 'Information' }]);
+      expect(v2.messages).toEqual([{ code: 200, description: 'Ships in 2 days', severity: 'Information' }]);
+    });
+
+    it('should read 2.0.0 warehouses, future availability and manual-inventory flags', async () => {
+      const service = await createNormalizingService('2.0.0', V2_RESPONSE);
+      const [navy, red] = (await service.getNormalizedInventoryLevels({ productId: '1625' })).parts;
+
+      expect(navy.locations.map(location => [location.id, location.quantityAvailable])).toEqual([['EAST', 700], ['WEST', 500]]);
+      expect(navy.locations[0]).toMatchObject({ name: 'Boston', country: 'US', uom: 'EA' });
+      expect(navy.futureAvailability).toEqual([
+        { quantity: 100, uom: 'EA', availableOn: new Date('2024-06-01T00:00:00Z'), locationId: 'WEST' },
+        { quantity: 500, uom: 'EA', availableOn: new Date('2024-06-15T00:00:00Z'), locationId: 'EAST' }
+      ]);
+      expect(navy).toMatchObject({ mainPart: true, manufacturedItem: false, buyToOrder: false, uom: 'EA' });
+      expect(red).toMatchObject({ manufacturedItem: true, buyToOrder: true, replenishmentLeadTime: 14, locations: [] });
+    });
+
+    it('should reject unrecognized responses', async () => {
+      const service = new InventoryService({ wsdl: MOCK_WSDL, username: 'test', password: 'test' });
+      jest.spyOn(service, 'call').mockResolvedValue({ inventoryLevels: {} });
+
+      await expect(service.getNormalizedInventoryLevels({ productId: '1625' }))
+        .rejects.toThrow('Unrecognized inventory response');
+    });
+
+    describe('availability helpers', () => {
+      let service;
+      let v1;
+      let v2;
+
+      beforeEach(async () => {
+        service = await createNormalizingService('2.0.0', V2_RESPONSE);
+        v2 = await service.getInventoryLevels({ productId: '1625' });
+        v1 = await (await createNormalizingService('1.2.1', V1_REPLY)).getNormalizedInventoryLevels({ productId: '1625' });
+      });
+
+      it('should total on-hand stock across locations', () => {
+        expect(service.getTotalAvailable(v2, '1625NVY')).toBe(1200);
+        expect(service.getTotalAvailable(v2)).toBe(1200);
+        expect(service.getTotalAvailable(v1, '1625NVY')).toBe(1200);
+        expect(service.getTotalAvailable(v1, '1625RED')).toBe(0);
+      });
+
+      it('should add future availability arriving by the ship date', () => {
+        expect(service.getAvailableByDate(v2, '1625NVY', '2024-05-20')).toBe(1200);
+        expect(service.getAvailableByDate(v2, '1625NVY', '2024-06-01')).toBe(1300);
+        expect(service.getAvailableByDate(v2, '1625NVY', new Date('2024-06-30'))).toBe(1800);
+        expect(service.getAvailableByDate(v1, '1625NVY', '2024-06-30')).toBe(1200);
+        expect(() => service.getAvailableByDate(v2, '1625NVY', 'someday')).toThrow('Invalid date');
+      });
+
+      it('should pick a warehouse holding the quantity on hand', () => {
+        expect(service.selectFulfillmentLocation(v2, '1625NVY', 600)).toEqual({
+          locationId: 'EAST',
+          name: 'Boston',
+          quantityAvailable: 700,
+          availableOn: null
+        });
+        expect(service.selectFulfillmentLocation(v2, '1625NVY', 500).locationId).toBe('EAST');
+        expect(service.selectFulfillmentLocation(v2, '1625NVY', 500, { preferredLocations: ['WEST'] }).locationId)
+          .toBe('WEST');
+      });
+
+      it('should fall back to stock arriving by the date', () => {
+        expect(service.selectFulfillmentLocation(v2, '1625NVY', 800)).toBeNull();
+        expect(service.selectFulfillmentLocation(v2, '1625NVY', 800, { date: '2024-06-30' })).toMatchObject({
+          locationId: 'EAST',
+          availableOn: new Date('2024-06-15T00:00:00Z')
+        });
+        expect(service.selectFulfillmentLocation(v2, '1625NVY', 1300, { date: '2024-06-30' })).toBeNull();
+        expect(service.selectFulfillmentLocation(v1, '1625NVY', 10)).toBeNull();
+      });
+
+      it('should reject unknown parts', () => {
+        expect(() => service.getTotalAvailable(v2, 'NOPE')).toThrow(ValidationError);
+        expect(() => service.getTotalAvailable(v2, 'NOPE')).toThrow('Part \'NOPE\' not found in inventory for 1625');
+      });
+    });
+  });
 });
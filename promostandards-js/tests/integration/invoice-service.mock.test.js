@@ -0,0 +1,209 @@
+const InvoiceService = require('../../src/services/invoice/invoice-service');
+const { normalizeInvoices } = require('../../src/services/invoice/invoice-normalizer');
+const XmlConverter = require('../../src/core/xml-converter');
+const { ValidationError } = require('../../src/core/errors');
+
+describe('InvoiceService', () => {
+  const MOCK_WSDL = 'https://mock-vendor.com/invoice?wsdl';
+
+  let service;
+
+  beforeEach(() => {
+    service = new InvoiceService({ wsdl: MOCK_WSDL, username: 'test', password: 'test' });
+  });
+
+  describe('getInvoices', () => {
+    it('should build a PO query', async () => {
+      jest.spyOn(service, 'call').mockResolvedValue({ invoiceArray: {} });
+
+      await service.getByPO('PO-1001');
+
+      expect(service.call).toHaveBeenCalledWith('getInvoices', { queryType: '2', referenceNumber: 'PO-1001' });
+    });
+
+    it('should require a requested date for date range queries', () => {
+      expect(() => service.buildInvoiceRequest({ queryType: '3' })).toThrow(ValidationError);
+    });
+  });
+
+  describe('getNormalizedInvoices', () => {
+    const RESPONSE = `
+      <GetInvoicesResponse>
+        <InvoiceArray>
+          <Invoice>
+            <invoiceNumber>INV-1001</invoiceNumber>
+            <invoiceType>INVOICE</invoiceType>
+            <invoiceDate>2024-05-12</invoiceDate>
+            <purchaseOrderNumber>PO-1001</purchaseOrderNumber>
+            <BillTo>
+              <AccountInfo>
+                <accountName>Acme Distributing</accountName><accountNumber>A-77</accountNumber>
+                <Address1>100 Main St</Address1><city>Springfield</city><region>IL</region><postalCode>62701</postalCode><country>US</country>
+              </AccountInfo>
+            </BillTo>
+            <paymentTerms>Net 30</paymentTerms>
+            <paymentDueDate>2024-06-11</paymentDueDate>
+            <currency>USD</currency>
+            <salesAmount>880.00</salesAmount>
+            <shippingAmount>25.00</shippingAmount>
+            <handlingAmount>0</handlingAmount>
+            <taxAmount>72.60</taxAmount>
+            <invoiceAmount>977.60</invoiceAmount>
+            <advancePaymentAmount>100.00</advancePaymentAmount>
+            <invoiceAmountDue>877.60</invoiceAmountDue>
+            <InvoiceLineItemsArray>
+              <InvoiceLineItem>
+                <invoiceLineItemNumber>1</invoiceLineItemNumber>
+                <productId>5790</productId><partId>5790BLK</partId>
+                <purchaseOrderLineItemNumber>1</purchaseOrderLineItemNumber>
+                <orderedQuantity>250</orderedQuantity><invoiceQuantity>250</invoiceQuantity><backOrderedQuantity>0</backOrderedQuantity>
+                <quantityUOM>EA</quantityUOM>
+                <lineItemDescription>Stadium cup, black</lineItemDescription>
+                <unitPrice>3.00</unitPrice>
+                <discountAmount>20.00</discountAmount>
+                <extendedPrice>730.00</extendedPrice>
+              </InvoiceLineItem>
+              <InvoiceLineItem>
+                <invoiceLineItemNumber>2</invoiceLineItemNumber>
+                <chargeId>100</chargeId>
+                <purchaseOrderLineItemNumber>1</purchaseOrderLineItemNumber>
+                <invoiceQuantity>1</invoiceQuantity>
+                <quantityUOM>EA</quantityUOM>
+                <lineItemDescription>Screen print setup</lineItemDescription>
+                <unitPrice>50.00</unitPrice>
+                <extendedPrice>50.00</extendedPrice>
+              </InvoiceLineItem>
+              <InvoiceLineItem>
+                <invoiceLineItemNumber>3</invoiceLineItemNumber>
+                <chargeId>200</chargeId>
+                <invoiceQuantity>250</invoiceQuantity>
+                <quantityUOM>EA</quantityUOM>
+                <lineItemDescription>Imprint, 1 color</lineItemDescription>
+                <unitPrice>0.40</unitPrice>
+                <extendedPrice>100.00</extendedPrice>
+              </InvoiceLineItem>
+            </InvoiceLineItemsArray>
+            <SalesOrderNumbersArray><salesOrderNumber>SO-1</salesOrderNumber></SalesOrderNumbersArray>
+            <TaxArray>
+              <tax><taxType>SALES</taxType><taxJurisdiction>IL</taxJurisdiction><taxAmount>72.60</taxAmount></tax>
+            </TaxArray>
+          </Invoice>
+        </InvoiceArray>
+      </GetInvoicesResponse>`;
+
+    async function createNormalizingService(xml) {
+      const body = Object.values(await new XmlConverter().xmlToJson(xml))[0];
+      jest.spyOn(service, 'call').mockResolvedValue(body);
+      return service;
+    }
+
+    it('should split product and charge lines and compute totals', async () => {
+      const { invoices, messages } = await (await createNormalizingService(RESPONSE)).getNormalizedInvoices({ poNumber: 'PO-1001' });
+
+      expect(messages).toEqual([]);
+      expect(invoices).toHaveLength(1);
+      const [invoice] = invoices;
+      expect(invoice).toMatchObject({
+        invoiceNumber: 'INV-1001',
+        invoiceType: 'INVOICE',
+        creditMemo: false,
+        invoiceDate: new Date('2024-05-12'),
+        paymentDueDate: new Date('2024-06-11'),
+        purchaseOrderNumber: 'PO-1001',
+        salesOrderNumbers: ['SO-1'],
+        billTo: { accountName: 'Acme Distributing', accountNumber: 'A-77', address1: '100 Main St', country: 'US', email: null },
+        soldTo: null,
+        paymentTerms: 'Net 30',
+        currency: 'USD',
+        taxes: [{ type: 'SALES', jurisdiction: 'IL', amount: 72.6 }],
+        salesAmount: 880,
+        invoiceAmount: 977.6
+      });
+      expect(invoice.lineItems).toEqual([{
+        lineNumber: 1,
+        purchaseOrderLineNumber: 1,
+        description: 'Stadium cup, black',
+        quantity: 250,
+        uom: 'EA',
+        unitPrice: 3,
+        discountAmount: 20,
+        extendedPrice: 730,
+        productId: '5790',
+        partId: '5790BLK',
+        distributorProductId: null,
+        distributorPartId: null,
+        orderedQuantity: 250,
+        backOrderedQuantity: 0
+      }]);
+      expect(invoice.charges.map(charge => [charge.chargeId, charge.chargeType, charge.extendedPrice])).toEqual([
+        ['100', 'Setup', 50],
+        ['200', 'Run', 100]
+      ]);
+      expect(invoice.totals).toEqual({
+        lineItems: 730,
+        charges: 150,
+        subtotal: 880,
+        shipping: 25,
+        handling: 0,
+        tax: 72.6,
+        total: 977.6,
+        amountDue: 877.6
+      });
+      expect(invoice.consistency).toEqual({ consistent: true, errors: [] });
+    });
+
+    it('should take charge types from the caller before the description', async () => {
+      const normalizing = await createNormalizingService(RESPONSE);
+      const { invoices } = await normalizing.getNormalizedInvoices({ poNumber: 'PO-1001' }, { chargeTypes: { 200: 'Order' } });
+
+      expect(invoices[0].charges.map(charge => charge.chargeType)).toEqual(['Setup', 'Order']);
+    });
+
+    it('should report arithmetic that does not add up', async () => {
+      const xml = RESPONSE
+        .replace('<extendedPrice>730.00</extendedPrice>', '<extendedPrice>750.00</extendedPrice>')
+        .replace('<taxAmount>72.60</taxAmount>\n            <invoiceAmount>', '<taxAmount>70.00</taxAmount>\n            <invoiceAmount>');
+      const { invoices } = await (await createNormalizingService(xml)).getNormalizedInvoices({ poNumber: 'PO-1001' });
+
+      expect(invoices[0].totals.total).toBe(995);
+      expect(invoices[0].consistency.consistent).toBe(false);
+      expect(invoices[0].consistency.errors).toEqual([
+        { check: 'extendedPrice', lineNumber: 1, expected: 730, actual: 750, difference: 20, message: 'Line 1 extendedPrice is 750, expected 730' },
+        { check: 'salesAmount', lineNumber: null, expected: 900, actual: 880, difference: -20, message: 'salesAmount is 880, expected 900' },
+        { check: 'taxAmount', lineNumber: null, expected: 72.6, actual: 70, difference: -2.6, message: 'taxAmount is 70, expected 72.6' },
+        { check: 'invoiceAmount', lineNumber: null, expected: 995, actual: 977.6, difference: -17.4, message: 'invoiceAmount is 977.6, expected 995' }
+      ]);
+    });
+
+    it('should treat description-only lines as charges and fill missing extended prices', () => {
+      const { invoices } = normalizeInvoices({
+        invoiceArray: {
+          invoice: {
+            invoiceNumber: 'CM-1',
+            invoiceType: 'Credit Memo',
+            invoiceLineItemsArray: {
+              invoiceLineItem: [
+                { invoiceLineItemNumber: 1, lineItemDescription: 'Freight adjustment', invoiceQuantity: 1, unitPrice: 12.5 },
+                { invoiceLineItemNumber: 2, distributorPartId: 'ACME-BLK', invoiceQuantity: 2, unitPrice: 3 }
+              ]
+            }
+          }
+        }
+      });
+
+      expect(invoices[0]).toMatchObject({ invoiceNumber: 'CM-1', invoiceType: 'CREDIT MEMO', creditMemo: true, currency: null });
+      expect(invoices[0].charges).toEqual([expect.objectContaining({ chargeId: null, chargeType: 'Freight', extendedPrice: 12.5 })]);
+      expect(invoices[0].lineItems).toEqual([expect.objectContaining({ distributorPartId: 'ACME-BLK', extendedPrice: 6 })]);
+      expect(invoices[0].totals).toMatchObject({ subtotal: 18.5, total: 18.5 });
+      expect(invoices[0].consistency.consistent).toBe(true);
+    });
+
+    it('should reject responses without an invoice structure', async () => {
+      jest.spyOn(service, 'call').mockResolvedValue({ productArray: {} });
+
+      await expect(service.getNormalizedInvoices({ poNumber: 'PO-1001' })).rejects.toThrow(ValidationError);
+      expect(normalizeInvoices({ serviceMessageArray: { serviceMessage: { code: 160, description: 'No results found', severity: 'Information' } } }))
+        .toEqual({ invoices: [], messages: [{ code: 160, description: 'No results found', severity: 'Information' }] });
+    });
+  });
+});
@@ -0,0 +1,233 @@
+const InvoiceSync = require('../../src/services/invoice/invoice-sync');
+const InvoiceService = require('../../src/services/invoice/invoice-service');
+const SoapClient = require('../../src/core/soap-client');
+const { ServiceError, ValidationError } = require('../../src/core/errors');
+
+describe('InvoiceSync', () => {
+  const NOW = Date.parse('2026-03-02T12:00:00Z');
+
+  let service;
+  let clock;
+
+  function invoicesResponse(...invoiceNumbers) {
+    return {
+      invoiceArray: {
+        invoice: invoiceNumbers.map(invoiceNumber => ({
+          invoiceNumber,
+          invoiceType: 'INVOICE',
+          invoiceDate: '2026-03-01',
+          purchaseOrderNumber: 'PO-1001',
+          currency: 'USD',
+          salesAmount: 100,
+          shippingAmount: 0,
+          handlingAmount: 0,
+          taxAmount: 0,
+          invoiceAmount: 100,
+          advancePaymentAmount: 0,
+          invoiceAmountDue: 100,
+          invoiceLineItemsArray: {
+            invoiceLineItem: { productId: '1625', invoiceQuantity: 20, unitPrice: 5, extendedPrice: 100 }
+          }
+        }))
+      }
+    };
+  }
+
+  function voidedResponse(...voided) {
+    return {
+      voidedInvoiceArray: {
+        voidedInvoice: voided.map(([invoiceNumber, voidDate]) => ({ invoiceNumber, voidDate }))
+      }
+    };
+  }
+
+  const noResults = (operation) => new ValidationError(
+    `Invalid response from ${operation}: Invalid response: missing invoice data`,
+    { operation, service: 'Invoice' }
+  );
+
+  function createSync(options = {}) {
+    const sync = new InvoiceSync(service, options);
+    sync.now = () => clock;
+    return sync;
+  }
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    clock = NOW;
+    service = new InvoiceService({ username: 'user', password: 'pass', endpoint: 'https://supplier.test/invoice' });
+    jest.spyOn(service, 'getByDateRange').mockRejectedValue(noResults('getInvoices'));
+    jest.spyOn(service, 'getVoidedInvoices').mockRejectedValue(noResults('getVoidedInvoices'));
+  });
+
+  it('should query invoices and voids since the checkpoint and save it', async () => {
+    const store = new Map();
+
+    const first = await createSync({ store }).sync();
+    expect(first.since).toEqual(new Date('2026-01-31T12:00:00Z'));
+    expect(service.getByDateRange).toHaveBeenCalledWith(first.since);
+    expect(service.getVoidedInvoices).toHaveBeenCalledWith({ since: first.since });
+    expect(first.changes).toEqual([]);
+    expect(JSON.parse(store.get('invoice-sync')).checkpoint).toBe('2026-03-02T12:00:00.000Z');
+
+    clock = NOW + 60 * 60 * 1000;
+    const second = await createSync({ store }).sync();
+    expect(second.since).toEqual(new Date('2026-03-02T11:55:00Z'));
+  });
+
+  it('should report new invoices once and void imported ones', async () => {
+    const onCreated = jest.fn();
+    const onVoided = jest.fn();
+    const sync = createSync({ onCreated, onVoided });
+
+    service.getByDateRange.mockResolvedValue(invoicesResponse('INV-1', 'INV-2'));
+    const first = await sync.sync();
+    const second = await sync.sync();
+
+    expect(first.changes.map(change => [change.type, change.invoiceNumber])).toEqual([['created', 'INV-1'], ['created', 'INV-2']]);
+    expect(first.changes[0].invoice).toMatchObject({
+      invoiceNumber: 'INV-1',
+      purchaseOrderNumber: 'PO-1001',
+      totals: { total: 100 },
+      consistency: { consistent: true }
+    });
+    expect(second.changes).toEqual([]);
+    expect(onCreated).toHaveBeenCalledTimes(2);
+
+    service.getVoidedInvoices.mockResolvedValue(voidedResponse(['INV-2', '2026-03-02']));
+    clock = NOW + 60000;
+    const third = await sync.sync();
+    await sync.sync();
+
+    expect(third.changes).toEqual([{
+      type: 'voided',
+      invoiceNumber: 'INV-2',
+      voidDate: '2026-03-02T00:00:00.000Z',
+      invoice: {
+        invoiceNumber: 'INV-2',
+        invoiceType: 'INVOICE',
+        purchaseOrderNumber: 'PO-1001',
+        invoiceDate: '2026-03-01T00:00:00.000Z',
+        invoiceAmount: 100,
+        currency: 'USD',
+        importedAt: '2026-03-02T12:00:00.000Z',
+        voided: true,
+        voidDate: '2026-03-02T00:00:00.000Z',
+        voidedAt: '2026-03-02T12:01:00.000Z'
+      }
+    }]);
+    expect(onVoided).toHaveBeenCalledTimes(1);
+    expect(await sync.getInvoice('INV-2')).toMatchObject({ voided: true });
+    expect(await sync.getInvoice('INV-1')).toMatchObject({ voided: false });
+  });
+
+  it('should not create an invoice voided before it was imported', async () => {
+    const sync = createSync();
+
+    service.getVoidedInvoices.mockResolvedValue(voidedResponse(['INV-3', '2026-03-01']));
+    expect((await sync.sync()).changes).toEqual([]);
+
+    service.getByDateRange.mockResolvedValue(invoicesResponse('INV-3', 'INV-4'));
+    const { changes } = await sync.sync();
+
+    expect(changes.map(change => [change.type, change.invoiceNumber])).toEqual([['created', 'INV-4']]);
+    expect(await sync.getInvoice('INV-3')).toBeNull();
+  });
+
+  it('should keep the checkpoint when a call fails', async () => {
+    const store = new Map();
+    const onSyncError = jest.fn();
+    const sync = createSync({ store, onSyncError });
+
+    const error = new ServiceError('SOAP operation failed', 'Invoice', 'getVoidedInvoices');
+    service.getByDateRange.mockResolvedValue(invoicesResponse('INV-1'));
+    service.getVoidedInvoices.mockRejectedValue(error);
+
+    const result = await sync.sync();
+
+    expect(result.changes.map(change => change.type)).toEqual(['created']);
+    expect(result.errors).toEqual([{ service: 'voidedInvoices', error }]);
+    expect(onSyncError).toHaveBeenCalledWith({ service: 'voidedInvoices', error });
+    expect(result.checkpoint).toBe('2026-01-31T12:00:00.000Z');
+
+    service.getVoidedInvoices.mockResolvedValue(voidedResponse(['INV-1', '2026-03-02']));
+    clock = NOW + 60000;
+    const retry = await sync.sync();
+    expect(retry.since).toEqual(new Date('2026-01-31T11:55:00Z'));
+    expect(retry.changes.map(change => [change.type, change.invoiceNumber])).toEqual([['voided', 'INV-1']]);
+    expect(retry.checkpoint).toBe('2026-03-02T12:01:00.000Z');
+  });
+
+  it('should send schema-valid requests through the Invoice service', async () => {
+    service.getByDateRange.mockRestore();
+    service.getVoidedInvoices.mockRestore();
+    const requests = {};
+    // Build the request XML as SoapClient#call does and answer without sending it
+    jest.spyOn(SoapClient.prototype, 'call').mockImplementation(async function (operation, data, options = {}) {
+      requests[operation] = await this.buildRequestXmlFromSchema(operation, data, options);
+      return operation === 'getInvoices'
+        ? invoicesResponse('INV-1')
+        : voidedResponse(['INV-1', '2026-03-02']);
+    });
+
+    const { changes, errors } = await createSync().sync();
+
+    expect(errors).toEqual([]);
+    expect(changes.map(change => [change.type, change.invoiceNumber])).toEqual([['created', 'INV-1'], ['voided', 'INV-1']]);
+    expect(requests.getInvoices).toMatch(/<ns\d:queryType>3<\/ns\d:queryType><ns\d:requestedDate>2026-01-31</);
+    expect(requests.getVoidedInvoices)
+      .toMatch(/<ns\d:queryType>4<\/ns\d:queryType><ns\d:availableTimeStamp>2026-01-31T12:00:00.000Z</);
+  });
+
+  it('should report requests the schema rejects as sync errors', async () => {
+    const error = new ValidationError('Invalid GetVoidedInvoicesRequest: GetVoidedInvoicesRequest.queryType is required', {
+      element: 'GetVoidedInvoicesRequest',
+      errors: ['GetVoidedInvoicesRequest.queryType is required'],
+      service: 'Invoice',
+      operation: 'getVoidedInvoices'
+    });
+    service.getVoidedInvoices.mockRejectedValue(error);
+
+    const result = await createSync().sync();
+
+    expect(result.errors).toEqual([{ service: 'voidedInvoices', error }]);
+    expect(result.checkpoint).toBe('2026-01-31T12:00:00.000Z');
+  });
+
+  it('should forget invoices imported before the retention period', async () => {
+    const sync = createSync({ retention: 60000 });
+
+    service.getByDateRange.mockResolvedValue(invoicesResponse('INV-1'));
+    await sync.sync();
+    expect(Object.keys((await sync.loadState()).invoices)).toEqual(['INV-1']);
+
+    service.getByDateRange.mockRejectedValue(noResults('getInvoices'));
+    clock = NOW + 120000;
+    await sync.sync();
+    expect((await sync.loadState()).invoices).toEqual({});
+  });
+
+  it('should sync on a schedule until stopped', async () => {
+    jest.useFakeTimers();
+    try {
+      const sync = createSync({ interval: 1000 });
+      const run = jest.spyOn(sync, 'sync');
+
+      sync.start();
+      await jest.advanceTimersByTimeAsync(2500);
+      sync.stop();
+      await jest.advanceTimersByTimeAsync(5000);
+
+      expect(run).toHaveBeenCalledTimes(3);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('should require an invoice service', () => {
+    expect(() => new InvoiceSync({})).toThrow('InvoiceSync needs an InvoiceService');
+  });
+});
@@ -0,0 +1,453 @@
+const nock = require('nock');
+const OrderShipmentNotificationService = require('../../src/services/order-shipment/order-shipment-service');
+const { normalizeShipments } = require('../../src/services/order-shipment/shipment-normalizer');
+const CarrierRegistry = require('../../src/services/order-shipment/carrier-registry');
+const XmlConverter = require('../../src/core/xml-converter');
+const { ValidationError } = require('../../src/core/errors');
+
+describe('OrderShipmentNotificationService', () => {
+  const MOCK_WSDL = 'https://mock-vendor.com/orderShipmentNotification?wsdl';
+
+  const ADDRESS = {
+    companyName: 'Acme Distributing',
+    address1: '100 Main St',
+    city: 'Springfield',
+    region: 'IL',
+    postalCode: '62701',
+    country: 'US'
+  };
+
+  const ASN = {
+    purchaseOrderNumber: 'PO-1001',
+    shippedInFull: true,
+    shipments: [{
+      shippedInFull: true,
+      shipFrom: ADDRESS,
+      shipTo: { ...ADDRESS, attentionTo: 'Receiving' },
+      destinationType: 'Commercial',
+      packages: [{
+        trackingNumber: '1Z999',
+        shipmentDate: new Date('2024-05-01T15:00:00Z'),
+        dimensions: { dimUOM: 'Inches', length: 12, width: 10, height: 8, weightUOM: 'Pounds', weight: 4.5 },
+        carrier: 'UPS',
+        service: 'Ground',
+        items: [{ productId: 'SHIRT-1', partId: 'SHIRT-1-RED-L', lineNumber: 1, quantity: 24 }],
+        shipReferences: ['REF-1']
+      }]
+    }]
+  };
+
+  function createService(version) {
+    return new OrderShipmentNotificationService({
+      wsdl: MOCK_WSDL,
+      username: 'test',
+      password: 'test',
+      version
+    });
+  }
+
+  let service;
+
+  beforeEach(() => {
+    service = createService('2.1.0');
+  });
+
+  describe('buildAdvanceShipmentNotification', () => {
+    it('should build the SharedOSNObjects AdvanceShipmentNotification structure', () => {
+      const asn = service.buildAdvanceShipmentNotification(ASN);
+
+      expect(asn.purchaseOrderNumber).toBe('PO-1001');
+      expect(asn.purchaseOrderShippedInFull).toBe(true);
+
+      const [shipment] = asn.ShipmentArray.Shipment;
+      expect(shipment.destinationShippedInFull).toBe(true);
+      expect(shipment.customerPickup).toBe(false);
+      expect(shipment.shipToAddress.attentionTo).toBe('Receiving');
+      expect(shipment.shipmentDestinationType).toBe('Commercial');
+
+      const [pkg] = shipment.PackageArray.Package;
+      expect(pkg.shipmentDate).toBe('2024-05-01T15:00:00.000Z');
+      expect(pkg.Dimension).toEqual({
+        DimensionSize: { dimUOM: 'Inches', length: 12, width: 10, height: 8 },
+        DimensionWeight: { weightUOM: 'Pounds', weight: 4.5 }
+      });
+      expect(pkg.FreightDetails).toEqual({ carrier: 'UPS', service: 'Ground' });
+      expect(pkg.preProductionProof).toBe('No');
+      expect(pkg.ItemArray.Item).toEqual([{
+        supplierProductId: 'SHIRT-1',
+        supplierPartId: 'SHIRT-1-RED-L',
+        distributorProductId: undefined,
+        distributorPartId: undefined,
+        purchaseOrderLineNumber: 1,
+        Quantity: { value: 24, uom: 'EA' }
+      }]);
+    });
+
+    it('should omit optional package groups when not provided', () => {
+      const asn = service.buildAdvanceShipmentNotification({
+        ...ASN,
+        shipments: [{ ...ASN.shipments[0], packages: [{ shipmentDate: '2024-05-01T15:00:00Z' }] }]
+      });
+      const [pkg] = asn.ShipmentArray.Shipment[0].PackageArray.Package;
+
+      expect(pkg.Dimension).toBeUndefined();
+      expect(pkg.FreightDetails).toBeUndefined();
+      expect(pkg.ItemArray).toBeUndefined();
+    });
+  });
+
+  describe('validateAdvanceShipmentNotification', () => {
+    it('should accept a complete ASN', () => {
+      expect(service.validateAdvanceShipmentNotification(service.buildAdvanceShipmentNotification(ASN))).toBe(true);
+    });
+
+    it('should collect every problem in details.errors', () => {
+      const asn = service.buildAdvanceShipmentNotification({
+        purchaseOrderNumber: 'PO-1001',
+        shipments: [{
+          shipFrom: ADDRESS,
+          shipTo: { ...ADDRESS, city: undefined },
+          packages: [{
+            shipmentDate: '2024-05-01T15:00:00Z',
+            dimensions: { weightUOM: 'Stone', weight: 2 },
+            preProductionProof: 'Maybe',
+            items: [{ productId: 'SHIRT-1', quantity: 1, uom: 'XX' }],
+            shipReferences: ['1', '2', '3', '4', '5']
+          }]
+        }]
+      });
+
+      try {
+        service.validateAdvanceShipmentNotification(asn);
+        throw new Error('expected validation to fail');
+      } catch (error) {
+        expect(error).toBeInstanceOf(ValidationError);
+        expect(error.details.errors).toEqual([
+          'Shipment[0].shipToAddress.city is required',
+          'Shipment[0].Package[0].preProductionProof must be one of Yes, No, Unknown',
+          'Shipment[0].Package[0].Dimension.DimensionWeight.weightUOM must be one of Ounces, Pounds, Grams, kg',
+          'Shipment[0].Package[0].shipReferences allows at most 4 entries',
+          'Shipment[0].Package[0].Item[0].Quantity.uom must be one of BX, CA, DZ, EA, KT, PK, PR, RL, SL, ST, TH'
+        ]);
+      }
+    });
+
+    it('should require at least one shipment', () => {
+      expect(() => service.validateAdvanceShipmentNotification(
+        service.buildAdvanceShipmentNotification({ purchaseOrderNumber: 'PO-1001' })
+      )).toThrow('ShipmentArray must contain at least one Shipment');
+    });
+
+    it('should not default a missing shipment date', () => {
+      const asn = service.buildAdvanceShipmentNotification({
+        ...ASN,
+        shipments: [{ ...ASN.shipments[0], packages: [{ trackingNumber: '1Z999' }] }]
+      });
+
+      expect(asn.ShipmentArray.Shipment[0].PackageArray.Package[0].shipmentDate).toBeNull();
+      try {
+        service.validateAdvanceShipmentNotification(asn);
+        throw new Error('expected validation to fail');
+      } catch (error) {
+        expect(error.details.errors).toContain('Shipment[0].Package[0].shipmentDate is required');
+      }
+    });
+  });
+
+  describe('sendAdvanceShipmentNotification', () => {
+    it('should send the built ASN', async () => {
+      const call = jest.spyOn(service, 'call').mockResolvedValue({ transactionId: 'T-1' });
+
+      const result = await service.sendAdvanceShipmentNotification({ ...ASN, customerIdentifier: 'CUST-9' });
+
+      expect(result).toEqual({ transactionId: 'T-1' });
+      expect(call).toHaveBeenCalledWith('sendAdvanceShipmentNotification', {
+        customerIdentifier: 'CUST-9',
+        AdvanceShipmentNotification: service.buildAdvanceShipmentNotification(ASN)
+      });
+    });
+
+    it('should not call the supplier when validation fails', async () => {
+      const call = jest.spyOn(service, 'call');
+
+      await expect(service.sendAdvanceShipmentNotification({ shipments: [] }))
+        .rejects.toThrow(ValidationError);
+      expect(call).not.toHaveBeenCalled();
+    });
+
+    it('should only be available in version 2.1.0', async () => {
+      const legacy = createService('2.0.0');
+
+      await expect(legacy.sendAdvanceShipmentNotification(ASN))
+        .rejects.toThrow('not available in version 2.0.0');
+      await expect(legacy.getServiceMethods())
+        .rejects.toThrow('not available in version 2.0.0');
+      expect(legacy.operations.sendAdvanceShipmentNotification).toBeUndefined();
+    });
+  });
+
+  describe('getServiceMethods', () => {
+    it('should send an empty request', async () => {
+      const call = jest.spyOn(service, 'call').mockResolvedValue({ serviceMethodArray: {} });
+
+      await service.getServiceMethods();
+
+      expect(call).toHaveBeenCalledWith('getServiceMethods', {});
+    });
+  });
+
+  describe('getNormalizedShipments', () => {
+    const V1_RESPONSE = `
+      <GetOrderShipmentNotificationResponse>
+        <OrderShipmentNotificationArray>
+          <OrderShipmentNotification>
+            <purchaseOrderNumber>PO-1001</purchaseOrderNumber>
+            <complete>false</complete>
+            <SalesOrderArray>
+              <SalesOrder>
+                <salesOrderNumber>SO-1</salesOrderNumber>
+                <complete>false</complete>
+                <ShipmentLocationArray>
+                  <ShipmentLocation>
+                    <id>1</id>
+                    <complete>true</complete>
+                    <ShipFromAddress>
+                      <address1>1 Factory Rd</address1><city>Miami</city><region>FL</region><postalCode>33101</postalCode>
+                    </ShipFromAddress>
+                    <ShipToAddress>
+                      <address1>100 Main St</address1><city>Springfield</city><region>IL</region><postalCode>62701</postalCode><country>US</country>
+                    </ShipToAddress>
+                    <PackageArray>
+                      <Package>
+                        <id>7</id>
+                        <trackingNumber>1Z999AA10123456784</trackingNumber>
+                        <shipmentDate>2024-05-01T15:00:00Z</shipmentDate>
+                        <dimUOM>Inches</dimUOM><length>12</length><width>10</width><height>8</height>
+                        <weightUOM>Pounds</weightUOM><weight>4.5</weight>
+                        <carrier>UPS</carrier>
+                        <shipmentMethod>Ground</shipmentMethod>
+                        <ItemArray>
+                          <Item><supplierProductId>SHIRT-1</supplierProductId><supplierPartId>SHIRT-1-RED-L</supplierPartId><purchaseOrderLineNumber>1</purchaseOrderLineNumber><quantity>24</quantity></Item>
+                        </ItemArray>
+                      </Package>
+                    </PackageArray>
+                  </ShipmentLocation>
+                </ShipmentLocationArray>
+              </SalesOrder>
+            </SalesOrderArray>
+          </OrderShipmentNotification>
+        </OrderShipmentNotificationArray>
+        <errorMessage>Partial results</errorMessage>
+      </GetOrderShipmentNotificationResponse>`;
+
+    const V2_RESPONSE = `
+      <GetOrderShipmentNotificationResponse>
+        <OrderShipmentNotificationArray>
+          <OrderShipmentNotification>
+            <purchaseOrderNumber>PO-1001</purchaseOrderNumber>
+            <purchaseOrderShippedInFull>false</purchaseOrderShippedInFull>
+            <SalesOrderArray>
+              <SalesOrder>
+                <salesOrderNumber>SO-1</salesOrderNumber>
+                <salesOrderShippedInFull>false</salesOrderShippedInFull>
+                <ShipmentArray>
+                  <Shipment>
+                    <destinationShippedInFull>true</destinationShippedInFull>
+                    <customerPickup>false</customerPickup>
+                    <shipFromAddress>
+                      <address1>1 Factory Rd</address1><city>Miami</city><region>FL</region><postalCode>33101</postalCode>
+                    </shipFromAddress>
+                    <shipToAddress>
+                      <companyName>Acme Distributing</companyName><address1>100 Main St</address1><city>Springfield</city><region>IL</region><postalCode>62701</postalCode><country>US</country>
+                    </shipToAddress>
+                    <shipmentDestinationType>Commercial</shipmentDestinationType>
+                    <PackageArray>
+                      <Package>
+                        <id>7</id>
+                        <trackingNumber>1Z999AA10123456784</trackingNumber>
+                        <shipmentDate>2024-05-01T15:00:00Z</shipmentDate>
+                        <Dimension>
+                          <DimensionSize><dimUOM>Inches</dimUOM><length>12</length><width>10</width><height>8</height></DimensionSize>
+                          <DimensionWeight><weightUOM>Pounds</weightUOM><weight>4.5</weight></DimensionWeight>
+                        </Dimension>
+                        <FreightDetails><carrier>UPS</carrier><service>Ground</service></FreightDetails>
+                        <ItemArray>
+                          <Item><supplierProductId>SHIRT-1</supplierProductId><supplierPartId>SHIRT-1-RED-L</supplierPartId><purchaseOrderLineNumber>1</purchaseOrderLineNumber><Quantity><value>24</value><uom>EA</uom></Quantity></Item>
+                        </ItemArray>
+                        <preProductionProof>No</preProductionProof>
+                      </Package>
+                      <Package>
+                        <trackingNumber>9400 1000 0000 0000 0000 00</trackingNumber>
+                        <shipmentDate>2024-05-02T15:00:00Z</shipmentDate>
+                      </Package>
+                    </PackageArray>
+                  </Shipment>
+                </ShipmentArray>
+              </SalesOrder>
+            </SalesOrderArray>
+          </OrderShipmentNotification>
+        </OrderShipmentNotificationArray>
+      </GetOrderShipmentNotificationResponse>`;
+
+    async function createNormalizingService(version, xml, options = {}) {
+      const normalizing = new OrderShipmentNotificationService({ wsdl: MOCK_WSDL, username: 'test', password: 'test', version, ...options });
+      const body = Object.values(await new XmlConverter().xmlToJson(xml))[0];
+      jest.spyOn(normalizing, 'call').mockResolvedValue(body);
+      return normalizing;
+    }
+
+    const common = (shipment) => ({
+      ...shipment,
+      id: null,
+      customerPickup: null,
+      destinationType: null,
+      shipFrom: null,
+      shipTo: null,
+      packages: shipment.packages.map(pkg => ({ ...pkg, preProductionProof: null, items: pkg.items.map(item => ({ ...item, uom: null })) }))
+    });
+
+    it('should give both versions the same shipment model', async () => {
+      const v1 = await (await createNormalizingService('1.0.0', V1_RESPONSE)).getNormalizedShipments({ referenceNumber: 'PO-1001', queryType: '1' });
+      const v2 = await (await createNormalizingService('2.0.0', V2_RESPONSE)).getNormalizedShipments({ referenceNumber: 'PO-1001', queryType: '1' });
+
+      expect(v1.shipments).toHaveLength(1);
+      expect(common(v1.shipments[0])).toEqual(common({ ...v2.shipments[0], packages: v2.shipments[0].packages.slice(0, 1) }));
+      expect(v1.shipments[0]).toMatchObject({
+        purchaseOrderNumber: 'PO-1001',
+        purchaseOrderShippedInFull: false,
+        salesOrderNumber: 'SO-1',
+        salesOrderShippedInFull: false,
+        id: '1',
+        shippedInFull: true,
+        shipTo: { address1: '100 Main St', city: 'Springfield', country: 'US', attentionTo: null }
+      });
+      expect(v1.shipments[0].packages[0]).toEqual({
+        id: '7',
+        trackingNumber: '1Z999AA10123456784',
+        trackingUrl: 'https://www.ups.com/track?tracknum=1Z999AA10123456784',
+        carrier: 'UPS',
+        carrierCode: 'UPS',
+        service: 'Ground',
+        shipmentDate: new Date('2024-05-01T15:00:00Z'),
+        shippingAccount: null,
+        shipmentTerms: null,
+        preProductionProof: null,
+        dimensions: { uom: 'Inches', length: 12, width: 10, height: 8 },
+        weight: { uom: 'Pounds', value: 4.5 },
+        items: [{
+          supplierProductId: 'SHIRT-1',
+          supplierPartId: 'SHIRT-1-RED-L',
+          distributorProductId: null,
+          distributorPartId: null,
+          purchaseOrderLineNumber: 1,
+          quantity: 24,
+          uom: null
+        }]
+      });
+      expect(v1.messages).toEqual([{ code: null, description: 'Partial results', severity: 'Error' }]);
+      expect(v2.messages).toEqual([]);
+    });
+
+    it('should read 2.0.0 shipment details and detect carriers from tracking numbers', async () => {
+      const normalizing = await createNormalizingService('2.0.0', V2_RESPONSE);
+      const [shipment] = (await normalizing.getNormalizedShipments({ referenceNumber: 'PO-1001', queryType: '1' })).shipments;
+
+      expect(shipment).toMatchObject({ customerPickup: false, destinationType: 'Commercial', shipTo: { companyName: 'Acme Distributing' } });
+      expect(shipment.packages[0]).toMatchObject({ preProductionProof: 'No', items: [{ quantity: 24, uom: 'EA' }] });
+      expect(shipment.packages[1]).toMatchObject({
+        trackingNumber: '9400 1000 0000 0000 0000 00',
+        trackingUrl: 'https://tools.usps.com/go/TrackConfirmAction?tLabels=9400100000000000000000',
+        carrier: 'USPS',
+        carrierCode: 'USPS',
+        service: null
+      });
+    });
+
+    it('should keep digit-only tracking numbers as the supplier sent them', async () => {
+      const namespace = 'http://www.promostandards.org/WSDL/OrderShipmentNotificationService/2.0.0/';
+      const body = V2_RESPONSE
+        .replace('<GetOrderShipmentNotificationResponse>', `<GetOrderShipmentNotificationResponse xmlns="${namespace}">`)
+        .replace('1Z999AA10123456784', '012345678901')
+        .replace('9400 1000 0000 0000 0000 00', '9400111899223100000000');
+      nock('https://supplier.test')
+        .post('/osn')
+        .reply(200, `<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/"><soap:Body>${body}</soap:Body></soap:Envelope>`);
+      const soap = new OrderShipmentNotificationService({ endpoint: 'https://supplier.test/osn', username: 'test', password: 'test', version: '2.0.0' });
+
+      const [shipment] = (await soap.getNormalizedShipments({ referenceNumber: 'PO-1001', queryType: '1' })).shipments;
+
+      expect(shipment.packages.map(pkg => [pkg.trackingNumber, pkg.trackingUrl])).toEqual([
+        ['012345678901', 'https://www.ups.com/track?tracknum=012345678901'],
+        ['9400111899223100000000', 'https://tools.usps.com/go/TrackConfirmAction?tLabels=9400111899223100000000']
+      ]);
+      nock.cleanAll();
+    });
+
+    it('should read the 1.0.0 errorMessage as the schema declares it', () => {
+      expect(normalizeShipments({ errorMessage: { code: 300, description: 'Data not found' } }).messages)
+        .toEqual([{ code: 300, description: 'Data not found', severity: 'Error' }]);
+    });
+
+    it('should use the carriers passed to the service', async () => {
+      const carriers = new CarrierRegistry().register({
+        code: 'ONTRAC',
+        name: 'OnTrac',
+        patterns: [/^C\d{14}$/],
+        trackingUrl: (trackingNumber) => `https://www.ontrac.com/tracking/?number=${trackingNumber}`
+      });
+      const normalizing = await createNormalizingService('2.0.0', V2_RESPONSE.replace('1Z999AA10123456784', 'C11111111111111'), { carriers });
+      const [pkg] = (await normalizing.getNormalizedShipments({ referenceNumber: 'PO-1001', queryType: '1' })).shipments[0].packages;
+
+      // The supplier's carrier name wins over the tracking number format
+      expect(pkg.carrierCode).toBe('UPS');
+      expect(carriers.getTrackingUrl('C11111111111111')).toBe('https://www.ontrac.com/tracking/?number=C11111111111111');
+    });
+
+    it('should reject unrecognized responses', async () => {
+      jest.spyOn(service, 'call').mockResolvedValue({ shipmentNotification: {} });
+
+      await expect(service.getNormalizedShipments({ referenceNumber: 'PO-1001', queryType: '1' }))
+        .rejects.toThrow('Unrecognized shipment notification response');
+    });
+  });
+
+  describe('CarrierRegistry', () => {
+    const carriers = new CarrierRegistry();
+
+    it.each([
+      ['1Z999AA10123456784', null, 'UPS'],
+      ['9400100000000000000000', null, 'USPS'],
+      ['420627019400100000000000000000', null, 'USPS'],
+      ['EC123456789US', null, 'USPS'],
+      ['123456789012', null, 'FEDEX'],
+      ['1234567890', null, 'DHL'],
+      ['1234567890', 'FedEx Ground', 'FEDEX'],
+      ['ABC123', 'United Parcel Service', 'UPS'],
+      ['ABC123', 'U.S. Postal Service', 'USPS']
+    ])('should identify %s (%s) as %s', (trackingNumber, name, code) => {
+      expect(carriers.identify(name, trackingNumber).code).toBe(code);
+    });
+
+    it('should build tracking URLs and return null for unknown carriers', () => {
+      expect(carriers.getTrackingUrl('1z 999 aa1 0123456784')).toBe('https://www.ups.com/track?tracknum=1Z999AA10123456784');
+      expect(carriers.getTrackingUrl('123456789012', 'FedEx')).toBe('https://www.fedex.com/fedextrack/?trknbr=123456789012');
+      expect(carriers.getTrackingUrl('1234567890')).toBe('https://www.dhl.com/global-en/home/tracking.html?tracking-id=1234567890');
+      expect(carriers.getTrackingUrl('ABC123', 'Acme Freight')).toBeNull();
+      expect(carriers.getTrackingUrl(null, 'UPS')).toBeNull();
+    });
+
+    it('should require a code and a trackingUrl when registering', () => {
+      expect(() => new CarrierRegistry().register({ code: 'X' })).toThrow(ValidationError);
+    });
+  });
+
+  describe('response validators', () => {
+    it('should require a transactionId or service messages', () => {
+      const validator = OrderShipmentNotificationService.responseValidators.sendAdvanceShipmentNotification;
+
+      expect(() => validator({ transactionId: 'T-1' })).not.toThrow();
+      expect(() => validator({ serviceMessageArray: {} })).not.toThrow();
+      expect(() => validator({})).toThrow('missing shipment notification acknowledgement');
+    });
+  });
+});
@@ -0,0 +1,257 @@
+const PricingConfigurationService = require('../../src/services/pricing-config/pricing-config-service');
+const PriceCalculator = require('../../src/services/pricing-config/price-calculator');
+const XmlConverter = require('../../src/core/xml-converter');
+const { ValidationError } = require('../../src/core/errors');
+
+const chargePrice = (xMinQty, price, { yMinQty = 1, yUom = 'Colors', repeatPrice = price } = {}) => `
+  <ChargePrice>
+    <xMinQty>${xMinQty}</xMinQty><xUom>Quantity</xUom>
+    <yMinQty>${yMinQty}</yMinQty><yUom>${yUom}</yUom>
+    <price>${price}</price><repeatPrice>${repeatPrice}</repeatPrice>
+    <priceEffectiveDate>2024-01-01T00:00:00Z</priceEffectiveDate><priceExpiryDate>2030-12-31T00:00:00Z</priceExpiryDate>
+  </ChargePrice>`;
+
+const charge = (id, name, type, prices, { perColor = 0, appliesLtm = false } = {}) => `
+  <Charge>
+    <chargeId>${id}</chargeId><chargeName>${name}</chargeName><chargeDescription>${name}</chargeDescription>
+    <chargeType>${type}</chargeType>
+    <ChargePriceArray>${prices.join('')}</ChargePriceArray>
+    <chargesAppliesLTM>${appliesLtm}</chargesAppliesLTM>
+    <chargesPerLocation>1</chargesPerLocation>
+    <chargesPerColor>${perColor}</chargesPerColor>
+  </Charge>`;
+
+const partPrice = (minQuantity, price) => `
+  <PartPrice>
+    <minQuantity>${minQuantity}</minQuantity><price>${price}</price><priceUom>EA</priceUom>
+    <priceEffectiveDate>2024-01-01T00:00:00Z</priceEffectiveDate><priceExpiryDate>2030-12-31T00:00:00Z</priceExpiryDate>
+  </PartPrice>`;
+
+const PPC_RESPONSE = `
+<GetConfigurationAndPricingResponse>
+  <Configuration>
+    <PartArray>
+      <Part>
+        <partId>5790BLK</partId>
+        <partDescription>Tote - Black</partDescription>
+        <PartPriceArray>${partPrice(50, '4.00')}${partPrice(100, '3.50')}${partPrice(250, '3.00')}</PartPriceArray>
+        <partGroup>1</partGroup><partGroupRequired>true</partGroupRequired><partGroupDescription>Tote</partGroupDescription>
+        <ratio>1</ratio><defaultPart>true</defaultPart>
+        <LocationIdArray><LocationId><locationId>1</locationId></LocationId><LocationId><locationId>2</locationId></LocationId></LocationIdArray>
+      </Part>
+      <Part>
+        <partId>5790WHT</partId>
+        <PartPriceArray>${partPrice(50, '4.10')}</PartPriceArray>
+        <partGroup>1</partGroup><partGroupRequired>true</partGroupRequired><partGroupDescription>Tote</partGroupDescription>
+        <ratio>1</ratio><defaultPart>false</defaultPart>
+        <LocationIdArray><LocationId><locationId>1</locationId></LocationId></LocationIdArray>
+      </Part>
+    </PartArray>
+    <LocationArray>
+      <Location>
+        <locationId>1</locationId><locationName>Front</locationName>
+        <DecorationArray>
+          <Decoration>
+            <decorationId>10</decorationId><decorationName>Screen Print</decorationName>
+            <itemPartQuantityLTM>25</itemPartQuantityLTM>
+            <ChargeArray>
+              ${charge(100, 'Screen Setup', 'Setup', [chargePrice(1, '50.00', { repeatPrice: '25.00' })], { perColor: 1 })}
+              ${charge(101, 'Additional Color Run', 'Run', [chargePrice(50, '0.40'), chargePrice(250, '0.25')], { perColor: 1 })}
+              ${charge(102, 'Less Than Minimum Charge', 'Order', [chargePrice(1, '60.00')], { appliesLtm: true })}
+            </ChargeArray>
+            <decorationUnitsIncluded>1</decorationUnitsIncluded>
+            <decorationUnitsIncludedUom>Colors</decorationUnitsIncludedUom>
+            <decorationUnitsMax>4</decorationUnitsMax>
+            <defaultDecoration>true</defaultDecoration>
+          </Decoration>
+          <Decoration>
+            <decorationId>11</decorationId><decorationName>Embroidery</decorationName>
+            <ChargeArray>
+              ${charge(110, 'Embroidery Run', 'Run', [
+    chargePrice(50, '2.00', { yMinQty: 0, yUom: 'Stitches' }),
+    chargePrice(50, '2.50', { yMinQty: 5000, yUom: 'Stitches' })
+  ])}
+            </ChargeArray>
+            <decorationUnitsIncludedUom>Stitches</decorationUnitsIncludedUom>
+            <decorationUnitsMax>10000</decorationUnitsMax>
+            <defaultDecoration>false</defaultDecoration>
+          </Decoration>
+        </DecorationArray>
+        <decorationsIncluded>0</decorationsIncluded><defaultLocation>true</defaultLocation>
+        <maxDecoration>1</maxDecoration><minDecoration>0</minDecoration><locationRank>1</locationRank>
+      </Location>
+      <Location>
+        <locationId>2</locationId><locationName>Back</locationName>
+        <DecorationArray>
+          <Decoration>
+            <decorationId>20</decorationId><decorationName>Screen Print</decorationName>
+            <ChargeArray>${charge(200, 'Screen Setup', 'Setup', [chargePrice(1, '45.00')], { perColor: 1 })}</ChargeArray>
+            <decorationUnitsIncludedUom>Colors</decorationUnitsIncludedUom>
+            <defaultDecoration>true</defaultDecoration>
+          </Decoration>
+        </DecorationArray>
+        <decorationsIncluded>0</decorationsIncluded><defaultLocation>false</defaultLocation>
+        <maxDecoration>1</maxDecoration><minDecoration>0</minDecoration><locationRank>2</locationRank>
+      </Location>
+    </LocationArray>
+    <productId>5790</productId>
+    <currency>USD</currency>
+    <FobArray><Fob><fobId>1</fobId><fobPostalCode>02134</fobPostalCode></Fob></FobArray>
+    <priceType>List</priceType>
+  </Configuration>
+</GetConfigurationAndPricingResponse>`;
+
+describe('PriceCalculator', () => {
+  let service;
+  let calculator;
+  let response;
+
+  const FRONT_2_COLORS = { locationId: 1, colors: 2 };
+
+  beforeAll(async () => {
+    response = Object.values(await new XmlConverter().xmlToJson(PPC_RESPONSE))[0];
+  });
+
+  beforeEach(() => {
+    service = new PricingConfigurationService({
+      wsdl: 'https://mock-vendor.com/ppc?wsdl',
+      username: 'test',
+      password: 'test'
+    });
+    jest.spyOn(service, 'call').mockResolvedValue(response);
+    calculator = new PriceCalculator(service);
+  });
+
+  function price(order) {
+    return calculator.calculate(response, { productId: '5790', fobId: '1', date: '2024-06-01', ...order });
+  }
+
+  describe('quote', () => {
+    it('should request decorated PPC data and price the order', async () => {
+      const quote = await service.calculatePrice({
+        productId: '5790',
+        partId: '5790BLK',
+        quantity: 250,
+        fobId: '1',
+        date: '2024-06-01',
+        decorations: [FRONT_2_COLORS]
+      });
+
+      expect(service.call).toHaveBeenCalledWith('getConfigurationAndPricing', expect.objectContaining({
+        productId: '5790',
+        partId: '5790BLK',
+        fobId: '1',
+        currency: 'USD',
+        priceType: 'List',
+        configurationType: 'Decorated'
+      }));
+      expect(quote).toMatchObject({
+        partId: '5790BLK',
+        currency: 'USD',
+        unitPrice: 3,
+        lessThanMinimum: false,
+        productTotal: 750,
+        setupCharges: 100,
+        runCharges: 62.5,
+        lessThanMinimumCharges: 0,
+        total: 912.5,
+        effectiveUnitPrice: 3.65
+      });
+      expect(quote.lineItems).toEqual([
+        { type: 'product', description: 'Tote - Black', partId: '5790BLK', unitPrice: 3, quantity: 250, amount: 750 },
+        { type: 'setup', description: 'Screen Setup', chargeId: '100', locationId: '1', decorationId: '10', unitPrice: 50, quantity: 2, amount: 100 },
+        { type: 'run', description: 'Additional Color Run', chargeId: '101', locationId: '1', decorationId: '10', unitPrice: 0.25, quantity: 250, amount: 62.5 }
+      ]);
+    });
+
+    it('should request blank pricing without decorations', async () => {
+      const quote = await calculator.quote({ productId: '5790', quantity: 100, fobId: '1', date: '2024-06-01' });
+
+      expect(service.call).toHaveBeenCalledWith('getConfigurationAndPricing', expect.objectContaining({
+        configurationType: 'Blank'
+      }));
+      expect(quote).toMatchObject({ partId: '5790BLK', unitPrice: 3.5, total: 350 });
+    });
+  });
+
+  describe('calculate', () => {
+    it('should pick the price break for the quantity', () => {
+      expect(price({ quantity: 50 }).unitPrice).toBe(4);
+      expect(price({ quantity: 249 }).unitPrice).toBe(3.5);
+      expect(price({ quantity: 10000 }).unitPrice).toBe(3);
+    });
+
+    it('should apply less-than-minimum pricing down to itemPartQuantityLTM', () => {
+      const quote = price({ quantity: 30, decorations: [FRONT_2_COLORS] });
+
+      expect(quote).toMatchObject({
+        lessThanMinimum: true,
+        unitPrice: 4,
+        productTotal: 120,
+        setupCharges: 100,
+        runCharges: 12,
+        lessThanMinimumCharges: 60,
+        total: 292
+      });
+      expect(quote.lineItems.find(item => item.type === 'lessThanMinimum')).toMatchObject({
+        description: 'Less Than Minimum Charge',
+        amount: 60
+      });
+    });
+
+    it('should explain quantities below the published breaks', () => {
+      expect(() => price({ quantity: 10, decorations: [FRONT_2_COLORS] }))
+        .toThrow('Quantity 10 is below the minimum of 50 for part 5790BLK (less-than-minimum orders start at 25)');
+
+      try {
+        price({ quantity: 30 });
+        throw new Error('expected a ValidationError');
+      } catch (error) {
+        expect(error).toBeInstanceOf(ValidationError);
+        expect(error.message).toBe('Quantity 30 is below the minimum of 50 for part 5790BLK');
+        expect(error.details.priceBreaks).toEqual([
+          { minQuantity: 50, price: 4 },
+          { minQuantity: 100, price: 3.5 },
+          { minQuantity: 250, price: 3 }
+        ]);
+      }
+    });
+
+    it('should read charge grids by colour count, units and repeat orders', () => {
+      const oneColor = price({ quantity: 100, decorations: [{ locationName: 'front', colors: 1, repeat: true }] });
+      expect(oneColor.setupCharges).toBe(25);
+      expect(oneColor.runCharges).toBe(0);
+
+      const embroidered = price({ quantity: 100, decorations: [{ locationId: 1, decorationId: 11, units: 6000 }] });
+      expect(embroidered.runCharges).toBe(250);
+      expect(embroidered.total).toBe(600);
+    });
+
+    it('should price several locations', () => {
+      const quote = price({ quantity: 100, decorations: [FRONT_2_COLORS, { locationId: 2, colors: 3 }] });
+
+      expect(quote.setupCharges).toBe(100 + 135);
+      expect(quote.lineItems.map(item => item.locationId)).toEqual([undefined, '1', '1', '2']);
+    });
+
+    it('should reject invalid selections', () => {
+      expect(() => price({ quantity: 100, partId: '5790RED' })).toThrow('Part \'5790RED\' not found in pricing for 5790');
+      expect(() => price({ quantity: 100, fobId: '9' })).toThrow('FOB point \'9\' is not offered for 5790');
+      expect(() => price({ quantity: 100, partId: '5790WHT', decorations: [{ locationId: 2 }] }))
+        .toThrow('Location \'Back\' is not available for part 5790WHT');
+      expect(() => price({ quantity: 100, decorations: [{ locationId: 7 }] }))
+        .toThrow('Decoration location \'7\' not found');
+      expect(() => price({ quantity: 100, decorations: [{ locationId: 1, decorationId: 99 }] }))
+        .toThrow('Decoration \'99\' is not offered at location \'Front\'');
+      expect(() => price({ quantity: 100, decorations: [{ locationId: 1, colors: 5 }] }))
+        .toThrow('5 Colors exceeds the maximum of 4 for Screen Print at Front');
+      expect(() => price({ quantity: 100, decorations: [FRONT_2_COLORS, FRONT_2_COLORS] }))
+        .toThrow('Location \'Front\' allows at most 1 decoration(s)');
+      expect(() => price({ quantity: 0 })).toThrow('quantity must be a positive integer');
+    });
+
+    it('should ignore expired prices', () => {
+      expect(() => price({ quantity: 100, date: '2031-01-01' })).toThrow('No current price breaks published for part 5790BLK');
+    });
+  });
+});
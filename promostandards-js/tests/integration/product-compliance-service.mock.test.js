@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+const ProductComplianceService = require('../../src/services/product-compliance/product-compliance-service');
+const SoapClient = require('../../src/core/soap-client');
+const { ValidationError } = require('../../src/core/errors');
+
+/**
+ * ProductComplianceService Tests
+ *
+ * Response validators are exercised against the example responses bundled
+ * with the Product Compliance 1.0.0 documentation, parsed the same way
+ * SoapClient.call parses a live response.
+ */
+describe('ProductComplianceService', () => {
+  const MOCK_WSDL = 'https://mock-vendor.com/productCompliance?wsdl';
+  const EXAMPLES_DIR = path.resolve(
+    __dirname,
+    '../../../documentation/productCompliance1-0-0-1-1/productCompliance1-0-0/productCompliance/Examples'
+  );
+
+  const soapClient = new SoapClient({ wsdl: MOCK_WSDL });
+
+  async function parseExample(file) {
+    const xml = fs.readFileSync(path.join(EXAMPLES_DIR, file), 'utf8');
+    const json = await soapClient.xmlConverter.xmlToJson(xml);
+    return soapClient.xmlConverter.normalizeJsonResponse(soapClient.extractSoapBody(json));
+  }
+
+  let service;
+
+  beforeEach(() => {
+    service = new ProductComplianceService({
+      wsdl: MOCK_WSDL,
+      username: 'test',
+      password: 'test'
+    });
+  });
+
+  describe('getCompliance', () => {
+    it('should require productId', async () => {
+      await expect(service.getCompliance({}))
+        .rejects.toThrow(ValidationError);
+    });
+
+    it('should build the GetComplianceRequest body', async () => {
+      const call = jest.spyOn(service, 'call').mockResolvedValue({});
+
+      await service.getCompliance({ productId: 'B00700', partId: 'ABC' });
+
+      expect(call).toHaveBeenCalledWith('getCompliance', { productId: 'B00700', partId: 'ABC' });
+    });
+
+    it('should keep getProductComplianceInfo as an alias', async () => {
+      const call = jest.spyOn(service, 'call').mockResolvedValue({});
+
+      await service.getProductComplianceInfo({ productId: 'B00238' });
+
+      expect(call).toHaveBeenCalledWith('getCompliance', { productId: 'B00238' });
+    });
+  });
+
+  describe('getProductsWithRegulations', () => {
+    it('should allow an empty request', async () => {
+      const call = jest.spyOn(service, 'call').mockResolvedValue({});
+
+      await service.getProductsWithRegulations();
+
+      expect(call).toHaveBeenCalledWith('getProductsWithRegulations', {});
+    });
+
+    it('should format changeTimeStamp', async () => {
+      const call = jest.spyOn(service, 'call').mockResolvedValue({});
+
+      await service.getProductsWithRegulations({ since: new Date('2024-01-01T00:00:00Z') });
+
+      expect(call).toHaveBeenCalledWith('getProductsWithRegulations', {
+        changeTimeStamp: '2024-01-01T00:00:00.000Z'
+      });
+    });
+
+    it('should reject an invalid changeTimeStamp', async () => {
+      await expect(service.getProductsWithRegulations({ since: 'not a date' }))
+        .rejects.toThrow('Invalid timestamp format');
+    });
+  });
+
+  describe('response validators', () => {
+    const validateCompliance = ProductComplianceService.responseValidators.getCompliance;
+    const validateRegulations = ProductComplianceService.responseValidators.getProductsWithRegulations;
+
+    it.each([
+      'ResponseExample1.xml',
+      'ResponseExample2.xml',
+      'ResponseExample3.xml',
+      'ResponseExample4.xml',
+      'ResponseExample5.xml'
+    ])('should accept GetCompliance/%s', async (file) => {
+      const response = await parseExample(`GetCompliance/${file}`);
+
+      expect(() => validateCompliance(response)).not.toThrow();
+    });
+
+    it('should return an empty object when no compliance data is available', async () => {
+      const response = await parseExample('GetCompliance/ResponseExample5.xml');
+
+      expect(validateCompliance(response)).toEqual({});
+    });
+
+    it('should accept the GetProductsWithRegulations example', async () => {
+      const response = await parseExample('GetProductsWithRegulations/ResponseExample.xml');
+      const validated = validateRegulations(response);
+
+      expect(validated.productWithRegulationsArray.productWithRegulations).toHaveLength(5);
+    });
+
+    it('should reject compliance data without a productId', () => {
+      expect(() => validateCompliance({ complianceDataArray: { complianceData: { partId: 'ABC' } } }))
+        .toThrow('missing productId');
+    });
+
+    it('should reject unrelated responses', () => {
+      expect(() => validateCompliance({ somethingElse: true })).toThrow('missing compliance data');
+      expect(() => validateRegulations({ somethingElse: true })).toThrow('missing products with regulations');
+    });
+  });
+});
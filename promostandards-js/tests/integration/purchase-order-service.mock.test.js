@@ -0,0 +1,485 @@
+const PurchaseOrderService = require('../../src/services/purchase-order/purchase-order-service');
+const PurchaseOrderBuilder = require('../../src/services/purchase-order/purchase-order-builder');
+const WsdlSchema = require('../../src/core/wsdl-schema');
+const SchemaSerializer = require('../../src/core/schema-serializer');
+const { getBundledWsdl } = require('../../src/core/wsdl-registry');
+const OrderStatusService = require('../../src/services/order-status/order-status-service');
+const SubmissionLedger = require('../../src/services/purchase-order/submission-ledger');
+const PromoStandardsError = require('../../src/core/errors');
+const { ValidationError, DuplicateSubmissionError } = require('../../src/core/errors');
+
+describe('PurchaseOrderService', () => {
+  const MOCK_WSDL = 'https://mock-vendor.com/po?wsdl';
+  const ORDER_DATE = '2024-05-01T15:00:00.000Z';
+
+  let service;
+
+  beforeEach(() => {
+    service = new PurchaseOrderService({
+      wsdl: MOCK_WSDL,
+      username: 'test',
+      password: 'test'
+    });
+  });
+
+  function buildConfiguredOrder() {
+    return service.createPurchaseOrder({
+      orderNumber: 'PO-1001',
+      orderDate: ORDER_DATE,
+      lastModified: ORDER_DATE,
+      paymentTerms: 'Net 30',
+      termsAndConditions: 'Standard terms',
+      promoCode: 'SPRING'
+    })
+      .digitalProof({ required: true, addresses: [{ email: 'art@acme.test', lineItemGroupingId: 1 }] })
+      .contact({ type: 'Order', accountNumber: 'A-77', attentionTo: 'Jane Buyer', email: 'jane@acme.test' })
+      .contact({ type: 'Art', name: 'Art Dept', email: 'art@acme.test' })
+      .shipment({
+        carrier: 'UPS',
+        service: 'Ground',
+        references: ['PO-1001', 'Store 12'],
+        shipTo: { companyName: 'Acme East', address1: '1 Main St', city: 'Boston', state: 'MA', zip: '02134', country: 'US' }
+      })
+      .shipment({
+        carrier: 'FedEx',
+        service: 'Ground',
+        blindShip: true,
+        thirdPartyAccount: { accountName: 'Acme', accountNumber: 'FX-123', companyName: 'Acme HQ', postalCode: '10001' },
+        shipTo: { companyName: 'Acme West', address1: '9 Pier Rd', city: 'Fresno', region: 'CA', postalCode: '93650', country: 'US' }
+      })
+      .lineItem({
+        description: 'Stadium cup, 2 colour front imprint',
+        productId: '5790',
+        fobId: 'MA',
+        program: { id: 'P-9', name: 'Spring promo' },
+        lineItemGroupingId: 1,
+        requestedInHandsDate: '2024-06-01T00:00:00Z',
+        parts: [
+          { partId: '5790BLK', quantity: 150, unitPrice: 3, shipments: [{ shipmentId: 1, quantity: 100 }, { shipmentId: 2, quantity: 50 }] },
+          { partId: '5790WHT', quantity: 100, unitPrice: 3, shipments: [{ shipmentId: 1, quantity: 100 }] }
+        ],
+        decorations: [{
+          locationId: 1,
+          locationName: 'Front',
+          decorationId: 10,
+          decorationName: 'Screen Print',
+          artwork: {
+            refArtworkId: 'ART-9',
+            instructions: 'Centre on cup',
+            files: [{ url: 'https://acme.test/art.ai', name: 'art.ai' }],
+            dimensions: { width: 3, height: 2, uom: 'INCH' },
+            layers: { colors: [{ color: 'Black', nameOrNumber: 'Black', description: 'Text' }, { color: 'Red', nameOrNumber: '186', description: 'Logo' }] },
+            typesets: [{ value: 'Go Team', font: 'Arial' }]
+          }
+        }],
+        charges: [
+          { chargeId: 100, chargeType: 'Setup', chargeName: 'Screen setup', quantity: 2, unitPrice: 50 },
+          { chargeId: 200, chargeType: 'Run', quantity: 250, unitPrice: 0.25 }
+        ],
+        configuration: { preProductionProof: true }
+      })
+      .tax({ jurisdiction: 'MA', exempt: true, taxId: 'EX-1', type: 'SalesTax' });
+  }
+
+  describe('PurchaseOrderBuilder', () => {
+    let schema;
+
+    beforeAll(async () => {
+      schema = await WsdlSchema.load(getBundledWsdl('PurchaseOrder', '1.0.0'));
+    });
+
+    it('should build a configured order that satisfies SendPORequest', () => {
+      const po = buildConfiguredOrder().build();
+
+      expect(() => new SchemaSerializer(schema).serialize('SendPORequest', {
+        wsVersion: '1.0.0',
+        id: 'user',
+        PO: po
+      })).not.toThrow();
+    });
+
+    it('should number lines, shipments and decoration locations and total the order', () => {
+      const po = buildConfiguredOrder().build();
+      const [line] = po.LineItemArray.LineItem;
+
+      expect(po).toMatchObject({ orderType: 'Configured', orderDate: ORDER_DATE, rush: false, currency: 'USD', totalAmount: 912.5 });
+      expect(po.ShipmentArray.Shipment.map(shipment => shipment.ShipTo.shipmentId)).toEqual([1, 2]);
+      expect(line).toMatchObject({
+        lineNumber: 1,
+        lineType: 'New',
+        Quantity: { uom: 'EA', value: 250 },
+        ToleranceDetails: { tolerance: 'ExactOnly' },
+        lineItemTotal: 912.5,
+        Program: { id: 'P-9', name: 'Spring promo' }
+      });
+      expect(line.PartArray.Part[0]).toMatchObject({
+        partId: '5790BLK',
+        customerSupplied: false,
+        Quantity: { uom: 'EA', value: 150 },
+        locationLinkId: [1],
+        extendedPrice: 450,
+        ShipmentLinkArray: {
+          ShipmentLink: [
+            { Quantity: { uom: 'EA', value: 100 }, shipmentId: 1 },
+            { Quantity: { uom: 'EA', value: 50 }, shipmentId: 2 }
+          ]
+        }
+      });
+      expect(line.Configuration.ChargeArray.Charge.map(charge => charge.extendedPrice)).toEqual([100, 62.5]);
+      expect(line.Configuration.preProductionProof).toBe(true);
+
+      const [location] = line.Configuration.LocationArray.Location;
+      expect(location).toMatchObject({ locationName: 'Front', locationLinkId: 1, locationId: 1 });
+      expect(location.DecorationArray.Decoration[0].Artwork).toMatchObject({
+        refArtworkId: 'ART-9',
+        ArtworkFileArray: {
+          ArtworkFile: [{ artworkType: 'ProductionReady', fileLocation: 'https://acme.test/art.ai', fileName: 'art.ai', transportMechanism: 'Url' }]
+        },
+        Dimensions: { width: 3, height: 2, uom: 'INCH', useMaxLocationDimensions: false, geometry: 'Rectangle' },
+        Layers: { colorSystem: 'Pms' },
+        TypesetArray: { Typeset: [{ font: 'Arial', sequenceNumber: 1, value: 'Go Team' }] }
+      });
+    });
+
+    it('should emit third-party accounts, contacts and taxes in schema order', () => {
+      const po = buildConfiguredOrder().build();
+      const shipment = po.ShipmentArray.Shipment[1];
+
+      expect(Object.keys(shipment)).toEqual([
+        'shipReferences', 'comments', 'ThirdPartyAccount', 'allowConsolidation',
+        'blindShip', 'packingListRequired', 'FreightDetails', 'ShipTo'
+      ]);
+      expect(shipment.ThirdPartyAccount).toMatchObject({
+        accountName: 'Acme',
+        accountNumber: 'FX-123',
+        ContactDetails: { companyName: 'Acme HQ', postalCode: '10001' }
+      });
+      expect(po.OrderContactArray.Contact.map(contact => contact.contactType)).toEqual(['Order', 'Art']);
+      expect(po.OrderContactArray.Contact[1].ContactDetails.attentionTo).toBe('Art Dept');
+      expect(po.TaxInformationArray.TaxInformation).toEqual([
+        { taxJurisdiction: ['MA'], taxExempt: true, taxId: 'EX-1', taxType: 'SalesTax', taxAmount: undefined }
+      ]);
+      expect(po.DigitalProof).toEqual({
+        DigitalProofAddressArray: { DigitalProofAddress: [{ type: 'Email', email: 'art@acme.test', lineItemGroupingId: 1 }] },
+        required: true
+      });
+    });
+
+    it('should build sample orders without configuration', () => {
+      const po = new PurchaseOrderBuilder({ orderType: 'Sample', orderNumber: 'S-1', termsAndConditions: 'n/a' })
+        .shipment({ carrier: 'UPS', service: 'Next Day Air', shipTo: { companyName: 'Acme' } })
+        .lineItem({ description: 'Sample cup', productId: '5790', quantity: 1, unitPrice: 0, parts: [{ partId: '5790BLK', quantity: 1 }] })
+        .build();
+
+      expect(po.orderType).toBe('Sample');
+      expect(po.totalAmount).toBe(0);
+      expect(po.LineItemArray.LineItem[0].Configuration).toBeUndefined();
+      expect(po.LineItemArray.LineItem[0].PartArray.Part[0].locationLinkId).toEqual([]);
+      expect(() => new SchemaSerializer(schema).serialize('SendPORequest', { wsVersion: '1.0.0', id: 'user', PO: po }))
+        .not.toThrow();
+    });
+
+    it('should reject shipment links to shipments that were not added', () => {
+      const builder = new PurchaseOrderBuilder({ orderNumber: 'PO-2' })
+        .shipment({ carrier: 'UPS', service: 'Ground' })
+        .lineItem({ description: 'Cup', parts: [{ partId: 'A', quantity: 5, shipments: [{ shipmentId: 3, quantity: 5 }] }] });
+
+      expect(() => builder.build()).toThrow(ValidationError);
+      expect(() => builder.build()).toThrow('Line 1 part A links to unknown shipment 3');
+    });
+  });
+
+  describe('buildPurchaseOrder', () => {
+    it('should accept the single-object order form', () => {
+      const po = service.buildPurchaseOrder({
+        orderNumber: 'PO-3',
+        orderDate: ORDER_DATE,
+        contact: { type: 'Bill', name: 'Accounts', email: 'ap@acme.test' },
+        shipTo: { companyName: 'Acme', address1: '1 Main St', zip: '02134', carrier: 'UPS', service: 'Ground', poNumber: 'PO-3' },
+        lineItems: [{ description: 'Cup', quantity: 10, unitPrice: 2.5, tolerance: 'AllowOverrun', tolerancePercent: 5 }]
+      });
+
+      expect(po).toMatchObject({ orderType: 'Blank', totalAmount: 25 });
+      expect(po.OrderContactArray.Contact[0]).toMatchObject({ contactType: 'Bill', ContactDetails: { attentionTo: 'Accounts' } });
+      expect(po.ShipmentArray.Shipment[0]).toMatchObject({
+        shipReferences: ['PO-3'],
+        FreightDetails: { carrier: 'UPS', service: 'Ground' },
+        ShipTo: { ContactDetails: { companyName: 'Acme', postalCode: '02134', country: 'US' }, shipmentId: 1 }
+      });
+      expect(po.LineItemArray.LineItem[0]).toMatchObject({
+        Quantity: { uom: 'EA', value: 10 },
+        ToleranceDetails: { uom: 'Percent', value: 5, tolerance: 'AllowOverrun' },
+        lineItemTotal: 25
+      });
+    });
+  });
+
+  describe('validatePO', () => {
+    it('should accept an order built by the builder', () => {
+      expect(service.validatePO(buildConfiguredOrder())).toEqual({ valid: true, errors: [] });
+    });
+
+    it('should report each problem with its JSON path', () => {
+      const po = buildConfiguredOrder().build();
+      const [line] = po.LineItemArray.LineItem;
+      const [part] = line.PartArray.Part;
+
+      po.orderType = 'Decorated';
+      po.currency = 'US$';
+      delete po.termsAndConditions;
+      po.OrderContactArray.Contact[1].contactType = 'Buyer';
+      po.ShipmentArray.Shipment[1].ShipTo.ContactDetails.country = 'USA';
+      line.lineType = 'Old';
+      line.ToleranceDetails.tolerance = 'Approximately';
+      part.Quantity.uom = 'EACH';
+      part.locationLinkId = [1, 5];
+      part.ShipmentLinkArray.ShipmentLink[1].shipmentId = 9;
+      line.Configuration.LocationArray.Location[0].DecorationArray.Decoration[0].Artwork.Dimensions.uom = 'IN';
+      line.lineItemTotal = 900;
+
+      const LINE = '$.LineItemArray.LineItem[0]';
+      expect(service.validatePO(po)).toEqual({
+        valid: false,
+        errors: [
+          { path: '$.orderType', message: 'orderType "Decorated" must be one of Blank, Configured, Sample, Simple' },
+          { path: '$.currency', message: 'currency must be an ISO 4217 currency code (got US$)' },
+          { path: '$.termsAndConditions', message: 'termsAndConditions is required' },
+          { path: '$.OrderContactArray.Contact[1].contactType', message: 'contactType "Buyer" must be one of Art, Bill, Expeditor, Order, Sales, Sold' },
+          { path: '$.ShipmentArray.Shipment[1].ShipTo.ContactDetails.country', message: 'country must be an ISO 3166 country code (got USA)' },
+          { path: `${LINE}.lineType`, message: 'lineType "Old" must be one of New, Reference, Repeat' },
+          {
+            path: `${LINE}.ToleranceDetails.tolerance`,
+            message: 'tolerance "Approximately" must be one of AllowOverrun, AllowUnderrun, AllowOverrunOrUnderrun, ExactOnly'
+          },
+          {
+            path: `${LINE}.Configuration.LocationArray.Location[0].DecorationArray.Decoration[0].Artwork.Dimensions.uom`,
+            message: 'uom must be an ISO 20022 unit code such as INCH or CMET (got IN)'
+          },
+          { path: `${LINE}.PartArray.Part[0].Quantity.uom`, message: 'uom "EACH" must be one of BX, CA, DZ, EA, KT, PK, PR, RL, SL, ST, TH' },
+          { path: `${LINE}.PartArray.Part[0].locationLinkId[1]`, message: 'locationLinkId 5 does not match a Configuration location on line 1' },
+          { path: `${LINE}.PartArray.Part[0].ShipmentLinkArray.ShipmentLink[1].shipmentId`, message: 'shipmentId 9 does not match a shipment' },
+          { path: `${LINE}.lineItemTotal`, message: 'lineItemTotal 900 does not match the parts and charges (912.5)' }
+        ]
+      });
+    });
+
+    it('should check shipment link quantities and required arrays', () => {
+      const po = buildConfiguredOrder().build();
+      const [, part] = po.LineItemArray.LineItem[0].PartArray.Part;
+      delete part.ShipmentLinkArray;
+      po.LineItemArray.LineItem[0].PartArray.Part[0].ShipmentLinkArray.ShipmentLink[1].Quantity.value = 40;
+      po.LineItemArray = { LineItem: [po.LineItemArray.LineItem[0]] };
+      delete po.ShipmentArray.Shipment[0].FreightDetails.carrier;
+
+      expect(service.validatePO(po).errors).toEqual([
+        { path: '$.ShipmentArray.Shipment[0].FreightDetails.carrier', message: 'carrier is required' },
+        { path: '$.LineItemArray.LineItem[0].PartArray.Part[0].ShipmentLinkArray', message: 'Shipment links for part 5790BLK add up to 140, not the part quantity 150' },
+        { path: '$.LineItemArray.LineItem[0].PartArray.Part[1].ShipmentLinkArray', message: 'Part 5790WHT must link to a shipment when the order has 2 shipments' }
+      ]);
+      expect(service.validatePO({ orderNumber: 'PO-4' }).errors.map(error => error.path)).toEqual(expect.arrayContaining([
+        '$.ShipmentArray.Shipment',
+        '$.LineItemArray.LineItem'
+      ]));
+    });
+  });
+
+  describe('sendPO', () => {
+    it('should build a PurchaseOrderBuilder before sending', async () => {
+      const call = jest.spyOn(service, 'call').mockResolvedValue({ transactionId: 'T-1' });
+
+      await service.sendPO({ PO: buildConfiguredOrder() });
+
+      expect(call).toHaveBeenCalledWith('sendPO', { PO: expect.objectContaining({ orderNumber: 'PO-1001', totalAmount: 912.5 }) });
+    });
+
+    it('should refuse to send a PO that fails validation', async () => {
+      const call = jest.spyOn(service, 'call').mockResolvedValue({ transactionId: 'T-1' });
+      const po = buildConfiguredOrder().build();
+      po.currency = 'XYZ';
+
+      const error = await service.sendPO({ PO: po }).catch(err => err);
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.message).toBe('Invalid purchase order: $.currency currency must be an ISO 4217 currency code (got XYZ)');
+      expect(error.details.errors).toHaveLength(1);
+      expect(call).not.toHaveBeenCalled();
+    });
+
+    it('should skip validation when opted out', async () => {
+      const unchecked = new PurchaseOrderService({ wsdl: MOCK_WSDL, username: 'test', password: 'test', validatePO: false });
+      jest.spyOn(service, 'call').mockResolvedValue({ transactionId: 'T-1' });
+      jest.spyOn(unchecked, 'call').mockResolvedValue({ transactionId: 'T-2' });
+
+      await expect(service.sendPO({ PO: { orderNumber: 'PO-5' }, validate: false })).resolves.toEqual({ transactionId: 'T-1' });
+      await expect(unchecked.sendPO({ PO: { orderNumber: 'PO-5' } })).resolves.toEqual({ transactionId: 'T-2' });
+    });
+
+    it('should require a PO', async () => {
+      await expect(service.sendPO({})).rejects.toThrow(ValidationError);
+    });
+  });
+
+  describe('submission ledger', () => {
+    const timeout = () => new PromoStandardsError('SOAP operation failed: timeout of 30000ms exceeded', 'SOAP_ERROR', { operation: 'sendPO' });
+
+    let po;
+    let soapCall;
+    let orderStatus;
+    let statusCall;
+
+    beforeEach(() => {
+      po = buildConfiguredOrder().build();
+      soapCall = jest.spyOn(service.client, 'call');
+
+      orderStatus = new OrderStatusService({ wsdl: 'https://mock-vendor.com/os?wsdl', username: 'test', password: 'test' });
+      statusCall = jest.spyOn(orderStatus.client, 'call');
+      service.orderStatus = orderStatus;
+    });
+
+    it('should record the acknowledgement and refuse to send the PO again', async () => {
+      soapCall.mockResolvedValue({ transactionId: 4321 });
+
+      await service.sendPO({ PO: po });
+
+      expect(await service.ledger.get('PO-1001')).toMatchObject({
+        orderNumber: 'PO-1001',
+        status: 'acknowledged',
+        transactionId: '4321',
+        attempts: 1,
+        confirmedBy: 'sendPO',
+        payloadHash: SubmissionLedger.hashPayload(po)
+      });
+
+      const error = await service.sendPO({ PO: po }).catch(err => err);
+      expect(error).toBeInstanceOf(DuplicateSubmissionError);
+      expect(error.message).toBe('PO PO-1001 was already acknowledged (transactionId 4321); pass force: true to send it again');
+      expect(error.details).toMatchObject({ orderNumber: 'PO-1001', status: 'acknowledged', samePayload: true });
+
+      await expect(service.sendPO({ PO: { ...po, promoCode: 'SUMMER' } }))
+        .rejects.toThrow('PO PO-1001 was already acknowledged (transactionId 4321) with different contents; pass force: true to send the change');
+
+      await service.sendPO({ PO: po, force: true });
+      expect(soapCall).toHaveBeenCalledTimes(2);
+      expect((await service.ledger.get('PO-1001')).attempts).toBe(2);
+    });
+
+    it('should ignore lastModified when hashing the payload', () => {
+      expect(SubmissionLedger.hashPayload({ ...po, lastModified: new Date().toISOString() }))
+        .toBe(SubmissionLedger.hashPayload(po));
+      expect(SubmissionLedger.hashPayload({ ...po, rush: true })).not.toBe(SubmissionLedger.hashPayload(po));
+    });
+
+    it('should block retries after a timeout until the PO is reconciled', async () => {
+      soapCall.mockRejectedValueOnce(timeout());
+
+      await expect(service.sendPO({ PO: po })).rejects.toThrow('timeout of 30000ms exceeded');
+      expect(await service.ledger.get('PO-1001')).toMatchObject({
+        status: 'pending',
+        error: 'SOAP operation failed: timeout of 30000ms exceeded'
+      });
+
+      await expect(service.sendPO({ PO: po })).rejects.toThrow(
+        'The outcome of the last sendPO for PO PO-1001 is unknown; call reconcilePO before retrying or pass force: true'
+      );
+
+      statusCall.mockResolvedValue({
+        orderStatusArray: { orderStatus: { purchaseOrderNumber: 'PO-1001', salesOrderArray: {} } }
+      });
+      const { found, record } = await service.reconcilePO('PO-1001');
+
+      expect(statusCall).toHaveBeenCalledWith('getOrderStatus', expect.objectContaining({ queryType: 'poSearch', referenceNumber: 'PO-1001' }), {});
+      expect(found).toBe(true);
+      expect(record).toMatchObject({ status: 'acknowledged', confirmedBy: 'orderStatus', attempts: 1 });
+      await expect(service.sendPO({ PO: po })).rejects.toThrow(DuplicateSubmissionError);
+      expect(soapCall).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reconcile against Order Status 1.0.0 with a schema-valid PO query', async () => {
+      const v1 = new OrderStatusService({ endpoint: 'https://supplier.test/status', version: '1.0.0', username: 'test', password: 'test' });
+      let requestXml = null;
+      // Build the request XML from the bundled WSDL as SoapClient#call does and answer without sending it
+      jest.spyOn(v1.client, 'call').mockImplementation(async (operation, data, options = {}) => {
+        requestXml = await v1.client.buildRequestXmlFromSchema(operation, data, options);
+        return { orderStatusArray: { orderStatus: { purchaseOrderNumber: 'PO-1001', orderStatusDetailArray: {} } } };
+      });
+
+      const { found } = await service.reconcilePO('PO-1001', { orderStatus: v1 });
+
+      expect(found).toBe(true);
+      expect(v1.client.call).toHaveBeenCalledWith('getOrderStatusDetails', expect.anything(), {});
+      expect(requestXml).toMatch(/<ns\d:queryType>1<\/ns\d:queryType><ns\d:referenceNumber>PO-1001<\/ns\d:referenceNumber>/);
+    });
+
+    it('should retry once Order Status does not know the PO', async () => {
+      soapCall.mockRejectedValueOnce(timeout()).mockResolvedValueOnce({ transactionId: 'T-2' });
+      statusCall.mockResolvedValue({ serviceMessageArray: { serviceMessage: { code: 301, description: 'No results found' } } });
+
+      await expect(service.sendPO({ PO: po })).rejects.toThrow('timeout');
+      await expect(service.sendPO({ PO: po, reconcile: true })).resolves.toEqual({ transactionId: 'T-2' });
+
+      expect(await service.ledger.get('PO-1001')).toMatchObject({ status: 'acknowledged', transactionId: 'T-2', attempts: 2 });
+      expect((await service.ledger.get('PO-1001')).reconciledAt).toBeDefined();
+    });
+
+    it('should keep blocking retries when the Order Status request is rejected', async () => {
+      soapCall.mockRejectedValueOnce(timeout());
+      statusCall.mockRejectedValue(new ValidationError(
+        'Invalid getOrderStatus request: queryType is required',
+        { errors: ['queryType is required'] }
+      ));
+
+      await expect(service.sendPO({ PO: po })).rejects.toThrow('timeout');
+      await expect(service.reconcilePO('PO-1001')).rejects.toThrow('Invalid getOrderStatus request');
+
+      expect((await service.ledger.get('PO-1001')).status).toBe('pending');
+      await expect(service.sendPO({ PO: po })).rejects.toThrow(DuplicateSubmissionError);
+      expect(soapCall).toHaveBeenCalledTimes(1);
+    });
+
+    it('should allow a resend after the supplier rejects the PO', async () => {
+      soapCall
+        .mockRejectedValueOnce(new PromoStandardsError('Invalid productId', 'soap:Client', { operation: 'sendPO' }))
+        .mockResolvedValueOnce({ serviceMessageArray: { serviceMessage: { code: 120, description: 'Duplicate order' } } });
+
+      await expect(service.sendPO({ PO: po })).rejects.toThrow('Invalid productId');
+      expect(await service.ledger.get('PO-1001')).toMatchObject({ status: 'rejected', error: 'Invalid productId' });
+
+      await expect(service.sendPO({ PO: po })).rejects.toThrow('Invalid response from sendPO');
+      expect((await service.ledger.get('PO-1001')).status).toBe('rejected');
+    });
+
+    it('should keep records in a pluggable store', async () => {
+      const entries = new Map();
+      const store = {
+        get: async (key) => entries.get(key),
+        set: async (key, value) => entries.set(key, value),
+        delete: async (key) => entries.delete(key)
+      };
+      const stored = new PurchaseOrderService({ wsdl: MOCK_WSDL, username: 'test', password: 'test', ledger: store });
+      jest.spyOn(stored.client, 'call').mockResolvedValue({ transactionId: 'T-3' });
+
+      await stored.sendPO({ PO: po });
+
+      expect(JSON.parse(entries.get('po:PO-1001'))).toMatchObject({ status: 'acknowledged', transactionId: 'T-3' });
+      await stored.ledger.delete('PO-1001');
+      await expect(stored.sendPO({ PO: po })).resolves.toEqual({ transactionId: 'T-3' });
+    });
+
+    it('should send without a ledger when turned off', async () => {
+      const unrecorded = new PurchaseOrderService({ wsdl: MOCK_WSDL, username: 'test', password: 'test', ledger: false });
+      jest.spyOn(unrecorded.client, 'call').mockResolvedValue({ transactionId: 'T-4' });
+
+      await unrecorded.sendPO({ PO: po });
+      await unrecorded.sendPO({ PO: po });
+
+      expect(unrecorded.ledger).toBeNull();
+      expect(unrecorded.client.call).toHaveBeenCalledTimes(2);
+    });
+
+    it('should need an OrderStatusService to reconcile', async () => {
+      service.orderStatus = null;
+
+      await expect(service.reconcilePO('PO-1001')).rejects.toThrow(ValidationError);
+    });
+  });
+});
@@ -0,0 +1,152 @@
+const RemittanceAdviceService = require('../../src/services/remittance-advice/remittance-advice-service');
+const { ValidationError } = require('../../src/core/errors');
+
+describe('RemittanceAdviceService', () => {
+  const MOCK_WSDL = 'https://mock-vendor.com/remittanceAdvice?wsdl';
+
+  const REMITTANCE = {
+    currency: 'USD',
+    details: [
+      { invoiceNumber: 'INV-1001', amount: 150.25 },
+      { referenceNumber: 'PO-77', referenceNumberType: 'purchaseOrder', creditMemoNumber: 'CM-9', amount: 20 }
+    ],
+    payer: { name: 'Acme Distributing', email: 'ap@acme.test' },
+    payment: {
+      amountPaid: 170.25,
+      referenceNumber: 'ACH-555',
+      date: new Date('2024-03-15T12:00:00Z'),
+      method: 'ACH'
+    }
+  };
+
+  let service;
+
+  beforeEach(() => {
+    service = new RemittanceAdviceService({
+      wsdl: MOCK_WSDL,
+      username: 'test',
+      password: 'test'
+    });
+  });
+
+  describe('buildRemittance', () => {
+    it('should build the SharedObjects Remittance structure', () => {
+      const remittance = service.buildRemittance(REMITTANCE);
+
+      expect(remittance.currency).toBe('USD');
+      expect(remittance.RemittanceDetailsArray.RemittanceDetail).toEqual([
+        { referenceNumber: 'INV-1001', referenceNumberType: 'invoice', creditMemoNumber: undefined, amount: 150.25 },
+        { referenceNumber: 'PO-77', referenceNumberType: 'purchaseOrder', creditMemoNumber: 'CM-9', amount: 20 }
+      ]);
+      expect(remittance.PayerDetails.payerName).toBe('Acme Distributing');
+      expect(remittance.PaymentDetails).toEqual({
+        amountPaid: 170.25,
+        paymentReferenceNumber: 'ACH-555',
+        paymentDate: '2024-03-15',
+        paymentMemo: undefined,
+        paymentMethod: 'ACH'
+      });
+    });
+
+    it('should omit PaymentDetails when no payment is given', () => {
+      const remittance = service.buildRemittance({ ...REMITTANCE, payment: undefined });
+
+      expect(remittance.PaymentDetails).toBeUndefined();
+    });
+  });
+
+  describe('validateRemittance', () => {
+    it('should accept a complete remittance', () => {
+      expect(service.validateRemittance(service.buildRemittance(REMITTANCE))).toBe(true);
+    });
+
+    it('should reject unknown currency codes', () => {
+      const remittance = service.buildRemittance({ ...REMITTANCE, currency: 'XXX' });
+
+      expect(() => service.validateRemittance(remittance)).toThrow('ISO 4217');
+    });
+
+    it('should collect every problem in details.errors', () => {
+      const remittance = service.buildRemittance({
+        currency: 'USD',
+        details: [{ referenceNumber: 'INV-1', referenceNumberType: 'bill', amount: 0 }],
+        payer: {}
+      });
+
+      try {
+        service.validateRemittance(remittance);
+        throw new Error('expected validation to fail');
+      } catch (error) {
+        expect(error).toBeInstanceOf(ValidationError);
+        expect(error.details.errors).toEqual([
+          'RemittanceDetail[0].referenceNumberType must be one of invoice, other, purchaseOrder, quote, salesOrder',
+          'RemittanceDetail[0].amount must be a number greater than zero',
+          'PayerDetails.payerName is required'
+        ]);
+      }
+    });
+
+    it('should reject amounts with more than 4 fraction digits', () => {
+      expect(service.isPositiveAmount('10.12345')).toBe(false);
+      expect(service.isPositiveAmount('10.1234')).toBe(true);
+    });
+
+    it('should round computed amounts to 4 fraction digits', () => {
+      const amount = 0.1 + 0.2;
+      const remittance = service.buildRemittance({
+        ...REMITTANCE,
+        details: [{ invoiceNumber: 'INV-1001', amount }],
+        payment: { ...REMITTANCE.payment, amountPaid: amount }
+      });
+
+      expect(service.isPositiveAmount(amount)).toBe(true);
+      expect(remittance.RemittanceDetailsArray.RemittanceDetail[0].amount).toBe(0.3);
+      expect(remittance.PaymentDetails.amountPaid).toBe(0.3);
+      expect(service.validateRemittance(remittance)).toBe(true);
+    });
+  });
+
+  describe('sendRemittanceAdvice', () => {
+    it('should send the built remittance', async () => {
+      const call = jest.spyOn(service, 'call').mockResolvedValue({ transactionId: 'T-1' });
+
+      const result = await service.sendRemittanceAdvice(REMITTANCE);
+
+      expect(result).toEqual({ transactionId: 'T-1' });
+      expect(call).toHaveBeenCalledWith('sendRemittanceAdvice', {
+        Remittance: service.buildRemittance(REMITTANCE)
+      });
+    });
+
+    it('should not call the supplier when validation fails', async () => {
+      const call = jest.spyOn(service, 'call');
+
+      await expect(service.sendRemittanceAdvice({ currency: 'USD', details: [] }))
+        .rejects.toThrow(ValidationError);
+      expect(call).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('removed query methods', () => {
+    it.each(['getRemittanceAdvice', 'getByPaymentId', 'getByDate'])('%s should point to sendRemittanceAdvice', async (method) => {
+      const call = jest.spyOn(service, 'call');
+
+      await expect(service[method]({ paymentId: 'P-1' })).rejects.toMatchObject({
+        name: 'ValidationError',
+        message: `${method} is not a Remittance Advice 1.0.0 operation: remittances are sent with sendRemittanceAdvice`,
+        details: { method, replacement: 'sendRemittanceAdvice' }
+      });
+      expect(call).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('response validators', () => {
+    it('should require a transactionId or service messages', () => {
+      const validator = RemittanceAdviceService.responseValidators.sendRemittanceAdvice;
+
+      expect(() => validator({ transactionId: 'T-1' })).not.toThrow();
+      expect(() => validator({ serviceMessageArray: {} })).not.toThrow();
+      expect(() => validator({})).toThrow('missing remittance acknowledgement');
+    });
+  });
+});
@@ -0,0 +1,207 @@
+const http = require('http');
+const OneSourceClient = require('../src/core/onesource-client');
+const PromoStandardsClient = require('../src/client');
+const InventoryService = require('../src/services/inventory/inventory-service');
+const { ServiceError, ValidationError } = require('../src/core/errors');
+
+/**
+ * Local stand-in for the PromoStandards directory, also serving one SOAP endpoint
+ */
+function startDirectory() {
+  const requests = [];
+  let baseUrl;
+
+  const companies = [
+    { Code: 'HIT', Name: 'Hit Promotional Products', Type: 'Supplier' },
+    { Code: 'SANMAR', Name: 'SanMar', Type: 'Supplier' }
+  ];
+
+  const endpoints = () => [
+    { Service: { Code: 'INV', Name: 'Inventory', Version: '1.2.1' }, URL: `${baseUrl}/inventory/v1`, Status: 'PROD' },
+    { Service: { Code: 'INV', Name: 'Inventory', Version: '2.0.0' }, URL: `${baseUrl}/inventory`, Status: 'PROD' },
+    { Service: { Code: 'INV', Name: 'Inventory', Version: '2.0.0' }, URL: `${baseUrl}/inventory-test`, Status: 'TEST' },
+    { Service: { Code: 'ODRSTAT', Name: 'Order Status', Version: '1.0.0' }, URL: `${baseUrl}/orderStatus`, Status: 'PROD' },
+    { Service: { Name: 'Media Content', Version: '1.1.0' }, URL: `${baseUrl}/media?wsdl`, Status: 'PROD' },
+    { Service: { Code: 'PDS', Name: 'Product Data', Version: '9.9.9' }, URL: `${baseUrl}/productData`, Status: 'PROD' },
+    { Service: { Code: 'XYZ', Name: 'Something New', Version: '1.0.0' }, URL: `${baseUrl}/xyz`, Status: 'PROD' }
+  ];
+
+  const server = http.createServer((req, res) => {
+    requests.push(`${req.method} ${req.url}`);
+
+    if (req.method === 'GET' && req.url === '/json/companies') {
+      res.setHeader('Content-Type', 'application/json');
+      return res.end(JSON.stringify(companies));
+    }
+    if (req.method === 'GET' && req.url === '/json/companies/HIT/endpoints') {
+      res.setHeader('Content-Type', 'application/json');
+      return res.end(JSON.stringify(endpoints()));
+    }
+    if (req.method === 'POST' && req.url === '/inventory') {
+      res.setHeader('Content-Type', 'text/xml');
+      return res.end(`<?xml version="1.0" encoding="utf-8"?>
+<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">
+  <soap:Body><GetInventoryLevelsResponse><Inventory><productId>ABC</productId></Inventory></GetInventoryLevelsResponse></soap:Body>
+</soap:Envelope>`);
+    }
+
+    res.statusCode = 404;
+    res.end('Not found');
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      resolve({ server, requests, baseUrl });
+    });
+  });
+}
+
+describe('OneSourceClient', () => {
+  let directory;
+
+  beforeAll(async () => {
+    directory = await startDirectory();
+  });
+
+  afterAll(done => {
+    directory.server.close(done);
+  });
+
+  beforeEach(() => {
+    directory.requests.length = 0;
+  });
+
+  function createOneSource(options = {}) {
+    return new OneSourceClient({ apiUrl: directory.baseUrl, ...options });
+  }
+
+  describe('directory', () => {
+    it('should list and search suppliers', async () => {
+      const oneSource = createOneSource();
+
+      await expect(oneSource.getSuppliers()).resolves.toEqual([
+        { code: 'HIT', name: 'Hit Promotional Products', type: 'Supplier' },
+        { code: 'SANMAR', name: 'SanMar', type: 'Supplier' }
+      ]);
+      await expect(oneSource.searchSuppliers('promo')).resolves.toHaveLength(1);
+    });
+
+    it('should find suppliers by code or name', async () => {
+      const oneSource = createOneSource();
+
+      await expect(oneSource.getSupplier('hit')).resolves.toMatchObject({ code: 'HIT' });
+      await expect(oneSource.getSupplier('SanMar')).resolves.toMatchObject({ code: 'SANMAR' });
+      await expect(oneSource.getSupplier('Nobody')).rejects.toBeInstanceOf(ValidationError);
+    });
+
+    it('should map directory services to library services', async () => {
+      const endpoints = await createOneSource().getSupplierEndpoints('HIT');
+
+      expect(endpoints.map(endpoint => endpoint.service)).toEqual([
+        'Inventory', 'Inventory', 'Inventory', 'OrderStatus', 'ProductMedia', 'ProductData', null
+      ]);
+    });
+
+    it('should cache directory responses', async () => {
+      const oneSource = createOneSource();
+
+      await Promise.all([oneSource.getSupplierEndpoints('HIT'), oneSource.getSupplierEndpoints('HIT')]);
+      await oneSource.getSuppliers();
+
+      expect(directory.requests).toEqual(['GET /json/companies', 'GET /json/companies/HIT/endpoints']);
+
+      oneSource.clearCache();
+      await oneSource.getSuppliers();
+      expect(directory.requests).toHaveLength(3);
+    });
+
+    it('should report directory failures as ServiceError', async () => {
+      const oneSource = createOneSource({ apiUrl: `${directory.baseUrl}/missing` });
+
+      await expect(oneSource.getSuppliers()).rejects.toBeInstanceOf(ServiceError);
+    });
+  });
+
+  describe('getServiceEndpoint', () => {
+    it('should pick the highest production version', async () => {
+      const endpoint = await createOneSource().getServiceEndpoint('HIT', 'Inventory');
+
+      expect(endpoint).toMatchObject({ version: '2.0.0', url: `${directory.baseUrl}/inventory`, status: 'PROD' });
+    });
+
+    it('should honour a version and the configured environment', async () => {
+      const oneSource = createOneSource({ environment: 'TEST' });
+
+      await expect(oneSource.getServiceEndpoint('HIT', 'Inventory', '2.0.0'))
+        .resolves.toMatchObject({ url: `${directory.baseUrl}/inventory-test` });
+      await expect(oneSource.getServiceEndpoint('HIT', 'Invoice')).resolves.toBeNull();
+    });
+
+    it('should resolve WSDL providers from the directory', async () => {
+      const oneSource = createOneSource();
+
+      await expect(oneSource.createWsdlProvider('HIT', 'Inventory', '1.2.1').resolve()).resolves.toEqual({
+        wsdl: `${directory.baseUrl}/inventory/v1?wsdl`,
+        endpoint: `${directory.baseUrl}/inventory/v1`,
+        version: '1.2.1'
+      });
+      await expect(oneSource.createWsdlProvider('HIT', 'ProductMedia').resolve()).resolves.toMatchObject({
+        wsdl: `${directory.baseUrl}/media?wsdl`,
+        endpoint: `${directory.baseUrl}/media`
+      });
+      await expect(oneSource.createWsdlProvider('HIT', 'Invoice').resolve()).rejects.toBeInstanceOf(ValidationError);
+    });
+  });
+
+  describe('PromoStandardsClient.useSupplier', () => {
+    function createClient(options = {}) {
+      return new PromoStandardsClient({
+        username: 'user',
+        password: 'pass',
+        onesource: { apiUrl: directory.baseUrl },
+        ...options
+      });
+    }
+
+    it('should create every service the supplier publishes in a supported version', async () => {
+      const supplier = await createClient().useSupplier('HIT');
+
+      expect(supplier.supplier.code).toBe('HIT');
+      expect(supplier.services).toEqual(['inventory', 'orderStatus', 'productMedia']);
+      expect(supplier.inventory).toBeInstanceOf(InventoryService);
+      expect(supplier.inventory.version).toBe('2.0.0');
+      expect(supplier.productData).toBeUndefined();
+    });
+
+    it('should honour service and version selections', async () => {
+      const supplier = await createClient().useSupplier('HIT', {
+        services: ['inventory'],
+        versions: { inventory: '1.2.1' }
+      });
+
+      expect(supplier.services).toEqual(['inventory']);
+      expect(supplier.inventory.version).toBe('1.2.1');
+    });
+
+    it('should call the discovered endpoint', async () => {
+      const supplier = await createClient().useSupplier('HIT', {
+        services: ['inventory'],
+        serviceOptions: { useBundledWsdl: true }
+      });
+
+      const result = await supplier.inventory.getInventoryLevels({ productId: 'ABC' });
+
+      expect(result.inventory.productId).toBe('ABC');
+      expect(supplier.inventory.endpoint).toBe(`${directory.baseUrl}/inventory`);
+      expect(directory.requests).toContain('POST /inventory');
+    });
+
+    it('should require credentials', async () => {
+      const client = new PromoStandardsClient({ onesource: { apiUrl: directory.baseUrl } });
+      client.auth = null;
+
+      await expect(client.useSupplier('HIT')).rejects.toThrow('Credentials required');
+    });
+  });
+});
@@ -0,0 +1,234 @@
+const OrderReconciler = require('../src/order-reconciler');
+const PurchaseOrderBuilder = require('../src/services/purchase-order/purchase-order-builder');
+const OrderShipmentNotificationService = require('../src/services/order-shipment/order-shipment-service');
+const InvoiceService = require('../src/services/invoice/invoice-service');
+const { ValidationError } = require('../src/core/errors');
+
+describe('OrderReconciler', () => {
+  const credentials = { username: 'user', password: 'pass' };
+
+  let orderShipment;
+  let invoice;
+
+  function buildOrder() {
+    return new PurchaseOrderBuilder({ orderNumber: 'PO-1001', orderDate: '2024-05-01T00:00:00Z' })
+      .shipment({ carrier: 'UPS', service: 'Ground', shipTo: { companyName: 'Acme', address1: '1 Main St' } })
+      .lineItem({
+        description: 'Stadium cup',
+        productId: '5790',
+        parts: [
+          { partId: '5790BLK', customerPartId: 'ACME-BLK', quantity: 150, unitPrice: 3 },
+          { partId: '5790WHT', quantity: 100, unitPrice: 3 }
+        ],
+        charges: [
+          { chargeId: 100, chargeType: 'Setup', description: 'Screen setup', unitPrice: 50 },
+          { chargeId: 900, chargeType: 'Freight', description: 'Ground freight', unitPrice: 25 }
+        ]
+      })
+      .lineItem({ description: 'Tote', productId: '1625', quantity: 10, unitPrice: 5 });
+  }
+
+  function shipmentResponse(items, shippedInFull = false) {
+    return {
+      orderShipmentNotificationArray: {
+        orderShipmentNotification: {
+          purchaseOrderNumber: 'PO-1001',
+          purchaseOrderShippedInFull: shippedInFull,
+          salesOrderArray: {
+            salesOrder: {
+              salesOrderNumber: 'SO-1',
+              salesOrderShippedInFull: shippedInFull,
+              shipmentArray: {
+                shipment: {
+                  packageArray: {
+                    package: {
+                      trackingNumber: '1Z999AA10123456784',
+                      shipmentDate: '2024-05-10T00:00:00Z',
+                      itemArray: { item: items }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    };
+  }
+
+  function invoiceEntry(invoiceNumber, lineItems, amounts = {}) {
+    return {
+      invoiceNumber,
+      invoiceType: 'INVOICE',
+      invoiceDate: '2024-05-12',
+      purchaseOrderNumber: 'PO-1001',
+      shippingAmount: 0,
+      handlingAmount: 0,
+      taxAmount: 0,
+      ...amounts,
+      invoiceLineItemsArray: { invoiceLineItem: lineItems }
+    };
+  }
+
+  const item = (partId, quantity, lineNumber) => ({
+    supplierProductId: '5790',
+    supplierPartId: partId,
+    purchaseOrderLineNumber: lineNumber,
+    quantity: { value: quantity, uom: 'EA' }
+  });
+
+  const billed = (fields) => ({ quantityUom: 'EA', lineItemDescription: 'x', ...fields });
+
+  beforeEach(() => {
+    orderShipment = new OrderShipmentNotificationService({ ...credentials, endpoint: 'https://supplier.test/osn' });
+    invoice = new InvoiceService({ ...credentials, endpoint: 'https://supplier.test/invoice' });
+  });
+
+  it('should match a fully shipped and billed order', async () => {
+    jest.spyOn(orderShipment, 'getShipmentsByPO').mockResolvedValue(shipmentResponse([
+      item('5790BLK', 150, 1),
+      item('5790WHT', 100, 1),
+      { supplierProductId: '1625', purchaseOrderLineNumber: 2, quantity: { value: 10, uom: 'EA' } }
+    ], true));
+    jest.spyOn(invoice, 'getByPO').mockResolvedValue({
+      invoiceArray: {
+        invoice: invoiceEntry('INV-1', [
+          billed({ partId: '5790BLK', purchaseOrderLineItemNumber: 1, invoiceQuantity: 150, unitPrice: 3, extendedPrice: 450 }),
+          billed({ partId: '5790WHT', purchaseOrderLineItemNumber: 1, invoiceQuantity: 100, unitPrice: 3, extendedPrice: 300 }),
+          billed({ productId: '1625', purchaseOrderLineItemNumber: 2, invoiceQuantity: 10, unitPrice: 5, extendedPrice: 50 }),
+          billed({ chargeId: 100, invoiceQuantity: 1, unitPrice: 50, extendedPrice: 50 })
+        ], { shippingAmount: 25, taxAmount: 10, invoiceAmount: 885 })
+      }
+    });
+
+    const reconciler = new OrderReconciler({ orderShipment, invoice });
+    const report = await reconciler.reconcile('PO-1001', { purchaseOrder: buildOrder() });
+
+    expect(orderShipment.getShipmentsByPO).toHaveBeenCalledWith('PO-1001');
+    expect(invoice.getByPO).toHaveBeenCalledWith('PO-1001');
+    expect(report).toMatchObject({
+      purchaseOrderNumber: 'PO-1001',
+      matched: true,
+      variances: [],
+      unbilledShipments: [],
+      billedNotShipped: [],
+      notOrdered: [],
+      charges: [{ chargeId: '100', chargeType: 'Setup', description: 'Screen setup', ordered: 50, billed: 50, difference: 0 }],
+      freight: { ordered: 25, billed: 25, difference: 0 },
+      totals: { ordered: 875, billed: 885, tax: 10 },
+      shippedInFull: true
+    });
+    expect(report.lines.map(line => [line.lineNumber, line.partId, line.status])).toEqual([
+      [1, '5790BLK', 'matched'],
+      [1, '5790WHT', 'matched'],
+      [2, null, 'matched']
+    ]);
+    expect(report.lines[0]).toMatchObject({
+      ordered: { quantity: 150, unitPrice: 3, amount: 450 },
+      shipped: { quantity: 150, trackingNumbers: ['1Z999AA10123456784'] },
+      billed: { quantity: 150, unitPrice: 3, amount: 450, invoiceNumbers: ['INV-1'] }
+    });
+  });
+
+  it('should report quantity and price variances, unbilled shipments and billed-but-not-shipped lines', () => {
+    const reconciler = new OrderReconciler();
+    const report = reconciler.match({
+      purchaseOrder: buildOrder(),
+      shipments: [],
+      invoices: []
+    });
+    expect(report.lines.map(line => line.status)).toEqual(['open', 'open', 'open']);
+    expect(report.matched).toBe(true);
+
+    const mismatched = new OrderReconciler().match({
+      purchaseOrder: buildOrder(),
+      shipments: [{
+        purchaseOrderShippedInFull: true,
+        packages: [{ trackingNumber: 'T1', items: [
+          { supplierPartId: '5790BLK', purchaseOrderLineNumber: 1, quantity: 140 },
+          // Distributor part ID, no line number
+          { distributorPartId: 'ACME-BLK', quantity: 20 },
+          { supplierPartId: '5790WHT', purchaseOrderLineNumber: 1, quantity: 60 },
+          { supplierPartId: '9999RED', quantity: 5 }
+        ] }]
+      }],
+      invoices: [invoiceEntry('INV-1', [
+        billed({ partId: '5790BLK', purchaseOrderLineItemNumber: 1, invoiceQuantity: 160, unitPrice: 3.25, extendedPrice: 520 }),
+        billed({ partId: '5790WHT', purchaseOrderLineItemNumber: 1, invoiceQuantity: 50, unitPrice: 3, extendedPrice: 150 }),
+        billed({ productId: '1625', purchaseOrderLineItemNumber: 2, invoiceQuantity: 10, unitPrice: 5, extendedPrice: 50 }),
+        billed({ chargeId: 100, invoiceQuantity: 1, unitPrice: 75, extendedPrice: 75 })
+      ], { shippingAmount: 40, handlingAmount: 5 })]
+    });
+
+    expect(mismatched.matched).toBe(false);
+    expect(mismatched.variances.map(v => [v.type, v.lineNumber, v.partId || v.chargeId, v.expected, v.actual, v.difference])).toEqual([
+      ['quantity', 1, '5790BLK', 150, 160, 10],
+      ['quantity', 1, '5790BLK', 150, 160, 10],
+      ['price', 1, '5790BLK', 3, 3.25, 0.25],
+      ['quantity', 1, '5790WHT', 100, 60, -40],
+      ['quantity', 2, null, 10, 0, -10],
+      ['charge', 1, '100', 50, 75, 25],
+      ['freight', null, null, 25, 45, 20]
+    ]);
+    expect(mismatched.variances[0].message).toBe('Shipped 160 of 150 ordered');
+    expect(mismatched.unbilledShipments).toEqual([
+      { lineNumber: 1, partId: '5790WHT', shippedQuantity: 60, billedQuantity: 50, quantity: 10 }
+    ]);
+    expect(mismatched.billedNotShipped).toEqual([
+      { lineNumber: 2, partId: null, billedQuantity: 10, shippedQuantity: 0, quantity: 10, invoiceNumbers: ['INV-1'] }
+    ]);
+    expect(mismatched.notOrdered).toEqual([{
+      source: 'shipment', lineNumber: null, partId: '9999RED', productId: null, chargeId: null, quantity: 5, amount: null, reference: 'T1'
+    }]);
+    expect(mismatched.lines.map(line => line.status)).toEqual(['discrepancy', 'discrepancy', 'discrepancy']);
+  });
+
+  it('should net credit memos against invoices', () => {
+    const report = new OrderReconciler().match({
+      purchaseOrder: new PurchaseOrderBuilder({ orderNumber: 'PO-1002' })
+        .lineItem({ productId: '1625', quantity: 10, unitPrice: 5 }),
+      shipments: [{ packages: [{ items: [{ supplierProductId: '1625', purchaseOrderLineNumber: 1, quantity: 10 }] }] }],
+      invoices: [
+        invoiceEntry('INV-1', [billed({ productId: '1625', invoiceQuantity: 12, unitPrice: 5, extendedPrice: 60 })], { invoiceAmount: 60 }),
+        { ...invoiceEntry('CM-1', [billed({ productId: '1625', invoiceQuantity: 2, unitPrice: 5, extendedPrice: 10 })], { invoiceAmount: 10 }),
+          invoiceType: 'CREDIT MEMO' }
+      ]
+    });
+
+    expect(report.matched).toBe(true);
+    expect(report.lines[0].billed).toEqual({ quantity: 10, unitPrice: 5, amount: 50, invoiceNumbers: ['INV-1', 'CM-1'] });
+    expect(report.totals.billed).toBe(50);
+  });
+
+  it('should load the PO and treat "no results" answers as nothing found', async () => {
+    const noResults = (operation) => new ValidationError(
+      `Invalid response from ${operation}: no data`, { operation, service: 'x' });
+    jest.spyOn(orderShipment, 'getShipmentsByPO').mockRejectedValue(noResults('getOrderShipmentNotification'));
+    jest.spyOn(invoice, 'getByPO').mockRejectedValue(noResults('getInvoices'));
+    const loadPurchaseOrder = jest.fn().mockResolvedValue(buildOrder().build());
+
+    const report = await new OrderReconciler({ orderShipment, invoice }, { loadPurchaseOrder }).reconcile('PO-1001');
+
+    expect(loadPurchaseOrder).toHaveBeenCalledWith('PO-1001');
+    expect(report.lines).toHaveLength(3);
+    expect(report.invoices).toEqual([]);
+  });
+
+  it('should fail when a request is rejected rather than report nothing found', async () => {
+    const rejected = new ValidationError('Invalid getInvoices request: queryType is required',
+      { operation: 'getInvoices', service: 'Invoice', errors: ['queryType is required'] });
+    jest.spyOn(orderShipment, 'getShipmentsByPO').mockResolvedValue(shipmentResponse([]));
+    jest.spyOn(invoice, 'getByPO').mockRejectedValue(rejected);
+
+    await expect(new OrderReconciler({ orderShipment, invoice }).reconcile('PO-1001', { purchaseOrder: buildOrder() }))
+      .rejects.toBe(rejected);
+  });
+
+  it('should require the services and a purchase order', async () => {
+    await expect(new OrderReconciler({ orderShipment }).reconcile('PO-1001'))
+      .rejects.toThrow('OrderReconciler needs orderShipment and invoice services');
+    await expect(new OrderReconciler({ orderShipment, invoice }).reconcile('PO-1001'))
+      .rejects.toThrow('No purchase order to reconcile PO-1001');
+    expect(() => new OrderReconciler().match({ purchaseOrder: {} })).toThrow(ValidationError);
+  });
+});
@@ -0,0 +1,304 @@
+const OrderTracker = require('../src/order-tracker');
+const SupplierRegistry = require('../src/supplier-registry');
+const OrderStatusService = require('../src/services/order-status/order-status-service');
+const OrderShipmentNotificationService = require('../src/services/order-shipment/order-shipment-service');
+const SoapClient = require('../src/core/soap-client');
+const { ServiceError, ValidationError } = require('../src/core/errors');
+
+describe('OrderTracker', () => {
+  const NOW = Date.parse('2026-03-02T12:00:00Z');
+  const credentials = { username: 'user', password: 'pass' };
+
+  let orderStatus;
+  let orderShipment;
+  let clock;
+
+  function statusResponse(details) {
+    return {
+      orderStatusArray: {
+        orderStatus: {
+          purchaseOrderNumber: 1001,
+          orderStatusDetailArray: { orderStatusDetail: details }
+        }
+      }
+    };
+  }
+
+  function shipmentResponse(salesOrder) {
+    return {
+      orderShipmentNotificationArray: {
+        orderShipmentNotification: {
+          purchaseOrderNumber: 1001,
+          salesOrderArray: { salesOrder }
+        }
+      }
+    };
+  }
+
+  function pkg(trackingNumber) {
+    return {
+      trackingNumber,
+      shipmentDate: '2026-03-02T00:00:00',
+      freightDetails: { carrier: 'UPS', service: 'Ground' }
+    };
+  }
+
+  function createTracker(options = {}) {
+    const tracker = new OrderTracker({ suppliers: { HIT: { orderStatus, orderShipment } }, ...options });
+    tracker.now = () => clock;
+    return tracker;
+  }
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    clock = NOW;
+    orderStatus = new OrderStatusService({ ...credentials, endpoint: 'https://supplier.test/status' });
+    orderShipment = new OrderShipmentNotificationService({ ...credentials, endpoint: 'https://supplier.test/osn' });
+    jest.spyOn(orderStatus, 'getOrderStatus').mockResolvedValue(statusResponse([]));
+    jest.spyOn(orderShipment, 'getShipmentsSince').mockResolvedValue(shipmentResponse([]));
+  });
+
+  it('should query both services since the checkpoint and save it', async () => {
+    const store = new Map();
+    const tracker = createTracker({ store });
+
+    const first = await tracker.pollSupplier('HIT');
+    expect(first.since).toEqual(new Date('2026-03-01T12:00:00Z'));
+    expect(orderStatus.getOrderStatus).toHaveBeenCalledWith({ queryType: 'lastUpdate', statusTimeStamp: first.since });
+    expect(orderShipment.getShipmentsSince).toHaveBeenCalledWith(first.since);
+    expect(JSON.parse(store.get('order-tracker:HIT')).checkpoint).toBe('2026-03-02T12:00:00.000Z');
+
+    clock = NOW + 15 * 60 * 1000;
+    const second = await createTracker({ store }).pollSupplier('HIT');
+    expect(second.since).toEqual(new Date('2026-03-02T11:55:00Z'));
+  });
+
+  it.each([
+    ['1.0.0', 'getOrderStatusDetails', 3, { factoryOrderNumber: 'SO-1', statusName: 'Shipped' }],
+    ['2.0.0', 'getOrderStatus', 'lastUpdate', { salesOrderNumber: 'SO-1', status: 'Shipped' }]
+  ])('should send a schema-valid status query to Order Status %s', async (version, operation, queryType, detail) => {
+    orderStatus = new OrderStatusService({ ...credentials, endpoint: 'https://supplier.test/status', version });
+    const requests = {};
+    // Build the request XML from the bundled WSDL as SoapClient#call does and answer without sending it
+    jest.spyOn(SoapClient.prototype, 'call').mockImplementation(async function (op, data, options = {}) {
+      requests[op] = await this.buildRequestXmlFromSchema(op, data, options);
+      return statusResponse({ ...detail, validTimestamp: '2026-03-02T10:00:00Z' });
+    });
+    const statusChanged = jest.fn();
+
+    const { errors } = await createTracker({ onStatusChanged: statusChanged }).pollSupplier('HIT');
+
+    expect(errors).toEqual([]);
+    expect(requests[operation]).toMatch(new RegExp(
+      `<ns\\d:queryType>${queryType}</ns\\d:queryType><ns\\d:statusTimeStamp>2026-03-01T12:00:00.000Z<`));
+    expect(statusChanged).toHaveBeenCalledWith(expect.objectContaining({ salesOrderNumber: 'SO-1', status: 'Shipped' }));
+  });
+
+  it('should emit status, issue and delivery estimate changes once', async () => {
+    const tracker = createTracker();
+    const events = [];
+    for (const event of ['statusChanged', 'issueRaised', 'deliveryEstimateChanged']) {
+      tracker.on(event, payload => events.push([event, payload]));
+    }
+
+    orderStatus.getOrderStatus.mockResolvedValue(statusResponse({
+      salesOrderNumber: 'SO-1',
+      status: 'inProduction',
+      expectedShipDate: '2026-03-05T00:00:00Z',
+      validTimestamp: '2026-03-02T10:00:00Z'
+    }));
+    await tracker.pollSupplier('HIT');
+    await tracker.pollSupplier('HIT');
+
+    expect(events).toEqual([
+      ['statusChanged', {
+        supplier: 'HIT',
+        purchaseOrderNumber: '1001',
+        salesOrderNumber: 'SO-1',
+        previousStatus: null,
+        status: 'inProduction',
+        validTimestamp: '2026-03-02T10:00:00.000Z'
+      }],
+      ['deliveryEstimateChanged', expect.objectContaining({
+        previousExpectedShipDate: null,
+        expectedShipDate: '2026-03-05T00:00:00.000Z'
+      })]
+    ]);
+
+    events.length = 0;
+    orderStatus.getOrderStatus.mockResolvedValue(statusResponse({
+      salesOrderNumber: 'SO-1',
+      status: 'inProduction',
+      expectedShipDate: '2026-03-09T00:00:00Z',
+      issueArray: {
+        issue: { issueId: 7, issueCategory: 'Artwork', issueName: 'Low resolution', urgentResponseRequired: 'true' }
+      }
+    }));
+    await tracker.pollSupplier('HIT');
+
+    expect(events.map(([event]) => event)).toEqual(['issueRaised', 'deliveryEstimateChanged']);
+    expect(events[0][1].issue).toMatchObject({ issueId: '7', issueName: 'Low resolution', urgentResponseRequired: true });
+    expect(events[1][1]).toMatchObject({
+      previousExpectedShipDate: '2026-03-05T00:00:00.000Z',
+      expectedShipDate: '2026-03-09T00:00:00.000Z'
+    });
+  });
+
+  it('should emit partiallyShipped for new packages and shipped when shipped in full', async () => {
+    const onPartiallyShipped = jest.fn();
+    const onShipped = jest.fn();
+    const tracker = createTracker({ onPartiallyShipped, onShipped });
+
+    orderShipment.getShipmentsSince.mockResolvedValue(shipmentResponse({
+      salesOrderNumber: 'SO-1',
+      salesOrderShippedInFull: false,
+      shipmentArray: { shipment: { packageArray: { package: pkg('1Z001') } } }
+    }));
+    await tracker.pollSupplier('HIT');
+    await tracker.pollSupplier('HIT');
+
+    expect(onPartiallyShipped).toHaveBeenCalledTimes(1);
+    expect(onPartiallyShipped).toHaveBeenCalledWith({
+      supplier: 'HIT',
+      purchaseOrderNumber: '1001',
+      salesOrderNumber: 'SO-1',
+      packages: [expect.objectContaining({
+        trackingNumber: '1Z001',
+        trackingUrl: 'https://www.ups.com/track?tracknum=1Z001',
+        carrier: 'UPS',
+        service: 'Ground',
+        shipmentDate: new Date('2026-03-02T00:00:00')
+      })]
+    });
+
+    orderShipment.getShipmentsSince.mockResolvedValue(shipmentResponse({
+      salesOrderNumber: 'SO-1',
+      salesOrderShippedInFull: true,
+      shipmentArray: { shipment: { packageArray: { package: [pkg('1Z001'), pkg('1Z002')] } } }
+    }));
+    await tracker.pollSupplier('HIT');
+    await tracker.pollSupplier('HIT');
+
+    expect(onShipped).toHaveBeenCalledTimes(1);
+    expect(onShipped.mock.calls[0][0].packages.map(p => p.trackingNumber)).toEqual(['1Z002']);
+  });
+
+  it('should read 1.0.0 shipment notifications', async () => {
+    const onShipped = jest.fn();
+    const tracker = createTracker({ onShipped });
+
+    orderShipment.getShipmentsSince.mockResolvedValue(shipmentResponse({
+      salesOrderNumber: 'SO-1',
+      complete: 'true',
+      shipmentLocationArray: {
+        shipmentLocation: { packageArray: { package: { trackingNumber: '1Z003', carrier: 'FedEx', shipmentMethod: 'Ground' } } }
+      }
+    }));
+    await tracker.pollSupplier('HIT');
+
+    expect(onShipped.mock.calls[0][0].packages).toEqual([
+      expect.objectContaining({ trackingNumber: '1Z003', carrier: 'FedEx', service: 'Ground', shipmentDate: null })
+    ]);
+  });
+
+  it('should keep the checkpoint when a service fails and treat "no results" as empty', async () => {
+    const store = new Map();
+    const tracker = createTracker({ store });
+    const onPollError = jest.fn();
+    tracker.on('pollError', onPollError);
+
+    const error = new ServiceError('SOAP operation failed', 'OrderShipmentNotification', 'getOrderShipmentNotification');
+    orderShipment.getShipmentsSince.mockRejectedValue(error);
+    orderStatus.getOrderStatus.mockRejectedValue(new ValidationError(
+      'Invalid response from getOrderStatus: Invalid response: missing orderStatus data',
+      { operation: 'getOrderStatus', service: 'OrderStatus' }
+    ));
+
+    const result = await tracker.pollSupplier('HIT');
+
+    expect(result.checkpoint).toBe('2026-03-01T12:00:00.000Z');
+    expect(result.errors).toEqual([{ service: 'orderShipment', error }]);
+    expect(onPollError).toHaveBeenCalledWith({ supplier: 'HIT', service: 'orderShipment', error });
+
+    orderShipment.getShipmentsSince.mockResolvedValue(shipmentResponse([]));
+    clock = NOW + 60000;
+    const retry = await tracker.pollSupplier('HIT');
+    expect(retry.since).toEqual(new Date('2026-03-01T11:55:00Z'));
+    expect(retry.checkpoint).toBe('2026-03-02T12:01:00.000Z');
+  });
+
+  it('should report a request the schema rejected instead of treating it as "no results"', async () => {
+    const tracker = createTracker();
+    const error = new ValidationError(
+      'Invalid getOrderStatus request: statusTimeStamp is required',
+      { operation: 'getOrderStatus', service: 'OrderStatus', errors: ['statusTimeStamp is required'] }
+    );
+    orderStatus.getOrderStatus.mockRejectedValue(error);
+
+    const result = await tracker.pollSupplier('HIT');
+
+    expect(result.errors).toEqual([{ service: 'orderStatus', error }]);
+    expect(result.checkpoint).toBe('2026-03-01T12:00:00.000Z');
+  });
+
+  it('should forget orders not reported within the retention period', async () => {
+    const store = new Map();
+    const tracker = createTracker({ store, retention: 60000 });
+
+    orderStatus.getOrderStatus.mockResolvedValue(statusResponse({ salesOrderNumber: 'SO-1', status: 'shipped' }));
+    await tracker.pollSupplier('HIT');
+    expect(Object.keys((await tracker.loadState('HIT')).orders)).toEqual(['1001/SO-1']);
+
+    orderStatus.getOrderStatus.mockResolvedValue(statusResponse([]));
+    clock = NOW + 120000;
+    await tracker.pollSupplier('HIT');
+    expect((await tracker.loadState('HIT')).orders).toEqual({});
+  });
+
+  it('should poll registry suppliers that have order services', async () => {
+    const registry = new SupplierRegistry({
+      suppliers: {
+        HIT: {
+          credentials,
+          services: {
+            orderStatus: { endpoint: 'https://hit.test/status', version: '2.0.0' },
+            orderShipment: { endpoint: 'https://hit.test/osn', version: '2.0.0' }
+          }
+        },
+        PCNA: { credentials, services: { inventory: { endpoint: 'https://pcna.test/inventory', version: '2.0.0' } } }
+      }
+    });
+    const client = registry.getSupplier('HIT');
+    jest.spyOn(client.orderStatus, 'getOrderStatus').mockResolvedValue(statusResponse({ salesOrderNumber: 'SO-1', status: 'confirmed' }));
+    jest.spyOn(client.orderShipment, 'getShipmentsSince').mockResolvedValue(shipmentResponse([]));
+
+    const tracker = new OrderTracker({ suppliers: registry });
+    const onStatusChanged = jest.fn();
+    tracker.on('statusChanged', onStatusChanged);
+
+    const results = await tracker.poll();
+
+    expect(Object.keys(results)).toEqual(['HIT']);
+    expect(onStatusChanged).toHaveBeenCalledWith(expect.objectContaining({ supplier: 'HIT', status: 'confirmed' }));
+  });
+
+  it('should poll on a schedule until stopped', async () => {
+    jest.useFakeTimers();
+    try {
+      const tracker = createTracker({ interval: 1000 });
+      const poll = jest.spyOn(tracker, 'poll');
+
+      tracker.start();
+      await jest.advanceTimersByTimeAsync(2500);
+      tracker.stop();
+      await jest.advanceTimersByTimeAsync(5000);
+
+      expect(poll).toHaveBeenCalledTimes(3);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
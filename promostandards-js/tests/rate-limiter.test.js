@@ -0,0 +1,169 @@
+const nock = require('nock');
+const RateLimiter = require('../src/core/rate-limiter');
+const PromoStandardsClient = require('../src/client');
+const InventoryService = require('../src/services/inventory/inventory-service');
+const { RateLimitError } = require('../src/core/errors');
+
+describe('RateLimiter', () => {
+  const ENDPOINT = 'https://supplier.test/inventory';
+  const REPLY = `<?xml version="1.0" encoding="utf-8"?>
+<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">
+  <soap:Body><GetInventoryLevelsResponse><Inventory><productId>ABC</productId></Inventory></GetInventoryLevelsResponse></soap:Body>
+</soap:Envelope>`;
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  function deferred() {
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    return { promise, resolve };
+  }
+
+  describe('limits', () => {
+    it('should merge defaults, service limits and endpoint limits', () => {
+      const limiter = new RateLimiter({
+        maxConcurrent: 4,
+        requestsPerInterval: 100,
+        endpoints: { [ENDPOINT]: { requestsPerInterval: 10 } }
+      });
+
+      const limits = limiter.getLimits(ENDPOINT, { requestsPerInterval: 50, maxConcurrent: 2 });
+
+      expect(limits).toMatchObject({ requestsPerInterval: 10, maxConcurrent: 2, interval: 60000 });
+    });
+  });
+
+  describe('schedule', () => {
+    it('should cap in-flight requests', async () => {
+      const limiter = new RateLimiter({ maxConcurrent: 1 });
+      const first = deferred();
+      const started = [];
+
+      const a = limiter.schedule(ENDPOINT, 'op', () => { started.push('a'); return first.promise; });
+      const b = limiter.schedule(ENDPOINT, 'op', () => { started.push('b'); return 'b'; });
+      await Promise.resolve();
+
+      expect(started).toEqual(['a']);
+      expect(limiter.getStats(ENDPOINT)).toMatchObject({ active: 1, queued: 1 });
+
+      first.resolve('a');
+      await expect(Promise.all([a, b])).resolves.toEqual(['a', 'b']);
+      expect(started).toEqual(['a', 'b']);
+    });
+
+    it('should space requests beyond the bucket by the refill rate', async () => {
+      const limiter = new RateLimiter({ requestsPerInterval: 2, interval: 100 });
+      const startedAt = Date.now();
+      const times = [];
+
+      await Promise.all([1, 2, 3].map(() => limiter.schedule(ENDPOINT, 'op', () => times.push(Date.now() - startedAt))));
+
+      expect(times[1]).toBeLessThan(40);
+      expect(times[2]).toBeGreaterThanOrEqual(45);
+    });
+
+    it('should apply operation limits on top of the endpoint bucket', async () => {
+      const limiter = new RateLimiter({
+        operations: { getInventoryLevels: { requestsPerInterval: 1, interval: 60000 } },
+        queueTimeout: 20
+      });
+
+      await limiter.schedule(ENDPOINT, 'getInventoryLevels', () => 'first');
+
+      await expect(limiter.schedule(ENDPOINT, 'getFilterValues', () => 'other')).resolves.toBe('other');
+      await expect(limiter.schedule(ENDPOINT, 'getInventoryLevels', () => 'second'))
+        .rejects.toBeInstanceOf(RateLimitError);
+    });
+
+    it('should reject queued requests after the queue timeout without running them', async () => {
+      const limiter = new RateLimiter({ maxConcurrent: 1 });
+      const first = deferred();
+      const fn = jest.fn();
+
+      const running = limiter.schedule(ENDPOINT, 'op', () => first.promise);
+
+      await expect(limiter.schedule(ENDPOINT, 'op', fn, { queueTimeout: 20 })).rejects.toMatchObject({
+        code: 'RATE_LIMITED',
+        details: { endpoint: ENDPOINT, operation: 'op', queueTimeout: 20 }
+      });
+      first.resolve();
+      await running;
+      expect(fn).not.toHaveBeenCalled();
+      expect(limiter.getStats(ENDPOINT)).toMatchObject({ active: 0, queued: 0 });
+    });
+
+    it('should hold each caller to its own limits on a shared endpoint', async () => {
+      const limiter = new RateLimiter({ queueTimeout: 20 });
+      const strict = { requestsPerInterval: 1, interval: 60000 };
+
+      await limiter.schedule(ENDPOINT, 'op', () => 'first', { limits: strict });
+
+      await expect(limiter.schedule(ENDPOINT, 'op', () => 'lenient', { limits: { requestsPerInterval: 5 } })).resolves.toBe('lenient');
+      await expect(limiter.schedule(ENDPOINT, 'op', () => 'unlimited')).resolves.toBe('unlimited');
+      await expect(limiter.schedule(ENDPOINT, 'op', () => 'second', { limits: { ...strict } }))
+        .rejects.toBeInstanceOf(RateLimitError);
+      expect(limiter.getStats(ENDPOINT, strict).tokens).toBe(0);
+    });
+
+    it('should keep endpoints independent', async () => {
+      const limiter = new RateLimiter({ maxConcurrent: 1, queueTimeout: 20 });
+      const first = deferred();
+
+      const running = limiter.schedule(ENDPOINT, 'op', () => first.promise);
+
+      await expect(limiter.schedule('https://other.test/inventory', 'op', () => 'other')).resolves.toBe('other');
+      first.resolve();
+      await running;
+    });
+  });
+
+  describe('services', () => {
+    it('should limit a service with its own rateLimit options', async () => {
+      const service = new InventoryService({
+        endpoint: ENDPOINT,
+        version: '2.0.0',
+        username: 'user',
+        password: 'pass',
+        rateLimit: { requestsPerInterval: 1, interval: 60000, queueTimeout: 20 }
+      });
+      const scope = nock('https://supplier.test').post('/inventory').times(2).reply(200, REPLY);
+
+      await service.getInventoryLevels({ productId: 'ABC' });
+      await expect(service.getInventoryLevels({ productId: 'ABC' })).rejects.toBeInstanceOf(RateLimitError);
+
+      expect(scope.pendingMocks()).toHaveLength(1);
+    });
+
+    it('should give a client limiter to services that set their own rateLimit', async () => {
+      const client = new PromoStandardsClient({ username: 'user', password: 'pass' });
+      const rateLimit = { requestsPerInterval: 1, interval: 60000, queueTimeout: 20 };
+      client.addService('inventory', InventoryService, { endpoint: ENDPOINT, version: '2.0.0', useBundledWsdl: true, rateLimit });
+      client.addService('inventoryCopy', InventoryService, { endpoint: ENDPOINT, version: '2.0.0', useBundledWsdl: true, rateLimit });
+      nock('https://supplier.test').post('/inventory').times(2).reply(200, REPLY);
+
+      expect(client.inventory.client.rateLimiter).toBe(client.inventoryCopy.client.rateLimiter);
+      await client.inventory.getInventoryLevels({ productId: 'ABC' });
+
+      await expect(client.inventoryCopy.getInventoryLevels({ productId: 'ABC' }))
+        .rejects.toBeInstanceOf(RateLimitError);
+    });
+
+    it('should share one limiter between the services of a client', async () => {
+      const client = new PromoStandardsClient({
+        username: 'user',
+        password: 'pass',
+        rateLimiter: { endpoints: { [ENDPOINT]: { requestsPerInterval: 1, interval: 60000, queueTimeout: 20 } } }
+      });
+      client.addService('inventory', InventoryService, { endpoint: ENDPOINT, version: '2.0.0', useBundledWsdl: true });
+      client.addService('inventoryCopy', InventoryService, { endpoint: ENDPOINT, version: '2.0.0', useBundledWsdl: true });
+      nock('https://supplier.test').post('/inventory').times(2).reply(200, REPLY);
+
+      await client.inventory.getInventoryLevels({ productId: 'ABC' });
+
+      await expect(client.inventoryCopy.getInventoryLevels({ productId: 'ABC' }))
+        .rejects.toBeInstanceOf(RateLimitError);
+    });
+  });
+});
@@ -0,0 +1,171 @@
+const nock = require('nock');
+const RetryPolicy = require('../src/core/retry-policy');
+const SoapClient = require('../src/core/soap-client');
+const InventoryService = require('../src/services/inventory/inventory-service');
+const { ServiceError } = require('../src/core/errors');
+const { getBundledWsdl } = require('../src/core/wsdl-registry');
+
+describe('RetryPolicy', () => {
+  const ENDPOINT = 'https://supplier.test/inventory';
+  const FAST = { baseDelay: 0, jitter: false };
+  const REPLY = `<?xml version="1.0" encoding="utf-8"?>
+<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">
+  <soap:Body><GetInventoryLevelsResponse><Inventory><productId>ABC</productId></Inventory></GetInventoryLevelsResponse></soap:Body>
+</soap:Envelope>`;
+  const FAULT = `<?xml version="1.0" encoding="utf-8"?>
+<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">
+  <soap:Body><soap:Fault><faultcode>soap:Server</faultcode><faultstring>Invalid productId</faultstring></soap:Fault></soap:Body>
+</soap:Envelope>`;
+  const REQUEST = { productId: 'ABC', id: 'user', wsVersion: '2.0.0' };
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  function httpError(status, data = 'Bad Gateway', headers = {}) {
+    return Object.assign(new Error(`Request failed with status code ${status}`), {
+      response: { status, data, headers }
+    });
+  }
+
+  function createClient(retry = FAST) {
+    return new SoapClient({ wsdl: getBundledWsdl('Inventory', '2.0.0'), endpoint: ENDPOINT, retry });
+  }
+
+  describe('classification', () => {
+    const policy = new RetryPolicy();
+
+    it('should retry transport errors, timeouts and 5xx', () => {
+      expect(policy.isRetryable(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }))).toBe(true);
+      expect(policy.isRetryable(Object.assign(new Error('timeout of 30000ms exceeded'), { code: 'ECONNABORTED' }))).toBe(true);
+      expect(policy.isRetryable(httpError(503))).toBe(true);
+      expect(policy.isRetryable(httpError(429))).toBe(true);
+    });
+
+    it('should not retry SOAP faults, auth failures or unknown errors', () => {
+      expect(policy.isRetryable(httpError(500, FAULT))).toBe(false);
+      expect(policy.isRetryable(httpError(401))).toBe(false);
+      expect(policy.isRetryable(httpError(400))).toBe(false);
+      expect(policy.isRetryable(new Error('Unexpected token'))).toBe(false);
+    });
+
+    it('should not retry non-idempotent operations unless allowed', () => {
+      expect(policy.isRetryable(httpError(503), 'sendPO')).toBe(false);
+      expect(policy.with({ allowNonIdempotent: true }).isRetryable(httpError(503), 'sendPO')).toBe(true);
+    });
+  });
+
+  describe('delays', () => {
+    it('should back off exponentially up to maxDelay', () => {
+      const policy = new RetryPolicy({ baseDelay: 100, maxDelay: 300, jitter: false });
+
+      expect([1, 2, 3].map(attempt => policy.getDelay(attempt))).toEqual([100, 200, 300]);
+    });
+
+    it('should keep jittered delays within the backoff', () => {
+      const policy = new RetryPolicy({ baseDelay: 100 });
+
+      for (let i = 0; i < 20; i++) {
+        const delay = policy.getDelay(2);
+        expect(delay).toBeGreaterThanOrEqual(0);
+        expect(delay).toBeLessThanOrEqual(200);
+      }
+    });
+
+    it('should honour Retry-After seconds and dates', () => {
+      const policy = new RetryPolicy({ maxRetryAfter: 5000 });
+
+      expect(policy.getDelay(1, httpError(503, '', { 'retry-after': '2' }))).toBe(2000);
+      expect(policy.getDelay(1, httpError(503, '', { 'retry-after': '120' }))).toBe(5000);
+
+      const date = new Date(Date.now() + 3000).toUTCString();
+      const delay = policy.getDelay(1, httpError(503, '', { 'retry-after': date }));
+      expect(delay).toBeGreaterThan(1000);
+      expect(delay).toBeLessThanOrEqual(3000);
+    });
+  });
+
+  describe('SoapClient', () => {
+    it('should retry 503 responses and return the eventual result', async () => {
+      const scope = nock('https://supplier.test')
+        .post('/inventory').reply(503, 'Service Unavailable')
+        .post('/inventory').reply(200, REPLY);
+
+      const result = await createClient().call('getInventoryLevels', REQUEST);
+
+      expect(result.inventory.productId).toBe('ABC');
+      expect(scope.isDone()).toBe(true);
+    });
+
+    it('should retry connection resets', async () => {
+      nock('https://supplier.test')
+        .post('/inventory').replyWithError({ code: 'ECONNRESET', message: 'socket hang up' })
+        .post('/inventory').reply(200, REPLY);
+
+      await expect(createClient().call('getInventoryLevels', REQUEST)).resolves.toBeDefined();
+    });
+
+    it('should list every attempt in the final error', async () => {
+      nock('https://supplier.test').post('/inventory').times(3).reply(502, 'Bad Gateway');
+
+      try {
+        await createClient().call('getInventoryLevels', REQUEST);
+        throw new Error('expected the call to fail');
+      } catch (error) {
+        expect(error.details.status).toBe(502);
+        expect(error.details.attempts.map(a => [a.attempt, a.status])).toEqual([[1, 502], [2, 502], [3, 502]]);
+        expect(error.details.attempts[0].delay).toBe(0);
+      }
+    });
+
+    it('should not retry SOAP faults', async () => {
+      const scope = nock('https://supplier.test')
+        .post('/inventory').reply(500, FAULT)
+        .post('/inventory').reply(200, REPLY);
+
+      await expect(createClient().call('getInventoryLevels', REQUEST)).rejects.toThrow();
+      expect(scope.pendingMocks()).toHaveLength(1);
+    });
+
+    it('should throw the SOAP fault the supplier sent', async () => {
+      nock('https://supplier.test').post('/inventory').reply(500, FAULT);
+
+      await expect(createClient().call('getInventoryLevels', REQUEST)).rejects.toMatchObject({
+        message: 'Invalid productId',
+        code: 'soap:Server',
+        details: { operation: 'getInventoryLevels', status: 500, soapFault: true }
+      });
+    });
+
+    it('should allow disabling retries per call', async () => {
+      const scope = nock('https://supplier.test')
+        .post('/inventory').reply(503, 'Service Unavailable')
+        .post('/inventory').reply(200, REPLY);
+
+      await expect(createClient().call('getInventoryLevels', REQUEST, { retry: false })).rejects.toThrow();
+      expect(scope.pendingMocks()).toHaveLength(1);
+    });
+  });
+
+  describe('BaseService', () => {
+    it('should carry the attempts into ServiceError details', async () => {
+      const service = new InventoryService({
+        endpoint: ENDPOINT,
+        version: '2.0.0',
+        username: 'user',
+        password: 'pass',
+        retry: { ...FAST, maxAttempts: 2 }
+      });
+      nock('https://supplier.test').post('/inventory').times(2).reply(504, 'Gateway Timeout');
+
+      try {
+        await service.getInventoryLevels({ productId: 'ABC' });
+        throw new Error('expected the call to fail');
+      } catch (error) {
+        expect(error).toBeInstanceOf(ServiceError);
+        expect(error.details.attempts).toHaveLength(2);
+        expect(error.details.status).toBe(504);
+      }
+    });
+  });
+});
@@ -0,0 +1,144 @@
+const nock = require('nock');
+const WsdlSchema = require('../src/core/wsdl-schema');
+const SchemaDeserializer = require('../src/core/schema-deserializer');
+const SoapClient = require('../src/core/soap-client');
+const XmlConverter = require('../src/core/xml-converter');
+const { getBundledWsdl } = require('../src/core/wsdl-registry');
+
+describe('SchemaDeserializer', () => {
+  const INVENTORY_NS = 'http://www.promostandards.org/WSDL/Inventory/2.0.0/';
+  const ENDPOINT = 'https://supplier.test/inventory';
+  const REPLY = `<?xml version="1.0" encoding="utf-8"?>
+<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">
+  <soap:Body>
+    <GetInventoryLevelsResponse xmlns="${INVENTORY_NS}" xmlns:shar="${INVENTORY_NS}SharedObjects/">
+      <Inventory>
+        <shar:productId>0042</shar:productId>
+        <PartInventoryArray>
+          <PartInventory>
+            <shar:partId>00123</shar:partId>
+            <mainPart>true</mainPart>
+            <partColor>Navy</partColor>
+            <labelSize>10</labelSize>
+            <partDescription>Tee</partDescription>
+            <quantityAvailable>
+              <Quantity><uom>EA</uom><value>250</value></Quantity>
+            </quantityAvailable>
+            <manufacturedItem>false</manufacturedItem>
+            <buyToOrder>false</buyToOrder>
+            <InventoryLocationArray>
+              <InventoryLocation>
+                <inventoryLocationId>01</inventoryLocationId>
+                <inventoryLocationQuantity>
+                  <Quantity><uom>EA</uom><value>250</value></Quantity>
+                </inventoryLocationQuantity>
+                <FutureAvailabilityArray>
+                  <FutureAvailability>
+                    <Quantity><uom>EA</uom><value>12.5</value></Quantity>
+                    <availableOn>2024-06-01T00:00:00Z</availableOn>
+                  </FutureAvailability>
+                </FutureAvailabilityArray>
+              </InventoryLocation>
+            </InventoryLocationArray>
+            <supplierExtension>007</supplierExtension>
+          </PartInventory>
+        </PartInventoryArray>
+      </Inventory>
+    </GetInventoryLevelsResponse>
+  </soap:Body>
+</soap:Envelope>`;
+
+  let schema;
+  let converter;
+
+  beforeAll(async () => {
+    schema = await WsdlSchema.load(getBundledWsdl('Inventory', '2.0.0'));
+    converter = new XmlConverter();
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  async function deserializeReply(xml = REPLY) {
+    const parsed = await converter.parseXml(xml);
+    const body = parsed.Envelope.Body.GetInventoryLevelsResponse;
+    return new SchemaDeserializer(schema, converter).deserialize(schema.getOperationOutput('getInventoryLevels'), body);
+  }
+
+  describe('deserialize', () => {
+    it('should keep string elements as strings', async () => {
+      const result = await deserializeReply();
+      const [part] = result.inventory.partInventoryArray.partInventory;
+
+      expect(result.inventory.productId).toBe('0042');
+      expect(part.partId).toBe('00123');
+      expect(part.labelSize).toBe('10');
+    });
+
+    it('should convert numeric, boolean and dateTime elements', async () => {
+      const result = await deserializeReply();
+      const [part] = result.inventory.partInventoryArray.partInventory;
+      const [location] = part.inventoryLocationArray.inventoryLocation;
+      const [future] = location.futureAvailabilityArray.futureAvailability;
+
+      expect(part.quantityAvailable.quantity.value).toBe(250);
+      expect(part.mainPart).toBe(true);
+      expect(part.manufacturedItem).toBe(false);
+      expect(location.inventoryLocationId).toBe('01');
+      expect(future.quantity.value).toBe(12.5);
+      expect(future.availableOn).toEqual(new Date('2024-06-01T00:00:00Z'));
+    });
+
+    it('should return arrays for repeating elements with a single entry', async () => {
+      const result = await deserializeReply();
+
+      expect(Array.isArray(result.inventory.partInventoryArray.partInventory)).toBe(true);
+      expect(result.inventory.partInventoryArray.partInventory).toHaveLength(1);
+    });
+
+    it('should fall back to heuristic typing for undeclared elements', async () => {
+      const result = await deserializeReply();
+
+      expect(result.inventory.partInventoryArray.partInventory[0].supplierExtension).toBe(7);
+    });
+
+    it('should return null for elements missing from the schema', () => {
+      expect(new SchemaDeserializer(schema, converter).deserialize('UnknownResponse', {})).toBeNull();
+    });
+  });
+
+  describe('SoapClient', () => {
+    it('should type responses from the schema when enabled', async () => {
+      const client = new SoapClient({ wsdl: getBundledWsdl('Inventory', '2.0.0'), endpoint: ENDPOINT, typedResponses: true });
+      nock('https://supplier.test').post('/inventory').reply(200, REPLY);
+
+      const result = await client.call('getInventoryLevels', { productId: '0042', id: 'user', wsVersion: '2.0.0' });
+
+      expect(result.inventory.partInventoryArray.partInventory[0].partId).toBe('00123');
+      expect(result).not.toHaveProperty('xmlns');
+    });
+
+    it('should keep the heuristic typing by default', async () => {
+      const client = new SoapClient({ wsdl: getBundledWsdl('Inventory', '2.0.0'), endpoint: ENDPOINT });
+      nock('https://supplier.test').post('/inventory').reply(200, REPLY);
+
+      const result = await client.call('getInventoryLevels', { productId: '0042', id: 'user', wsVersion: '2.0.0' });
+
+      expect(result.inventory.partInventoryArray.partInventory.partId).toBe(123);
+    });
+
+    it('should honour a per-call override', async () => {
+      const client = new SoapClient({ wsdl: getBundledWsdl('Inventory', '2.0.0'), endpoint: ENDPOINT });
+      nock('https://supplier.test').post('/inventory').reply(200, REPLY);
+
+      const result = await client.call(
+        'getInventoryLevels',
+        { productId: '0042', id: 'user', wsVersion: '2.0.0' },
+        { typedResponses: true }
+      );
+
+      expect(result.inventory.productId).toBe('0042');
+    });
+  });
+});
@@ -0,0 +1,214 @@
+const nock = require('nock');
+const WsdlSchema = require('../src/core/wsdl-schema');
+const SchemaSerializer = require('../src/core/schema-serializer');
+const SoapClient = require('../src/core/soap-client');
+const { getBundledWsdl } = require('../src/core/wsdl-registry');
+const { ValidationError } = require('../src/core/errors');
+
+describe('SchemaSerializer', () => {
+  const INVENTORY_NS = 'http://www.promostandards.org/WSDL/Inventory/2.0.0/';
+  const INVENTORY_SHARED_NS = 'http://www.promostandards.org/WSDL/Inventory/2.0.0/SharedObjects/';
+
+  let inventory;
+  let osn;
+
+  beforeAll(async () => {
+    inventory = await WsdlSchema.load(getBundledWsdl('Inventory', '2.0.0'));
+    osn = await WsdlSchema.load(getBundledWsdl('OrderShipmentNotification', '2.0.0'));
+  });
+
+  describe('WsdlSchema', () => {
+    it('should merge every XSD sharing the service namespace', () => {
+      expect(inventory.getElement({ namespace: INVENTORY_NS, name: 'GetInventoryLevelsRequest' })).not.toBeNull();
+      expect(inventory.getElement({ namespace: INVENTORY_NS, name: 'GetFilterValuesRequest' })).not.toBeNull();
+    });
+
+    it('should map operations to their request elements', () => {
+      expect(inventory.getOperationInput('getInventoryLevels'))
+        .toEqual({ namespace: INVENTORY_NS, name: 'GetInventoryLevelsRequest' });
+      expect(inventory.getOperationInput('unknownOperation')).toBeNull();
+    });
+  });
+
+  describe('serialize', () => {
+    it('should qualify each element with its declaring namespace', () => {
+      const xml = new SchemaSerializer(inventory).serialize('GetInventoryLevelsRequest', {
+        wsVersion: '2.0.0',
+        id: 'user',
+        productId: 'ABC'
+      });
+
+      expect(xml).toBe(
+        `<ns1:GetInventoryLevelsRequest xmlns:ns1="${INVENTORY_NS}" xmlns:ns2="${INVENTORY_SHARED_NS}">` +
+        '<ns2:wsVersion>2.0.0</ns2:wsVersion><ns2:id>user</ns2:id><ns2:productId>ABC</ns2:productId>' +
+        '</ns1:GetInventoryLevelsRequest>'
+      );
+    });
+
+    it('should emit elements in sequence order and expand array wrappers', () => {
+      const xml = new SchemaSerializer(inventory).serialize('GetInventoryLevelsRequest', {
+        Filter: { partIdArray: ['P-1', 'P-2'] },
+        productId: 'ABC',
+        id: 'user',
+        wsVersion: '2.0.0'
+      });
+
+      expect(xml).toContain(
+        '<ns2:wsVersion>2.0.0</ns2:wsVersion><ns2:id>user</ns2:id><ns2:productId>ABC</ns2:productId>' +
+        '<ns2:Filter><ns2:partIdArray><ns2:partId>P-1</ns2:partId><ns2:partId>P-2</ns2:partId></ns2:partIdArray></ns2:Filter>'
+      );
+    });
+
+    it('should match keys case-insensitively', () => {
+      const xml = new SchemaSerializer(inventory).serialize('GetInventoryLevelsRequest', {
+        wsVersion: '2.0.0',
+        id: 'user',
+        productID: 'ABC'
+      });
+
+      expect(xml).toContain('<ns2:productId>ABC</ns2:productId>');
+    });
+
+    it('should reject keys the schema does not declare', () => {
+      expect(() => new SchemaSerializer(inventory).serialize('GetInventoryLevelsRequest', {
+        wsVersion: '2.0.0',
+        id: 'user',
+        productId: 'ABC',
+        productIDtype: 'Supplier'
+      })).toThrow('Invalid GetInventoryLevelsRequest: GetInventoryLevelsRequest.productIDtype is not declared in the schema');
+    });
+
+    it('should send required nillable elements without a value as xsi:nil', async () => {
+      const orderStatus = await WsdlSchema.load(getBundledWsdl('OrderStatus', '1.0.0'));
+      const xml = new SchemaSerializer(orderStatus).serialize('GetOrderStatusDetailsRequest', {
+        wsVersion: '1.0.0',
+        id: 'user',
+        queryType: 1,
+        referenceNumber: 'PO-1001'
+      });
+
+      expect(xml).toContain(' xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"');
+      expect(xml).toMatch(/<(ns\d:)?statusTimeStamp xsi:nil="true"\/>/);
+    });
+
+    it('should report missing required elements', () => {
+      try {
+        new SchemaSerializer(inventory).serialize('GetInventoryLevelsRequest', { wsVersion: '2.0.0' });
+        throw new Error('expected serialization to fail');
+      } catch (error) {
+        expect(error).toBeInstanceOf(ValidationError);
+        expect(error.details.errors).toEqual([
+          'GetInventoryLevelsRequest.id is required',
+          'GetInventoryLevelsRequest.productId is required'
+        ]);
+      }
+    });
+
+    it('should check enumerations through named simple types', () => {
+      const serializer = new SchemaSerializer(osn);
+      const request = { wsVersion: '2.0.0', id: 'user', queryType: 7 };
+
+      expect(() => serializer.serialize('GetOrderShipmentNotificationRequest', request))
+        .toThrow('GetOrderShipmentNotificationRequest.queryType "7" is not an allowed value');
+      expect(serializer.serialize('GetOrderShipmentNotificationRequest', { ...request, queryType: 1 }))
+        .toContain('<ns2:queryType>1</ns2:queryType>');
+    });
+
+    it('should format dates for xsd:dateTime', () => {
+      const xml = new SchemaSerializer(osn).serialize('GetOrderShipmentNotificationRequest', {
+        wsVersion: '2.0.0',
+        id: 'user',
+        queryType: 3,
+        shipmentDateTimestamp: new Date('2024-05-01T00:00:00Z')
+      });
+
+      expect(xml).toContain('<ns2:shipmentDateTimestamp>2024-05-01T00:00:00.000Z</ns2:shipmentDateTimestamp>');
+    });
+
+    it('should reject objects for simple elements', () => {
+      expect(() => new SchemaSerializer(inventory).serialize('GetInventoryLevelsRequest', {
+        wsVersion: '2.0.0',
+        id: 'user',
+        productId: { value: 'ABC' }
+      })).toThrow('GetInventoryLevelsRequest.productId must be a simple value');
+    });
+
+    it('should take exactly one branch of a choice unless it repeats', async () => {
+      const xsd = `<xsd:schema xmlns:xsd="http://www.w3.org/2001/XMLSchema" targetNamespace="urn:choice" elementFormDefault="qualified">
+        <xsd:element name="Lookup">
+          <xsd:complexType><xsd:choice>
+            <xsd:element name="productId" type="xsd:string"/><xsd:element name="partId" type="xsd:string"/>
+          </xsd:choice></xsd:complexType>
+        </xsd:element>
+        <xsd:element name="Lookups">
+          <xsd:complexType><xsd:choice maxOccurs="unbounded">
+            <xsd:element name="productId" type="xsd:string"/><xsd:element name="partId" type="xsd:string"/>
+          </xsd:choice></xsd:complexType>
+        </xsd:element>
+      </xsd:schema>`;
+      const serializer = new SchemaSerializer(await WsdlSchema.load('https://supplier.test/choice.xsd', { fetch: async () => xsd }));
+
+      expect(serializer.serialize('Lookup', { partId: 'P-1' })).toContain('<ns1:partId>P-1</ns1:partId>');
+      expect(() => serializer.serialize('Lookup', { productId: 'ABC', partId: 'P-1' }))
+        .toThrow('Invalid Lookup: Lookup allows only one of productId, partId');
+      expect(() => serializer.serialize('Lookup', {})).toThrow('Lookup requires one of productId, partId');
+      expect(serializer.serialize('Lookups', { productId: 'ABC', partId: 'P-1' }))
+        .toContain('<ns1:productId>ABC</ns1:productId><ns1:partId>P-1</ns1:partId>');
+    });
+  });
+
+  describe('SoapClient', () => {
+    const ENDPOINT = 'https://supplier.test/inventory';
+    const REPLY = `<?xml version="1.0" encoding="utf-8"?>
+<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">
+  <soap:Body><GetInventoryLevelsResponse><Inventory><productId>ABC</productId></Inventory></GetInventoryLevelsResponse></soap:Body>
+</soap:Envelope>`;
+
+    afterEach(() => {
+      nock.cleanAll();
+    });
+
+    function captureRequest() {
+      const captured = {};
+      nock('https://supplier.test')
+        .post('/inventory', (body) => {
+          captured.body = body;
+          return true;
+        })
+        .reply(200, REPLY);
+      return captured;
+    }
+
+    it('should serialize requests from the schema', async () => {
+      const client = new SoapClient({ wsdl: getBundledWsdl('Inventory', '2.0.0'), endpoint: ENDPOINT });
+      const captured = captureRequest();
+
+      await client.call('getInventoryLevels', { productId: 'ABC', id: 'user', wsVersion: '2.0.0' });
+
+      expect(captured.body).toContain('<ns2:wsVersion>2.0.0</ns2:wsVersion><ns2:id>user</ns2:id>');
+    });
+
+    it('should not send requests that fail schema checks', async () => {
+      const client = new SoapClient({ wsdl: getBundledWsdl('Inventory', '2.0.0'), endpoint: ENDPOINT });
+      const scope = nock('https://supplier.test').post('/inventory').reply(200, REPLY);
+
+      await expect(client.call('getInventoryLevels', { wsVersion: '2.0.0' }))
+        .rejects.toThrow(ValidationError);
+      expect(scope.isDone()).toBe(false);
+    });
+
+    it('should fall back to the hand-built XML when disabled', async () => {
+      const client = new SoapClient({
+        wsdl: getBundledWsdl('Inventory', '2.0.0'),
+        endpoint: ENDPOINT,
+        serializeFromSchema: false
+      });
+      const captured = captureRequest();
+
+      await client.call('getInventoryLevels', { productId: 'ABC', id: 'user', wsVersion: '2.0.0' });
+
+      expect(captured.body).toContain(`<ns:GetInventoryLevelsRequest xmlns:ns="${INVENTORY_NS}">`);
+      expect(captured.body).toContain('<ns:productId>ABC</ns:productId><ns:id>user</ns:id>');
+    });
+  });
+});
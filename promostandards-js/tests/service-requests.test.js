@@ -0,0 +1,193 @@
+const SoapClient = require('../src/core/soap-client');
+const CompanyDataService = require('../src/services/company-data/company-data-service');
+const InventoryService = require('../src/services/inventory/inventory-service');
+const InvoiceService = require('../src/services/invoice/invoice-service');
+const OrderShipmentNotificationService = require('../src/services/order-shipment/order-shipment-service');
+const OrderStatusService = require('../src/services/order-status/order-status-service');
+const PricingConfigService = require('../src/services/pricing-config/pricing-config-service');
+const ProductComplianceService = require('../src/services/product-compliance/product-compliance-service');
+const ProductDataService = require('../src/services/product-data/product-data-service');
+const ProductMediaService = require('../src/services/product-media/product-media-service');
+const PurchaseOrderService = require('../src/services/purchase-order/purchase-order-service');
+const RemittanceAdviceService = require('../src/services/remittance-advice/remittance-advice-service');
+const { getBundledWsdl } = require('../src/core/wsdl-registry');
+
+/**
+ * Every request the services build must pass the bundled XSDs: the schema
+ * serializer rejects undeclared keys, missing required elements and values
+ * outside an enumeration before anything is sent.
+ */
+describe('Service requests against the bundled schemas', () => {
+  const SINCE = new Date('2024-05-01T00:00:00Z');
+
+  const ADDRESS = {
+    companyName: 'Acme Distributing',
+    address1: '100 Main St',
+    city: 'Springfield',
+    region: 'IL',
+    postalCode: '62701',
+    country: 'US'
+  };
+
+  const ASN = {
+    purchaseOrderNumber: 'PO-1001',
+    shippedInFull: true,
+    shipments: [{
+      shippedInFull: true,
+      shipFrom: ADDRESS,
+      shipTo: ADDRESS,
+      destinationType: 'Commercial',
+      packages: [{
+        trackingNumber: '1Z999',
+        shipmentDate: SINCE,
+        carrier: 'UPS',
+        service: 'Ground',
+        items: [{ productId: 'SHIRT-1', partId: 'SHIRT-1-RED-L', lineNumber: 1, quantity: 24 }]
+      }]
+    }]
+  };
+
+  const REMITTANCE = {
+    currency: 'USD',
+    details: [{ invoiceNumber: 'INV-1001', amount: 150.25 }],
+    payer: { name: 'Acme Distributing', email: 'ap@acme.test' },
+    payment: { amountPaid: 150.25, referenceNumber: 'ACH-555', date: SINCE, method: 'ACH' }
+  };
+
+  const purchaseOrder = (service) => service.createPurchaseOrder({
+    orderNumber: 'PO-1001',
+    orderDate: SINCE,
+    termsAndConditions: 'Standard terms'
+  })
+    .contact({ type: 'Order', attentionTo: 'Jane Buyer', email: 'jane@acme.test' })
+    .shipment({ carrier: 'UPS', service: 'Ground', shipTo: ADDRESS })
+    .lineItem({ description: 'Stadium cup', productId: '5790', quantity: 100, unitPrice: 3 });
+
+  const REQUESTS = [
+    [CompanyDataService, '1.0.0', {
+      getCompanyData: service => service.getCompanyData(),
+      getServiceMethods: service => service.getServiceMethods()
+    }],
+    [InventoryService, '1.2.1', {
+      getInventoryLevels: service => service.getInventoryLevels({ productId: '5790', colors: ['Black'], sizes: ['L'] })
+    }],
+    [InventoryService, '2.0.0', {
+      getInventoryLevels: service => service.getInventoryLevels({ productId: '5790', partIds: ['5790BLK'] }),
+      getFilterValues: service => service.getFilterValues({ productId: '5790' })
+    }],
+    [InvoiceService, '1.0.0', {
+      getByInvoiceNumber: service => service.getByInvoiceNumber('INV-1001'),
+      getByPO: service => service.getByPO('PO-1001'),
+      getByDateRange: service => service.getByDateRange(SINCE),
+      getVoidedInvoices: service => service.getVoidedInvoices({ since: SINCE })
+    }],
+    ...['1.0.0', '2.0.0', '2.1.0'].map(version => [OrderShipmentNotificationService, version, {
+      getShipmentsByPO: service => service.getShipmentsByPO('PO-1001'),
+      getShipmentsBySO: service => service.getShipmentsBySO('SO-1'),
+      getShipmentsSince: service => service.getShipmentsSince(SINCE)
+    }]),
+    [OrderShipmentNotificationService, '2.1.0', {
+      sendAdvanceShipmentNotification: service => service.sendAdvanceShipmentNotification(ASN),
+      getServiceMethods: service => service.getServiceMethods()
+    }],
+    ...['1.0.0', '2.0.0'].map(version => [OrderStatusService, version, {
+      'getOrderStatus by PO': service => service.getOrderStatus({ queryType: '1', referenceNumber: 'PO-1001' }),
+      'getOrderStatus by SO': service => service.getOrderStatus({ soNumber: 'SO-1' }),
+      'getOrderStatus since': service => service.getOrderStatus({ queryType: '3', statusTimeStamp: SINCE }),
+      'getOrderStatus all open': service => service.getOrderStatus({ queryType: '4' }),
+      getOrderStatusDetails: service => service.getOrderStatusDetails({ purchaseOrderNumber: 'PO-1001' })
+    }]),
+    [OrderStatusService, '1.0.0', {
+      getOrderStatusTypes: service => service.getOrderStatusTypes()
+    }],
+    [OrderStatusService, '2.0.0', {
+      'getOrderStatus lastUpdate': service => service.getOrderStatus({ queryType: 'lastUpdate', since: SINCE }),
+      getIssue: service => service.getIssue({ issueId: 'ISSUE-1' }),
+      getServiceMethods: service => service.getServiceMethods()
+    }],
+    [PricingConfigService, '1.0.0', {
+      getConfigurationAndPricing: service => service.getConfigurationAndPricing({
+        productId: '5790', currency: 'USD', fobId: 'MA', priceType: 'Customer', configurationType: 'Decorated'
+      }),
+      getAvailableLocations: service => service.getAvailableLocations({ productId: '5790' }),
+      getAvailableCharges: service => service.getAvailableCharges({ productId: '5790' }),
+      getDecorationColors: service => service.getDecorationColors({ productId: '5790', locationId: 1, decorationId: 10 }),
+      getFobPoints: service => service.getFobPoints({ productId: '5790' })
+    }],
+    [ProductComplianceService, '1.0.0', {
+      getCompliance: service => service.getCompliance({ productId: '5790', partId: '5790BLK' }),
+      getProductsWithRegulations: service => service.getProductsWithRegulations({ since: SINCE })
+    }],
+    ...['1.0.0', '2.0.0'].map(version => [ProductDataService, version, {
+      getProduct: service => service.getProduct({ productId: '5790' }),
+      getProductDateModified: service => service.getProductDateModified({ since: SINCE }),
+      getProductSellable: service => service.getProductSellable({ productId: '5790' })
+    }]),
+    [ProductDataService, '2.0.0', {
+      getProductCloseout: service => service.getProductCloseout()
+    }],
+    [ProductMediaService, '1.1.0', {
+      getMediaContent: service => service.getMediaContent({ productId: '5790', mediaType: 'Image', partId: '5790BLK' }),
+      getMediaDateModified: service => service.getMediaDateModified({ since: SINCE })
+    }],
+    [PurchaseOrderService, '1.0.0', {
+      sendPO: service => service.sendPO({ PO: purchaseOrder(service) }),
+      getSupportedOrderTypes: service => service.getSupportedOrderTypes()
+    }],
+    [RemittanceAdviceService, '1.0.0', {
+      sendRemittanceAdvice: service => service.sendRemittanceAdvice(REMITTANCE),
+      getServiceMethods: service => service.getServiceMethods()
+    }]
+  ];
+
+  let sent;
+
+  const createService = (Service, version) =>
+    new Service({ endpoint: 'https://supplier.test/ws', username: 'user', password: 'pass', version });
+
+  beforeEach(() => {
+    sent = [];
+    // Serialize as SoapClient#call does, then stop before the HTTP request
+    jest.spyOn(SoapClient.prototype, 'call').mockImplementation(async function (operation, data, options = {}) {
+      sent.push(await this.buildRequestXmlFromSchema(operation, data, options));
+      throw new Error('not sent');
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should only list bundled service versions', () => {
+    for (const [Service, version] of REQUESTS) {
+      expect(getBundledWsdl(Service.serviceName, version)).not.toBeNull();
+    }
+  });
+
+  describe.each(REQUESTS.map(([Service, version, requests]) => [Service.serviceName, version, Service, requests]))(
+    '%s %s',
+    (serviceName, version, Service, requests) => {
+      it.each(Object.keys(requests))('%s', async (name) => {
+        await expect(requests[name](createService(Service, version))).rejects.toThrow('not sent');
+        expect(sent).toHaveLength(1);
+        expect(sent[0]).toMatch(/^<ns1:\w+ xmlns:ns1=/);
+      });
+    }
+  );
+
+  it('should send order status query types as the service version names them', async () => {
+    const request = service => service.getOrderStatus({ poNumber: 'PO-1001' });
+    for (const version of ['1.0.0', '2.0.0']) {
+      await expect(request(createService(OrderStatusService, version))).rejects.toThrow('not sent');
+    }
+
+    expect(sent[0]).toMatch(/<ns\d:queryType>1<\/ns\d:queryType><ns\d:referenceNumber>PO-1001<\/ns\d:referenceNumber><ns\d:statusTimeStamp xsi:nil="true"\/>/);
+    expect(sent[1]).toMatch(/<ns\d:queryType>poSearch<\/ns\d:queryType><ns\d:referenceNumber>PO-1001</);
+    await expect(createService(OrderStatusService, '1.0.0').getOrderStatus({ queryType: 'allOpenIssues' })).rejects.toThrow('queryType allOpenIssues is not available in version 1.0.0');
+  });
+
+  it('should ask for invoices voided since a date by availableTimeStamp', async () => {
+    await expect(createService(InvoiceService, '1.0.0').getVoidedInvoices({ since: SINCE })).rejects.toThrow('not sent');
+    expect(sent[0]).toMatch(/<ns\d:queryType>4<\/ns\d:queryType><ns\d:availableTimeStamp>2024-05-01T00:00:00.000Z</);
+  });
+});
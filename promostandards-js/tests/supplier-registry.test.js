@@ -0,0 +1,145 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SupplierRegistry = require('../src/supplier-registry');
+const PromoStandardsClient = require('../src/client');
+const InventoryService = require('../src/services/inventory/inventory-service');
+const CircuitBreaker = require('../src/core/circuit-breaker');
+const { ValidationError } = require('../src/core/errors');
+const { getBundledWsdl } = require('../src/core/wsdl-registry');
+
+describe('SupplierRegistry', () => {
+  const EXAMPLE = path.resolve(__dirname, '../examples/suppliers.example.yaml');
+  const ENV = {
+    HIT_USERNAME: 'hit-user',
+    HIT_PASSWORD: 'hit-pass',
+    ACME_USERNAME: 'acme-user',
+    ACME_PASSWORD: 'acme-pass'
+  };
+
+  function config(supplier = {}) {
+    return {
+      suppliers: {
+        TEST: {
+          credentials: { username: 'user', password: 'pass' },
+          services: { inventory: { endpoint: 'https://supplier.test/inventory', version: '2.0.0' } },
+          ...supplier
+        }
+      }
+    };
+  }
+
+  function expectInvalid(configuration, expectedErrors) {
+    try {
+      new SupplierRegistry(configuration);
+      throw new Error('expected the configuration to be rejected');
+    } catch (error) {
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.details.errors).toEqual(expect.arrayContaining(expectedErrors));
+    }
+  }
+
+  describe('loading', () => {
+    it('should load the YAML example', () => {
+      const registry = SupplierRegistry.fromFile(EXAMPLE, { env: ENV });
+
+      expect(registry.listSuppliers()).toEqual(['HIT', 'ACME']);
+    });
+
+    it('should load JSON files', () => {
+      const file = path.join(os.tmpdir(), `suppliers-${process.pid}.json`);
+      fs.writeFileSync(file, JSON.stringify(config()));
+
+      try {
+        expect(SupplierRegistry.fromFile(file).hasSupplier('TEST')).toBe(true);
+      } finally {
+        fs.unlinkSync(file);
+      }
+    });
+
+    it('should report unparseable files', () => {
+      const file = path.join(os.tmpdir(), `suppliers-${process.pid}.yaml`);
+      fs.writeFileSync(file, 'suppliers: [unclosed');
+
+      try {
+        expect(() => SupplierRegistry.fromFile(file)).toThrow('Cannot parse supplier configuration');
+      } finally {
+        fs.unlinkSync(file);
+      }
+    });
+  });
+
+  describe('validation', () => {
+    it('should reject unknown services and unsupported versions', () => {
+      expectInvalid(config({
+        services: {
+          inventory: { endpoint: 'https://supplier.test/inventory', version: '3.0.0' },
+          warehouse: { endpoint: 'https://supplier.test/warehouse' }
+        }
+      }), [
+        'suppliers.TEST.services has unknown property warehouse',
+        'suppliers.TEST.services.inventory.version must be one of 1.2.1, 2.0.0'
+      ]);
+    });
+
+    it('should require a wsdl or endpoint per service', () => {
+      expectInvalid(config({ services: { inventory: { version: '2.0.0' } } }), [
+        'suppliers.TEST.services.inventory requires wsdl or endpoint'
+      ]);
+    });
+
+    it('should reject misspelled quirks', () => {
+      expectInvalid(config({ quirks: { typedResponse: true } }), [
+        'suppliers.TEST.quirks has unknown property typedResponse'
+      ]);
+    });
+  });
+
+  describe('getSupplier', () => {
+    it('should wire up every configured service', () => {
+      const hit = SupplierRegistry.fromFile(EXAMPLE, { env: ENV }).getSupplier('HIT');
+
+      expect(hit).toBeInstanceOf(PromoStandardsClient);
+      expect(hit.supplierName).toBe('Hit Promotional Products');
+      expect(hit.inventory).toBeInstanceOf(InventoryService);
+      expect(hit.inventory.wsdl).toBe('https://ppds.hitpromo.net/inventoryV2?wsdl');
+      expect(hit.inventory.auth.id).toBe('hit-user');
+      expect(hit.productData.client.timeout).toBe(60000);
+      expect(hit.inventory.client.timeout).toBe(30000);
+    });
+
+    it('should use the bundled WSDL for endpoint-only services and apply supplier quirks', () => {
+      const acme = SupplierRegistry.fromFile(EXAMPLE, { env: ENV }).getSupplier('ACME');
+
+      expect(acme.inventory.wsdl).toBe(getBundledWsdl('Inventory', '1.2.1'));
+      expect(acme.inventory.endpoint).toBe('https://api.acme.example/promostandards/inventory');
+      expect(acme.inventory.client.typedResponses).toBe(true);
+    });
+
+    it('should cache clients and share the breaker between suppliers', () => {
+      const breaker = new CircuitBreaker();
+      const registry = SupplierRegistry.fromFile(EXAMPLE, { env: ENV, circuitBreaker: breaker });
+
+      expect(registry.getSupplier('HIT')).toBe(registry.getSupplier('HIT'));
+      expect(registry.getSupplier('HIT').inventory.circuitBreaker).toBe(breaker);
+      expect(registry.getSupplier('ACME').inventory.circuitBreaker).toBe(breaker);
+    });
+
+    it('should resolve custom credential references', () => {
+      const secrets = { 'test/username': 'vault-user', 'test/password': 'vault-pass' };
+      const registry = new SupplierRegistry(
+        config({ credentials: { username: { secret: 'test/username' }, password: { secret: 'test/password' } } }),
+        { resolveCredential: (ref) => secrets[ref.secret] }
+      );
+
+      expect(registry.getSupplier('TEST').inventory.auth.password).toBe('vault-pass');
+    });
+
+    it('should report unresolved credentials and unknown suppliers', () => {
+      const registry = SupplierRegistry.fromFile(EXAMPLE, { env: {} });
+
+      expect(() => registry.getSupplier('HIT')).toThrow('Cannot resolve username for supplier \'HIT\'');
+      expect(() => registry.getSupplier('NOPE')).toThrow('Supplier \'NOPE\' is not configured');
+    });
+  });
+});
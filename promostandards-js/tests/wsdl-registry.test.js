@@ -0,0 +1,146 @@
+const nock = require('nock');
+const {
+  BUNDLED_WSDLS,
+  getBundledWsdl,
+  hasBundledWsdl,
+  getBundledVersions,
+  listBundledWsdls
+} = require('../src/core/wsdl-registry');
+const PromoStandardsClient = require('../src/client');
+const InventoryService = require('../src/services/inventory/inventory-service');
+const ProductMediaService = require('../src/services/product-media/product-media-service');
+const WSDLProvider = require('../src/core/wsdl-provider');
+const { ValidationError } = require('../src/core/errors');
+
+describe('wsdl-registry', () => {
+  const ENDPOINT = 'https://supplier.test/inventory/v2';
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  describe('lookup', () => {
+    it('should return an absolute path for bundled versions', () => {
+      expect(getBundledWsdl('Inventory', '2.0.0')).toMatch(/wsdl[\\/]Inventory[\\/]2\.0\.0[\\/]InventoryService\.wsdl$/);
+      expect(hasBundledWsdl('OrderShipmentNotification', '2.1.0')).toBe(true);
+    });
+
+    it('should return null for versions that are not bundled', () => {
+      expect(getBundledWsdl('PurchaseOrder', '2.0.0')).toBeNull();
+      expect(getBundledWsdl('Unknown', '1.0.0')).toBeNull();
+      expect(getBundledVersions('Unknown')).toEqual([]);
+    });
+
+    it('should list every bundled WSDL', () => {
+      const entries = listBundledWsdls();
+      const expected = Object.values(BUNDLED_WSDLS)
+        .reduce((count, versions) => count + Object.keys(versions).length, 0);
+
+      expect(entries).toHaveLength(expected);
+      expect(entries.every(entry => hasBundledWsdl(entry.service, entry.version))).toBe(true);
+    });
+  });
+
+  describe('BaseService with a bundled WSDL', () => {
+    it('should build a service from an endpoint and version', () => {
+      const service = new InventoryService({
+        endpoint: ENDPOINT,
+        version: '2.0.0',
+        username: 'test',
+        password: 'test'
+      });
+
+      expect(service.useBundledWsdl).toBe(true);
+      expect(service.wsdl).toBe(getBundledWsdl('Inventory', '2.0.0'));
+      expect(service.endpoint).toBe(ENDPOINT);
+    });
+
+    it('should derive the endpoint from a WSDL URL when forced', () => {
+      const service = new InventoryService({
+        wsdl: `${ENDPOINT}?wsdl`,
+        useBundledWsdl: true,
+        username: 'test',
+        password: 'test'
+      });
+
+      expect(service.wsdl).toBe(getBundledWsdl('Inventory', '2.0.0'));
+      expect(service.endpoint).toBe(ENDPOINT);
+    });
+
+    it('should reject versions without a bundled WSDL', () => {
+      try {
+        new ProductMediaService({ endpoint: ENDPOINT, version: '1.0.0', username: 'test', password: 'test' });
+        throw new Error('expected construction to fail');
+      } catch (error) {
+        expect(error).toBeInstanceOf(ValidationError);
+        expect(error.details).toEqual({
+          service: 'ProductMedia',
+          version: '1.0.0',
+          bundledVersions: ['1.1.0']
+        });
+      }
+    });
+
+    it('should parse the local schemas without fetching a WSDL', async () => {
+      const service = new InventoryService({ endpoint: ENDPOINT, version: '2.0.0', username: 'test', password: 'test' });
+
+      await service.initialize();
+
+      await expect(service.client.getNamespace())
+        .resolves.toBe('http://www.promostandards.org/WSDL/Inventory/2.0.0/');
+      expect(service.client.getEndpoint()).toBe(ENDPOINT);
+
+      const operations = await service.getAvailableOperations();
+      expect(operations.map(op => op.name).sort()).toEqual(['getFilterValues', 'getInventoryLevels']);
+    });
+
+    it('should send requests to the endpoint', async () => {
+      const service = new InventoryService({ endpoint: ENDPOINT, version: '2.0.0', username: 'test', password: 'test' });
+      let body;
+
+      nock('https://supplier.test')
+        .post('/inventory/v2', (requestBody) => {
+          body = requestBody;
+          return true;
+        })
+        .reply(200, `<?xml version="1.0" encoding="utf-8"?>
+<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">
+  <soap:Body>
+    <GetInventoryLevelsResponse xmlns="http://www.promostandards.org/WSDL/Inventory/2.0.0/">
+      <Inventory><productId>ABC</productId></Inventory>
+    </GetInventoryLevelsResponse>
+  </soap:Body>
+</soap:Envelope>`);
+
+      const result = await service.getInventoryLevels({ productId: 'ABC' });
+
+      expect(body).toContain('<ns1:GetInventoryLevelsRequest xmlns:ns1="http://www.promostandards.org/WSDL/Inventory/2.0.0/"');
+      expect(result.inventory.productId).toBe('ABC');
+    });
+
+    it('should swap in the bundled WSDL after provider resolution', async () => {
+      const service = new InventoryService({
+        wsdlProvider: WSDLProvider.fromResolver(async () => ({ wsdl: `${ENDPOINT}?wsdl` })),
+        useBundledWsdl: true,
+        username: 'test',
+        password: 'test'
+      });
+
+      await service.ensureWsdlResolved();
+
+      expect(service.wsdl).toBe(getBundledWsdl('Inventory', '2.0.0'));
+      expect(service.endpoint).toBe(ENDPOINT);
+    });
+  });
+
+  describe('PromoStandardsClient', () => {
+    it('should keep the endpoint as the SOAP address when useBundledWsdl is set', () => {
+      const client = new PromoStandardsClient({ username: 'test', password: 'test', useBundledWsdl: true });
+
+      client.addService('inventory', InventoryService, { endpoint: ENDPOINT });
+
+      expect(client.inventory.wsdl).toBe(getBundledWsdl('Inventory', '2.0.0'));
+      expect(client.inventory.endpoint).toBe(ENDPOINT);
+    });
+  });
+});